@@ -0,0 +1,20 @@
+/* ========================================
+   ADMIN ACCESS
+   ========================================
+   Admin endpoints take `Authorization: Bearer <ADMIN_TOKEN>`. Without
+   ADMIN_TOKEN set they are switched off.
+*/
+
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { HttpError } from './http.js';
+
+const digest = (value) => createHash('sha256').update(value).digest();
+
+export function assertAdmin(req) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) throw new HttpError(503, 'Admin access is not configured');
+
+  const token = /^Bearer (.+)$/.exec(req.headers.authorization || '')?.[1] || '';
+  // Hashing first gives equal lengths, so the comparison leaks nothing
+  if (!timingSafeEqual(digest(token), digest(expected))) throw new HttpError(401, 'Admin token required');
+}
@@ -0,0 +1,21 @@
+/* ========================================
+   CHAIN ACCESS FOR API FUNCTIONS
+   ======================================== */
+
+import { createRpcClient } from '../../src/lib/rpc.js';
+import { HYPEREVM, DEPLOYER_ADDRESS } from '../../src/config.js';
+
+let rpc = null;
+
+// HYPEREVM_RPC_URL lets the server use a different node than the site
+export const getRpc = () => {
+  rpc = rpc || createRpcClient(process.env.HYPEREVM_RPC_URL || HYPEREVM.rpcUrl);
+  return rpc;
+};
+
+// The VITE_ variables only reach the browser bundle, so the server reads
+// NON_CIRCULATING_ADDRESSES (comma-separated); the deployer otherwise
+export const NON_CIRCULATING = (process.env.NON_CIRCULATING_ADDRESSES || DEPLOYER_ADDRESS)
+  .split(',')
+  .map((address) => address.trim().toLowerCase())
+  .filter(Boolean);
@@ -0,0 +1,54 @@
+/* ========================================
+   CSV EXPORTS
+   ========================================
+   Exports are opened in spreadsheets, so fields that would start a
+   formula are prefixed with a quote. parseCsv reads files written by
+   toCsv back, after a reviewer has edited them.
+*/
+
+// Quotes fields that need it and defuses spreadsheet formulas
+const csvField = (value) => {
+  const text = value == null ? '' : String(value);
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+/**
+ * `header` is a list of column names, `rows` a list of value lists.
+ */
+export const toCsv = (header, rows) => `${[header, ...rows].map((row) => row.map(csvField).join(',')).join('\n')}\n`;
+
+/**
+ * Rows of `text` as lists of fields, handling quoted fields (with commas,
+ * doubled quotes and line breaks). Blank lines are skipped.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') quoted = true;
+    else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      if (row.some((cell) => cell !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else field += char;
+  }
+  row.push(field);
+  if (row.some((cell) => cell !== '')) rows.push(row);
+  return rows;
+}
@@ -0,0 +1,134 @@
+/* ========================================
+   GOVERNANCE SERVICE
+   ========================================
+   Proposals and votes in the file store, signature checks and
+   snapshot-block voting weight. Collections:
+   - proposals: [{ id, title, body, choices, snapshot, start, end, quorum, author, createdAt }]
+   - votes: { [proposalId]: { [voter]: { voter, choice, weight, timestamp, signature, receivedAt } } }
+*/
+
+import { read, update } from './store.js';
+import { HttpError } from './http.js';
+import { getRpc, NON_CIRCULATING } from './chain.js';
+import { readBalanceOf } from '../../src/lib/erc20.js';
+import { recoverTypedDataSigner } from '../../src/lib/eip712.js';
+import { isAddress, toChecksumAddress } from '../../src/lib/address.js';
+import {
+  voteTypedData,
+  proposalStatus,
+  tallyVotes,
+  MAX_CLOCK_SKEW_SECONDS,
+  MAX_SIGNATURE_AGE_SECONDS,
+} from '../../src/lib/governance.js';
+import { BLT_TOKEN } from '../../src/config.js';
+
+// Treasury and other non-circulating wallets do not vote
+const EXCLUDED = new Set(NON_CIRCULATING);
+
+const byWeight = (a, b) => (BigInt(b.weight) > BigInt(a.weight) ? 1 : BigInt(b.weight) < BigInt(a.weight) ? -1 : 0);
+
+const votesFor = async (id) => Object.values((await read('votes', {}))[id] || {});
+
+const summarize = (proposal, votes, now) => ({
+  ...proposal,
+  status: proposalStatus(proposal, now),
+  tally: tallyVotes(proposal, votes),
+});
+
+export async function listProposals(now = Date.now()) {
+  const [proposals, votes] = await Promise.all([read('proposals', []), read('votes', {})]);
+  // The list leaves out proposal bodies; the detail view has them
+  return proposals
+    .map(({ body, ...proposal }) => summarize(proposal, Object.values(votes[proposal.id] || {}), now))
+    .sort((a, b) => Date.parse(b.start) - Date.parse(a.start));
+}
+
+export async function getProposal(id, now = Date.now()) {
+  const proposal = (await read('proposals', [])).find((candidate) => candidate.id === id);
+  if (!proposal) throw new HttpError(404, `No proposal "${id}"`);
+  const votes = await votesFor(id);
+  return { ...summarize(proposal, votes, now), votes: votes.sort(byWeight) };
+}
+
+/**
+ * Verifies and records a signed vote; returns the updated proposal.
+ * A later signed vote from the same address replaces the earlier one.
+ */
+export async function castVote(id, { voter, choice, timestamp, signature } = {}, now = Date.now()) {
+  const proposal = (await read('proposals', [])).find((candidate) => candidate.id === id);
+  if (!proposal) throw new HttpError(404, `No proposal "${id}"`);
+
+  const status = proposalStatus(proposal, now);
+  if (status !== 'active') throw new HttpError(409, status === 'pending' ? 'Voting has not started' : 'Voting has closed');
+
+  if (!isAddress(voter)) throw new HttpError(400, 'voter must be an address');
+  if (!proposal.choices.includes(choice)) throw new HttpError(400, `choice must be one of: ${proposal.choices.join(', ')}`);
+  if (!Number.isSafeInteger(timestamp)
+    || timestamp > now / 1000 + MAX_CLOCK_SKEW_SECONDS
+    || timestamp < now / 1000 - MAX_SIGNATURE_AGE_SECONDS) {
+    throw new HttpError(400, 'timestamp must be the signing time in seconds');
+  }
+  if (typeof signature !== 'string' || !/^0x[0-9a-fA-F]{130}$/.test(signature)) {
+    throw new HttpError(400, 'signature must be a 65-byte hex string');
+  }
+
+  let signer;
+  try {
+    signer = recoverTypedDataSigner(voteTypedData({ voter, proposal: id, choice, timestamp }), signature);
+  } catch (error) {
+    throw new HttpError(400, `Invalid signature: ${error.message}`);
+  }
+  if (signer !== voter.toLowerCase()) throw new HttpError(401, 'Signature was not made by the voter');
+  if (EXCLUDED.has(signer)) throw new HttpError(403, 'Non-circulating wallets cannot vote');
+
+  const weight = await readBalanceOf(getRpc(), BLT_TOKEN.address, voter, `0x${BigInt(proposal.snapshot).toString(16)}`)
+    .catch((error) => {
+      throw new HttpError(502, `Could not read balance at the snapshot block: ${error.message}`);
+    });
+  if (weight === 0n) throw new HttpError(403, `No ${BLT_TOKEN.symbol} held at snapshot block ${proposal.snapshot}`);
+
+  await update('votes', {}, (votes) => {
+    const current = votes[id]?.[signer];
+    if (current && current.timestamp >= timestamp) throw new HttpError(409, 'A newer vote from this address is already recorded');
+    return {
+      ...votes,
+      [id]: {
+        ...votes[id],
+        [signer]: {
+          voter: toChecksumAddress(voter),
+          choice,
+          weight: weight.toString(),
+          timestamp,
+          signature,
+          receivedAt: new Date(now).toISOString(),
+        },
+      },
+    };
+  });
+
+  return getProposal(id, now);
+}
+
+/**
+ * Adds a proposal (used by scripts/governance.js). The snapshot defaults
+ * to the latest block, so balances acquired after creation do not count.
+ */
+export async function createProposal({ id, title, body, choices, start, end, quorum = null, author = null, snapshot = null }) {
+  const resolvedSnapshot = snapshot ?? (await getRpc().blockNumber()).toString();
+
+  return update('proposals', [], (proposals) => {
+    if (proposals.some((proposal) => proposal.id === id)) throw new Error(`Proposal "${id}" already exists`);
+    return [...proposals, {
+      id,
+      title,
+      body,
+      choices,
+      snapshot: resolvedSnapshot,
+      start,
+      end,
+      quorum,
+      author,
+      createdAt: new Date().toISOString(),
+    }];
+  });
+}
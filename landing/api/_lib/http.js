@@ -0,0 +1,96 @@
+/* ========================================
+   API HTTP HELPERS
+   ========================================
+   Plain Node req/res so handlers run the same as Vercel functions and
+   under scripts/dev-api.js.
+*/
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+export function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * The caller's IP: the first x-forwarded-for hop behind Vercel's proxy,
+ * the socket address otherwise.
+ */
+export const clientIp = (req) => (req.headers['x-forwarded-for'] || '').split(',')[0].trim()
+  || req.socket?.remoteAddress
+  || 'unknown';
+
+/**
+ * Public origin for links in emails: SITE_URL, then the Vercel
+ * production domain, then the host the request came in on.
+ */
+export function siteOrigin(req) {
+  if (process.env.SITE_URL) return process.env.SITE_URL.replace(/\/+$/, '');
+  if (process.env.VERCEL_PROJECT_PRODUCTION_URL) return `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}`;
+  const protocol = req.headers['x-forwarded-proto'] || 'http';
+  return `${protocol}://${req.headers['x-forwarded-host'] || req.headers.host}`;
+}
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new HttpError(400, 'Body must be JSON');
+  }
+};
+
+/**
+ * Parsed JSON body, which must be an object. Vercel pre-parses it into
+ * req.body; a bare Node server leaves the stream to read.
+ */
+export async function readJson(req) {
+  let body;
+  if (req.body !== undefined) {
+    body = typeof req.body === 'object' && req.body !== null ? req.body : parseJson(req.body);
+  } else {
+    let text = '';
+    for await (const chunk of req) {
+      text += chunk;
+      if (text.length > MAX_BODY_BYTES) throw new HttpError(413, 'Body too large');
+    }
+    body = parseJson(text);
+  }
+
+  // null, arrays and bare values parse fine but name no fields
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) throw new HttpError(400, 'Body must be a JSON object');
+  return body;
+}
+
+/**
+ * Wraps a map of method → handler, answering 405 for other methods and
+ * turning thrown HttpErrors into JSON error responses.
+ */
+export const route = (handlers) => async (req, res) => {
+  const handler = handlers[req.method];
+  if (!handler) {
+    res.setHeader('Allow', Object.keys(handlers).join(', '));
+    sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+    return;
+  }
+
+  try {
+    await handler(req, res);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      sendJson(res, error.status, { error: error.message });
+      return;
+    }
+    console.error(error);
+    sendJson(res, 500, { error: 'Internal error' });
+  }
+};
@@ -0,0 +1,72 @@
+/* ========================================
+   MAILER
+   ========================================
+   Sends plain-text email through the transport named by MAIL_TRANSPORT:
+   - console: prints the message (default outside Vercel)
+   - file: writes each message to DATA_DIR/outbox/ to open locally
+   - resend: the Resend HTTP API, with RESEND_API_KEY
+   Other providers plug in with registerTransport. MAIL_FROM is the
+   sender. On Vercel there is no default, so nothing is sent until a real
+   transport is configured.
+
+   A message is { to, subject, text, headers }.
+*/
+
+import { writeFile, mkdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { HttpError } from './http.js';
+import { DATA_DIR } from './store.js';
+
+const FROM = process.env.MAIL_FROM || 'BELIEVE <waitlist@localhost>';
+
+const format = ({ to, subject, text, headers = {} }) => [
+  `From: ${FROM}`,
+  `To: ${to}`,
+  `Subject: ${subject}`,
+  ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+  '',
+  text,
+].join('\n');
+
+const transports = {
+  console: async (message) => {
+    console.log(`\n----- mail -----\n${format(message)}\n----------------`);
+  },
+
+  file: async (message) => {
+    const dir = join(DATA_DIR, 'outbox');
+    await mkdir(dir, { recursive: true });
+    const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^\w.@-]/g, '_')}.eml`;
+    await writeFile(join(dir, name), `${format(message)}\n`);
+  },
+
+  resend: async ({ to, subject, text, headers }) => {
+    if (!process.env.RESEND_API_KEY) throw new Error('RESEND_API_KEY is not set');
+    const response = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${process.env.RESEND_API_KEY}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ from: FROM, to: [to], subject, text, headers }),
+    });
+    if (!response.ok) throw new Error(`Resend responded ${response.status}: ${await response.text()}`);
+  },
+};
+
+/**
+ * Adds or replaces a transport; `send` receives the message object.
+ */
+export function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+export async function sendMail(message) {
+  const name = process.env.MAIL_TRANSPORT || (process.env.VERCEL ? null : 'console');
+  const send = name && transports[name];
+  if (!send) throw new HttpError(503, 'Email is not configured');
+
+  try {
+    await send(message);
+  } catch (error) {
+    console.error(error);
+    throw new HttpError(502, 'The confirmation email could not be sent');
+  }
+}
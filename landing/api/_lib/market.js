@@ -0,0 +1,117 @@
+/* ========================================
+   MARKET DATA (SWAP INDEXER)
+   ========================================
+   Swap events of the BLT pool, indexed into the file store so the price
+   chart is served from disk. A request scans at most the blocks since the
+   previous one, and stops after a time budget so a cold index fills in
+   over several requests (or at once with `node scripts/market.js sync`).
+   Blocks near the head may still be reorganized and are left for later.
+   Collection:
+   - swaps: { pool: { address, type, token0, token1, decimals0, decimals1 },
+       scannedTo, swaps: [{ blockNumber, logIndex, hash, price, volume, side, timestamp }] }
+*/
+
+import { read, update } from './store.js';
+import { HttpError } from './http.js';
+import { getRpc } from './chain.js';
+import { readPoolState } from '../../src/lib/pool.js';
+import { scanSwaps, buildCandles, CHART_RANGES } from '../../src/lib/swaps.js';
+import { BLT_TOKEN, DEX_POOL, LOGS_PAGE_SIZE } from '../../src/config.js';
+
+const REORG_MARGIN = 32n;
+
+// Blocks per stored step: short, so progress survives a request that runs
+// out of time
+const SYNC_CHUNK = 2000n;
+
+// Time one request may spend indexing before answering from what it has
+const SYNC_BUDGET_MS = 6000;
+
+// Requests within this long of the last sync are answered from the store alone
+const SYNC_INTERVAL_MS = 30 * 1000;
+
+// The server has no Vite env, so the pool is configured separately
+export const marketPool = () => ({
+  address: process.env.DEX_POOL_ADDRESS || DEX_POOL.address,
+  type: process.env.DEX_POOL_TYPE || DEX_POOL.type,
+  startBlock: process.env.DEX_POOL_START_BLOCK ? BigInt(process.env.DEX_POOL_START_BLOCK) : BLT_TOKEN.deployBlock,
+});
+
+const samePool = (index, pool) => index?.pool.address.toLowerCase() === pool.address.toLowerCase();
+
+async function readIndex(pool) {
+  const index = await read('swaps', null);
+  return samePool(index, pool) ? index : null;
+}
+
+/**
+ * Indexes new swaps up to the settled head, or until `deadline` (ms).
+ * The deadline is also checked between block timestamp reads, and what
+ * was read before it is stored. Concurrent syncs only ever append blocks
+ * past the stored scannedTo.
+ */
+export async function syncSwaps({ rpc = getRpc(), pool = marketPool(), deadline = Date.now() + SYNC_BUDGET_MS, onChunk } = {}) {
+  if (!pool.address) throw new HttpError(503, 'No DEX pool is configured');
+
+  const index = await readIndex(pool);
+  // Never default to genesis: that is millions of empty blocks
+  if (!index && pool.startBlock === null) throw new HttpError(503, 'DEX_POOL_START_BLOCK is not set');
+  const meta = index?.pool || await readPoolState(rpc, pool).then(({ address, type, token0, token1, decimals0, decimals1 }) => (
+    { address, type, token0, token1, decimals0, decimals1 }));
+  const settled = (await rpc.blockNumber()) - REORG_MARGIN;
+  let from = index ? BigInt(index.scannedTo) + 1n : pool.startBlock;
+
+  while (from <= settled && Date.now() < deadline) {
+    const end = from + SYNC_CHUNK - 1n < settled ? from + SYNC_CHUNK - 1n : settled;
+    const { swaps, scannedTo: to } = await scanSwaps(rpc, meta, BLT_TOKEN.address, { fromBlock: from, toBlock: end, pageSize: LOGS_PAGE_SIZE, deadline });
+    if (to < from) break;
+
+    await update('swaps', null, (current) => {
+      const base = samePool(current, meta) ? current : { pool: meta, scannedTo: (from - 1n).toString(), swaps: [] };
+      const scannedTo = BigInt(base.scannedTo);
+      if (scannedTo >= to) return base;
+      const fresh = swaps.filter((swap) => BigInt(swap.blockNumber) > scannedTo);
+      return { ...base, scannedTo: to.toString(), swaps: [...base.swaps, ...fresh] };
+    });
+    onChunk?.({ fromBlock: from, toBlock: to, settled, swaps: swaps.length });
+    from = to + 1n;
+  }
+}
+
+let lastSync = 0;
+let syncing = null;
+
+/**
+ * Candles for one of CHART_RANGES from the index, after bringing it up
+ * to date. When the node fails, the stored swaps are served flagged as
+ * stale rather than failing the chart.
+ */
+export async function readCandles(range = 'ALL', now = Date.now()) {
+  if (!CHART_RANGES[range]) throw new HttpError(400, `range must be one of: ${Object.keys(CHART_RANGES).join(', ')}`);
+  const pool = marketPool();
+  if (!pool.address) throw new HttpError(503, 'No DEX pool is configured');
+
+  let error = null;
+  if (now - lastSync > SYNC_INTERVAL_MS) {
+    syncing = syncing || syncSwaps({ pool }).then(() => { lastSync = Date.now(); }).finally(() => { syncing = null; });
+    try {
+      await syncing;
+    } catch (syncError) {
+      if (syncError instanceof HttpError) throw syncError;
+      console.error(syncError);
+      error = syncError;
+    }
+  }
+
+  const index = await readIndex(pool);
+  if (!index) throw new HttpError(502, 'Swap history is unavailable');
+
+  const last = index.swaps[index.swaps.length - 1];
+  return {
+    range,
+    ...buildCandles(index.swaps, range, Math.floor(now / 1000)),
+    lastPrice: last?.price ?? null,
+    indexedTo: index.scannedTo,
+    stale: Boolean(error),
+  };
+}
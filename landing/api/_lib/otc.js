@@ -0,0 +1,233 @@
+/* ========================================
+   OTC SERVICE
+   ========================================
+   Offers in the file store with signature, expiry and balance checks.
+   Balances are checked when an offer is posted and again when it is
+   accepted; the board never holds funds. Collection:
+   - offers: [{ id, maker, side, amount, asset, price, expiry, nonce, signature,
+       createdAt, cancelledAt, acceptance: { taker, timestamp, signature, acceptedAt } }]
+*/
+
+import { read, update } from './store.js';
+import { HttpError } from './http.js';
+import { getRpc } from './chain.js';
+import { readBalanceOf } from '../../src/lib/erc20.js';
+import { recoverTypedDataSigner } from '../../src/lib/eip712.js';
+import { isAddress, toChecksumAddress } from '../../src/lib/address.js';
+import { formatUnits } from '../../src/lib/format.js';
+import {
+  offerTypedData,
+  acceptanceTypedData,
+  cancellationTypedData,
+  offerId,
+  offerTotal,
+  offerStatus,
+  settlementLegs,
+  findAsset,
+  BLT_ASSET,
+  OFFER_SIDES,
+  OFFER_STATUSES,
+  OFFER_ID_PATTERN,
+  MAX_EXPIRY_DAYS,
+  MAX_OPEN_OFFERS_PER_MAKER,
+  MAX_SIGNATURE_AGE_SECONDS,
+} from '../../src/lib/otc.js';
+import { PAYMENT_ASSETS } from '../../src/config.js';
+
+const withStatus = (offer, now) => ({ ...offer, status: offerStatus(offer, now) });
+
+const byNewest = (a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt);
+
+const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+function assertSignature(signature) {
+  if (typeof signature !== 'string' || !/^0x[0-9a-fA-F]{130}$/.test(signature)) {
+    throw new HttpError(400, 'signature must be a 65-byte hex string');
+  }
+}
+
+function assertAmount(value, name) {
+  if (typeof value !== 'string' || !/^[1-9]\d{0,77}$/.test(value)) {
+    throw new HttpError(400, `${name} must be a positive integer string`);
+  }
+}
+
+function assertRecentTimestamp(timestamp, now) {
+  if (!Number.isSafeInteger(timestamp) || Math.abs(timestamp - now / 1000) > MAX_SIGNATURE_AGE_SECONDS) {
+    throw new HttpError(400, 'timestamp must be the signing time in seconds');
+  }
+}
+
+function recoverSigner(typedData, signature) {
+  try {
+    return recoverTypedDataSigner(typedData, signature);
+  } catch (error) {
+    throw new HttpError(400, `Invalid signature: ${error.message}`);
+  }
+}
+
+const readAssetBalance = (asset, owner) => (asset.type === 'native'
+  ? getRpc().getBalance(owner)
+  : readBalanceOf(getRpc(), asset.address, owner)
+).catch((error) => {
+  throw new HttpError(502, `Could not read the ${asset.symbol} balance: ${error.message}`);
+});
+
+/**
+ * Throws 409 unless a `balance` of `asset` covers `needed` on top of what
+ * the owner's other open offers already commit.
+ */
+function assertCovered(owner, asset, balance, needed, committed = 0n) {
+  if (balance < needed + committed) {
+    const extra = committed > 0n ? ` (${formatUnits(committed, asset.decimals)} already committed to open offers)` : '';
+    throw new HttpError(409, `${toChecksumAddress(owner)} holds ${formatUnits(balance, asset.decimals)} ${asset.symbol}, needs ${formatUnits(needed, asset.decimals)}${extra}`);
+  }
+}
+
+async function assertFunded(owner, asset, needed) {
+  assertCovered(owner, asset, await readAssetBalance(asset, owner), needed);
+}
+
+/**
+ * What an open offer commits from its maker: BLT for a sell, the asset
+ * total for a buy.
+ */
+const commitment = (offer) => (offer.side === 'sell' ? BigInt(offer.amount) : offerTotal(offer));
+
+const findOffer = async (id) => {
+  const offer = (await read('offers', [])).find((candidate) => candidate.id === id);
+  if (!offer) throw new HttpError(404, `No offer "${id}"`);
+  return offer;
+};
+
+/**
+ * Offers newest first. Filters: side, asset, maker, status.
+ */
+export async function listOffers({ side, asset, maker, status } = {}, now = Date.now()) {
+  if (side && !OFFER_SIDES.includes(side)) throw new HttpError(400, `side must be one of: ${OFFER_SIDES.join(', ')}`);
+  if (status && !OFFER_STATUSES.includes(status)) throw new HttpError(400, `status must be one of: ${OFFER_STATUSES.join(', ')}`);
+  if (maker && !isAddress(maker)) throw new HttpError(400, 'maker must be an address');
+
+  return (await read('offers', []))
+    .map((offer) => withStatus(offer, now))
+    .filter((offer) => (!side || offer.side === side)
+      && (!asset || offer.asset === asset)
+      && (!maker || same(offer.maker, maker))
+      && (!status || offer.status === status))
+    .sort(byNewest);
+}
+
+export async function getOffer(id, now = Date.now()) {
+  return withStatus(await findOffer(id), now);
+}
+
+/**
+ * Verifies and records a signed offer; returns it with its id.
+ */
+export async function createOffer({ maker, side, amount, asset, price, expiry, nonce, signature } = {}, now = Date.now()) {
+  if (!isAddress(maker)) throw new HttpError(400, 'maker must be an address');
+  if (!OFFER_SIDES.includes(side)) throw new HttpError(400, `side must be one of: ${OFFER_SIDES.join(', ')}`);
+  const paymentAsset = findAsset(asset);
+  if (!paymentAsset) throw new HttpError(400, `asset must be one of: ${PAYMENT_ASSETS.map((candidate) => candidate.symbol).join(', ')}`);
+  assertAmount(amount, 'amount');
+  assertAmount(price, 'price');
+  if (!Number.isSafeInteger(expiry) || expiry * 1000 <= now) throw new HttpError(400, 'expiry must be a future time in seconds');
+  if (expiry * 1000 > now + MAX_EXPIRY_DAYS * 24 * 60 * 60 * 1000) throw new HttpError(400, `Offers can run at most ${MAX_EXPIRY_DAYS} days`);
+  if (!Number.isSafeInteger(nonce) || nonce < 0) throw new HttpError(400, 'nonce must be a non-negative integer');
+  assertSignature(signature);
+
+  const terms = { maker, side, amount, asset, price, expiry, nonce };
+  if (offerTotal(terms) === 0n) throw new HttpError(400, 'amount × price rounds to zero');
+
+  const signer = recoverSigner(offerTypedData(terms), signature);
+  if (signer !== maker.toLowerCase()) throw new HttpError(401, 'Signature was not made by the maker');
+
+  const id = offerId(terms);
+  const legAsset = side === 'sell' ? BLT_ASSET : paymentAsset;
+
+  // The maker's open-offer limit, and a balance that covers this offer on
+  // top of their other open offers on the same leg
+  const assertRoom = (offers, balance) => {
+    const open = offers.filter((offer) => same(offer.maker, maker) && offerStatus(offer, now) === 'open');
+    if (open.length >= MAX_OPEN_OFFERS_PER_MAKER) throw new HttpError(429, `At most ${MAX_OPEN_OFFERS_PER_MAKER} open offers per address`);
+    const committed = open
+      .filter((offer) => offer.side === side && (side === 'sell' || offer.asset === asset))
+      .reduce((sum, offer) => sum + commitment(offer), 0n);
+    assertCovered(maker, legAsset, balance, commitment(terms), committed);
+  };
+  const balance = await readAssetBalance(legAsset, maker);
+  assertRoom(await read('offers', []), balance);
+
+  const record = {
+    id,
+    ...terms,
+    maker: toChecksumAddress(maker),
+    signature,
+    createdAt: new Date(now).toISOString(),
+    cancelledAt: null,
+    acceptance: null,
+  };
+
+  await update('offers', [], (offers) => {
+    if (offers.some((offer) => offer.id === id)) throw new HttpError(409, 'This offer is already posted');
+    // Again under the lock: a concurrent post by the same maker may have landed
+    assertRoom(offers, balance);
+    return [...offers, record];
+  });
+
+  return withStatus(record, now);
+}
+
+/**
+ * Records a signed acceptance. Both legs are re-checked against current
+ * balances; the first valid acceptance takes the offer.
+ */
+export async function acceptOffer(id, { taker, timestamp, signature } = {}, now = Date.now()) {
+  if (!OFFER_ID_PATTERN.test(id)) throw new HttpError(400, 'Offer id must be a 32-byte hex string');
+  if (!isAddress(taker)) throw new HttpError(400, 'taker must be an address');
+  assertRecentTimestamp(timestamp, now);
+  assertSignature(signature);
+
+  const offer = await findOffer(id);
+  const status = offerStatus(offer, now);
+  if (status !== 'open') throw new HttpError(409, `Offer is ${status}`);
+  if (same(offer.maker, taker)) throw new HttpError(400, 'Makers cannot accept their own offer');
+
+  const signer = recoverSigner(acceptanceTypedData({ offer: id, taker, timestamp }), signature);
+  if (signer !== taker.toLowerCase()) throw new HttpError(401, 'Signature was not made by the taker');
+
+  const { legs } = settlementLegs(offer, taker);
+  await Promise.all(legs.map((leg) => assertFunded(leg.from, leg.asset, leg.amount)));
+
+  const acceptance = { taker: toChecksumAddress(taker), timestamp, signature, acceptedAt: new Date(now).toISOString() };
+  const offers = await update('offers', [], (current) => current.map((candidate) => {
+    if (candidate.id !== id) return candidate;
+    const latest = offerStatus(candidate, now);
+    if (latest !== 'open') throw new HttpError(409, `Offer is ${latest}`);
+    return { ...candidate, acceptance };
+  }));
+
+  return withStatus(offers.find((candidate) => candidate.id === id), now);
+}
+
+/**
+ * Withdraws an open offer; only its maker can sign the cancellation.
+ */
+export async function cancelOffer(id, { timestamp, signature } = {}, now = Date.now()) {
+  if (!OFFER_ID_PATTERN.test(id)) throw new HttpError(400, 'Offer id must be a 32-byte hex string');
+  assertRecentTimestamp(timestamp, now);
+  assertSignature(signature);
+
+  const offer = await findOffer(id);
+  const signer = recoverSigner(cancellationTypedData({ offer: id, timestamp }), signature);
+  if (!same(offer.maker, signer)) throw new HttpError(401, 'Signature was not made by the maker');
+
+  const offers = await update('offers', [], (current) => current.map((candidate) => {
+    if (candidate.id !== id) return candidate;
+    const latest = offerStatus(candidate, now);
+    if (latest !== 'open') throw new HttpError(409, `Offer is ${latest}`);
+    return { ...candidate, cancelledAt: new Date(now).toISOString() };
+  }));
+
+  return withStatus(offers.find((candidate) => candidate.id === id), now);
+}
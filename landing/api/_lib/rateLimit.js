@@ -0,0 +1,29 @@
+/* ========================================
+   RATE LIMITS
+   ========================================
+   Fixed-window request counts per key, in memory. Each serverless
+   instance counts on its own, so on Vercel the limit is per instance:
+   enough to slow a script down, not a hard quota.
+*/
+
+/**
+ * `take(key)` counts one request and returns the seconds to wait, or 0
+ * while the key is within `limit` requests per `windowMs`.
+ */
+export function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  const take = (key, now = Date.now()) => {
+    // Drop finished windows so the map only holds recent keys
+    for (const [candidate, window] of windows) {
+      if (window.resetAt <= now) windows.delete(candidate);
+    }
+
+    const window = windows.get(key) || { count: 0, resetAt: now + windowMs };
+    window.count += 1;
+    windows.set(key, window);
+    return window.count > limit ? Math.ceil((window.resetAt - now) / 1000) : 0;
+  };
+
+  return { take };
+}
@@ -0,0 +1,201 @@
+/* ========================================
+   DIRECT ALLOCATION RECONCILIATION
+   ========================================
+   Indexes PATH_01 payments to the deployer wallet (USDT, USDC and native
+   HYPE) and the BLT the deployer has sent out, then works out what each
+   buyer is still owed at the reference price. HYPE is valued at its
+   price when the payment landed; an unpriced payment is retried on the
+   next sync. Native transfers emit no log, so indexing reads every
+   block, and only `node scripts/reconcile.js sync` (run on a schedule)
+   does it; the API serves the stored index. HYPE reaching the deployer
+   through a contract (an internal transfer) is not seen: only
+   transactions sent straight to the wallet are.
+   Collection:
+   - deposits: { recipient, scannedTo, syncedAt,
+       deposits: [{ asset, hash, logIndex, blockNumber, timestamp, from, amount, priceMicros, usdMicros, blt }],
+       payouts: [{ hash, logIndex, blockNumber, timestamp, to, value }] }
+*/
+
+import { read, update } from './store.js';
+import { HttpError } from './http.js';
+import { getRpc, NON_CIRCULATING } from './chain.js';
+import { toCsv } from './csv.js';
+import { scanDeposits, scanPayouts, reconcileDeposits, payoutBatch } from '../../src/lib/deposits.js';
+import { computeAllocation, toMicros } from '../../src/lib/purchase.js';
+import { fetchPriceAt } from '../../src/lib/prices.js';
+import { formatUnits } from '../../src/lib/format.js';
+import { toChecksumAddress } from '../../src/lib/address.js';
+import {
+  BLT_TOKEN,
+  DEPLOYER_ADDRESS,
+  PAYMENT_ASSETS,
+  PRICE_API_URL,
+  REFERENCE_PRICE_MICROS,
+  PROCESSING_WINDOW_HOURS,
+  LOGS_PAGE_SIZE,
+} from '../../src/config.js';
+
+const REORG_MARGIN = 32n;
+
+// Blocks per stored step: every block is fetched, so steps are short
+const SYNC_CHUNK = 2000n;
+
+// An index not synced for this long is reported as stale
+const STALE_AFTER_MS = 15 * 60 * 1000;
+
+// Treasury wallets topping up the deployer are not purchases
+const INTERNAL = new Set(NON_CIRCULATING);
+
+// Never genesis: reading every block since then would take days
+function startBlock() {
+  if (process.env.DEPOSITS_START_BLOCK) return BigInt(process.env.DEPOSITS_START_BLOCK);
+  if (BLT_TOKEN.deployBlock !== null) return BLT_TOKEN.deployBlock;
+  throw new Error('Set DEPOSITS_START_BLOCK to the block of the first payment to the deployer');
+}
+
+const BIGINT_FIELDS = ['amount', 'priceMicros', 'usdMicros', 'blt', 'value'];
+
+// The store holds JSON, so amounts are kept as decimal strings
+const serialize = (record) => Object.fromEntries(Object.entries(record).map(([key, value]) => [key, typeof value === 'bigint' ? value.toString() : value]));
+
+const deserialize = (record) => Object.fromEntries(Object.entries(record).map(([key, value]) => [
+  key,
+  BIGINT_FIELDS.includes(key) && value !== null ? BigInt(value) : value,
+]));
+
+async function readIndex() {
+  const index = await read('deposits', null);
+  return index?.recipient.toLowerCase() === DEPLOYER_ADDRESS.toLowerCase() ? index : null;
+}
+
+/**
+ * Adds the USD value and BLT owed to a deposit. Stablecoins count at $1;
+ * a failed price lookup leaves the deposit unpriced.
+ */
+async function price(deposit) {
+  const asset = PAYMENT_ASSETS.find((candidate) => candidate.symbol === deposit.asset);
+  try {
+    const priceMicros = asset.type === 'erc20' ? 1000000n : toMicros(await fetchPriceAt(PRICE_API_URL, asset.symbol, deposit.timestamp * 1000));
+    const { usdMicros, blt } = computeAllocation({
+      amount: deposit.amount,
+      asset,
+      assetPriceMicros: priceMicros,
+      referencePriceMicros: REFERENCE_PRICE_MICROS,
+      bltDecimals: BLT_TOKEN.decimals,
+    });
+    return { ...deposit, priceMicros, usdMicros, blt };
+  } catch (error) {
+    console.error(`Could not price ${deposit.hash}: ${error.message}`);
+    return { ...deposit, priceMicros: null, usdMicros: null, blt: null };
+  }
+}
+
+/**
+ * Indexes deposits and payouts up to the settled head, or until
+ * `deadline` (ms), then retries pricing any deposit still unpriced.
+ * The deadline is checked between blocks, and whatever was read before
+ * it is stored, so an interrupted sync resumes where it stopped.
+ */
+export async function syncDeposits({ rpc = getRpc(), deadline = Infinity, onChunk } = {}) {
+  const index = await readIndex();
+  let from = index ? BigInt(index.scannedTo) + 1n : startBlock();
+  const settled = (await rpc.blockNumber()) - REORG_MARGIN;
+
+  while (from <= settled && Date.now() < deadline) {
+    const end = from + SYNC_CHUNK - 1n < settled ? from + SYNC_CHUNK - 1n : settled;
+    const { deposits, scannedTo: to } = await scanDeposits(rpc, {
+      recipient: DEPLOYER_ADDRESS,
+      assets: PAYMENT_ASSETS,
+      fromBlock: from,
+      toBlock: end,
+      pageSize: LOGS_PAGE_SIZE,
+      deadline,
+    });
+    if (to < from) break;
+    const payouts = await scanPayouts(rpc, { token: BLT_TOKEN.address, sender: DEPLOYER_ADDRESS, fromBlock: from, toBlock: to, pageSize: LOGS_PAGE_SIZE });
+    const priced = await Promise.all(deposits.filter((deposit) => !INTERNAL.has(deposit.from.toLowerCase())).map(price));
+
+    await update('deposits', null, (current) => {
+      const base = current?.recipient.toLowerCase() === DEPLOYER_ADDRESS.toLowerCase()
+        ? current
+        : { recipient: DEPLOYER_ADDRESS, scannedTo: (from - 1n).toString(), deposits: [], payouts: [] };
+      const scannedTo = BigInt(base.scannedTo);
+      if (scannedTo >= to) return base;
+      const fresh = (records) => records.filter((record) => BigInt(record.blockNumber) > scannedTo).map(serialize);
+      return {
+        ...base,
+        scannedTo: to.toString(),
+        syncedAt: Date.now(),
+        deposits: [...base.deposits, ...fresh(priced)],
+        payouts: [...base.payouts, ...fresh(payouts)],
+      };
+    });
+    onChunk?.({ fromBlock: from, toBlock: to, settled, deposits: priced.length, payouts: payouts.length });
+    from = to + 1n;
+  }
+
+  const unpriced = ((await readIndex())?.deposits || []).filter((deposit) => deposit.blt === null).map(deserialize);
+  if (!unpriced.length) return;
+  const repriced = new Map((await Promise.all(unpriced.map(price)))
+    .filter((deposit) => deposit.blt !== null)
+    .map((deposit) => [`${deposit.hash}:${deposit.logIndex}`, serialize(deposit)]));
+  await update('deposits', null, (current) => ({
+    ...current,
+    deposits: current.deposits.map((deposit) => repriced.get(`${deposit.hash}:${deposit.logIndex}`) || deposit),
+  }));
+}
+
+/**
+ * Every indexed deposit with what has been paid against it, payouts no
+ * deposit explains, and totals, from the stored index. Flagged stale when
+ * the last sync is older than STALE_AFTER_MS.
+ */
+export async function reconcile(now = Date.now()) {
+  const index = await readIndex();
+  if (!index) throw new HttpError(503, 'The deposit index is empty: run `node scripts/reconcile.js sync`');
+
+  const { deposits, unmatched } = reconcileDeposits(index.deposits.map(deserialize), index.payouts.map(deserialize), {
+    now,
+    windowHours: PROCESSING_WINDOW_HOURS,
+  });
+  const open = deposits.filter((deposit) => deposit.status !== 'paid');
+  const sum = (records, field) => records.reduce((total, record) => total + (record[field] ?? 0n), 0n);
+
+  return {
+    scannedTo: index.scannedTo,
+    syncedAt: index.syncedAt ?? null,
+    stale: !index.syncedAt || now - index.syncedAt > STALE_AFTER_MS,
+    windowHours: PROCESSING_WINDOW_HOURS,
+    totals: {
+      deposits: deposits.length,
+      owed: sum(deposits, 'blt'),
+      paid: sum(deposits, 'paid'),
+      outstanding: sum(open, 'outstanding'),
+      overdue: deposits.filter((deposit) => deposit.overdue).length,
+      unpriced: deposits.filter((deposit) => deposit.status === 'unpriced').length,
+    },
+    deposits,
+    unmatched,
+  };
+}
+
+/**
+ * The report with amounts as decimal strings, for JSON responses.
+ */
+export const serializeReport = (report) => JSON.parse(JSON.stringify(report, (_, value) => (typeof value === 'bigint' ? value.toString() : value)));
+
+/**
+ * CSV payout batch: one line per buyer still owed BLT, oldest first.
+ * `amount` is decimal BLT, ready for a multisend.
+ */
+export async function exportPayoutBatch(now = Date.now()) {
+  const { deposits } = await reconcile(now);
+  const rows = payoutBatch(deposits).map((line) => [
+    toChecksumAddress(line.address),
+    formatUnits(line.blt, BLT_TOKEN.decimals),
+    line.deposits.join(' '),
+    new Date(line.since).toISOString(),
+    line.overdue ? 'yes' : 'no',
+  ]);
+  return toCsv(['address', 'amount', 'deposits', 'since', 'overdue'], rows);
+}
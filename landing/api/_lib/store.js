@@ -0,0 +1,49 @@
+/* ========================================
+   FILE STORE
+   ========================================
+   One JSON file per collection under DATA_DIR. Writes go to a temp file
+   and are renamed into place, and are serialized within the process, so a
+   crash never leaves a half-written file. Suits a single instance; on
+   Vercel the default directory is the function's scratch space, which does
+   not survive redeploys.
+*/
+
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import { join } from 'node:path';
+
+export const DATA_DIR = process.env.DATA_DIR
+  || (process.env.VERCEL ? '/tmp/believe-data' : join(process.cwd(), '.data'));
+
+let queue = Promise.resolve();
+
+const fileOf = (collection) => join(DATA_DIR, `${collection}.json`);
+
+export async function read(collection, fallback) {
+  try {
+    return JSON.parse(await readFile(fileOf(collection), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+async function write(collection, data) {
+  await mkdir(DATA_DIR, { recursive: true });
+  const temp = `${fileOf(collection)}.${process.pid}.tmp`;
+  await writeFile(temp, `${JSON.stringify(data, null, 2)}\n`);
+  await rename(temp, fileOf(collection));
+}
+
+/**
+ * Read-modify-write of one collection. `update` receives the current
+ * value and returns the next one; concurrent calls run one at a time.
+ */
+export function update(collection, fallback, updater) {
+  const run = queue.then(async () => {
+    const next = await updater(await read(collection, fallback));
+    await write(collection, next);
+    return next;
+  });
+  queue = run.catch(() => {});
+  return run;
+}
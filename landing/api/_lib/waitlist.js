@@ -0,0 +1,165 @@
+/* ========================================
+   WAITLIST SERVICE
+   ========================================
+   Double opt-in signups in the file store. A signup is pending until
+   the emailed link is followed; only confirmed addresses are exported.
+   Links carry an HMAC of the entry id under WAITLIST_SECRET, so nothing
+   secret is stored. Collection:
+   - waitlist: [{ id, email, wallet, status, createdAt, confirmSentAt,
+       confirmedAt, unsubscribedAt }]
+*/
+
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { read, update } from './store.js';
+import { HttpError } from './http.js';
+import { sendMail } from './mailer.js';
+import { toCsv } from './csv.js';
+import { normalizeEmail, isEmail, WAITLIST_PATH } from '../../src/lib/waitlist.js';
+import { isAddress, toChecksumAddress } from '../../src/lib/address.js';
+
+export const WAITLIST_STATUSES = ['pending', 'confirmed', 'unsubscribed'];
+
+// Confirmation links stop working after this long
+const CONFIRM_TTL_MS = 72 * 60 * 60 * 1000;
+
+// A pending signup is mailed again at most this often
+const RESEND_AFTER_MS = 10 * 60 * 1000;
+
+const secret = () => {
+  const value = process.env.WAITLIST_SECRET || (process.env.VERCEL ? null : 'local-development-only');
+  if (!value) throw new HttpError(503, 'Waitlist is not configured');
+  return value;
+};
+
+const sign = (...parts) => createHmac('sha256', secret()).update(parts.join(':')).digest('base64url');
+
+const confirmToken = (entry) => `${entry.id}.${sign('confirm', entry.id, entry.confirmSentAt)}`;
+
+const unsubscribeToken = (entry) => `${entry.id}.${sign('unsubscribe', entry.id)}`;
+
+const matches = (signature, expected) => {
+  const a = Buffer.from(signature || '');
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+};
+
+/**
+ * The entry a link token names, if its signature checks out.
+ */
+async function entryFor(token, expectedSignature) {
+  const [id, signature] = String(token || '').split('.');
+  const entry = id && (await read('waitlist', [])).find((candidate) => candidate.id === id);
+  if (!entry || !matches(signature, expectedSignature(entry))) throw new HttpError(400, 'This link is not valid');
+  return entry;
+}
+
+function confirmationMail(entry, origin) {
+  const unsubscribe = unsubscribeToken(entry);
+  const wallet = entry.wallet ? ` and the wallet ${entry.wallet}` : '';
+  return {
+    to: entry.email,
+    subject: 'Confirm your place on the BELIEVE waitlist',
+    text: [
+      `Someone, hopefully you, asked to join the BELIEVE waitlist with this email address${wallet}.`,
+      '',
+      'Confirm within 72 hours:',
+      `${origin}${WAITLIST_PATH}?confirm=${encodeURIComponent(confirmToken(entry))}`,
+      '',
+      'If it was not you, ignore this email and you will not hear from us again.',
+      '',
+      `Unsubscribe: ${origin}${WAITLIST_PATH}?unsubscribe=${encodeURIComponent(unsubscribe)}`,
+    ].join('\n'),
+    // One-click unsubscribe from the mail client (RFC 8058)
+    headers: {
+      'List-Unsubscribe': `<${origin}/api/waitlist/unsubscribe?token=${encodeURIComponent(unsubscribe)}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+    },
+  };
+}
+
+/**
+ * Records a signup and mails the confirmation link. The outcome is the
+ * same whether or not the address was already on the list, so the
+ * endpoint cannot be used to look addresses up.
+ */
+export async function joinWaitlist({ email, wallet } = {}, origin, now = Date.now()) {
+  const address = normalizeEmail(email);
+  if (!isEmail(address)) throw new HttpError(400, 'email must be an email address');
+  if (wallet && !isAddress(wallet)) throw new HttpError(400, 'wallet must be an address');
+  const checksummed = wallet ? toChecksumAddress(wallet.trim()) : null;
+  const timestamp = new Date(now).toISOString();
+
+  let sent = null;
+  await update('waitlist', [], (entries) => {
+    const existing = entries.find((entry) => entry.email === address);
+
+    // Confirmed entries are left alone: changing their wallet would need the owner's say-so
+    if (existing?.status === 'confirmed') return entries;
+    if (existing?.status === 'pending' && now - Date.parse(existing.confirmSentAt) < RESEND_AFTER_MS) return entries;
+
+    const entry = existing
+      ? { ...existing, wallet: checksummed || existing.wallet, status: 'pending', confirmSentAt: timestamp, confirmedAt: null, unsubscribedAt: null }
+      : {
+        id: randomBytes(12).toString('hex'),
+        email: address,
+        wallet: checksummed,
+        status: 'pending',
+        createdAt: timestamp,
+        confirmSentAt: timestamp,
+        confirmedAt: null,
+        unsubscribedAt: null,
+      };
+    sent = entry;
+    return existing ? entries.map((candidate) => (candidate === existing ? entry : candidate)) : [...entries, entry];
+  });
+
+  if (!sent) return;
+  try {
+    await sendMail(confirmationMail(sent, origin));
+  } catch (error) {
+    // Let the next attempt mail again instead of waiting out the resend interval
+    await update('waitlist', [], (entries) => entries.map((candidate) => (candidate.id === sent.id ? { ...candidate, confirmSentAt: null } : candidate)));
+    throw error;
+  }
+}
+
+export async function confirmSignup(token, now = Date.now()) {
+  const entry = await entryFor(token, (candidate) => sign('confirm', candidate.id, candidate.confirmSentAt));
+  if (entry.status === 'confirmed') return;
+  if (entry.status !== 'pending' || !entry.confirmSentAt) throw new HttpError(400, 'This link is not valid');
+  if (now - Date.parse(entry.confirmSentAt) > CONFIRM_TTL_MS) throw new HttpError(410, 'This link has expired; sign up again for a new one');
+
+  await update('waitlist', [], (entries) => entries.map((candidate) => (candidate.id === entry.id
+    ? { ...candidate, status: 'confirmed', confirmedAt: new Date(now).toISOString() }
+    : candidate)));
+}
+
+export async function unsubscribe(token, now = Date.now()) {
+  const entry = await entryFor(token, (candidate) => sign('unsubscribe', candidate.id));
+  if (entry.status === 'unsubscribed') return;
+
+  await update('waitlist', [], (entries) => entries.map((candidate) => (candidate.id === entry.id
+    ? { ...candidate, status: 'unsubscribed', unsubscribedAt: new Date(now).toISOString() }
+    : candidate)));
+}
+
+/**
+ * Signups as CSV, oldest first: confirmed only, or every entry for
+ * status 'all'.
+ */
+export async function exportWaitlist(status = 'confirmed') {
+  if (status !== 'all' && !WAITLIST_STATUSES.includes(status)) {
+    throw new HttpError(400, `status must be all or one of: ${WAITLIST_STATUSES.join(', ')}`);
+  }
+
+  const rows = (await read('waitlist', []))
+    .filter((entry) => status === 'all' || entry.status === status)
+    .map((entry) => [entry.email, entry.wallet, entry.status, entry.createdAt, entry.confirmedAt]);
+
+  return toCsv(['email', 'wallet', 'status', 'created_at', 'confirmed_at'], rows);
+}
+
+export async function waitlistCounts() {
+  const entries = await read('waitlist', []);
+  return Object.fromEntries(WAITLIST_STATUSES.map((status) => [status, entries.filter((entry) => entry.status === status).length]));
+}
@@ -0,0 +1,7 @@
+import { route, sendJson } from '../_lib/http.js';
+import { readCandles } from '../_lib/market.js';
+
+// GET /api/market/candles?range=1D|1W|1M|ALL
+export default route({
+  GET: async (req, res) => sendJson(res, 200, await readCandles(req.query.range)),
+});
@@ -0,0 +1,7 @@
+import { route, sendJson } from '../_lib/http.js';
+import { getOffer } from '../_lib/otc.js';
+
+// GET /api/offers/:id
+export default route({
+  GET: async (req, res) => sendJson(res, 200, { offer: await getOffer(req.query.id) }),
+});
@@ -0,0 +1,7 @@
+import { route, sendJson, readJson } from '../../_lib/http.js';
+import { acceptOffer } from '../../_lib/otc.js';
+
+// POST /api/offers/:id/accept  { taker, timestamp, signature }
+export default route({
+  POST: async (req, res) => sendJson(res, 200, { offer: await acceptOffer(req.query.id, await readJson(req)) }),
+});
@@ -0,0 +1,7 @@
+import { route, sendJson, readJson } from '../../_lib/http.js';
+import { cancelOffer } from '../../_lib/otc.js';
+
+// POST /api/offers/:id/cancel  { timestamp, signature }
+export default route({
+  POST: async (req, res) => sendJson(res, 200, { offer: await cancelOffer(req.query.id, await readJson(req)) }),
+});
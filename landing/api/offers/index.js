@@ -0,0 +1,9 @@
+import { route, sendJson, readJson } from '../_lib/http.js';
+import { listOffers, createOffer } from '../_lib/otc.js';
+
+// GET /api/offers?side=&asset=&maker=&status=
+// POST /api/offers  { maker, side, amount, asset, price, expiry, nonce, signature }
+export default route({
+  GET: async (req, res) => sendJson(res, 200, { offers: await listOffers(req.query) }),
+  POST: async (req, res) => sendJson(res, 201, { offer: await createOffer(await readJson(req)) }),
+});
@@ -0,0 +1,7 @@
+import { route, sendJson } from '../_lib/http.js';
+import { getProposal } from '../_lib/governance.js';
+
+// GET /api/proposals/:id
+export default route({
+  GET: async (req, res) => sendJson(res, 200, { proposal: await getProposal(req.query.id) }),
+});
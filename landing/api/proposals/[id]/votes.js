@@ -0,0 +1,7 @@
+import { route, sendJson, readJson } from '../../_lib/http.js';
+import { castVote } from '../../_lib/governance.js';
+
+// POST /api/proposals/:id/votes  { voter, choice, timestamp, signature }
+export default route({
+  POST: async (req, res) => sendJson(res, 201, { proposal: await castVote(req.query.id, await readJson(req)) }),
+});
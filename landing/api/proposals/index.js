@@ -0,0 +1,7 @@
+import { route, sendJson } from '../_lib/http.js';
+import { listProposals } from '../_lib/governance.js';
+
+// GET /api/proposals
+export default route({
+  GET: async (req, res) => sendJson(res, 200, { proposals: await listProposals() }),
+});
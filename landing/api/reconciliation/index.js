@@ -0,0 +1,11 @@
+import { route, sendJson } from '../_lib/http.js';
+import { assertAdmin } from '../_lib/admin.js';
+import { reconcile, serializeReport } from '../_lib/reconciliation.js';
+
+// GET /api/reconciliation  (Authorization: Bearer <ADMIN_TOKEN>)
+export default route({
+  GET: async (req, res) => {
+    assertAdmin(req);
+    sendJson(res, 200, serializeReport(await reconcile()));
+  },
+});
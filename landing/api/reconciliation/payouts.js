@@ -0,0 +1,16 @@
+import { route } from '../_lib/http.js';
+import { assertAdmin } from '../_lib/admin.js';
+import { exportPayoutBatch } from '../_lib/reconciliation.js';
+
+// GET /api/reconciliation/payouts  (Authorization: Bearer <ADMIN_TOKEN>)
+export default route({
+  GET: async (req, res) => {
+    assertAdmin(req);
+    const csv = await exportPayoutBatch();
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="blt-payouts-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.end(csv);
+  },
+});
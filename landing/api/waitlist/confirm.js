@@ -0,0 +1,10 @@
+import { route, sendJson, readJson } from '../_lib/http.js';
+import { confirmSignup } from '../_lib/waitlist.js';
+
+// POST /api/waitlist/confirm  { token }
+export default route({
+  POST: async (req, res) => {
+    await confirmSignup((await readJson(req)).token);
+    sendJson(res, 200, { status: 'confirmed' });
+  },
+});
@@ -0,0 +1,16 @@
+import { route } from '../_lib/http.js';
+import { assertAdmin } from '../_lib/admin.js';
+import { exportWaitlist } from '../_lib/waitlist.js';
+
+// GET /api/waitlist/export?status=confirmed|pending|unsubscribed|all  (Authorization: Bearer <ADMIN_TOKEN>)
+export default route({
+  GET: async (req, res) => {
+    assertAdmin(req);
+    const csv = await exportWaitlist(req.query.status || 'confirmed');
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="waitlist-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.end(csv);
+  },
+});
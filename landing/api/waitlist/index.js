@@ -0,0 +1,22 @@
+import { route, sendJson, readJson, clientIp, siteOrigin, HttpError } from '../_lib/http.js';
+import { createRateLimiter } from '../_lib/rateLimit.js';
+import { joinWaitlist } from '../_lib/waitlist.js';
+import { HONEYPOT_FIELD } from '../../src/lib/waitlist.js';
+
+const limiter = createRateLimiter({ limit: 5, windowMs: 60 * 60 * 1000 });
+
+// POST /api/waitlist  { email, wallet?, website? }
+export default route({
+  POST: async (req, res) => {
+    const retryAfter = limiter.take(clientIp(req));
+    if (retryAfter) {
+      res.setHeader('Retry-After', String(retryAfter));
+      throw new HttpError(429, 'Too many signups from this address; try again later');
+    }
+
+    const body = await readJson(req);
+    // Bots fill the hidden field; they get the usual answer and nothing is stored
+    if (!body[HONEYPOT_FIELD]) await joinWaitlist(body, siteOrigin(req));
+    sendJson(res, 202, { status: 'pending' });
+  },
+});
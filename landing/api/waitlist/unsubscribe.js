@@ -0,0 +1,11 @@
+import { route, sendJson, readJson } from '../_lib/http.js';
+import { unsubscribe } from '../_lib/waitlist.js';
+
+// POST /api/waitlist/unsubscribe  { token }
+// POST /api/waitlist/unsubscribe?token=…  (one-click from the mail client, form-encoded body)
+export default route({
+  POST: async (req, res) => {
+    await unsubscribe(req.query.token || (await readJson(req)).token);
+    sendJson(res, 200, { status: 'unsubscribed' });
+  },
+});
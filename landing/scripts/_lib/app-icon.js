@@ -0,0 +1,28 @@
+/* ========================================
+   APP ICONS
+   ========================================
+   Draws the home-screen icons from the navbar's "B" logo-icon: the
+   black pixel-font B (as on the social cards) on a white field.
+*/
+
+import { createBitmap, encodePng } from './png.js';
+import { drawText } from './og-image.js';
+
+const WHITE = [255, 255, 255];
+const BLACK = [0, 0, 0];
+
+// Share of the icon's height the glyph fills. Maskable icons keep it
+// inside the central safe circle (80% of the width) that platforms never crop.
+const GLYPH_HEIGHT = { any: 0.6, maskable: 0.45 };
+
+/**
+ * PNG bytes for a square icon `size` pixels wide. `purpose` is 'any'
+ * or 'maskable', as in the web app manifest.
+ */
+export function renderAppIcon({ size, purpose = 'any' }) {
+  const bitmap = createBitmap(size, size, WHITE);
+  // The 5×7 glyph is scaled by whole pixels so it stays crisp
+  const scale = Math.max(1, Math.floor((size * GLYPH_HEIGHT[purpose]) / 7));
+  drawText(bitmap, 'B', Math.round((size - 5 * scale) / 2), Math.round((size - 7 * scale) / 2), scale, BLACK);
+  return encodePng(bitmap);
+}
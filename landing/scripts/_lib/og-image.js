@@ -0,0 +1,150 @@
+/* ========================================
+   SOCIAL CARDS
+   ========================================
+   Draws a page's Open Graph image in the site's monochrome terminal
+   style: black field, faint grid, the "B" mark, a monospace tag line
+   and the page title set in a 5×7 pixel font.
+*/
+
+import { createBitmap, encodePng } from './png.js';
+import { OG_IMAGE_SIZE } from '../../src/lib/seo.js';
+
+const WHITE = [255, 255, 255];
+const BLACK = [0, 0, 0];
+const GRID = [14, 14, 14];
+const RULE = [40, 40, 40];
+const DIM = [85, 85, 85];
+const GREEN = [0, 255, 0];
+
+const MARGIN = 80;
+
+// Uppercase 5×7 glyphs; lowercase is drawn as uppercase
+const GLYPHS = {
+  A: ['.###.', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+  B: ['####.', '#...#', '#...#', '####.', '#...#', '#...#', '####.'],
+  C: ['.###.', '#...#', '#....', '#....', '#....', '#...#', '.###.'],
+  D: ['####.', '#...#', '#...#', '#...#', '#...#', '#...#', '####.'],
+  E: ['#####', '#....', '#....', '####.', '#....', '#....', '#####'],
+  F: ['#####', '#....', '#....', '####.', '#....', '#....', '#....'],
+  G: ['.###.', '#...#', '#....', '#.###', '#...#', '#...#', '.####'],
+  H: ['#...#', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+  I: ['.###.', '..#..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+  J: ['..###', '...#.', '...#.', '...#.', '...#.', '#..#.', '.##..'],
+  K: ['#...#', '#..#.', '#.#..', '##...', '#.#..', '#..#.', '#...#'],
+  L: ['#....', '#....', '#....', '#....', '#....', '#....', '#####'],
+  M: ['#...#', '##.##', '#.#.#', '#.#.#', '#...#', '#...#', '#...#'],
+  N: ['#...#', '#...#', '##..#', '#.#.#', '#..##', '#...#', '#...#'],
+  O: ['.###.', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+  P: ['####.', '#...#', '#...#', '####.', '#....', '#....', '#....'],
+  Q: ['.###.', '#...#', '#...#', '#...#', '#.#.#', '#..#.', '.##.#'],
+  R: ['####.', '#...#', '#...#', '####.', '#.#..', '#..#.', '#...#'],
+  S: ['.####', '#....', '#....', '.###.', '....#', '....#', '####.'],
+  T: ['#####', '..#..', '..#..', '..#..', '..#..', '..#..', '..#..'],
+  U: ['#...#', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+  V: ['#...#', '#...#', '#...#', '#...#', '#...#', '.#.#.', '..#..'],
+  W: ['#...#', '#...#', '#...#', '#.#.#', '#.#.#', '#.#.#', '.#.#.'],
+  X: ['#...#', '#...#', '.#.#.', '..#..', '.#.#.', '#...#', '#...#'],
+  Y: ['#...#', '#...#', '.#.#.', '..#..', '..#..', '..#..', '..#..'],
+  Z: ['#####', '....#', '...#.', '..#..', '.#...', '#....', '#####'],
+  0: ['.###.', '#...#', '#..##', '#.#.#', '##..#', '#...#', '.###.'],
+  1: ['..#..', '.##..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+  2: ['.###.', '#...#', '....#', '...#.', '..#..', '.#...', '#####'],
+  3: ['#####', '...#.', '..#..', '...#.', '....#', '#...#', '.###.'],
+  4: ['...#.', '..##.', '.#.#.', '#..#.', '#####', '...#.', '...#.'],
+  5: ['#####', '#....', '####.', '....#', '....#', '#...#', '.###.'],
+  6: ['..##.', '.#...', '#....', '####.', '#...#', '#...#', '.###.'],
+  7: ['#####', '....#', '...#.', '..#..', '.#...', '.#...', '.#...'],
+  8: ['.###.', '#...#', '#...#', '.###.', '#...#', '#...#', '.###.'],
+  9: ['.###.', '#...#', '#...#', '.####', '....#', '...#.', '.##..'],
+  ' ': ['.....', '.....', '.....', '.....', '.....', '.....', '.....'],
+  '.': ['.....', '.....', '.....', '.....', '.....', '.##..', '.##..'],
+  ',': ['.....', '.....', '.....', '.....', '.##..', '..#..', '.#...'],
+  ':': ['.....', '.##..', '.##..', '.....', '.##..', '.##..', '.....'],
+  '-': ['.....', '.....', '.....', '#####', '.....', '.....', '.....'],
+  '_': ['.....', '.....', '.....', '.....', '.....', '.....', '#####'],
+  '/': ['.....', '....#', '...#.', '..#..', '.#...', '#....', '.....'],
+  '|': ['..#..', '..#..', '..#..', '..#..', '..#..', '..#..', '..#..'],
+  '&': ['.##..', '#..#.', '#.#..', '.#...', '#.#.#', '#..#.', '.##.#'],
+  "'": ['.##..', '..#..', '.#...', '.....', '.....', '.....', '.....'],
+  '!': ['..#..', '..#..', '..#..', '..#..', '..#..', '.....', '..#..'],
+  '?': ['.###.', '#...#', '....#', '...#.', '..#..', '.....', '..#..'],
+  '(': ['...#.', '..#..', '.#...', '.#...', '.#...', '..#..', '...#.'],
+  ')': ['.#...', '..#..', '...#.', '...#.', '...#.', '..#..', '.#...'],
+  '$': ['..#..', '.####', '#.#..', '.###.', '..#.#', '####.', '..#..'],
+  '%': ['##...', '##..#', '...#.', '..#..', '.#...', '#..##', '...##'],
+  '#': ['.#.#.', '.#.#.', '#####', '.#.#.', '#####', '.#.#.', '.#.#.'],
+};
+
+// Columns per glyph including the one-column gap
+const ADVANCE = 6;
+
+/**
+ * Draws `text` with its top-left corner at (x, y); each font pixel is
+ * `scale` image pixels. Characters outside the font are skipped.
+ */
+export function drawText(bitmap, text, x, y, scale, color) {
+  [...text.toUpperCase()].forEach((char, index) => {
+    const glyph = GLYPHS[char];
+    if (!glyph) return;
+    glyph.forEach((row, rowIndex) => {
+      [...row].forEach((cell, columnIndex) => {
+        if (cell === '#') {
+          bitmap.fillRect(x + (index * ADVANCE + columnIndex) * scale, y + rowIndex * scale, scale, scale, color);
+        }
+      });
+    });
+  });
+}
+
+const textWidth = (text, scale) => (text.length * ADVANCE - 1) * scale;
+
+// Greedy word wrap; a word longer than a line is kept whole
+function wrap(text, maxChars) {
+  return text.split(/\s+/).filter(Boolean).reduce((lines, word) => {
+    const last = lines[lines.length - 1];
+    if (last && `${last} ${word}`.length <= maxChars) lines[lines.length - 1] = `${last} ${word}`;
+    else lines.push(word);
+    return lines;
+  }, []);
+}
+
+// Line pitch in font pixels: seven rows plus a two-row gap
+const LINE = 9;
+
+// Largest pixel size at which the title fits the box
+function fitTitle(title, width, height) {
+  for (const scale of [14, 12, 10, 8, 6]) {
+    const lines = wrap(title, Math.floor((width / scale + 1) / ADVANCE));
+    const fits = lines.every((line) => textWidth(line, scale) <= width) && (lines.length * LINE - 2) * scale <= height;
+    if (fits) return { scale, lines };
+  }
+  return { scale: 6, lines: wrap(title, Math.floor((width / 6 + 1) / ADVANCE)).slice(0, 4) };
+}
+
+/**
+ * PNG bytes for a page's social card.
+ */
+export function renderOgImage({ heading, tag, host }) {
+  const { width, height } = OG_IMAGE_SIZE;
+  const bitmap = createBitmap(width, height, BLACK);
+
+  for (let x = 0; x < width; x += 60) bitmap.fillRect(x, 0, 1, height, GRID);
+  for (let y = 0; y < height; y += 60) bitmap.fillRect(0, y, width, 1, GRID);
+
+  // The "B" mark and wordmark, as in the navbar
+  bitmap.fillRect(MARGIN, MARGIN, 64, 64, WHITE);
+  drawText(bitmap, 'B', MARGIN + 17, MARGIN + 11, 6, BLACK);
+  drawText(bitmap, 'BELIEVE', MARGIN + 96, MARGIN + 18, 4, WHITE);
+
+  drawText(bitmap, tag, MARGIN, 200, 3, DIM);
+
+  const { scale, lines } = fitTitle(heading, width - MARGIN * 2, 240);
+  lines.forEach((line, index) => drawText(bitmap, line, MARGIN, 250 + index * scale * LINE, scale, WHITE));
+
+  bitmap.fillRect(MARGIN, height - MARGIN - 40, width - MARGIN * 2, 1, RULE);
+  bitmap.fillRect(MARGIN, height - MARGIN - 3, 9, 9, GREEN);
+  drawText(bitmap, 'HYPEREVM // BLT', MARGIN + 24, height - MARGIN - 4, 2, DIM);
+  if (host) drawText(bitmap, host, width - MARGIN - textWidth(host, 2), height - MARGIN - 4, 2, DIM);
+
+  return encodePng(bitmap);
+}
@@ -0,0 +1,15 @@
+/* ========================================
+   COMMAND-LINE OPTIONS
+   ======================================== */
+
+/**
+ * `--name value` pairs from a command line into { name: value }.
+ */
+export function parseOptions(list) {
+  const options = {};
+  for (let i = 0; i < list.length; i += 2) {
+    if (!list[i].startsWith('--') || list[i + 1] === undefined) throw new Error(`Expected --option value, got "${list[i]}"`);
+    options[list[i].slice(2)] = list[i + 1];
+  }
+  return options;
+}
@@ -0,0 +1,77 @@
+/* ========================================
+   PNG ENCODER
+   ========================================
+   Minimal truecolour PNG writer on top of node:zlib, so social cards can
+   be drawn at build time without a canvas or image library.
+*/
+
+import { deflateSync } from 'node:zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * An RGB bitmap with just enough drawing to lay out a card.
+ */
+export function createBitmap(width, height, background = [0, 0, 0]) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < pixels.length; i += 3) pixels.set(background, i);
+
+  const fillRect = (x, y, w, h, color) => {
+    const left = Math.max(0, Math.round(x));
+    const top = Math.max(0, Math.round(y));
+    const right = Math.min(width, Math.round(x + w));
+    const bottom = Math.min(height, Math.round(y + h));
+    for (let row = top; row < bottom; row += 1) {
+      for (let column = left; column < right; column += 1) pixels.set(color, (row * width + column) * 3);
+    }
+  };
+
+  return { width, height, pixels, fillRect };
+}
+
+/**
+ * Encodes a bitmap from createBitmap as PNG bytes.
+ */
+export function encodePng({ width, height, pixels }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // colour type: RGB
+  // compression, filter and interlace bytes stay 0
+
+  // Every scanline starts with filter type 0 (none)
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let row = 0; row < height; row += 1) {
+    pixels.copy(raw, row * (stride + 1) + 1, row * stride, (row + 1) * stride);
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
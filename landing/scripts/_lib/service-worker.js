@@ -0,0 +1,46 @@
+/* ========================================
+   SERVICE WORKER BUILD
+   ========================================
+   Turns src/service-worker.js into the deployable dist/sw.js: prepends
+   the list of built files to precache and a version derived from their
+   contents and the worker's own, so any deploy that changes either
+   installs a new worker.
+*/
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { sep } from 'node:path';
+import { createHash } from 'node:crypto';
+
+const TEMPLATE = new URL('../../src/service-worker.js', import.meta.url);
+
+// What the site needs offline: pages, bundles, fonts and images. Social
+// cards and the published airdrop and exclusion data stay on the network.
+const PRECACHED = /\.(html|js|css|woff2|png|svg|webp|webmanifest)$/;
+const SKIPPED = /^(og|airdrop|exclusions)\/|^sw\.js$/;
+
+// 'index.html' → '/'; 'whitepaper/1.0.html' → '/whitepaper/1.0' (vercel.json serves clean URLs)
+const urlOf = (file) => (file === 'index.html' ? '/' : `/${file.replace(/\.html$/, '')}`);
+
+/**
+ * The source of sw.js for the build in `dist` (a directory URL), with
+ * its version and the number of precached files.
+ */
+export function buildServiceWorker(dist) {
+  const files = readdirSync(dist, { recursive: true })
+    .map((file) => file.split(sep).join('/'))
+    .filter((file) => PRECACHED.test(file) && !SKIPPED.test(file))
+    .sort();
+
+  const template = readFileSync(TEMPLATE, 'utf8');
+  const hash = createHash('sha256').update(template);
+  files.forEach((file) => hash.update(file).update(readFileSync(new URL(file, dist))));
+  const version = hash.digest('hex').slice(0, 12);
+
+  const source = [
+    `const VERSION = '${version}';`,
+    `const PRECACHE = ${JSON.stringify(files.map(urlOf), null, 2)};`,
+    '',
+    template,
+  ].join('\n');
+  return { source, version, count: files.length };
+}
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/* ========================================
+   BUILD BELIEF REWARDS MERKLE SNAPSHOT
+   ========================================
+   Usage: node scripts/build-airdrop-tree.js <allocations.csv> [outDir] [--exclude public/exclusions/register]
+
+   CSV columns: address,alpha,beta,prime,omega
+   Amounts are decimal BLT per valuation target (empty = 0).
+   Writes <outDir>/root.json and <outDir>/proofs/<xx>.json (default public/airdrop).
+   --exclude drops every address in an exclusion register published by
+   scripts/exclusions.js.
+*/
+
+import { readFileSync, writeFileSync, mkdirSync, rmSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { hashLeaf, buildTree, getProof } from '../src/lib/merkle.js';
+import { shardOf } from '../src/lib/airdrop.js';
+import { isAddress } from '../src/lib/address.js';
+import { parseUnits, formatUnits } from '../src/lib/format.js';
+import { BLT_TOKEN } from '../src/config.js';
+
+const argv = process.argv.slice(2);
+const excludeAt = argv.indexOf('--exclude');
+const excludeDir = excludeAt === -1 ? null : argv[excludeAt + 1];
+const [input, outDir = 'public/airdrop'] = argv.filter((_, i) => excludeAt === -1 || (i !== excludeAt && i !== excludeAt + 1));
+
+if (!input || (excludeAt !== -1 && !excludeDir)) {
+  console.error('Usage: node scripts/build-airdrop-tree.js <allocations.csv> [outDir] [--exclude public/exclusions/register]');
+  process.exit(1);
+}
+
+// Targets follow the ledger tiers in the page content, in order
+const site = JSON.parse(readFileSync(new URL('../src/content/site.json', import.meta.url), 'utf8'));
+const targets = site.sections.find((section) => section.type === 'ledger').tiers.map((tier) => tier.id);
+const decimals = BLT_TOKEN.decimals;
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line && !line.startsWith('#'));
+  const header = lines.shift().toLowerCase().split(',').map((cell) => cell.trim());
+
+  if (header[0] !== 'address') throw new Error('First CSV column must be "address"');
+  const missing = targets.filter((target) => !header.includes(target));
+  if (missing.length) throw new Error(`CSV is missing columns: ${missing.join(', ')}`);
+
+  const seen = new Set();
+
+  return lines.map((line, i) => {
+    const cells = line.split(',').map((cell) => cell.trim());
+    const row = Object.fromEntries(header.map((column, j) => [column, cells[j] ?? '']));
+    const where = `line ${i + 2}`;
+
+    if (!isAddress(row.address)) throw new Error(`${where}: invalid address "${row.address}"`);
+    const key = row.address.toLowerCase();
+    if (seen.has(key)) throw new Error(`${where}: duplicate address ${row.address}`);
+    seen.add(key);
+
+    const amounts = targets.map((target) => {
+      const amount = parseUnits(row[target] || '0', decimals);
+      if (amount === null) throw new Error(`${where}: invalid ${target} amount "${row[target]}"`);
+      return amount;
+    });
+
+    return { address: key, amounts };
+  });
+}
+
+// Register shards are read once each; a missing shard excludes no one
+function readExclusions(dir) {
+  const shards = new Map();
+  return (address) => {
+    const shard = shardOf(address);
+    if (!shards.has(shard)) {
+      const file = join(dir, `${shard}.json`);
+      shards.set(shard, existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : {});
+    }
+    return Boolean(shards.get(shard)[address]);
+  };
+}
+
+if (excludeDir && !existsSync(join(excludeDir, 'index.json'))) {
+  console.error(`${excludeDir} is not an exclusion register (no index.json)`);
+  process.exit(1);
+}
+
+const allocations = parseCsv(readFileSync(input, 'utf8'));
+const isExcluded = excludeDir ? readExclusions(excludeDir) : () => false;
+const rows = allocations.filter((row) => !isExcluded(row.address));
+const leaves = rows.map((row) => hashLeaf(row.address, row.amounts));
+const { root, layers } = buildTree(leaves);
+
+const shards = {};
+rows.forEach((row, i) => {
+  const shard = shardOf(row.address);
+  shards[shard] = shards[shard] || {};
+  shards[shard][row.address] = {
+    amounts: row.amounts.map(String),
+    proof: getProof(layers, leaves[i]),
+  };
+});
+
+const totals = targets.map((_, t) => rows.reduce((sum, row) => sum + row.amounts[t], 0n));
+
+rmSync(join(outDir, 'proofs'), { recursive: true, force: true });
+mkdirSync(join(outDir, 'proofs'), { recursive: true });
+
+Object.entries(shards).forEach(([shard, entries]) => {
+  writeFileSync(join(outDir, 'proofs', `${shard}.json`), JSON.stringify(entries));
+});
+
+writeFileSync(join(outDir, 'root.json'), `${JSON.stringify({
+  version: 1,
+  root,
+  targets,
+  decimals,
+  count: rows.length,
+  totals: totals.map(String),
+  generatedAt: new Date().toISOString(),
+}, null, 2)}\n`);
+
+console.log(`Merkle root: ${root}`);
+console.log(`Addresses:   ${rows.length} in ${Object.keys(shards).length} proof shards`);
+if (excludeDir) console.log(`Excluded:    ${allocations.length - rows.length} listed in ${excludeDir}`);
+targets.forEach((target, t) => console.log(`${target.toUpperCase().padEnd(12)} ${formatUnits(totals[t], decimals)} ${BLT_TOKEN.symbol}`));
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/* ========================================
+   ACCESSIBILITY CHECK
+   ========================================
+   Usage: node scripts/check-a11y.js [path …]
+
+   Renders each page with the prerender entry (through Vite, so CSS and
+   Markdown imports resolve), loads the markup into jsdom and runs
+   axe-core over it. Defaults to every prerendered page plus a missing one.
+   Exits non-zero if axe reports any violation.
+
+   jsdom does no layout, so colour contrast is left to a browser audit.
+*/
+
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+import { JSDOM } from 'jsdom';
+import axe from 'axe-core';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+// Rules that need computed layout, which jsdom does not have
+const DISABLED_RULES = { 'color-contrast': { enabled: false } };
+
+async function audit(markup, path) {
+  const dom = new JSDOM(
+    `<!doctype html><html lang="en"><head><title>BELIEVE</title></head><body><div id="root">${markup}</div></body></html>`,
+    { url: `http://localhost${path}`, runScripts: 'outside-only', pretendToBeVisual: true },
+  );
+  dom.window.eval(axe.source);
+  const results = await dom.window.axe.run(dom.window.document, { rules: DISABLED_RULES });
+  dom.window.close();
+  return results.violations;
+}
+
+const vite = await createServer({
+  root: ROOT,
+  logLevel: 'error',
+  server: { middlewareMode: true },
+  appType: 'custom',
+  // Components rely on the automatic JSX runtime (no `import React`)
+  esbuild: { jsx: 'automatic' },
+});
+
+let failed = 0;
+try {
+  const { render, PRERENDER_PAGES } = await vite.ssrLoadModule('/src/entry-server.jsx');
+  const paths = process.argv.length > 2
+    ? process.argv.slice(2)
+    : [...PRERENDER_PAGES.map((page) => page.path), '/missing-page'];
+
+  for (const path of paths) {
+    const violations = await audit(await render(path), path);
+    if (violations.length === 0) {
+      console.log(`ok    ${path}`);
+      continue;
+    }
+
+    failed += violations.length;
+    console.log(`FAIL  ${path}`);
+    violations.forEach((violation) => {
+      console.log(`  ${violation.id} (${violation.impact}): ${violation.help}`);
+      violation.nodes.forEach((node) => console.log(`    ${node.target.join(' ')}`));
+    });
+  }
+} finally {
+  await vite.close();
+}
+
+if (failed) {
+  console.error(`\n${failed} accessibility violation(s)`);
+  process.exit(1);
+}
+console.log('\nNo accessibility violations');
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/* ========================================
+   LOCAL API SERVER
+   ========================================
+   Serves the Vercel functions in api/ with plain Node, so the site's API
+   works without the Vercel CLI or any outside service:
+
+     node scripts/dev-api.js            # http://localhost:3001/api
+     VITE_API_BASE_URL=http://localhost:3001/api npm run dev
+
+   Paths map to files the way Vercel maps them: /api/proposals/abc/votes
+   → api/proposals/[id]/votes.js with req.query.id = 'abc'.
+*/
+
+import { createServer } from 'node:http';
+import { readdirSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+import { pathToFileURL, fileURLToPath } from 'node:url';
+import { DATA_DIR } from '../api/_lib/store.js';
+
+const API_DIR = fileURLToPath(new URL('../api', import.meta.url));
+const PORT = Number(process.env.PORT) || 3001;
+
+const isDirectory = (path) => statSync(path, { throwIfNoEntry: false })?.isDirectory();
+
+// Literal names win over [param] names, as on Vercel
+function resolve(dir, segments, query) {
+  if (!segments.length) {
+    const index = join(dir, 'index.js');
+    return statSync(index, { throwIfNoEntry: false })?.isFile() ? { file: index, query } : null;
+  }
+
+  const [segment, ...rest] = segments;
+  const entries = readdirSync(dir).filter((name) => !name.startsWith('_'));
+  const candidates = [
+    ...entries.filter((name) => name === segment || name === `${segment}.js`),
+    ...entries.filter((name) => /^\[\w+\](\.js)?$/.test(name)),
+  ];
+
+  for (const name of candidates) {
+    const path = join(dir, name);
+    const param = /^\[(\w+)\]/.exec(name)?.[1];
+    const nextQuery = param ? { ...query, [param]: decodeURIComponent(segment) } : query;
+
+    if (name.endsWith('.js')) {
+      if (!rest.length) return { file: path, query: nextQuery };
+    } else if (isDirectory(path)) {
+      const found = resolve(path, rest, nextQuery);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+const sendError = (res, status, error) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({ error }));
+};
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 204;
+    res.end();
+    return;
+  }
+
+  const segments = url.pathname.replace(/^\/api\/?/, '').split('/').filter(Boolean);
+  let match;
+  try {
+    match = url.pathname.startsWith('/api') && resolve(API_DIR, segments, {});
+  } catch (error) {
+    // decodeURIComponent on a stray % (e.g. /api/proposals/%E0)
+    if (!(error instanceof URIError)) throw error;
+    sendError(res, 400, `Malformed path ${url.pathname}`);
+    return;
+  }
+  if (!match) {
+    sendError(res, 404, `No API route for ${url.pathname}`);
+    return;
+  }
+
+  req.query = { ...Object.fromEntries(url.searchParams), ...match.query };
+  const { default: handler } = await import(pathToFileURL(match.file).href);
+  await handler(req, res);
+});
+
+server.listen(PORT, () => console.log(`API on http://localhost:${PORT}/api, data in ${DATA_DIR}`));
@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+/* ========================================
+   AIRDROP EXCLUSIONS
+   ========================================
+   Usage:
+     node scripts/exclusions.js ingest --from <block> [--out transfers.json] [--to <block>]
+     node scripts/exclusions.js analyze [--input transfers.json] [--labels scripts/data/address-labels.json] [--out-dir .]
+     node scripts/exclusions.js publish [--review review.csv] [--candidates candidates.json] [--out public/exclusions/register]
+
+   `ingest` reads every BLT Transfer log from --from (the BLT deploy
+   block; never genesis by default) with its block timestamp, checks
+   which addresses hold contract code, and writes them to one file so
+   analysis can be rerun without a node.
+   `analyze` runs the exclusion heuristics (src/lib/exclusions.js) over
+   that file and the labeled exchange and contract list, and writes
+   candidates.json (the evidence) and review.csv. Labels are
+   { <address>: { label, category: 'exchange' | 'contract' } }.
+   A reviewer fills in review.csv: decision is "exclude" or "keep" on
+   every row; rows can be added by hand with reason MANUAL, which needs a
+   note. `publish` checks the reviewed file and writes the public
+   register the /exclusions page reads: index.json and one <xx>.json
+   shard per first address byte. Pass the register to
+   build-airdrop-tree.js --exclude to leave the addresses out.
+
+   Try the heuristics on recorded data:
+     node scripts/exclusions.js analyze --input scripts/fixtures/transfers-sybil.json \
+       --labels scripts/fixtures/address-labels.json --out-dir /tmp
+*/
+
+import { readFileSync, writeFileSync, mkdirSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { getRpc } from '../api/_lib/chain.js';
+import { toCsv, parseCsv } from '../api/_lib/csv.js';
+import { getLogsPaginated, readBlockTimestamps, TOPICS } from '../src/lib/logs.js';
+import { decodeTransfer } from '../src/lib/transfers.js';
+import { proposeExclusions, REASONS, DEFAULT_RULES } from '../src/lib/exclusions.js';
+import { shardOf } from '../src/lib/airdrop.js';
+import { isAddress } from '../src/lib/address.js';
+import { formatUnits } from '../src/lib/format.js';
+import { BLT_TOKEN, DEPLOYER_ADDRESS, NON_CIRCULATING_ADDRESSES, LOGS_PAGE_SIZE } from '../src/config.js';
+import { parseOptions } from './_lib/options.js';
+
+const [command, ...args] = process.argv.slice(2);
+
+const REVIEW_HEADER = ['address', 'reasons', 'summary', 'decision', 'note'];
+
+const DECISIONS = ['exclude', 'keep'];
+
+const readJson = (file) => JSON.parse(readFileSync(file, 'utf8'));
+
+const writeJson = (file, value) => writeFileSync(file, `${JSON.stringify(value, null, 2)}\n`);
+
+// Addresses with code, checked `concurrency` at a time
+async function findContracts(rpc, addresses, blockTag, { concurrency = 4 } = {}) {
+  const queue = [...addresses];
+  const contracts = [];
+  const worker = async () => {
+    while (queue.length) {
+      const address = queue.shift();
+      if ((await rpc.getCode(address, blockTag)) !== '0x') contracts.push(address);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+  return contracts.sort();
+}
+
+async function ingest(options) {
+  const rpc = getRpc();
+  if (options.from === undefined && BLT_TOKEN.deployBlock === null) {
+    throw new Error('Pass --from <block>: the BLT deploy block is not configured');
+  }
+  const fromBlock = BigInt(options.from ?? BLT_TOKEN.deployBlock);
+  const toBlock = options.to ? BigInt(options.to) : await rpc.blockNumber();
+
+  const logs = await getLogsPaginated(rpc, { address: BLT_TOKEN.address, topics: [TOPICS.transfer] }, {
+    fromBlock,
+    toBlock,
+    pageSize: LOGS_PAGE_SIZE,
+    onPage: (page) => console.log(`Scanned to block ${page.toBlock} of ${toBlock} (${page.logs.length} transfers)`),
+  });
+  const transfers = logs.filter((log) => !log.removed).map(decodeTransfer);
+  const timestamps = await readBlockTimestamps(rpc, transfers.map((transfer) => transfer.blockNumber));
+
+  const addresses = new Set(transfers.flatMap((transfer) => [transfer.from, transfer.to]));
+  console.log(`Checking ${addresses.size} addresses for contract code`);
+  const contracts = await findContracts(rpc, addresses, `0x${toBlock.toString(16)}`);
+
+  const out = options.out || 'transfers.json';
+  writeJson(out, {
+    token: BLT_TOKEN.address,
+    fromBlock: fromBlock.toString(),
+    toBlock: toBlock.toString(),
+    contracts,
+    transfers: transfers.map((transfer) => ({
+      ...transfer,
+      value: transfer.value.toString(),
+      timestamp: timestamps.get(transfer.blockNumber),
+    })),
+  });
+  console.log(`Wrote ${transfers.length} transfers and ${contracts.length} contracts to ${out}`);
+}
+
+const blt = (amount) => `${formatUnits(BigInt(amount), BLT_TOKEN.decimals)} ${BLT_TOKEN.symbol}`;
+
+// One line of evidence per reason, for the review file
+const SUMMARIES = {
+  EXCHANGE: (reason) => `exchange: ${reason.label}`,
+  CONTRACT: (reason) => (reason.label ? `contract: ${reason.label}` : 'holds contract code'),
+  COMMON_FUNDER: (reason) => (reason.role === 'funder'
+    ? `first funder of ${reason.size} wallets`
+    : `first funded by ${reason.funder}, like ${reason.size - 1} others`),
+  SYNC_TIMING: (reason) => `${reason.size} wallets first received ${blt(reason.amount)} within ${reason.windowSeconds}s of ${new Date(reason.at * 1000).toISOString()}`,
+  DUST_FANOUT: (reason) => (reason.role === 'source'
+    ? `sent dust to ${reason.recipients} wallets`
+    : `only ever received dust from ${reason.source}`),
+  CIRCULAR_FLOW: (reason) => `loop of ${reason.size} wallets with ${reason.peers.join(' ')}`,
+};
+
+async function analyze(options) {
+  const input = readJson(options.input || 'transfers.json');
+  const labels = readJson(options.labels || 'scripts/data/address-labels.json');
+  const outDir = options['out-dir'] || '.';
+  mkdirSync(outDir, { recursive: true });
+
+  const candidates = proposeExclusions(input.transfers, {
+    labels,
+    contracts: input.contracts,
+    internal: [DEPLOYER_ADDRESS, ...NON_CIRCULATING_ADDRESSES],
+  });
+
+  writeJson(join(outDir, 'candidates.json'), {
+    fromBlock: input.fromBlock,
+    toBlock: input.toBlock,
+    rules: Object.fromEntries(Object.entries(DEFAULT_RULES).map(([key, value]) => [key, String(value)])),
+    generatedAt: new Date().toISOString(),
+    candidates,
+  });
+  writeFileSync(join(outDir, 'review.csv'), toCsv(REVIEW_HEADER, candidates.map(({ address, reasons }) => [
+    address,
+    [...new Set(reasons.map((reason) => reason.code))].join(' '),
+    reasons.map((reason) => SUMMARIES[reason.code](reason)).join('; '),
+    '',
+    '',
+  ])));
+
+  const counts = REASONS.map((code) => [code, candidates.filter(({ reasons }) => reasons.some((reason) => reason.code === code)).length]);
+  console.log(`${input.transfers.length} transfers, ${candidates.length} candidates`);
+  counts.filter(([, count]) => count > 0).forEach(([code, count]) => console.log(`${code.padEnd(14)} ${count}`));
+  console.log(`Review ${join(outDir, 'review.csv')}, then run publish`);
+}
+
+// Reviewed rows, checked; every problem is reported at once
+function readReview(file) {
+  const [header, ...rows] = parseCsv(readFileSync(file, 'utf8'));
+  if (header?.join(',') !== REVIEW_HEADER.join(',')) throw new Error(`${file} must start with ${REVIEW_HEADER.join(',')}`);
+
+  const problems = [];
+  const seen = new Set();
+  let undecided = 0;
+  const entries = rows.map((cells, i) => {
+    const row = Object.fromEntries(REVIEW_HEADER.map((column, j) => [column, (cells[j] ?? '').trim()]));
+    const where = `line ${i + 2}`;
+    const address = row.address.toLowerCase();
+    const reasons = row.reasons.toUpperCase().split(/[\s;]+/).filter(Boolean);
+    const decision = row.decision.toLowerCase();
+
+    if (!isAddress(row.address)) problems.push(`${where}: invalid address "${row.address}"`);
+    else if (seen.has(address)) problems.push(`${where}: duplicate address ${row.address}`);
+    seen.add(address);
+    if (!reasons.length) problems.push(`${where}: no reason`);
+    reasons.filter((code) => !REASONS.includes(code)).forEach((code) => problems.push(`${where}: unknown reason ${code}`));
+    if (!decision) undecided += 1;
+    else if (!DECISIONS.includes(decision)) problems.push(`${where}: decision must be ${DECISIONS.join(' or ')}`);
+    if (reasons.includes('MANUAL') && !row.note) problems.push(`${where}: MANUAL needs a note`);
+
+    return { address, reasons, decision, note: row.note || null };
+  });
+
+  if (undecided) problems.push(`${undecided} of ${rows.length} rows have no decision yet`);
+  if (problems.length) throw new Error(`${file} is not ready to publish:\n  ${problems.join('\n  ')}`);
+  return entries;
+}
+
+async function publish(options) {
+  const entries = readReview(options.review || 'review.csv');
+  const candidates = readJson(options.candidates || 'candidates.json').candidates;
+  const evidence = new Map(candidates.map(({ address, reasons }) => [address, reasons]));
+  const outDir = options.out || 'public/exclusions/register';
+
+  // The published reasons are the ones the reviewer kept, with the
+  // evidence found for them
+  const excluded = entries.filter((entry) => entry.decision === 'exclude').map((entry) => ({
+    ...entry,
+    reasons: entry.reasons.flatMap((code) => {
+      const found = (evidence.get(entry.address) || []).filter((reason) => reason.code === code);
+      return found.length ? found : [{ code }];
+    }),
+  }));
+
+  const shards = {};
+  excluded.forEach(({ address, reasons, note }) => {
+    const shard = shardOf(address);
+    shards[shard] = shards[shard] || {};
+    shards[shard][address] = { reasons, note };
+  });
+
+  rmSync(outDir, { recursive: true, force: true });
+  mkdirSync(outDir, { recursive: true });
+  Object.entries(shards).forEach(([shard, list]) => writeFileSync(join(outDir, `${shard}.json`), JSON.stringify(list)));
+
+  const reasons = Object.fromEntries(REASONS.map((code) => [code, excluded.filter((entry) => entry.reasons.some((reason) => reason.code === code)).length]));
+  writeJson(join(outDir, 'index.json'), {
+    version: 1,
+    count: excluded.length,
+    reviewed: entries.length,
+    reasons,
+    generatedAt: new Date().toISOString(),
+  });
+
+  console.log(`Published ${excluded.length} exclusions (${entries.length - excluded.length} kept) to ${outDir}`);
+  REASONS.filter((code) => reasons[code] > 0).forEach((code) => console.log(`${code.padEnd(14)} ${reasons[code]}`));
+}
+
+try {
+  if (command === 'ingest') await ingest(parseOptions(args));
+  else if (command === 'analyze') await analyze(parseOptions(args));
+  else if (command === 'publish') await publish(parseOptions(args));
+  else {
+    console.error('Usage: node scripts/exclusions.js ingest|analyze|publish (see the header of this file)');
+    process.exit(1);
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/* ========================================
+   GOVERNANCE ADMIN
+   ========================================
+   Usage:
+     node scripts/governance.js create --id <id> --title <title> --body <file.md>
+       [--choices For,Against,Abstain] [--start <ISO date>] [--days 7]
+       [--quorum <BLT>] [--author <address>] [--snapshot <block>]
+     node scripts/governance.js list
+     node scripts/governance.js show <id>
+
+   Works on the same file store as the API (DATA_DIR, default .data/).
+   The snapshot block defaults to the latest block at creation.
+*/
+
+import { readFileSync } from 'node:fs';
+import { createProposal, listProposals, getProposal } from '../api/_lib/governance.js';
+import { PROPOSAL_ID_PATTERN } from '../src/lib/governance.js';
+import { parseUnits, formatUnits } from '../src/lib/format.js';
+import { isAddress, toChecksumAddress } from '../src/lib/address.js';
+import { BLT_TOKEN } from '../src/config.js';
+
+const [command, ...args] = process.argv.slice(2);
+
+function parseOptions(list) {
+  const options = {};
+  for (let i = 0; i < list.length; i += 2) {
+    if (!list[i].startsWith('--') || list[i + 1] === undefined) throw new Error(`Expected --option value, got "${list[i]}"`);
+    options[list[i].slice(2)] = list[i + 1];
+  }
+  return options;
+}
+
+const blt = (wei) => `${formatUnits(wei, BLT_TOKEN.decimals)} ${BLT_TOKEN.symbol}`;
+
+async function create(options) {
+  if (!PROPOSAL_ID_PATTERN.test(options.id || '')) throw new Error('--id must be lowercase letters, digits and dashes');
+  if (!options.title) throw new Error('--title is required');
+  if (!options.body) throw new Error('--body <file.md> is required');
+
+  const choices = (options.choices || 'For,Against,Abstain').split(',').map((choice) => choice.trim()).filter(Boolean);
+  if (choices.length < 2 || new Set(choices).size !== choices.length) throw new Error('--choices needs at least two distinct options');
+
+  const start = options.start ? new Date(options.start) : new Date();
+  if (Number.isNaN(start.getTime())) throw new Error('--start must be a date');
+  const days = Number(options.days || 7);
+  if (!(days > 0)) throw new Error('--days must be positive');
+  const end = new Date(start.getTime() + days * 24 * 60 * 60 * 1000);
+
+  const quorum = options.quorum ? parseUnits(options.quorum, BLT_TOKEN.decimals) : null;
+  if (options.quorum && quorum === null) throw new Error('--quorum must be a BLT amount');
+  if (options.author && !isAddress(options.author)) throw new Error('--author must be an address');
+  if (options.snapshot && !/^\d+$/.test(options.snapshot)) throw new Error('--snapshot must be a block number');
+
+  const proposals = await createProposal({
+    id: options.id,
+    title: options.title,
+    body: readFileSync(options.body, 'utf8'),
+    choices,
+    start: start.toISOString(),
+    end: end.toISOString(),
+    quorum: quorum === null ? null : quorum.toString(),
+    author: options.author ? toChecksumAddress(options.author) : null,
+    snapshot: options.snapshot || null,
+  });
+  const proposal = proposals.find((candidate) => candidate.id === options.id);
+  console.log(`Created ${proposal.id}: snapshot block ${proposal.snapshot}, voting ${proposal.start} → ${proposal.end}`);
+}
+
+async function list() {
+  const proposals = await listProposals();
+  if (!proposals.length) console.log('No proposals.');
+  proposals.forEach((proposal) => {
+    console.log(`${proposal.id.padEnd(24)} ${proposal.status.padEnd(8)} ${String(proposal.tally.voters).padStart(5)} voters  ${proposal.title}`);
+  });
+}
+
+async function show(id) {
+  const proposal = await getProposal(id);
+  console.log(`${proposal.title} (${proposal.status})`);
+  console.log(`Snapshot block ${proposal.snapshot}, ${proposal.start} → ${proposal.end}`);
+  proposal.tally.choices.forEach(({ choice, weight }) => console.log(`  ${choice.padEnd(16)} ${blt(weight)}`));
+  console.log(`  ${'Total'.padEnd(16)} ${blt(proposal.tally.total)} from ${proposal.tally.voters} voters`);
+  if (proposal.quorum) console.log(`  Quorum ${blt(proposal.quorum)}: ${proposal.tally.quorumReached ? 'reached' : 'not reached'}`);
+  console.log(`  Leading: ${proposal.tally.leading ?? 'none'}`);
+}
+
+try {
+  if (command === 'create') await create(parseOptions(args));
+  else if (command === 'list') await list();
+  else if (command === 'show' && args[0]) await show(args[0]);
+  else {
+    console.error('Usage: node scripts/governance.js create|list|show <id> (see the header of this file)');
+    process.exit(1);
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
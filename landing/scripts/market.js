@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/* ========================================
+   MARKET DATA
+   ========================================
+   Usage:
+     node scripts/market.js sync
+     node scripts/market.js candles [--range 1D|1W|1M|ALL] [--fixture scripts/fixtures/swaps-v3.json]
+     node scripts/market.js impact [--usd 5000] [--fixture scripts/fixtures/pool-v3.json]
+
+   `sync` fills the swap index the price chart reads (same file store as
+   the API, DATA_DIR), running until it reaches the head; use it to build
+   the index before the first deploy. Needs DEX_POOL_ADDRESS.
+   `candles` prints the candles the API would serve. With --fixture it
+   indexes a file of recorded logs instead, ending at the last swap, so
+   decoding and aggregation can be checked without a node. A fixture is
+   { pool: { address, type, token0, token1, decimals0, decimals1 },
+     blocks: { <number>: <timestamp> }, logs: [eth_getLogs results] }.
+   `impact` prints what buying BLT on the DEX costs against the reference
+   price, for --usd or a ladder of sizes, and the break-even order size.
+   Its fixtures hold a pool state as readPoolState returns it (big
+   numbers as strings), the V3 ticks and the quote token's USD price:
+   { pool: {…, sqrtPriceX96, tick, liquidity, fee, tickSpacing | reserve0, reserve1},
+     ticks: [{ tick, liquidityNet }], quoteUsd }.
+*/
+
+import { readFileSync } from 'node:fs';
+import { syncSwaps, readCandles, marketPool } from '../api/_lib/market.js';
+import { getRpc } from '../api/_lib/chain.js';
+import { scanSwaps, buildCandles } from '../src/lib/swaps.js';
+import { readPoolState, readTickLiquidity } from '../src/lib/pool.js';
+import { compareOrder, breakEven } from '../src/lib/priceImpact.js';
+import { fetchMids, resolveAssetPrices } from '../src/lib/prices.js';
+import { BLT_TOKEN, DEX_POOL, PAYMENT_ASSETS, PRICE_API_URL, REFERENCE_PRICE_MICROS } from '../src/config.js';
+import { parseOptions } from './_lib/options.js';
+
+const [command, ...args] = process.argv.slice(2);
+
+// Answers the three calls scanSwaps makes from the fixture file
+function createFixtureRpc({ blocks, logs }) {
+  const head = Math.max(...Object.keys(blocks).map(Number));
+  return {
+    blockNumber: async () => BigInt(head),
+    getLogs: async ({ address, topics, fromBlock, toBlock }) => logs.filter((log) => log.address.toLowerCase() === address.toLowerCase()
+      && log.topics[0] === topics[0]
+      && BigInt(log.blockNumber) >= BigInt(fromBlock)
+      && BigInt(log.blockNumber) <= BigInt(toBlock)),
+    getBlock: async (tag) => {
+      const timestamp = blocks[Number(BigInt(tag))];
+      return timestamp === undefined ? null : { timestamp: `0x${timestamp.toString(16)}` };
+    },
+  };
+}
+
+async function fixtureCandles(file, range) {
+  const fixture = JSON.parse(readFileSync(file, 'utf8'));
+  const rpc = createFixtureRpc(fixture);
+  const { swaps } = await scanSwaps(rpc, fixture.pool, BLT_TOKEN.address, { fromBlock: 0, toBlock: await rpc.blockNumber() });
+  return { range, ...buildCandles(swaps, range, swaps[swaps.length - 1]?.timestamp), lastPrice: swaps[swaps.length - 1]?.price ?? null };
+}
+
+const BIG_FIELDS = ['sqrtPriceX96', 'liquidity', 'reserve0', 'reserve1'];
+
+function fixtureMarket(file) {
+  const { pool, ticks = [], quoteUsd } = JSON.parse(readFileSync(file, 'utf8'));
+  return {
+    state: Object.fromEntries(Object.entries(pool).map(([key, value]) => [key, BIG_FIELDS.includes(key) ? BigInt(value) : value])),
+    ticks: ticks.map(({ tick, liquidityNet }) => ({ tick, liquidityNet: BigInt(liquidityNet) })),
+    quoteUsd,
+  };
+}
+
+async function liveMarket() {
+  const pool = marketPool();
+  if (!pool.address) throw new Error('Set DEX_POOL_ADDRESS');
+  const rpc = getRpc();
+  const blockTag = `0x${(await rpc.blockNumber()).toString(16)}`;
+  const state = await readPoolState(rpc, pool, blockTag);
+  const ticks = state.type === 'v3' ? await readTickLiquidity(rpc, state, { blockTag }) : [];
+  const quoteUsd = Number(resolveAssetPrices(PAYMENT_ASSETS, await fetchMids(PRICE_API_URL))[DEX_POOL.quoteSymbol]);
+  if (!quoteUsd) throw new Error(`No USD price for ${DEX_POOL.quoteSymbol}`);
+  return { state, ticks, quoteUsd };
+}
+
+async function impact(options) {
+  const market = {
+    ...(options.fixture ? fixtureMarket(options.fixture) : await liveMarket()),
+    baseToken: BLT_TOKEN.address,
+    referencePrice: Number(REFERENCE_PRICE_MICROS) / 1e6,
+  };
+  const sizes = options.usd ? [Number(options.usd)] : [100, 1000, 5000, 10000, 50000, 100000];
+  if (sizes.some((usd) => !(usd > 0))) throw new Error('--usd must be a positive number');
+
+  console.log(`Spot ${(compareOrder({ ...market, usd: 1 }).dex.spotUsd).toPrecision(6)} USD, reference ${market.referencePrice} USD`);
+  sizes.forEach((usd) => {
+    const { dex, direct, recommended } = compareOrder({ ...market, usd });
+    console.log([
+      `$${usd}`.padStart(9),
+      `DEX ${dex.received.toFixed(0).padStart(12)} BLT at ${dex.priceUsd.toPrecision(6)}`,
+      `impact ${(dex.impact * 100).toFixed(2).padStart(8)}%`,
+      `direct ${direct.toFixed(0).padStart(12)} BLT`,
+      dex.exhausted ? `${recommended.toUpperCase()} (pool liquidity exhausted)` : recommended.toUpperCase(),
+    ].join('  '));
+  });
+
+  const point = breakEven(market);
+  if (point === null) console.log('The DEX stays cheaper for every order size checked');
+  else if (point.usd === 0) console.log('PATH_01 is cheaper at any size');
+  else console.log(`Break-even at $${point.usd.toFixed(2)} (${point.reason === 'liquidity' ? 'pool liquidity runs out' : 'DEX price reaches the reference'})`);
+}
+
+async function sync() {
+  await syncSwaps({
+    deadline: Infinity,
+    onChunk: ({ toBlock, settled, swaps }) => console.log(`Indexed to block ${toBlock} of ${settled} (${swaps} swaps)`),
+  });
+  console.log('Swap index is up to date');
+}
+
+async function candles(options) {
+  const range = options.range || 'ALL';
+  const result = options.fixture ? await fixtureCandles(options.fixture, range) : await readCandles(range);
+  const price = (value) => value.toPrecision(6).padStart(12);
+
+  console.log(`${result.range}: ${result.candles.length} candles of ${result.interval / 3600}h, last price ${result.lastPrice}`);
+  result.candles.forEach((candle) => console.log([
+    new Date(candle.time * 1000).toISOString().slice(0, 16).replace('T', ' '),
+    price(candle.open),
+    price(candle.high),
+    price(candle.low),
+    price(candle.close),
+    candle.volume.toFixed(0).padStart(10),
+    String(candle.trades).padStart(4),
+  ].join(' ')));
+}
+
+try {
+  if (command === 'sync') await sync();
+  else if (command === 'candles') await candles(parseOptions(args));
+  else if (command === 'impact') await impact(parseOptions(args));
+  else {
+    console.error('Usage: node scripts/market.js sync|candles|impact (see the header of this file)');
+    process.exit(1);
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
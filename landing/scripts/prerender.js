@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/* ========================================
+   PRERENDER
+   ========================================
+   Usage (after the client build):
+     vite build --ssr src/entry-server.jsx --outDir dist-ssr
+     SITE_URL=https://example.org node scripts/prerender.js
+
+   Writes static HTML for every public page into dist/ so crawlers and
+   link previews see the content, and the client hydrates it on load:
+   - dist/index.html, dist/whitepaper.html, dist/whitepaper/1.0.html, …
+     with per-page title, description, canonical, Open Graph and JSON-LD
+   - dist/app.html: the empty shell for paths rendered only in the
+     browser (/governance/:id, /otc/:id, unknown paths)
+   - dist/og/*.png: a social card per page
+   - dist/sitemap.xml and dist/robots.txt
+   - dist/manifest.webmanifest and dist/icons/*.png, so the site installs
+   - dist/sw.js: the service worker, precaching everything above except
+     the social cards (written last, once every file exists)
+
+   SITE_URL is the public origin; on Vercel it defaults to the
+   production domain. Its host must be one the signed manifest lists.
+*/
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  pageMeta,
+  renderHeadTags,
+  buildSitemap,
+  buildRobots,
+  buildWebManifest,
+  ogImagePath,
+  APP_ICONS,
+  APPLE_TOUCH_ICON,
+  WEB_MANIFEST_PATH,
+} from '../src/lib/seo.js';
+import { isOfficialHost } from '../src/lib/manifest.js';
+import manifest from '../src/manifest.json' with { type: 'json' };
+import { renderOgImage } from './_lib/og-image.js';
+import { renderAppIcon } from './_lib/app-icon.js';
+import { buildServiceWorker } from './_lib/service-worker.js';
+
+const DIST = new URL('../dist/', import.meta.url);
+const SERVER_ENTRY = new URL('../dist-ssr/entry-server.js', import.meta.url);
+
+const SITE_URL = process.env.SITE_URL
+  || (process.env.VERCEL_PROJECT_PRODUCTION_URL && `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}`);
+
+if (!SITE_URL) {
+  console.error('Set SITE_URL to the public origin (e.g. https://example.org); canonical and social card URLs must be absolute.');
+  process.exit(1);
+}
+
+const write = (file, contents) => {
+  const path = fileURLToPath(new URL(file, DIST));
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, contents);
+};
+
+// Tags the page replaces; everything else in the built <head> is kept.
+// The Google Fonts links give way to the self-hosted fonts.
+const REPLACED_TAGS = [
+  /\s*<title>[\s\S]*?<\/title>/,
+  /\s*<meta\s+name="(description|keywords|theme-color|twitter:[\w:]+)"[\s\S]*?\/>/g,
+  /\s*<meta\s+property="og:[\w:]+"[\s\S]*?\/>/g,
+  /\s*<link\s+rel="(canonical|icon|manifest|apple-touch-icon|preload)"[^>]*>/g,
+  /\s*<script type="application\/ld\+json">[\s\S]*?<\/script>/g,
+  /\s*<link\s+[^>]*https:\/\/fonts\.(googleapis|gstatic)\.com[^>]*>/g,
+  /\s*<!--\s*(SEO Meta Tags|Open Graph[^>]*|Twitter|Fonts)\s*-->/g,
+];
+
+const stripHead = (html) => REPLACED_TAGS.reduce((result, pattern) => result.replace(pattern, ''), html);
+
+const fillTemplate = (template, head, markup) => template
+  .replace('</head>', `${head}\n</head>`)
+  .replace('<div id="root"></div>', `<div id="root">${markup}</div>`);
+
+// '/' → index.html; '/whitepaper/1.0' → whitepaper/1.0.html (served clean by vercel.json)
+const htmlFile = (path) => (path === '/' ? 'index.html' : `${path.slice(1)}.html`);
+
+// On a rerun index.html is already prerendered; start again from the shell
+const SHELL = new URL(existsSync(new URL('app.html', DIST)) ? 'app.html' : 'index.html', DIST);
+const template = stripHead(readFileSync(SHELL, 'utf8'));
+
+const { render, PRERENDER_PAGES } = await import(SERVER_ENTRY.href);
+const { host, hostname } = new URL(SITE_URL);
+
+// Served from a host the signed manifest does not list, every page would
+// carry the unofficial-host warning
+if (!isOfficialHost(hostname, manifest.payload.hosts)) {
+  console.error(`${hostname} is not in the hosts of src/manifest.json; add it and sign again (scripts/sign-manifest.js)`);
+  process.exit(1);
+}
+
+// The shell serves many paths, so it claims no canonical URL
+write('app.html', fillTemplate(template, renderHeadTags({ ...pageMeta({ path: '/' }, SITE_URL), url: null }, SITE_URL), ''));
+
+for (const page of PRERENDER_PAGES) {
+  const meta = pageMeta(page, SITE_URL);
+  const markup = await render(page.path);
+  write(htmlFile(page.path), fillTemplate(template, renderHeadTags(meta, SITE_URL), markup));
+  write(ogImagePath(page.path).slice(1), renderOgImage({
+    heading: meta.heading,
+    tag: `BELIEVE NETWORK // ${page.path === '/' ? 'HOME' : page.path.slice(1).toUpperCase()}`,
+    host,
+  }));
+  console.log(`${page.path} → ${htmlFile(page.path)}`);
+}
+
+write('sitemap.xml', buildSitemap(PRERENDER_PAGES, SITE_URL));
+write('robots.txt', buildRobots(SITE_URL));
+
+write(WEB_MANIFEST_PATH.slice(1), buildWebManifest());
+[...APP_ICONS, APPLE_TOUCH_ICON].forEach((icon) => write(icon.src.slice(1), renderAppIcon(icon)));
+
+const worker = buildServiceWorker(DIST);
+write('sw.js', worker.source);
+
+console.log(`\n${PRERENDER_PAGES.length} pages, sitemap.xml and robots.txt written for ${SITE_URL}`);
+console.log(`sw.js ${worker.version}: ${worker.count} files precached`);
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/* ========================================
+   DIRECT ALLOCATION RECONCILIATION
+   ========================================
+   Usage:
+     node scripts/reconcile.js sync
+     node scripts/reconcile.js report [--show open|overdue|all]
+     node scripts/reconcile.js payouts [--out payouts.csv]
+
+   `sync` indexes payments to the deployer wallet and BLT sent from it
+   until it reaches the head; the first run reads every block from
+   DEPOSITS_START_BLOCK (required: set it to the wallet's first deposit).
+   It is the only thing that indexes, so run it on a schedule; an
+   interrupted run resumes where it stopped.
+   `report` lists deposits with what is still owed (default: open ones)
+   and `payouts` writes the CSV batch of BLT to send, both from the index
+   as last synced. Works on the same file store as the API (DATA_DIR,
+   default .data/); for a deployment, use GET /api/reconciliation/payouts
+   with the admin token.
+*/
+
+import { writeFileSync } from 'node:fs';
+import { syncDeposits, reconcile, exportPayoutBatch } from '../api/_lib/reconciliation.js';
+import { formatUnits } from '../src/lib/format.js';
+import { PAYMENT_ASSETS, BLT_TOKEN } from '../src/config.js';
+import { parseOptions } from './_lib/options.js';
+
+const [command, ...args] = process.argv.slice(2);
+
+const SHOW = {
+  open: (deposit) => deposit.status !== 'paid',
+  overdue: (deposit) => deposit.overdue,
+  all: () => true,
+};
+
+async function sync() {
+  await syncDeposits({
+    onChunk: ({ toBlock, settled, deposits, payouts }) => console.log(`Indexed to block ${toBlock} of ${settled} (${deposits} deposits, ${payouts} payouts)`),
+  });
+  console.log('Deposit index is up to date');
+}
+
+async function report(options) {
+  const show = SHOW[options.show || 'open'];
+  if (!show) throw new Error(`--show must be one of: ${Object.keys(SHOW).join(', ')}`);
+
+  const { scannedTo, stale, totals, deposits, unmatched } = await reconcile();
+  const blt = (value) => (value === null ? '—' : formatUnits(value, BLT_TOKEN.decimals));
+  const received = (deposit) => `${formatUnits(deposit.amount, PAYMENT_ASSETS.find((asset) => asset.symbol === deposit.asset).decimals)} ${deposit.asset}`;
+
+  deposits.filter(show).forEach((deposit) => console.log([
+    new Date(deposit.timestamp * 1000).toISOString().slice(0, 16).replace('T', ' '),
+    deposit.from,
+    received(deposit),
+    `owed ${blt(deposit.blt)}`,
+    `outstanding ${blt(deposit.outstanding)}`,
+    deposit.overdue ? `${deposit.status.toUpperCase()} OVERDUE` : deposit.status.toUpperCase(),
+    deposit.hash,
+  ].join('  ')));
+
+  console.log(`\nIndexed to block ${scannedTo}: ${totals.deposits} deposits, ${blt(totals.owed)} BLT owed, ${blt(totals.paid)} paid, `
+    + `${blt(totals.outstanding)} outstanding, ${totals.overdue} overdue, ${totals.unpriced} unpriced`);
+  if (unmatched.length) console.log(`${unmatched.length} BLT transfers from the deployer match no deposit`);
+  if (stale) console.log('The index has not been synced recently: run `node scripts/reconcile.js sync` first');
+}
+
+async function payouts(options) {
+  const csv = await exportPayoutBatch();
+  if (!options.out) {
+    process.stdout.write(csv);
+    return;
+  }
+  writeFileSync(options.out, csv);
+  console.log(`Wrote ${csv.trimEnd().split('\n').length - 1} payouts to ${options.out}`);
+}
+
+try {
+  if (command === 'sync') await sync();
+  else if (command === 'report') await report(parseOptions(args));
+  else if (command === 'payouts') await payouts(parseOptions(args));
+  else {
+    console.error('Usage: node scripts/reconcile.js sync|report|payouts (see the header of this file)');
+    process.exit(1);
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/* ========================================
+   SIGN THE ADDRESS MANIFEST
+   ========================================
+   Usage:
+     node scripts/sign-manifest.js keygen --out team-key.json
+     node scripts/sign-manifest.js sign --key team-key.json [--manifest src/manifest.json]
+     node scripts/sign-manifest.js verify [--manifest src/manifest.json]
+
+   `keygen` creates an ECDSA P-256 key pair, writes the private key (JWK)
+   to --out and prints the public key to pin as MANIFEST_PUBLIC_KEY in
+   src/lib/manifest.js. Keep the private key offline; never commit it.
+   `sign` stamps payload.issuedAt, signs the payload and writes the
+   signature into the manifest; it refuses a key other than the pinned one.
+   payload.hosts must list every domain the site is served from; the
+   site warns on any other, and prerender.js refuses a SITE_URL outside it.
+   `verify` checks the manifest as the site does.
+*/
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import {
+  canonicalJson,
+  verifyManifest,
+  toBase64Url,
+  KEY_ALGORITHM,
+  SIGNATURE_ALGORITHM,
+} from '../src/lib/manifest.js';
+import { isAddress } from '../src/lib/address.js';
+import { parseOptions } from './_lib/options.js';
+
+const [command, ...args] = process.argv.slice(2);
+
+const { subtle } = globalThis.crypto;
+
+const DEFAULT_MANIFEST = 'src/manifest.json';
+
+// The fields the site reads; a typo here would only surface on the page
+function payloadErrors(payload) {
+  const errors = [];
+  const addresses = { 'token.address': payload.token?.address, deployer: payload.deployer, ...Object.fromEntries(Object.entries(payload.paymentTokens || {}).map(([symbol, address]) => [`paymentTokens.${symbol}`, address])) };
+  Object.entries(addresses).forEach(([field, address]) => {
+    if (!isAddress(address)) errors.push(`${field} is not an address`);
+  });
+  if (!Number.isInteger(payload.chain?.chainId)) errors.push('chain.chainId must be an integer');
+  if (!/^https:\/\//.test(payload.dexUrl || '')) errors.push('dexUrl must be an https URL');
+  if (!/^https:\/\//.test(payload.chain?.explorerUrl || '')) errors.push('chain.explorerUrl must be an https URL');
+  if (!Array.isArray(payload.hosts) || !payload.hosts.length) errors.push('hosts must list at least one host name');
+  else if (payload.hosts.some((host) => typeof host !== 'string' || host !== host.toLowerCase() || host.includes('/'))) {
+    errors.push('hosts must be lowercase host names, without a scheme or path');
+  }
+  return errors;
+}
+
+async function keygen(options) {
+  if (!options.out) throw new Error('Pass --out <file> for the private key');
+  if (existsSync(options.out)) throw new Error(`${options.out} exists; refusing to overwrite a key`);
+
+  const pair = await subtle.generateKey(KEY_ALGORITHM, true, ['sign', 'verify']);
+  const { kty, crv, x, y, d } = await subtle.exportKey('jwk', pair.privateKey);
+  writeFileSync(options.out, `${JSON.stringify({ kty, crv, x, y, d }, null, 2)}\n`, { mode: 0o600 });
+
+  console.log(`Private key written to ${options.out}. Pin the public key in src/lib/manifest.js:`);
+  const fields = Object.entries({ kty, crv, x, y }).map(([name, value]) => `  ${name}: '${value}',`);
+  console.log(`export const MANIFEST_PUBLIC_KEY = {\n${fields.join('\n')}\n};`);
+}
+
+async function sign(options) {
+  if (!options.key) throw new Error('Pass --key <private key file>');
+  const file = options.manifest || DEFAULT_MANIFEST;
+  const manifest = JSON.parse(readFileSync(file, 'utf8'));
+
+  const errors = payloadErrors(manifest.payload);
+  if (errors.length) throw new Error(`${file} is not ready to sign:\n  ${errors.join('\n  ')}`);
+
+  const privateKey = await subtle.importKey('jwk', JSON.parse(readFileSync(options.key, 'utf8')), KEY_ALGORITHM, false, ['sign']);
+  const payload = { ...manifest.payload, issuedAt: new Date().toISOString() };
+  const signature = await subtle.sign(SIGNATURE_ALGORITHM, privateKey, new TextEncoder().encode(canonicalJson(payload)));
+  const signed = { payload, signature: toBase64Url(signature) };
+  if (!(await verifyManifest(signed))) {
+    throw new Error('This key is not the one pinned as MANIFEST_PUBLIC_KEY in src/lib/manifest.js; the manifest was not changed');
+  }
+
+  writeFileSync(file, `${JSON.stringify(signed, null, 2)}\n`);
+  console.log(`Signed ${file} (issued ${payload.issuedAt})`);
+}
+
+async function verify(options) {
+  const file = options.manifest || DEFAULT_MANIFEST;
+  const manifest = JSON.parse(readFileSync(file, 'utf8'));
+  if (!(await verifyManifest(manifest))) throw new Error(`${file} does not verify against the pinned key`);
+  const errors = payloadErrors(manifest.payload);
+  if (errors.length) throw new Error(`${file} verifies but is not usable:\n  ${errors.join('\n  ')}`);
+  console.log(`${file} verifies (issued ${manifest.payload.issuedAt}, hosts: ${manifest.payload.hosts.join(', ')})`);
+}
+
+try {
+  if (command === 'keygen') await keygen(parseOptions(args));
+  else if (command === 'sign') await sign(parseOptions(args));
+  else if (command === 'verify') await verify(parseOptions(args));
+  else {
+    console.error('Usage: node scripts/sign-manifest.js keygen|sign|verify (see the header of this file)');
+    process.exit(1);
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
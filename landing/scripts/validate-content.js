@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/* ========================================
+   VALIDATE PAGE CONTENT
+   ========================================
+   Usage: node scripts/validate-content.js
+
+   Checks src/content/site.json against site.schema.json, every
+   translation in src/content/locales/, the partner registry (including
+   that each logo exists in public/), every UI message catalog in
+   src/i18n/messages/ and the signed address manifest: its signature, its
+   host list, and that src/content/ names addresses only through `manifest:` placeholders
+   it can fill. Exits non-zero on any problem. Run before every build.
+*/
+
+import { readFileSync, readdirSync, existsSync } from 'node:fs';
+import { validateContent, validatePartners, formatErrors } from '../src/content/validate.js';
+import { mergeContent, overlayErrors } from '../src/content/merge.js';
+import { verifyManifest, manifestAddress } from '../src/lib/manifest.js';
+
+const SRC = new URL('../src/', import.meta.url);
+const PUBLIC = new URL('../public/', import.meta.url);
+
+const read = (file) => JSON.parse(readFileSync(new URL(file, SRC), 'utf8'));
+const listJson = (dir) => readdirSync(new URL(dir, SRC)).filter((file) => file.endsWith('.json'));
+
+const problems = [];
+const report = (file, errors) => {
+  if (errors.length) problems.push(`${file} has ${errors.length} problem(s):\n${formatErrors(errors)}`);
+};
+
+function load(file) {
+  try {
+    return read(file);
+  } catch (error) {
+    problems.push(`${file} is not valid JSON: ${error.message}`);
+    return null;
+  }
+}
+
+const site = load('content/site.json');
+const schema = read('content/site.schema.json');
+if (site) report('site.json', validateContent(site, schema));
+
+// Translations must only translate: same shape as site.json, and still valid once applied
+listJson('content/locales').forEach((file) => {
+  const overlay = load(`content/locales/${file}`);
+  if (!site || !overlay) return;
+  const shapeErrors = overlayErrors(site, overlay);
+  report(`locales/${file}`, shapeErrors.length ? shapeErrors : validateContent(mergeContent(site, overlay), schema));
+});
+
+const partners = load('content/partners.json');
+if (partners) {
+  const missingLogos = (partners.partners || [])
+    .map((partner, i) => ({ partner, i }))
+    .filter(({ partner }) => partner.logo && !existsSync(new URL(`.${partner.logo}`, PUBLIC)))
+    .map(({ partner, i }) => ({ path: `$.partners[${i}].logo`, message: `public${partner.logo} does not exist` }));
+  report('partners.json', [...validatePartners(partners, read('content/partners.schema.json')), ...missingLogos]);
+}
+
+// Message catalogs: no keys English lacks, and no placeholders English does not fill
+const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort().join(' ');
+
+function catalogErrors(base, catalog, path = '$') {
+  return [].concat(...Object.entries(catalog).map(([key, value]) => {
+    const where = `${path}.${key}`;
+    const reference = base?.[key];
+    if (reference === undefined) {
+      // Plural categories beyond English's one/other are expected
+      return typeof value === 'string' && base?.other !== undefined ? [] : [{ path: where, message: 'does not exist in en.json' }];
+    }
+    if (typeof value === 'object') return catalogErrors(reference, value, where);
+
+    const expected = placeholders(typeof reference === 'string' ? reference : reference.other);
+    const actual = placeholders(value);
+    return actual.split(' ').every((name) => !name || expected.includes(name))
+      ? []
+      : [{ path: where, message: `uses ${actual || 'no placeholders'}, en.json provides ${expected || 'none'}` }];
+  }));
+}
+
+const english = load('i18n/messages/en.json');
+listJson('i18n/messages').filter((file) => file !== 'en.json').forEach((file) => {
+  const catalog = load(`i18n/messages/${file}`);
+  if (english && catalog) report(`messages/${file}`, catalogErrors(english, catalog));
+});
+
+// Addresses in the copy are `manifest:<field>` placeholders, withheld
+// until the manifest verifies; a literal one would skip that check
+const manifest = load('manifest.json');
+if (manifest) {
+  if (!(await verifyManifest(manifest))) {
+    problems.push('manifest.json does not verify against MANIFEST_PUBLIC_KEY (run scripts/sign-manifest.js sign)');
+  }
+  // With no hosts, every domain would get the unofficial-host warning
+  if (!manifest.payload.hosts?.length) problems.push('manifest.json lists no hosts; add the domains the site is served from and sign');
+  const contentFiles = readdirSync(new URL('content/', SRC), { recursive: true }).filter((file) => /\.(md|json)$/.test(file));
+  contentFiles.forEach((file) => {
+    const text = readFileSync(new URL(`content/${file}`, SRC), 'utf8');
+    const literal = [...new Set(text.match(/0x[0-9a-fA-F]{40}\b/g) || [])];
+    if (literal.length) problems.push(`content/${file} writes out addresses; use \`manifest:<field>\` instead: ${literal.join(', ')}`);
+    const unknown = [...new Set([...text.matchAll(/`manifest:(\w+)`/g)].map(([, field]) => field))]
+      .filter((field) => !manifestAddress(manifest.payload, field));
+    if (unknown.length) problems.push(`content/${file} has placeholders for addresses missing from manifest.json: ${unknown.join(', ')}`);
+  });
+}
+
+if (problems.length) {
+  console.error(problems.join('\n'));
+  process.exit(1);
+}
+
+console.log(`site.json OK (${site.sections.length} sections), ${partners.partners.length} partners, translations OK`);
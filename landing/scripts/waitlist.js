@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/* ========================================
+   WAITLIST ADMIN
+   ========================================
+   Usage:
+     node scripts/waitlist.js stats
+     node scripts/waitlist.js export [--status confirmed|pending|unsubscribed|all] [--out waitlist.csv]
+
+   Works on the same file store as the API (DATA_DIR, default .data/).
+   For a deployment, use GET /api/waitlist/export with the admin token.
+*/
+
+import { writeFileSync } from 'node:fs';
+import { exportWaitlist, waitlistCounts } from '../api/_lib/waitlist.js';
+import { parseOptions } from './_lib/options.js';
+
+const [command, ...args] = process.argv.slice(2);
+
+async function stats() {
+  const counts = await waitlistCounts();
+  Object.entries(counts).forEach(([status, count]) => console.log(`${status.padEnd(14)} ${String(count).padStart(6)}`));
+}
+
+async function exportCsv(options) {
+  const csv = await exportWaitlist(options.status || 'confirmed');
+  if (!options.out) {
+    process.stdout.write(csv);
+    return;
+  }
+  writeFileSync(options.out, csv);
+  console.log(`Wrote ${csv.trimEnd().split('\n').length - 1} signups to ${options.out}`);
+}
+
+try {
+  if (command === 'stats') await stats();
+  else if (command === 'export') await exportCsv(parseOptions(args));
+  else {
+    console.error('Usage: node scripts/waitlist.js stats|export (see the header of this file)');
+    process.exit(1);
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
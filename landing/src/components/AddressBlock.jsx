@@ -0,0 +1,142 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { Copy, Check, QrCode, ExternalLink, PlusCircle, AlertTriangle } from 'lucide-react';
+import { useWallet } from '../context/wallet';
+import { useI18n } from '../context/i18n';
+import { useManifest } from '../context/manifest';
+import { checksumStatus, toChecksumAddress, toPaymentUri } from '../lib/address';
+import { copyText, selectContents } from '../lib/clipboard';
+import { encodeQr, qrPath } from '../lib/qr';
+import { HYPEREVM } from '../config';
+
+const TOAST_MS = 2500;
+
+/**
+ * Terminal-style address display with checksum validation, copy feedback,
+ * explorer link and optional payment QR / add-token actions. The address
+ * is withheld until the signed manifest it comes from has verified.
+ *
+ * - `qr`: show an EIP-681 payment QR pinned to the chain (payment addresses only)
+ * - `token`: { symbol, decimals } to offer wallet_watchAsset for this contract
+ */
+const AddressBlock = ({ label, address, secondary = false, qr = false, token = null }) => {
+  const { provider, connect } = useWallet();
+  const { t } = useI18n();
+  const manifest = useManifest();
+  const [toast, setToast] = useState(null);
+  const [showQr, setShowQr] = useState(false);
+  const codeRef = useRef(null);
+  const timer = useRef(null);
+
+  const status = checksumStatus(address);
+  const display = status === 'invalid' ? address : toChecksumAddress(address);
+  const explorerUrl = `${HYPEREVM.explorerUrl}/${token ? 'token' : 'address'}/${display}`;
+
+  const qrData = useMemo(() => {
+    if (!qr || status === 'invalid') return null;
+    const uri = toPaymentUri(address, HYPEREVM.chainId);
+    const modules = encodeQr(uri);
+    return { uri, path: qrPath(modules), size: modules.length + 8 };
+  }, [qr, status, address]);
+
+  useEffect(() => () => clearTimeout(timer.current), []);
+
+  const notify = (kind, message) => {
+    clearTimeout(timer.current);
+    setToast({ kind, message });
+    timer.current = setTimeout(() => setToast(null), TOAST_MS);
+  };
+
+  const copy = async () => {
+    if (await copyText(display)) {
+      notify('success', t('address.copied'));
+    } else {
+      selectContents(codeRef.current);
+      notify('error', t('address.copyBlocked'));
+    }
+  };
+
+  const watchAsset = async () => {
+    if (!provider) {
+      connect();
+      notify('error', t('address.connectFirst'));
+      return;
+    }
+    try {
+      const added = await provider.request({
+        method: 'wallet_watchAsset',
+        params: { type: 'ERC20', options: { address: display, symbol: token.symbol, decimals: token.decimals } },
+      });
+      notify(added ? 'success' : 'error', added ? t('address.tokenAdded', { symbol: token.symbol }) : t('address.declined'));
+    } catch (error) {
+      notify('error', error?.message || t('address.rejected'));
+    }
+  };
+
+  if (!manifest.verified) {
+    return (
+      <div className={`terminal-block ${secondary ? 'secondary' : ''}`}>
+        <span className="terminal-label">{label}</span>
+        <div className="terminal-address withheld">
+          <span>{t(manifest.status === 'invalid' ? 'manifest.withheld' : 'manifest.verifying')}</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`terminal-block ${secondary ? 'secondary' : ''}`}>
+      <span className="terminal-label">{label}</span>
+
+      <div className="terminal-address">
+        <code ref={codeRef}>{display}</code>
+        <div className="address-actions">
+          {qrData && (
+            <button
+              type="button"
+              className={`copy-btn ${showQr ? 'active' : ''}`}
+              onClick={() => setShowQr(!showQr)}
+              aria-label={t('address.showQr')}
+              aria-expanded={showQr}
+            >
+              <QrCode size={14} aria-hidden="true" />
+            </button>
+          )}
+          <a className="copy-btn" href={explorerUrl} target="_blank" rel="noreferrer" aria-label={t('address.explorer')}>
+            <ExternalLink size={14} aria-hidden="true" />
+          </a>
+          <button type="button" className="copy-btn" onClick={copy} disabled={status === 'invalid'} aria-label={t('address.copy', { label })}>
+            {toast?.kind === 'success' ? <Check size={14} aria-hidden="true" /> : <Copy size={14} aria-hidden="true" />}
+          </button>
+        </div>
+      </div>
+
+      <div className={`address-checksum ${status}`}>
+        {status === 'invalid'
+          ? <><AlertTriangle size={12} aria-hidden="true" /> {t('address.mismatch')}</>
+          : <><Check size={12} aria-hidden="true" /> {t(status === 'valid' ? 'address.verified' : 'address.applied')} · {HYPEREVM.name.toUpperCase()} ({HYPEREVM.chainId})</>}
+      </div>
+
+      {showQr && qrData && (
+        <div className="address-qr">
+          <svg viewBox={`0 0 ${qrData.size} ${qrData.size}`} role="img" aria-label={t('address.qrLabel', { uri: qrData.uri })} shapeRendering="crispEdges">
+            <rect width={qrData.size} height={qrData.size} fill="#FFF" />
+            <path d={qrData.path} fill="#000" />
+          </svg>
+          <span>{qrData.uri}</span>
+        </div>
+      )}
+
+      {token && (
+        <button type="button" className="address-watch" onClick={watchAsset}>
+          <PlusCircle size={14} aria-hidden="true" /> {t('address.addToken', { symbol: token.symbol })}
+        </button>
+      )}
+
+      <div className={`address-toast ${toast ? `visible ${toast.kind}` : ''}`} role="status" aria-live="polite">
+        {toast?.message}
+      </div>
+    </div>
+  );
+};
+
+export default AddressBlock;
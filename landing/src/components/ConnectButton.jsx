@@ -0,0 +1,46 @@
+import { Unplug } from 'lucide-react';
+import { useWallet } from '../context/wallet';
+import { useI18n } from '../context/i18n';
+import { shortAddress } from '../lib/address';
+
+const WalletStatus = () => {
+  const { account, chain, isCorrectChain, switchNetwork, disconnect } = useWallet();
+  const { t } = useI18n();
+
+  return (
+    <div className="wallet-status">
+      {isCorrectChain ? (
+        <span className="wallet-network">
+          <span className="network-dot"></span>
+          {chain.name}
+        </span>
+      ) : (
+        <button className="wallet-network wrong" onClick={switchNetwork}>
+          {t('wallet.switchTo', { chain: chain.name })}
+        </button>
+      )}
+      <code className="wallet-address" title={account}>{shortAddress(account)}</code>
+      <button type="button" className="wallet-disconnect" onClick={disconnect} aria-label={t('wallet.disconnect')}>
+        <Unplug size={14} aria-hidden="true" />
+      </button>
+    </div>
+  );
+};
+
+const ConnectButton = ({ label, className = 'btn btn-primary', showError = false }) => {
+  const { isConnected, status, error, connect } = useWallet();
+  const { t } = useI18n();
+
+  if (isConnected) return <WalletStatus />;
+
+  return (
+    <>
+      <button className={className} onClick={connect} disabled={status === 'connecting'}>
+        {status === 'connecting' ? t('wallet.connecting') : (label || t('wallet.connect'))}
+      </button>
+      {showError && error && <p className="wallet-error">{error}</p>}
+    </>
+  );
+};
+
+export default ConnectButton;
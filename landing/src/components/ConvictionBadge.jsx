@@ -0,0 +1,73 @@
+import { useState } from 'react';
+import { Download, Share2, Link2, Check } from 'lucide-react';
+import { useI18n } from '../context/i18n';
+import { badgeContent, drawBadge, canvasToBlob, shareImage } from '../lib/badge';
+import { copyText } from '../lib/clipboard';
+import { BLT_TOKEN } from '../config';
+
+/**
+ * The score card for an address, with actions to share it as an image
+ * or as a link to its dashboard.
+ */
+const ConvictionBadge = ({ address, result, shareUrl }) => {
+  const { t } = useI18n();
+  const [notice, setNotice] = useState(null);
+  const canShareFiles = typeof navigator !== 'undefined' && Boolean(navigator.canShare);
+
+  const renderImage = () => {
+    const canvas = document.createElement('canvas');
+    drawBadge(canvas, badgeContent(result, { address, token: BLT_TOKEN, site: window.location.host.toUpperCase() }));
+    return canvasToBlob(canvas);
+  };
+
+  const share = async () => {
+    setNotice(null);
+    try {
+      const outcome = await shareImage(await renderImage(), {
+        filename: `believe-conviction-${address.slice(2, 10).toLowerCase()}.png`,
+        title: t('believer.shareTitle'),
+        text: t('believer.shareText', { score: result.score, level: t(`believer.levels.${result.level.id}`) }),
+        url: shareUrl,
+      });
+      if (outcome === 'downloaded') setNotice({ ok: true, text: t('believer.downloaded') });
+    } catch (error) {
+      setNotice({ ok: false, text: error.message });
+    }
+  };
+
+  const copyLink = async () => {
+    const copied = await copyText(shareUrl);
+    setNotice({ ok: copied, text: copied ? t('believer.linkCopied') : t('believer.copyFailed') });
+  };
+
+  return (
+    <div className={`conviction-badge level-${result.level.id}`}>
+      <span className="terminal-label">{t('believer.score')}</span>
+      <div className="conviction-score">
+        <strong>{result.score}</strong>
+        <span>/100</span>
+      </div>
+      <div className="conviction-meter" role="meter" aria-valuemin={0} aria-valuemax={100} aria-valuenow={result.score} aria-label={t('believer.score')}>
+        <span style={{ width: `${result.score}%` }}></span>
+      </div>
+      <p className="conviction-level">{t(`believer.levels.${result.level.id}`)}</p>
+
+      <div className="conviction-actions">
+        <button type="button" className="btn btn-primary" onClick={share}>
+          {canShareFiles ? <Share2 size={14} aria-hidden="true" /> : <Download size={14} aria-hidden="true" />}
+          {canShareFiles ? t('believer.shareImage') : t('believer.downloadImage')}
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={copyLink}>
+          <Link2 size={14} aria-hidden="true" /> {t('believer.copyLink')}
+        </button>
+      </div>
+      {notice && (
+        <p className={`conviction-notice ${notice.ok ? '' : 'failed'}`} role="status">
+          {notice.ok && <Check size={12} aria-hidden="true" />} {notice.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ConvictionBadge;
@@ -0,0 +1,101 @@
+import { useState } from 'react';
+import { Search, ShieldCheck, AlertTriangle } from 'lucide-react';
+import { useWallet } from '../context/wallet';
+import { useI18n } from '../context/i18n';
+import { checkEligibility } from '../lib/airdrop';
+import { isAddress } from '../lib/address';
+import { formatTokenAmount } from '../lib/format';
+import { formatCap } from '../lib/milestones';
+import { AIRDROP_BASE_URL, AIRDROP_MERKLE_ROOT, BLT_TOKEN } from '../config';
+
+const EligibilityChecker = ({ tiers }) => {
+  const { account } = useWallet();
+  const { t, intl } = useI18n();
+  const [input, setInput] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const address = input.trim() || account || '';
+  const valid = isAddress(address);
+
+  const check = async (event) => {
+    event.preventDefault();
+    if (!valid) return;
+
+    setStatus('checking');
+    setError(null);
+    try {
+      setResult(await checkEligibility({
+        baseUrl: AIRDROP_BASE_URL,
+        address,
+        pinnedRoot: AIRDROP_MERKLE_ROOT,
+      }));
+      setStatus('done');
+    } catch (checkError) {
+      setError(checkError.message);
+      setStatus('error');
+    }
+  };
+
+  return (
+    <div className="eligibility-checker">
+      <span className="terminal-label">ELIGIBILITY_CHECK</span>
+
+      <form className="eligibility-form" onSubmit={check}>
+        <input
+          value={input}
+          placeholder={account || t('eligibility.placeholder')}
+          onChange={(event) => setInput(event.target.value)}
+          spellCheck={false}
+          aria-label={t('eligibility.inputLabel')}
+        />
+        <button className="btn btn-primary" type="submit" disabled={!valid || status === 'checking'}>
+          <Search size={14} /> {status === 'checking' ? t('eligibility.checking') : t('eligibility.check')}
+        </button>
+      </form>
+
+      {input && !valid && <p className="eligibility-note">{t('eligibility.invalid')}</p>}
+
+      {status === 'error' && (
+        <p className="eligibility-note failed"><AlertTriangle size={14} /> {error}</p>
+      )}
+
+      {status === 'done' && !result.listed && (
+        <p className="eligibility-note">
+          {t('eligibility.notListed', { count: new Intl.NumberFormat(intl).format(result.meta.count) })}
+        </p>
+      )}
+
+      {status === 'done' && result.listed && !result.verified && (
+        <p className="eligibility-note failed">
+          <AlertTriangle size={14} /> {t('eligibility.mismatch')}
+        </p>
+      )}
+
+      {status === 'done' && result.verified && (
+        <>
+          <p className="eligibility-note verified">
+            <ShieldCheck size={14} /> {t('eligibility.verified', { root: `${result.meta.root.slice(0, 10)}…${result.meta.root.slice(-6)}` })}
+          </p>
+          <div className="eligibility-table">
+            {tiers.map((tier) => {
+              const amount = result.amounts[result.meta.targets.indexOf(tier.id)] ?? 0n;
+              return (
+                <div key={tier.id} className={`eligibility-row ${amount > 0n ? 'allocated' : ''}`}>
+                  <span className="col cap">{formatCap(tier, intl)}</span>
+                  <span className="col tier">{tier.tier}</span>
+                  <span className="eligibility-amount">
+                    {formatTokenAmount(amount, result.meta.decimals, 2, intl)} {BLT_TOKEN.symbol}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EligibilityChecker;
@@ -0,0 +1,27 @@
+import { useRouter } from '../context/router';
+
+const isInternal = (href) => href.startsWith('/') && !href.startsWith('//');
+
+/**
+ * <a> that navigates in-app for same-site paths and behaves like a plain
+ * link for everything else (external URLs, new tabs, modifier clicks).
+ */
+const Link = ({ to, onClick, children, ...props }) => {
+  const { navigate } = useRouter();
+
+  const handleClick = (e) => {
+    onClick?.(e);
+    if (e.defaultPrevented || !isInternal(to)) return;
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey || props.target) return;
+    e.preventDefault();
+    navigate(to);
+  };
+
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  );
+};
+
+export default Link;
@@ -0,0 +1,19 @@
+import { Globe } from 'lucide-react';
+import { useI18n } from '../context/i18n';
+
+const LocaleSwitcher = () => {
+  const { locale, locales, setLocale, t } = useI18n();
+
+  return (
+    <label className="locale-switcher">
+      <Globe size={14} aria-hidden="true" />
+      <select value={locale} onChange={(event) => setLocale(event.target.value)} aria-label={t('locale.label')}>
+        {locales.map((option) => (
+          <option key={option.code} value={option.code} lang={option.code}>{option.name}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LocaleSwitcher;
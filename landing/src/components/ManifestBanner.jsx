@@ -0,0 +1,32 @@
+import { ShieldAlert } from 'lucide-react';
+import { useManifest } from '../context/manifest';
+import { useI18n } from '../context/i18n';
+import { MANIFEST } from '../config';
+
+/**
+ * Warning pinned to the bottom of every page when the address manifest
+ * fails its signature check or the site is served from a host the
+ * manifest does not list (a copy or a phishing clone). Not dismissible.
+ */
+const ManifestBanner = () => {
+  const { status, officialHost } = useManifest();
+  const { t, intl } = useI18n();
+
+  const invalid = status === 'invalid';
+  if (!invalid && officialHost) return null;
+
+  const hosts = new Intl.ListFormat(intl, { type: 'disjunction' }).format(MANIFEST.payload.hosts);
+
+  return (
+    <div className="manifest-banner" role="alert">
+      <ShieldAlert size={20} aria-hidden="true" />
+      <div>
+        <strong>{t('manifest.warning')}</strong>
+        {invalid && <p>{t('manifest.invalid')}</p>}
+        {!officialHost && <p>{t('manifest.unknownHost', { host: window.location.hostname, hosts })}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default ManifestBanner;
@@ -0,0 +1,118 @@
+import { Fragment } from 'react';
+import Link from './Link';
+import { useManifest } from '../context/manifest';
+import { useI18n } from '../context/i18n';
+import { manifestAddress } from '../lib/manifest';
+import { toChecksumAddress } from '../lib/address';
+import { MANIFEST } from '../config';
+
+// A `manifest:<field>` placeholder: withheld, like AddressBlock, until the
+// signed manifest has verified
+const ManifestAddress = ({ field }) => {
+  const { status, verified } = useManifest();
+  const { t } = useI18n();
+  const address = manifestAddress(MANIFEST.payload, field);
+
+  if (!verified || !address) {
+    return <code className="withheld">{t(status === 'verifying' ? 'manifest.verifying' : 'manifest.withheld')}</code>;
+  }
+  return <code>{toChecksumAddress(address)}</code>;
+};
+
+const Inline = ({ nodes }) => nodes.map((node, i) => {
+  switch (node.type) {
+    case 'strong':
+      return <strong key={i}><Inline nodes={node.children} /></strong>;
+    case 'em':
+      return <em key={i}><Inline nodes={node.children} /></em>;
+    case 'code':
+      return <code key={i}>{node.value}</code>;
+    case 'address':
+      return <ManifestAddress key={i} field={node.field} />;
+    case 'link':
+      if (node.href.startsWith('/')) return <Link key={i} to={node.href}><Inline nodes={node.children} /></Link>;
+      if (node.href.startsWith('#')) return <a key={i} href={node.href}><Inline nodes={node.children} /></a>;
+      return (
+        <a key={i} href={node.href} target="_blank" rel="noopener noreferrer">
+          <Inline nodes={node.children} />
+        </a>
+      );
+    default:
+      return <Fragment key={i}>{node.value}</Fragment>;
+  }
+});
+
+const alignClass = (align) => (align ? `align-${align}` : undefined);
+
+const Heading = ({ level, id, children }) => {
+  const Tag = `h${level}`;
+  return (
+    <Tag id={id}>
+      <Inline nodes={children} />
+      {level > 1 && <a className="heading-anchor" href={`#${id}`} aria-hidden="true" tabIndex={-1}>#</a>}
+    </Tag>
+  );
+};
+
+const Blocks = ({ blocks }) => blocks.map((block, i) => {
+  switch (block.type) {
+    case 'heading':
+      return <Heading key={i} {...block} />;
+    case 'code':
+      return <pre key={i} data-lang={block.lang || undefined}><code>{block.value}</code></pre>;
+    case 'rule':
+      return <hr key={i} />;
+    case 'quote':
+      return <blockquote key={i}><Blocks blocks={block.children} /></blockquote>;
+    case 'table':
+      return (
+        <div key={i} className="md-table">
+          <table>
+            <thead>
+              <tr>
+                {block.header.map((cell, c) => (
+                  <th key={c} className={alignClass(block.align[c])}><Inline nodes={cell} /></th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {block.rows.map((row, r) => (
+                <tr key={r}>
+                  {row.map((cell, c) => (
+                    <td key={c} className={alignClass(block.align[c])}><Inline nodes={cell} /></td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+    case 'list': {
+      const List = block.ordered ? 'ol' : 'ul';
+      return (
+        <List key={i} start={block.ordered && block.start !== 1 ? block.start : undefined}>
+          {block.items.map((item, n) => (
+            <li key={n}>
+              <Inline nodes={item.children} />
+              {item.nested.length > 0 && <Blocks blocks={item.nested} />}
+            </li>
+          ))}
+        </List>
+      );
+    }
+    default:
+      return <p key={i}><Inline nodes={block.children} /></p>;
+  }
+});
+
+/**
+ * Renders a tree from lib/markdown. Headings carry their ids and a
+ * hover anchor so any section can be linked to directly.
+ */
+const Markdown = ({ blocks, className = 'markdown' }) => (
+  <div className={className}>
+    <Blocks blocks={blocks} />
+  </div>
+);
+
+export default Markdown;
@@ -0,0 +1,114 @@
+import { useState, useEffect } from 'react';
+import { useMarketCap } from '../hooks/useMarketCap';
+import { useI18n } from '../context/i18n';
+import { usePwa } from '../context/pwa';
+import {
+  milestoneProgress,
+  recordCrossings,
+  loadObservedCrossings,
+  saveObservedCrossings,
+  formatUsdCompact,
+  formatCap,
+} from '../lib/milestones';
+import { formatUsd } from '../lib/format';
+import { MILESTONE_HISTORY } from '../data/ledger';
+
+const MilestoneLedger = ({ tiers }) => {
+  const { source, marketCapUsd, priceUsd, asOf } = useMarketCap();
+  const { t, intl } = useI18n();
+  const { cached: fromCache } = usePwa();
+  const cached = fromCache && source === 'live';
+  const [observed, setObserved] = useState({});
+
+  useEffect(() => setObserved(loadObservedCrossings()), []);
+
+  // Only live figures may record a first crossing, never cached ones
+  useEffect(() => {
+    if (source !== 'live' || cached) return;
+    setObserved((current) => {
+      const known = { ...MILESTONE_HISTORY, ...current };
+      const next = recordCrossings(tiers, marketCapUsd, known);
+      if (next === known) return current;
+
+      const added = Object.fromEntries(Object.entries(next).filter(([id]) => !known[id]));
+      const updated = { ...current, ...added };
+      saveObservedCrossings(updated);
+      return updated;
+    });
+  }, [tiers, source, cached, marketCapUsd]);
+
+  const history = { ...observed, ...MILESTONE_HISTORY };
+  const rows = milestoneProgress(tiers, marketCapUsd);
+  const crossings = rows.filter((row) => history[row.id]);
+
+  const formatDate = (date) => new Intl.DateTimeFormat(intl, { dateStyle: 'medium', timeZone: 'UTC' }).format(new Date(date));
+  const formatPercent = (value) => new Intl.NumberFormat(intl, {
+    style: 'percent',
+    maximumFractionDigits: value < 0.01 ? 2 : 1,
+  }).format(value);
+
+  return (
+    <>
+      <div className={`ledger-summary ${cached ? 'snapshot' : source}`}>
+        <div>
+          <span className="terminal-label">CURRENT_MARKET_CAP</span>
+          <strong>{formatUsdCompact(marketCapUsd, intl)}</strong>
+        </div>
+        <div>
+          <span className="terminal-label">BLT_PRICE</span>
+          <strong>{priceUsd ? formatUsd(priceUsd, intl) : '—'}</strong>
+        </div>
+        <div className="ledger-source">
+          <span className="status-dot"></span>
+          {cached ? t('pwa.offline') : t(`ledger.source.${source}`)}
+          {asOf && source !== 'live' && <span> · {t('ledger.asOf', { date: formatDate(asOf) })}</span>}
+        </div>
+      </div>
+
+      <div className="ledger-container">
+        <div className="ledger-header">
+          <div className="col">VALUATION_TARGET</div>
+          <div className="col">ALLOCATION_STATUS</div>
+          <div className="col">TIER</div>
+        </div>
+        {rows.map((item) => (
+          <div key={item.id} className={`ledger-row ${item.reached ? 'reached' : ''}`}>
+            <div className="col cap">{formatCap(item, intl)}</div>
+            <div className="col reward">
+              {item.reward}
+              <div
+                className="ledger-progress"
+                role="progressbar"
+                aria-label={t('ledger.progressLabel', { tier: item.tier })}
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={Math.round(item.progress * 100)}
+              >
+                <div className="ledger-progress-fill" style={{ width: `${item.progress * 100}%` }}></div>
+              </div>
+              <span className="ledger-progress-label">
+                {item.reached ? t('ledger.reached') : t('ledger.toTarget', { percent: formatPercent(item.progress) })}
+              </span>
+            </div>
+            <div className="col tier">{item.tier}</div>
+          </div>
+        ))}
+      </div>
+
+      {crossings.length > 0 && (
+        <div className="ledger-history">
+          <span className="terminal-label">MILESTONE_HISTORY</span>
+          {crossings.map((row) => (
+            <div key={row.id} className="ledger-history-item">
+              <span>{row.tier}</span>
+              <span>{t('ledger.firstCrossed', { cap: formatCap(row, intl), date: formatDate(history[row.id].crossedAt) })}</span>
+              <span>{t(history[row.id].observed ? 'ledger.observed' : 'ledger.published')}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default MilestoneLedger;
@@ -0,0 +1,27 @@
+import { Pause, Play } from 'lucide-react';
+import { useMotion } from '../context/motion';
+import { useI18n } from '../context/i18n';
+
+/**
+ * Pauses the page's ambient animations (marquee, typing tags, the genesis
+ * engine) regardless of the system setting, and resumes them.
+ */
+const MotionToggle = () => {
+  const { reduced, toggle } = useMotion();
+  const { t } = useI18n();
+
+  return (
+    <button
+      type="button"
+      className="motion-toggle"
+      onClick={toggle}
+      aria-pressed={reduced}
+      aria-label={t('motion.reduce')}
+      title={t(reduced ? 'motion.resume' : 'motion.pause')}
+    >
+      {reduced ? <Play size={14} aria-hidden="true" /> : <Pause size={14} aria-hidden="true" />}
+    </button>
+  );
+};
+
+export default MotionToggle;
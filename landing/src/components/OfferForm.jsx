@@ -0,0 +1,170 @@
+import { useState, useEffect } from 'react';
+import { PenLine } from 'lucide-react';
+import ConnectButton from './ConnectButton';
+import { useWallet } from '../context/wallet';
+import { useI18n } from '../context/i18n';
+import { otcApi } from '../hooks/useOtc';
+import { fromProvider } from '../lib/rpc';
+import { readBalanceOf } from '../lib/erc20';
+import { offerTypedData, offerTotal, findAsset, BLT_ASSET, OFFER_SIDES, MAX_EXPIRY_DAYS } from '../lib/otc';
+import { toSignRequest } from '../lib/eip712';
+import { parseUnits, formatTokenAmount } from '../lib/format';
+import { USER_REJECTED } from '../lib/wallet';
+import { BLT_TOKEN, PAYMENT_ASSETS } from '../config';
+
+const EXPIRY_DAYS = [1, 3, 7, 14, MAX_EXPIRY_DAYS];
+
+/**
+ * Signs and posts a new offer. The maker's balance of the leg they would
+ * send is shown here; the API checks it again against their open offers.
+ */
+const OfferForm = ({ onPosted }) => {
+  const { provider, account, chain, isConnected, isCorrectChain, switchNetwork } = useWallet();
+  const { t, intl } = useI18n();
+
+  const [side, setSide] = useState('sell');
+  const [symbol, setSymbol] = useState(PAYMENT_ASSETS[0].symbol);
+  const [amountText, setAmountText] = useState('');
+  const [priceText, setPriceText] = useState('');
+  const [days, setDays] = useState(7);
+  const [balance, setBalance] = useState(null);
+  const [step, setStep] = useState('idle');
+  const [message, setMessage] = useState(null);
+
+  const asset = findAsset(symbol);
+  const amount = parseUnits(amountText, BLT_TOKEN.decimals);
+  const price = parseUnits(priceText, asset.decimals);
+  const total = amount && price ? offerTotal({ amount, price }) : null;
+  const legAsset = side === 'sell' ? BLT_ASSET : asset;
+  const needed = side === 'sell' ? amount : total;
+
+  useEffect(() => {
+    if (!provider || !account || !isCorrectChain) {
+      setBalance(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const rpc = fromProvider(provider);
+    const read = legAsset.type === 'native'
+      ? rpc.getBalance(account)
+      : readBalanceOf(rpc, legAsset.address, account);
+
+    read
+      .then((value) => { if (!cancelled) setBalance(value); })
+      .catch(() => { if (!cancelled) setBalance(null); });
+
+    return () => { cancelled = true; };
+  }, [provider, account, isCorrectChain, legAsset.symbol, step]);
+
+  const insufficient = needed !== null && balance !== null && needed > balance;
+  const format = (value, target) => `${formatTokenAmount(value, target.decimals, 4, intl)} ${target.symbol}`;
+
+  const submit = async (event) => {
+    event.preventDefault();
+    setMessage(null);
+    setStep('signing');
+    const terms = {
+      maker: account,
+      side,
+      amount: amount.toString(),
+      asset: symbol,
+      price: price.toString(),
+      expiry: Math.floor(Date.now() / 1000) + days * 24 * 60 * 60,
+      nonce: Date.now(),
+    };
+
+    try {
+      const signature = await provider.request({
+        method: 'eth_signTypedData_v4',
+        params: [account, toSignRequest(offerTypedData(terms))],
+      });
+
+      setStep('submitting');
+      const { offer } = await otcApi.postOffer({ ...terms, signature });
+      setStep('done');
+      setAmountText('');
+      setPriceText('');
+      setMessage(t('otc.posted'));
+      onPosted(offer);
+    } catch (error) {
+      setStep('idle');
+      if (error?.code !== USER_REJECTED) setMessage(error.message);
+    }
+  };
+
+  const renderAction = () => {
+    if (!isConnected) return <ConnectButton label={t('wallet.connect')} className="btn btn-primary" />;
+    if (!isCorrectChain) {
+      return <button type="button" className="btn btn-primary" onClick={switchNetwork}>{t('wallet.switchTo', { chain: chain.name })}</button>;
+    }
+    const busy = step === 'signing' || step === 'submitting';
+    return (
+      <button type="submit" className="btn btn-primary" disabled={!total || insufficient || busy}>
+        <PenLine size={14} aria-hidden="true" />
+        {step === 'submitting' ? t('otc.submitting') : t('otc.signOffer')}
+      </button>
+    );
+  };
+
+  return (
+    <form className="otc-panel otc-form" onSubmit={submit}>
+      <h2 className="otc-panel-title">{t('otc.newOffer')}</h2>
+
+      <fieldset className="otc-sides" disabled={step === 'signing' || step === 'submitting'}>
+        <legend className="visually-hidden">{t('otc.sideLabel')}</legend>
+        {OFFER_SIDES.map((option) => (
+          <label key={option} className={`otc-side ${side === option ? 'selected' : ''}`}>
+            <input type="radio" name="otc-side" value={option} checked={side === option} onChange={() => setSide(option)} />
+            <span>{t(`otc.sides.${option}`)}</span>
+          </label>
+        ))}
+      </fieldset>
+
+      <label className="otc-field">
+        <span>{t('otc.amount')}</span>
+        <input inputMode="decimal" value={amountText} placeholder="0.0" onChange={(event) => setAmountText(event.target.value)} />
+      </label>
+
+      <label className="otc-field">
+        <span>{t('otc.asset')}</span>
+        <select value={symbol} onChange={(event) => setSymbol(event.target.value)}>
+          {PAYMENT_ASSETS.map((candidate) => <option key={candidate.symbol} value={candidate.symbol}>{candidate.symbol}</option>)}
+        </select>
+      </label>
+
+      <label className="otc-field">
+        <span>{t('otc.priceLabel', { symbol })}</span>
+        <input inputMode="decimal" value={priceText} placeholder="0.0" onChange={(event) => setPriceText(event.target.value)} />
+      </label>
+
+      <label className="otc-field">
+        <span>{t('otc.expiresIn')}</span>
+        <select value={days} onChange={(event) => setDays(Number(event.target.value))}>
+          {EXPIRY_DAYS.map((option) => <option key={option} value={option}>{t('otc.days', { count: option })}</option>)}
+        </select>
+      </label>
+
+      <dl className="otc-summary">
+        <div>
+          <dt>{t(side === 'sell' ? 'otc.youReceive' : 'otc.youPay')}</dt>
+          <dd>{total === null ? '—' : format(total, asset)}</dd>
+        </div>
+        {account && (
+          <div>
+            <dt>{t('otc.balance')}</dt>
+            <dd>{balance === null ? '…' : format(balance, legAsset)}</dd>
+          </div>
+        )}
+      </dl>
+      {insufficient && <p className="otc-note">{t('otc.insufficient', { symbol: legAsset.symbol })}</p>}
+      {step === 'signing' && <p className="otc-note">{t('otc.signing')}</p>}
+
+      <div className="otc-action">{renderAction()}</div>
+
+      {message && <p className={`otc-message ${step === 'done' ? 'success' : 'error'}`} role="status">{message}</p>}
+    </form>
+  );
+};
+
+export default OfferForm;
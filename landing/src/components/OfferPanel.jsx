@@ -0,0 +1,90 @@
+import { useState } from 'react';
+import { PenLine, X } from 'lucide-react';
+import ConnectButton from './ConnectButton';
+import { useWallet } from '../context/wallet';
+import { useI18n } from '../context/i18n';
+import { otcApi } from '../hooks/useOtc';
+import { acceptanceTypedData, cancellationTypedData, settlementLegs } from '../lib/otc';
+import { toSignRequest } from '../lib/eip712';
+import { formatTokenAmount } from '../lib/format';
+import { USER_REJECTED } from '../lib/wallet';
+
+/**
+ * Accept (anyone but the maker) or cancel (the maker only) an open
+ * offer. Both are signed messages; neither sends a transaction.
+ */
+const OfferPanel = ({ offer, onChange }) => {
+  const { provider, account, chain, isConnected, isCorrectChain, switchNetwork } = useWallet();
+  const { t, intl } = useI18n();
+  const [step, setStep] = useState('idle');
+  const [message, setMessage] = useState(null);
+
+  const isMaker = Boolean(account) && account.toLowerCase() === offer.maker.toLowerCase();
+  // What the connected wallet would send if it took the offer
+  const takerLeg = account && !isMaker && settlementLegs(offer, account).legs.find((leg) => leg.from === account);
+
+  const sign = async (action) => {
+    setMessage(null);
+    setStep('signing');
+    const timestamp = Math.floor(Date.now() / 1000);
+    const typedData = action === 'accept'
+      ? acceptanceTypedData({ offer: offer.id, taker: account, timestamp })
+      : cancellationTypedData({ offer: offer.id, timestamp });
+
+    try {
+      const signature = await provider.request({
+        method: 'eth_signTypedData_v4',
+        params: [account, toSignRequest(typedData)],
+      });
+
+      setStep('submitting');
+      const { offer: updated } = action === 'accept'
+        ? await otcApi.acceptOffer(offer.id, { taker: account, timestamp, signature })
+        : await otcApi.cancelOffer(offer.id, { timestamp, signature });
+      setStep('done');
+      onChange(updated);
+    } catch (error) {
+      setStep('idle');
+      if (error?.code !== USER_REJECTED) setMessage(error.message);
+    }
+  };
+
+  const renderAction = () => {
+    if (!isConnected) return <ConnectButton label={t('wallet.connect')} className="btn btn-primary" />;
+    if (!isCorrectChain) {
+      return <button type="button" className="btn btn-primary" onClick={switchNetwork}>{t('wallet.switchTo', { chain: chain.name })}</button>;
+    }
+    const busy = step === 'signing' || step === 'submitting';
+    if (isMaker) {
+      return (
+        <button type="button" className="btn btn-secondary" onClick={() => sign('cancel')} disabled={busy}>
+          <X size={14} aria-hidden="true" /> {step === 'submitting' ? t('otc.submitting') : t('otc.cancel')}
+        </button>
+      );
+    }
+    return (
+      <button type="button" className="btn btn-primary" onClick={() => sign('accept')} disabled={busy}>
+        <PenLine size={14} aria-hidden="true" /> {step === 'submitting' ? t('otc.submitting') : t('otc.accept')}
+      </button>
+    );
+  };
+
+  return (
+    <div className="otc-panel">
+      <h2 className="otc-panel-title">{t(isMaker ? 'otc.yourOffer' : 'otc.takeOffer')}</h2>
+      {takerLeg && (
+        <p className="otc-note">
+          {t('otc.takerCommits', { amount: `${formatTokenAmount(takerLeg.amount, takerLeg.asset.decimals, 4, intl)} ${takerLeg.asset.symbol}` })}
+        </p>
+      )}
+      <p className="otc-note">{t(isMaker ? 'otc.cancelNote' : 'otc.acceptNote')}</p>
+      {step === 'signing' && <p className="otc-note">{t('otc.signing')}</p>}
+
+      <div className="otc-action">{renderAction()}</div>
+
+      {message && <p className="otc-message error" role="status">{message}</p>}
+    </div>
+  );
+};
+
+export default OfferPanel;
@@ -0,0 +1,22 @@
+import { WifiOff } from 'lucide-react';
+import { usePwa } from '../context/pwa';
+import { useI18n } from '../context/i18n';
+
+/**
+ * Marks live figures while the service worker answers reads from its
+ * cache, when they are the last values it kept.
+ */
+const OfflineNotice = () => {
+  const { cached } = usePwa();
+  const { t } = useI18n();
+
+  if (!cached) return null;
+
+  return (
+    <p className="offline-notice">
+      <WifiOff size={12} aria-hidden="true" /> {t('pwa.offline')}
+    </p>
+  );
+};
+
+export default OfflineNotice;
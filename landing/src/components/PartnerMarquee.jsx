@@ -0,0 +1,70 @@
+import { useState, useEffect, useRef } from 'react';
+import Link from './Link';
+import { useI18n } from '../context/i18n';
+import { PARTNERS, ECOSYSTEM_PATH } from '../content/partners';
+
+const PartnerMark = ({ partner }) => (
+  <img className="partner-logo" src={partner.logo} alt="" width={16} height={16} loading="lazy" />
+);
+
+/**
+ * Endless scroll of the partner registry. The list is repeated until the
+ * copies overfill the track, so the loop has no gap however short the
+ * registry or wide the screen; the animation moves by exactly one copy.
+ * Hover or keyboard focus pauses it.
+ */
+const PartnerMarquee = ({ label }) => {
+  const { t } = useI18n();
+  const trackRef = useRef(null);
+  const groupRef = useRef(null);
+  const [copies, setCopies] = useState(2);
+
+  useEffect(() => {
+    const measure = () => {
+      const track = trackRef.current?.offsetWidth;
+      const group = groupRef.current?.offsetWidth;
+      if (track && group) setCopies(Math.max(2, Math.ceil(track / group) + 1));
+    };
+    measure();
+
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(measure);
+    observer.observe(trackRef.current);
+    observer.observe(groupRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  return (
+    <div className="partners-marquee-container">
+      <div className="partners-label">
+        <span id="partners-label">{label}</span>
+        <Link className="partners-all" to={ECOSYSTEM_PATH}>{t('ecosystem.viewAll')}</Link>
+      </div>
+      <div ref={trackRef} className="partners-marquee">
+        <div className="marquee-content" style={{ '--marquee-copies': copies }}>
+          {/* Screen readers and the keyboard get the first copy only */}
+          {Array.from({ length: copies }, (_, copy) => (
+            <ul
+              key={copy}
+              ref={copy === 0 ? groupRef : undefined}
+              className="marquee-group"
+              aria-labelledby={copy ? undefined : 'partners-label'}
+              aria-hidden={copy > 0 || undefined}
+            >
+              {PARTNERS.map((partner) => (
+                <li key={partner.id} className="partner-item">
+                  <Link to={`${ECOSYSTEM_PATH}#${partner.id}`} tabIndex={copy ? -1 : undefined}>
+                    <PartnerMark partner={partner} />
+                    {partner.name}
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PartnerMarquee;
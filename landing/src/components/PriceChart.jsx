@@ -0,0 +1,230 @@
+import { useState, useMemo } from 'react';
+import { usePriceHistory, useUsdRates } from '../hooks/usePriceHistory';
+import { useI18n } from '../context/i18n';
+import OfflineNotice from './OfflineNotice';
+import { CHART_RANGES, convertCandles } from '../lib/swaps';
+import { formatUsd } from '../lib/format';
+import { BLT_TOKEN, DEX_POOL, PAYMENT_ASSETS, REFERENCE_PRICE_MICROS } from '../config';
+
+const REFERENCE_PRICE = Number(REFERENCE_PRICE_MICROS) / 1e6;
+
+// Stablecoin quotes count as USD and need no conversion
+const QUOTE_IS_STABLE = PAYMENT_ASSETS.some((asset) => asset.symbol === DEX_POOL.quoteSymbol && asset.type === 'erc20');
+
+// Each candle takes this many viewBox units; the SVG stretches to fit
+const SLOT = 10;
+const HEIGHT = 100;
+const TICKS = 4;
+
+/**
+ * Y axis bounds covering every candle, and the reference price when it
+ * can be shown, with a little headroom.
+ */
+function priceScale(candles, reference) {
+  const values = candles.flatMap((candle) => [candle.high, candle.low]);
+  if (reference !== null) values.push(reference);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const pad = (max - min || max || 1) * 0.08;
+  const low = Math.max(0, min - pad);
+  const high = max + pad;
+  return { low, high, y: (value) => HEIGHT - ((value - low) / (high - low)) * HEIGHT };
+}
+
+/**
+ * BLT price candles from the DEX pool's swaps, with the reference price
+ * marked. Pool prices are in the quote asset. Stablecoins count at $1;
+ * other quotes are converted with the quote's USD price history, each
+ * candle at its own period's rate. Without that history the chart stays
+ * in the quote asset and the (USD) reference price is left out.
+ * Pointer, touch and arrow keys pick the candle shown in the tooltip.
+ */
+const PriceChart = () => {
+  const { t, intl } = useI18n();
+  const [range, setRange] = useState('1W');
+  const [active, setActive] = useState(null);
+  const { history, status } = usePriceHistory(range);
+  const rates = useUsdRates(history, QUOTE_IS_STABLE ? null : DEX_POOL.quoteSymbol);
+
+  const usdCandles = useMemo(() => {
+    if (!history?.candles) return null;
+    if (QUOTE_IS_STABLE) return history.candles;
+    return rates && convertCandles(history.candles, history.interval, rates);
+  }, [history, rates]);
+  const inUsd = Boolean(usdCandles);
+  const candles = usdCandles || history?.candles || [];
+
+  const formatPrice = (value) => (inUsd
+    ? formatUsd(value, intl)
+    : `${new Intl.NumberFormat(intl, { maximumSignificantDigits: 4 }).format(value)} ${DEX_POOL.quoteSymbol}`);
+
+  const reference = inUsd ? REFERENCE_PRICE : null;
+  const scale = candles.length ? priceScale(candles, reference) : null;
+  const width = candles.length * SLOT;
+  const percent = (value) => `${(scale.y(value) / HEIGHT) * 100}%`;
+
+  const timeFormat = new Intl.DateTimeFormat(intl, history?.interval < 24 * 60 * 60
+    ? { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+    : { year: 'numeric', month: 'short', day: 'numeric' });
+  const formatTime = (candle) => timeFormat.format(new Date(candle.time * 1000));
+
+  const chooseRange = (option) => {
+    setRange(option);
+    setActive(null);
+  };
+
+  const pick = (event) => {
+    // The price axis sits beside the candles, so measure the SVG itself
+    const box = event.currentTarget.querySelector('svg').getBoundingClientRect();
+    const index = Math.floor(((event.clientX - box.left) / box.width) * candles.length);
+    setActive(Math.min(candles.length - 1, Math.max(0, index)));
+  };
+
+  const onKeyDown = (event) => {
+    const last = candles.length - 1;
+    const step = { ArrowLeft: -1, ArrowRight: 1 }[event.key];
+    if (step !== undefined) {
+      event.preventDefault();
+      // Arrows follow the time axis, which stays left-to-right in every locale
+      setActive((current) => (current === null ? last : Math.min(last, Math.max(0, current + step))));
+    } else if (event.key === 'Home' || event.key === 'End') {
+      event.preventDefault();
+      setActive(event.key === 'Home' ? 0 : last);
+    } else if (event.key === 'Escape') {
+      setActive(null);
+    }
+  };
+
+  const first = candles[0];
+  const last = candles[candles.length - 1];
+  const shown = candles[active] || null;
+  const change = first && first.open ? (last.close - first.open) / first.open : null;
+
+  let body;
+  if (status === 'loading' && !candles.length) body = <p className="price-chart-empty">{t('priceChart.loading')}</p>;
+  else if (!candles.length) body = <p className="price-chart-empty">{t('priceChart.unavailable')}</p>;
+  else {
+    const ticks = Array.from({ length: TICKS }, (_, i) => scale.low + ((scale.high - scale.low) * (i + 0.5)) / TICKS);
+    body = (
+      <>
+        <div
+          className="price-chart-plot"
+          role="group"
+          tabIndex={0}
+          aria-roledescription={t('priceChart.roledescription')}
+          aria-label={t('priceChart.summary', {
+            range: t(`priceChart.ranges.${range}`),
+            open: formatPrice(first.open),
+            close: formatPrice(last.close),
+            high: formatPrice(Math.max(...candles.map((candle) => candle.high))),
+            low: formatPrice(Math.min(...candles.map((candle) => candle.low))),
+          })}
+          onPointerMove={pick}
+          onPointerDown={pick}
+          onPointerLeave={(event) => { if (event.pointerType === 'mouse') setActive(null); }}
+          onKeyDown={onKeyDown}
+          onBlur={() => setActive(null)}
+        >
+          <svg viewBox={`0 0 ${width} ${HEIGHT}`} preserveAspectRatio="none" aria-hidden="true" focusable="false">
+            {ticks.map((tick) => <line key={tick} className="price-chart-grid" x1={0} x2={width} y1={scale.y(tick)} y2={scale.y(tick)} />)}
+            {reference !== null && (
+              <line className="price-chart-reference" x1={0} x2={width} y1={scale.y(reference)} y2={scale.y(reference)} />
+            )}
+            {candles.map((candle, i) => {
+              const x = i * SLOT + SLOT / 2;
+              const top = scale.y(Math.max(candle.open, candle.close));
+              const bottom = scale.y(Math.min(candle.open, candle.close));
+              return (
+                <g key={candle.time} className={`candle ${candle.close < candle.open ? 'down' : 'up'}${i === active ? ' active' : ''}`}>
+                  <line x1={x} x2={x} y1={scale.y(candle.high)} y2={scale.y(candle.low)} />
+                  <rect x={x - SLOT * 0.3} width={SLOT * 0.6} y={top} height={Math.max(bottom - top, 0.8)} />
+                </g>
+              );
+            })}
+            {shown && <line className="price-chart-cursor" x1={active * SLOT + SLOT / 2} x2={active * SLOT + SLOT / 2} y1={0} y2={HEIGHT} />}
+          </svg>
+
+          <div className="price-chart-axis" aria-hidden="true">
+            {ticks.map((tick) => <span key={tick} style={{ top: percent(tick) }}>{formatPrice(tick)}</span>)}
+          </div>
+          {reference !== null && (
+            <span className="price-chart-reference-label" style={{ top: percent(reference) }}>
+              {t('priceChart.reference', { price: formatUsd(reference, intl) })}
+            </span>
+          )}
+
+          {shown && (
+            <div
+              className={`price-chart-tooltip${active > candles.length / 2 ? ' left' : ''}`}
+              style={{ '--x': (active + 0.5) / candles.length }}
+              role="status"
+            >
+              <strong>{formatTime(shown)}</strong>
+              <dl>
+                {['open', 'high', 'low', 'close'].map((field) => (
+                  <div key={field}>
+                    <dt>{t(`priceChart.${field}`)}</dt>
+                    <dd>{formatPrice(shown[field])}</dd>
+                  </div>
+                ))}
+                <div>
+                  <dt>{t('priceChart.volume')}</dt>
+                  <dd>{new Intl.NumberFormat(intl, { notation: 'compact' }).format(shown.volume)} {BLT_TOKEN.symbol}</dd>
+                </div>
+                <div>
+                  <dt>{t('priceChart.trades')}</dt>
+                  <dd>{shown.trades}</dd>
+                </div>
+              </dl>
+            </div>
+          )}
+        </div>
+
+        <div className="price-chart-times" aria-hidden="true">
+          <span>{formatTime(first)}</span>
+          <span>{formatTime(last)}</span>
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <div className="price-chart">
+      <div className="price-chart-header">
+        <div>
+          <span className="terminal-label">PRICE_HISTORY</span>
+          {last && (
+            <p className="price-chart-last">
+              <strong>{formatPrice(last.close)}</strong>
+              {change !== null && (
+                <span className={change < 0 ? 'down' : 'up'}>
+                  {new Intl.NumberFormat(intl, { style: 'percent', maximumFractionDigits: 1, signDisplay: 'exceptZero' }).format(change)}
+                </span>
+              )}
+            </p>
+          )}
+        </div>
+        <div className="price-chart-ranges" role="group" aria-label={t('priceChart.rangeLabel')}>
+          {Object.keys(CHART_RANGES).map((option) => (
+            <button key={option} type="button" aria-pressed={option === range} onClick={() => chooseRange(option)}>
+              {t(`priceChart.ranges.${option}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {candles.length > 0 && <OfflineNotice />}
+      {body}
+
+      {candles.length > 0 && (
+        <p className="price-chart-note">
+          {QUOTE_IS_STABLE && t('priceChart.source')}
+          {!QUOTE_IS_STABLE && t(inUsd ? 'priceChart.converted' : 'priceChart.inQuote', { symbol: DEX_POOL.quoteSymbol })}
+          {history?.stale && ` ${t('priceChart.stale')}`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PriceChart;
@@ -0,0 +1,115 @@
+import { useState, useMemo } from 'react';
+import { usePoolLiquidity } from '../hooks/usePoolLiquidity';
+import { useAssetPrices } from '../hooks/useAssetPrices';
+import { useI18n } from '../context/i18n';
+import OfflineNotice from './OfflineNotice';
+import { compareOrder, breakEven } from '../lib/priceImpact';
+import { spotPrice } from '../lib/pool';
+import { formatUsd } from '../lib/format';
+import { BLT_TOKEN, DEX_POOL, PAYMENT_ASSETS, REFERENCE_PRICE_MICROS } from '../config';
+
+const REFERENCE_PRICE = Number(REFERENCE_PRICE_MICROS) / 1e6;
+
+const QUOTE_IS_STABLE = PAYMENT_ASSETS.some((asset) => asset.symbol === DEX_POOL.quoteSymbol && asset.type === 'erc20');
+
+const DEFAULT_ORDER_USD = '1000';
+
+const BreakEven = ({ point }) => {
+  const { t, intl } = useI18n();
+
+  if (point === null) return t('priceImpact.breakEven.never');
+  if (point.usd === 0) return t('priceImpact.breakEven.always');
+  const usd = new Intl.NumberFormat(intl, { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(Math.floor(point.usd));
+  return t(`priceImpact.breakEven.${point.reason}`, { usd });
+};
+
+/**
+ * What a USD order would get on the DEX against a direct allocation at
+ * the reference price, from the pool's current reserves or tick
+ * liquidity. Hidden when no pool is configured.
+ */
+const PriceImpactEstimator = () => {
+  const { t, intl } = useI18n();
+  const [usdText, setUsdText] = useState(DEFAULT_ORDER_USD);
+  const { pool, ticks, error } = usePoolLiquidity();
+  const { prices } = useAssetPrices();
+
+  const quoteUsd = Number(prices[DEX_POOL.quoteSymbol]) || null;
+  const market = pool && quoteUsd
+    ? { state: pool, ticks, baseToken: BLT_TOKEN.address, quoteUsd, referencePrice: REFERENCE_PRICE }
+    : null;
+  const point = useMemo(() => market && breakEven(market), [pool, ticks, quoteUsd]);
+
+  if (!DEX_POOL.address) return null;
+
+  const usd = Number(usdText);
+  const order = market && usd > 0 ? compareOrder({ ...market, usd }) : null;
+  const blt = (value) => `${new Intl.NumberFormat(intl, { maximumFractionDigits: 0 }).format(value)} ${BLT_TOKEN.symbol}`;
+
+  let verdict = null;
+  if (order?.dex.exhausted) verdict = t('priceImpact.exhausted');
+  else if (order) {
+    verdict = t(`priceImpact.cheaper.${order.recommended}`, {
+      difference: blt(Math.abs(order.direct - order.dex.received)),
+    });
+  }
+
+  let body;
+  if (!pool) body = <p className="price-impact-note">{t(error ? 'priceImpact.unavailable' : 'priceImpact.loading')}</p>;
+  else if (!quoteUsd) body = <p className="price-impact-note">{t('priceImpact.waitingPrice', { symbol: DEX_POOL.quoteSymbol })}</p>;
+  else {
+    body = (
+      <>
+        {order && (
+          <dl className="price-impact-figures">
+            <div>
+              <dt>{t('priceImpact.dexPrice')}</dt>
+              <dd>{order.dex.exhausted ? '—' : formatUsd(order.dex.priceUsd, intl)}</dd>
+            </div>
+            <div>
+              <dt>{t('priceImpact.impact')}</dt>
+              <dd>
+                {order.dex.exhausted
+                  ? '—'
+                  : new Intl.NumberFormat(intl, { style: 'percent', maximumFractionDigits: 2 }).format(order.dex.impact)}
+              </dd>
+            </div>
+            <div>
+              <dt>{t('priceImpact.viaDex')}</dt>
+              <dd>{order.dex.exhausted ? '—' : blt(order.dex.received)}</dd>
+            </div>
+            <div>
+              <dt>{t('priceImpact.viaDirect')}</dt>
+              <dd>{blt(order.direct)}</dd>
+            </div>
+          </dl>
+        )}
+        <p className={`price-impact-verdict${order ? ` ${order.recommended}` : ''}`} role="status">{verdict}</p>
+        <p className="price-impact-note">
+          <BreakEven point={point} />{' '}
+          {t('priceImpact.method', { spot: formatUsd(spotPrice(pool, BLT_TOKEN.address) * quoteUsd, intl) })}
+          {!QUOTE_IS_STABLE && ` ${t('priceImpact.converted', { symbol: DEX_POOL.quoteSymbol, price: formatUsd(quoteUsd, intl) })}`}
+        </p>
+      </>
+    );
+  }
+
+  return (
+    <div className="purchase-flow price-impact">
+      <span className="terminal-label">ORDER_SIZE_ESTIMATOR</span>
+      {pool && <OfflineNotice />}
+      <label className="purchase-field">
+        <span className="terminal-label">{t('priceImpact.amount')}</span>
+        <input
+          inputMode="decimal"
+          placeholder={DEFAULT_ORDER_USD}
+          value={usdText}
+          onChange={(event) => setUsdText(event.target.value.replace(',', '.'))}
+        />
+      </label>
+      {body}
+    </div>
+  );
+};
+
+export default PriceImpactEstimator;
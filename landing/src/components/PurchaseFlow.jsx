@@ -0,0 +1,304 @@
+import { useState, useEffect, useMemo } from 'react';
+import { ArrowRight, Check, Download, ExternalLink, AlertTriangle } from 'lucide-react';
+import ConnectButton from './ConnectButton';
+import { useWallet } from '../context/wallet';
+import { useI18n } from '../context/i18n';
+import { useManifest } from '../context/manifest';
+import { useAssetPrices } from '../hooks/useAssetPrices';
+import { fromProvider } from '../lib/rpc';
+import { readBalanceOf } from '../lib/erc20';
+import { parseUnits, formatTokenAmount, formatUsd } from '../lib/format';
+import { USER_REJECTED } from '../lib/wallet';
+import { shortAddress } from '../lib/address';
+import {
+  toMicros,
+  computeAllocation,
+  buildPaymentTx,
+  waitForReceipt,
+  ReceiptTimeoutError,
+  buildReceipt,
+  downloadText,
+} from '../lib/purchase';
+import {
+  BLT_TOKEN,
+  DEPLOYER_ADDRESS,
+  PAYMENT_ASSETS,
+  REFERENCE_PRICE_MICROS,
+  PROCESSING_WINDOW_HOURS,
+} from '../config';
+
+const PurchaseFlow = () => {
+  const { provider, account, chain, isConnected, isCorrectChain, switchNetwork } = useWallet();
+  const { prices } = useAssetPrices();
+  const { t, intl } = useI18n();
+  const manifest = useManifest();
+
+  const [symbol, setSymbol] = useState(PAYMENT_ASSETS[0].symbol);
+  const [amountText, setAmountText] = useState('');
+  const [balance, setBalance] = useState(null);
+  const [step, setStep] = useState('form');
+  const [order, setOrder] = useState(null);
+  const [confirmations, setConfirmations] = useState(0);
+  const [error, setError] = useState(null);
+
+  const asset = PAYMENT_ASSETS.find((candidate) => candidate.symbol === symbol);
+  const amount = parseUnits(amountText, asset.decimals);
+  const price = prices[asset.symbol];
+
+  const allocation = useMemo(() => {
+    if (!amount || !price) return null;
+    return computeAllocation({
+      amount,
+      asset,
+      assetPriceMicros: toMicros(price),
+      referencePriceMicros: REFERENCE_PRICE_MICROS,
+      bltDecimals: BLT_TOKEN.decimals,
+    });
+  }, [amount, asset, price]);
+
+  useEffect(() => {
+    if (!provider || !account || !isCorrectChain) {
+      setBalance(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const rpc = fromProvider(provider);
+    const read = asset.type === 'native'
+      ? rpc.getBalance(account)
+      : readBalanceOf(rpc, asset.address, account);
+
+    read
+      .then((value) => { if (!cancelled) setBalance(value); })
+      .catch(() => { if (!cancelled) setBalance(null); });
+
+    return () => { cancelled = true; };
+  }, [provider, account, isCorrectChain, asset, step]);
+
+  const insufficient = amount !== null && balance !== null && amount > balance;
+
+  const fail = (failure) => {
+    setError(failure.message);
+    setStep('failed');
+  };
+
+  // Waits for `hash`, counting confirmations from zero each time;
+  // past the deadline the order stays open as unconfirmed
+  const confirm = async (pending, hash) => {
+    setOrder({ ...pending, hash });
+    setConfirmations(0);
+    setStep('pending');
+
+    try {
+      const receipt = await waitForReceipt(provider, hash, {
+        onUpdate: ({ confirmations: depth }) => setConfirmations(depth),
+      });
+
+      if (receipt.status !== '0x1') throw new Error(t('purchase.reverted'));
+
+      setOrder({ ...pending, hash, confirmedAt: new Date() });
+      setStep('confirmed');
+    } catch (waitError) {
+      if (waitError instanceof ReceiptTimeoutError) {
+        setStep('unconfirmed');
+        return;
+      }
+      fail(waitError);
+    }
+  };
+
+  const submit = async () => {
+    const pending = { asset, amount, allocation, from: account };
+    setOrder(pending);
+    setError(null);
+    setStep('signing');
+
+    let hash;
+    try {
+      hash = await provider.request({
+        method: 'eth_sendTransaction',
+        params: [buildPaymentTx({ from: account, recipient: DEPLOYER_ADDRESS, asset, amount })],
+      });
+    } catch (submitError) {
+      if (submitError?.code === USER_REJECTED) {
+        setStep('form');
+        return;
+      }
+      fail(submitError);
+      return;
+    }
+
+    await confirm(pending, hash);
+  };
+
+  const keepWaiting = () => {
+    const { hash, ...pending } = order;
+    confirm(pending, hash);
+  };
+
+  const reset = () => {
+    setStep('form');
+    setOrder(null);
+    setConfirmations(0);
+    setError(null);
+    setAmountText('');
+  };
+
+  const download = () => {
+    downloadText(`blt-receipt-${order.hash.slice(2, 10)}.txt`, buildReceipt({
+      ...order,
+      recipient: DEPLOYER_ADDRESS,
+      bltSymbol: BLT_TOKEN.symbol,
+      bltDecimals: BLT_TOKEN.decimals,
+      chain,
+      windowHours: PROCESSING_WINDOW_HOURS,
+    }));
+  };
+
+  const renderAction = () => {
+    // Never send to a deployer address that did not come from the signed manifest
+    if (!manifest.verified) {
+      return (
+        <button className="btn btn-primary" disabled>
+          {t(manifest.status === 'invalid' ? 'manifest.paymentsDisabled' : 'manifest.verifying')}
+        </button>
+      );
+    }
+    if (!isConnected) return <ConnectButton label={t('wallet.connect')} className="btn btn-primary" />;
+    if (!isCorrectChain) {
+      return <button className="btn btn-primary" onClick={switchNetwork}>{t('wallet.switchTo', { chain: chain.name })}</button>;
+    }
+    return (
+      <button
+        className="btn btn-primary"
+        onClick={submit}
+        disabled={!allocation || allocation.blt === 0n || insufficient}
+      >
+        {insufficient ? t('purchase.insufficient') : t('purchase.send', { amount: amountText || '0', symbol: asset.symbol })}
+      </button>
+    );
+  };
+
+  const explorerLink = order?.hash && (
+    <a href={`${chain.explorerUrl}/tx/${order.hash}`} target="_blank" rel="noreferrer">
+      {order.hash.slice(0, 10)}…{order.hash.slice(-8)} <ExternalLink size={12} />
+    </a>
+  );
+
+  if (step === 'form') {
+    return (
+      <div className="purchase-flow">
+        <span className="terminal-label">GUIDED_ENTRY</span>
+
+        <div className="purchase-assets" role="radiogroup" aria-label={t('purchase.assetGroup')}>
+          {PAYMENT_ASSETS.map((candidate) => (
+            <button
+              key={candidate.symbol}
+              role="radio"
+              aria-checked={candidate.symbol === symbol}
+              className={`purchase-asset ${candidate.symbol === symbol ? 'active' : ''}`}
+              onClick={() => setSymbol(candidate.symbol)}
+            >
+              {candidate.symbol}
+            </button>
+          ))}
+        </div>
+
+        <label className="purchase-field">
+          <span className="terminal-label">{t('purchase.amount', { symbol: asset.symbol })}</span>
+          <input
+            inputMode="decimal"
+            placeholder="0.00"
+            value={amountText}
+            onChange={(event) => setAmountText(event.target.value.replace(',', '.'))}
+          />
+          {balance !== null && (
+            <span className="purchase-balance">
+              {t('purchase.balance', { amount: formatTokenAmount(balance, asset.decimals, 4, intl) })}
+            </span>
+          )}
+        </label>
+
+        <div className="purchase-quote">
+          <ArrowRight size={16} />
+          <div>
+            <span className="terminal-label">
+              {asset.type === 'native' ? 'ESTIMATED_ALLOCATION' : 'ALLOCATION'}
+            </span>
+            <strong>
+              {allocation ? formatTokenAmount(allocation.blt, BLT_TOKEN.decimals, 2, intl) : '0'} {BLT_TOKEN.symbol}
+            </strong>
+            {asset.type === 'native' && (
+              <p>
+                {price
+                  ? t('purchase.estimate', { symbol: asset.symbol, price: formatUsd(Number(price), intl) })
+                  : t('purchase.waitingPrice')}
+              </p>
+            )}
+          </div>
+        </div>
+
+        {renderAction()}
+      </div>
+    );
+  }
+
+  return (
+    <div className="purchase-flow">
+      <span className="terminal-label">GUIDED_ENTRY // {step.toUpperCase()}</span>
+
+      {step === 'signing' && (
+        <p className="purchase-status">{t('purchase.signing', { amount: amountText, symbol: order.asset.symbol })}</p>
+      )}
+
+      {step === 'pending' && (
+        <div className="purchase-status">
+          <p>{t('purchase.pending', { count: confirmations })}</p>
+          {explorerLink}
+        </div>
+      )}
+
+      {step === 'confirmed' && (
+        <div className="purchase-status success">
+          <p><Check size={16} /> {t('purchase.confirmed', { chain: chain.name })}</p>
+          {explorerLink}
+          <p>
+            {t('purchase.delivery', {
+              amount: formatTokenAmount(order.allocation.blt, BLT_TOKEN.decimals, 2, intl),
+              symbol: BLT_TOKEN.symbol,
+              address: shortAddress(order.from),
+              hours: PROCESSING_WINDOW_HOURS,
+            })}
+          </p>
+          <div className="purchase-actions">
+            <button className="btn btn-primary" onClick={download}>
+              <Download size={14} /> {t('purchase.download')}
+            </button>
+            <button className="btn btn-secondary" onClick={reset}>{t('purchase.newEntry')}</button>
+          </div>
+        </div>
+      )}
+
+      {step === 'unconfirmed' && (
+        <div className="purchase-status unconfirmed">
+          <p><AlertTriangle size={16} /> {t('purchase.unconfirmed')}</p>
+          {explorerLink}
+          <div className="purchase-actions">
+            <button className="btn btn-primary" onClick={keepWaiting}>{t('purchase.keepWaiting')}</button>
+            <button className="btn btn-secondary" onClick={reset}>{t('purchase.newEntry')}</button>
+          </div>
+        </div>
+      )}
+
+      {step === 'failed' && (
+        <div className="purchase-status failed">
+          <p><AlertTriangle size={16} /> {error}</p>
+          {explorerLink}
+          <button className="btn btn-secondary" onClick={reset}>{t('purchase.retry')}</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PurchaseFlow;
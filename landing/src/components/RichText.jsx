@@ -0,0 +1,9 @@
+// Renders content copy: "|" becomes a mobile-only line break, **text** becomes <strong>
+const RichText = ({ text }) =>
+  text.split(/(\*\*[^*]+\*\*|\|)/).map((part, i) => {
+    if (part === '|') return <br key={i} className="mobile-br" />;
+    if (part.startsWith('**') && part.endsWith('**')) return <strong key={i}>{part.slice(2, -2)}</strong>;
+    return part;
+  });
+
+export default RichText;
@@ -0,0 +1,29 @@
+import { useI18n } from '../context/i18n';
+import { useScrollSpy } from '../hooks/useScrollSpy';
+
+/**
+ * Sticky contents list for a parsed Markdown document (h2 and h3),
+ * highlighting the section currently being read.
+ */
+const TableOfContents = ({ headings }) => {
+  const { t } = useI18n();
+  const entries = headings.filter((heading) => heading.level === 2 || heading.level === 3);
+  const active = useScrollSpy(entries.map((heading) => heading.id));
+
+  return (
+    <aside className="document-toc">
+      <nav aria-label={t('document.contents')}>
+        <span className="document-toc-title">{t('document.contents')}</span>
+        <ol>
+          {entries.map((heading) => (
+            <li key={heading.id} className={`toc-level-${heading.level} ${active === heading.id ? 'active' : ''}`}>
+              <a href={`#${heading.id}`} aria-current={active === heading.id ? 'location' : undefined}>{heading.text}</a>
+            </li>
+          ))}
+        </ol>
+      </nav>
+    </aside>
+  );
+};
+
+export default TableOfContents;
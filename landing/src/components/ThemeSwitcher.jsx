@@ -0,0 +1,21 @@
+import { Contrast } from 'lucide-react';
+import { useTheme } from '../context/theme';
+import { useI18n } from '../context/i18n';
+
+const ThemeSwitcher = () => {
+  const { theme, themes, setTheme } = useTheme();
+  const { t } = useI18n();
+
+  return (
+    <label className="theme-switcher">
+      <Contrast size={14} aria-hidden="true" />
+      <select value={theme} onChange={(event) => setTheme(event.target.value)} aria-label={t('theme.label')}>
+        {themes.map((option) => (
+          <option key={option} value={option}>{t(`theme.${option}`)}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default ThemeSwitcher;
@@ -0,0 +1,61 @@
+import { RefreshCw } from 'lucide-react';
+import { useTokenStats } from '../hooks/useTokenStats';
+import { useI18n } from '../context/i18n';
+import { usePwa } from '../context/pwa';
+import { formatTokenAmount } from '../lib/format';
+import { BLT_TOKEN } from '../config';
+
+const TokenStats = () => {
+  const { stats, status, error, refresh } = useTokenStats();
+  const { t, intl } = useI18n();
+  const { cached: fromCache } = usePwa();
+  // The network failed and the worker answered with the last figures it kept
+  const cached = fromCache && Boolean(stats);
+
+  const amount = (value) => (stats ? `${formatTokenAmount(value, stats.decimals, 0, intl)} ${BLT_TOKEN.symbol}` : '—');
+
+  const cells = [
+    { label: 'TOTAL_SUPPLY', value: amount(stats?.totalSupply) },
+    { label: 'CIRCULATING_SUPPLY', value: amount(stats?.circulatingSupply) },
+    { label: 'DEPLOYER_BALANCE', value: amount(stats?.deployerBalance) },
+    { label: 'DECIMALS', value: stats ? String(stats.decimals) : '—' },
+  ];
+
+  return (
+    <div className={`token-stats ${cached ? 'stale' : status}`}>
+      <div className="token-stats-header">
+        <span className="terminal-label">LIVE_CONTRACT_DATA</span>
+        <div className="token-stats-status">
+          <span className="status-dot"></span>
+          <span>{cached ? t('pwa.offline') : t(`tokenStats.status.${status}`)}</span>
+          {stats && (
+            <span className="token-stats-meta">
+              {t('tokenStats.block', {
+                block: stats.blockNumber.toString(),
+                time: new Date(stats.fetchedAt).toLocaleTimeString(intl),
+              })}
+            </span>
+          )}
+          <button type="button" className="copy-btn" onClick={refresh} aria-label={t('tokenStats.refresh')}>
+            <RefreshCw size={14} aria-hidden="true" />
+          </button>
+        </div>
+      </div>
+
+      <div className="token-stats-grid">
+        {cells.map((cell) => (
+          <div key={cell.label} className="token-stat">
+            <span className="terminal-label">{cell.label}</span>
+            <strong>{cell.value}</strong>
+          </div>
+        ))}
+      </div>
+
+      {error && status !== 'live' && (
+        <p className="token-stats-error">RPC_ERROR: {error.message}</p>
+      )}
+    </div>
+  );
+};
+
+export default TokenStats;
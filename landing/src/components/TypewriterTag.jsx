@@ -0,0 +1,26 @@
+import { useInView } from 'react-intersection-observer';
+
+// The typed span is clipped while it animates and ends in a blinking
+// cursor, so assistive technology reads the plain copy instead
+const TypewriterTag = ({ text, className = "ind-tag" }) => {
+  const { ref, inView } = useInView({
+    triggerOnce: true,
+    threshold: 0.1,
+  });
+
+  return (
+    <>
+      <span
+        ref={ref}
+        className={`${className} ${inView ? 'typing' : ''}`}
+        style={{ '--char-count': text.length }}
+        aria-hidden="true"
+      >
+        {text}
+      </span>
+      <span className="visually-hidden">{text}</span>
+    </>
+  );
+};
+
+export default TypewriterTag;
@@ -0,0 +1,27 @@
+import { RefreshCw } from 'lucide-react';
+import { usePwa } from '../context/pwa';
+import { useI18n } from '../context/i18n';
+
+/**
+ * Offers to reload when a new build of the site has been downloaded.
+ * Until then the page keeps running on the build it loaded.
+ */
+const UpdatePrompt = () => {
+  const { updateReady, update, dismissUpdate } = usePwa();
+  const { t } = useI18n();
+
+  if (!updateReady) return null;
+
+  return (
+    <div className="update-prompt" role="status">
+      <RefreshCw size={16} aria-hidden="true" />
+      <span>{t('pwa.updateReady')}</span>
+      <div className="update-prompt-actions">
+        <button type="button" className="btn btn-primary" onClick={update}>{t('pwa.reload')}</button>
+        <button type="button" className="btn btn-secondary" onClick={dismissUpdate}>{t('pwa.later')}</button>
+      </div>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
@@ -0,0 +1,128 @@
+import { useState, useEffect } from 'react';
+import { Check, PenLine } from 'lucide-react';
+import ConnectButton from './ConnectButton';
+import { useWallet } from '../context/wallet';
+import { useI18n } from '../context/i18n';
+import { governanceApi } from '../hooks/useGovernance';
+import { createRpcClient } from '../lib/rpc';
+import { readBalanceOf } from '../lib/erc20';
+import { voteTypedData } from '../lib/governance';
+import { toSignRequest } from '../lib/eip712';
+import { formatTokenAmount } from '../lib/format';
+import { USER_REJECTED } from '../lib/wallet';
+import { HYPEREVM, BLT_TOKEN } from '../config';
+
+/**
+ * Signs and submits a vote on an active proposal. Voting power is shown
+ * from the snapshot block; the API re-reads it before counting the vote.
+ */
+const VotePanel = ({ proposal, onVoted }) => {
+  const { provider, account, chain, isConnected, isCorrectChain, switchNetwork } = useWallet();
+  const { t, intl } = useI18n();
+
+  const existing = account && proposal.votes.find((vote) => vote.voter.toLowerCase() === account.toLowerCase());
+  const [choice, setChoice] = useState(existing?.choice ?? null);
+  const [power, setPower] = useState(undefined);
+  const [step, setStep] = useState('idle');
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    setChoice(existing?.choice ?? null);
+  }, [existing?.choice]);
+
+  // Archive read through the public RPC: wallet endpoints often lack old state
+  useEffect(() => {
+    if (!account) return undefined;
+    let cancelled = false;
+    setPower(undefined);
+
+    readBalanceOf(createRpcClient(HYPEREVM.rpcUrl), BLT_TOKEN.address, account, `0x${BigInt(proposal.snapshot).toString(16)}`)
+      .then((balance) => { if (!cancelled) setPower(balance); })
+      .catch(() => { if (!cancelled) setPower(null); });
+
+    return () => { cancelled = true; };
+  }, [account, proposal.snapshot]);
+
+  const amount = (value) => `${formatTokenAmount(value, BLT_TOKEN.decimals, 2, intl)} ${BLT_TOKEN.symbol}`;
+
+  const submit = async () => {
+    setMessage(null);
+    setStep('signing');
+    const vote = { voter: account, choice, timestamp: Math.floor(Date.now() / 1000) };
+
+    try {
+      const signature = await provider.request({
+        method: 'eth_signTypedData_v4',
+        params: [account, toSignRequest(voteTypedData({ ...vote, proposal: proposal.id }))],
+      });
+
+      setStep('submitting');
+      const { proposal: updated } = await governanceApi.castVote(proposal.id, { ...vote, signature });
+      setStep('done');
+      setMessage(t('governance.recorded', { choice, amount: amount(power ?? 0n) }));
+      onVoted(updated);
+    } catch (error) {
+      setStep('idle');
+      if (error?.code !== USER_REJECTED) setMessage(error.message);
+    }
+  };
+
+  if (proposal.status !== 'active') {
+    return (
+      <div className="vote-panel">
+        <p className="vote-closed">
+          {proposal.status === 'pending'
+            ? t('governance.opens', { date: new Date(proposal.start).toLocaleString(intl) })
+            : t('governance.closed')}
+        </p>
+      </div>
+    );
+  }
+
+  const renderAction = () => {
+    if (!isConnected) return <ConnectButton label={t('wallet.connect')} className="btn btn-primary" />;
+    if (!isCorrectChain) {
+      return <button className="btn btn-primary" onClick={switchNetwork}>{t('wallet.switchTo', { chain: chain.name })}</button>;
+    }
+    const busy = step === 'signing' || step === 'submitting';
+    return (
+      <button className="btn btn-primary" onClick={submit} disabled={!choice || busy || power === 0n || choice === existing?.choice}>
+        <PenLine size={14} aria-hidden="true" />
+        {step === 'submitting' ? t('governance.submitting') : t(existing ? 'governance.change' : 'governance.sign')}
+      </button>
+    );
+  };
+
+  return (
+    <div className="vote-panel">
+      <h3 className="vote-title">{t('governance.cast')}</h3>
+
+      <fieldset className="vote-choices" disabled={step === 'signing' || step === 'submitting'}>
+        <legend className="visually-hidden">{t('governance.choicesLabel')}</legend>
+        {proposal.choices.map((option) => (
+          <label key={option} className={`vote-choice ${choice === option ? 'selected' : ''}`}>
+            <input type="radio" name={`vote-${proposal.id}`} value={option} checked={choice === option} onChange={() => setChoice(option)} />
+            <span>{option}</span>
+            {existing?.choice === option && <Check size={14} aria-label={t('governance.current')} />}
+          </label>
+        ))}
+      </fieldset>
+
+      {account && (
+        <p className="vote-power">
+          {power === undefined && '…'}
+          {power === null && t('governance.powerUnknown')}
+          {typeof power === 'bigint' && t('governance.power', { amount: amount(power) })}
+        </p>
+      )}
+      {power === 0n && <p className="vote-note">{t('governance.noPower')}</p>}
+      {step === 'signing' && <p className="vote-note">{t('governance.signing')}</p>}
+
+      <div className="vote-action">{renderAction()}</div>
+
+      {message && <p className={`vote-message ${step === 'done' ? 'success' : 'error'}`} role="status">{message}</p>}
+    </div>
+  );
+};
+
+export default VotePanel;
@@ -0,0 +1,84 @@
+import { useState } from 'react';
+import { MailCheck } from 'lucide-react';
+import Link from './Link';
+import { useWallet } from '../context/wallet';
+import { useI18n } from '../context/i18n';
+import { waitlistApi } from '../hooks/useWaitlist';
+import { signupProblem, normalizeEmail, HONEYPOT_FIELD } from '../lib/waitlist';
+
+/**
+ * Email and optional wallet for the waitlist. Submitting only sends the
+ * confirmation email; the signup counts once its link is followed.
+ */
+const WaitlistForm = () => {
+  const { account } = useWallet();
+  const { t } = useI18n();
+
+  const [email, setEmail] = useState('');
+  const [wallet, setWallet] = useState(account || '');
+  const [trap, setTrap] = useState('');
+  const [step, setStep] = useState('idle');
+  const [message, setMessage] = useState(null);
+
+  const submit = async (event) => {
+    event.preventDefault();
+    const problem = signupProblem({ email, wallet });
+    if (problem) {
+      setMessage(t(`waitlist.errors.${problem}`));
+      return;
+    }
+
+    setMessage(null);
+    setStep('submitting');
+    try {
+      await waitlistApi.join({ email: normalizeEmail(email), wallet: wallet.trim() || undefined, [HONEYPOT_FIELD]: trap });
+      setStep('sent');
+    } catch (error) {
+      setStep('idle');
+      setMessage(error.message);
+    }
+  };
+
+  if (step === 'sent') {
+    return (
+      <div className="waitlist-sent" role="status">
+        <MailCheck size={24} aria-hidden="true" />
+        <p>{t('waitlist.sent', { email: normalizeEmail(email) })}</p>
+      </div>
+    );
+  }
+
+  return (
+    <form className="waitlist-form" onSubmit={submit} noValidate>
+      <label className="waitlist-field">
+        <span>{t('waitlist.email')}</span>
+        <input type="email" name="email" autoComplete="email" required value={email} onChange={(event) => setEmail(event.target.value)} />
+      </label>
+
+      <label className="waitlist-field">
+        <span>{t('waitlist.wallet')}</span>
+        <input name="wallet" autoComplete="off" spellCheck={false} placeholder="0x…" value={wallet} onChange={(event) => setWallet(event.target.value)} />
+      </label>
+
+      {/* Off-screen and out of the tab order: only bots fill it in */}
+      <div className="waitlist-trap" aria-hidden="true">
+        <label>
+          {t('waitlist.trap')}
+          <input name={HONEYPOT_FIELD} tabIndex={-1} autoComplete="off" value={trap} onChange={(event) => setTrap(event.target.value)} />
+        </label>
+      </div>
+
+      <p className="waitlist-note">
+        {t('waitlist.consent')} <Link to="/privacy">{t('waitlist.privacy')}</Link>
+      </p>
+
+      <button type="submit" className="btn btn-primary" disabled={step === 'submitting'}>
+        {step === 'submitting' ? t('waitlist.submitting') : t('waitlist.submit')}
+      </button>
+
+      {message && <p className="waitlist-message error" role="status">{message}</p>}
+    </form>
+  );
+};
+
+export default WaitlistForm;
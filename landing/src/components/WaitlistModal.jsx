@@ -0,0 +1,39 @@
+import { useRef } from 'react';
+import { X } from 'lucide-react';
+import WaitlistForm from './WaitlistForm';
+import { useWaitlist } from '../context/waitlist';
+import { useI18n } from '../context/i18n';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+
+const WaitlistModal = () => {
+  const { closeSignup } = useWaitlist();
+  const { t } = useI18n();
+  const dialogRef = useRef(null);
+
+  useFocusTrap(dialogRef, true, closeSignup);
+
+  return (
+    <div className="wallet-modal-overlay" onClick={closeSignup}>
+      <div
+        ref={dialogRef}
+        className="wallet-modal waitlist-modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="waitlist-modal-title"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <div className="wallet-modal-header">
+          <span className="terminal-label">JOIN_WAITLIST</span>
+          <button type="button" className="copy-btn" onClick={closeSignup} aria-label={t('waitlist.close')}>
+            <X size={14} aria-hidden="true" />
+          </button>
+        </div>
+        <h2 id="waitlist-modal-title" className="waitlist-title">{t('waitlist.title')}</h2>
+        <p className="waitlist-intro">{t('waitlist.intro')}</p>
+        <WaitlistForm />
+      </div>
+    </div>
+  );
+};
+
+export default WaitlistModal;
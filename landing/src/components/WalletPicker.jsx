@@ -0,0 +1,55 @@
+import { useRef } from 'react';
+import { X, Unplug } from 'lucide-react';
+import { useWallet } from '../context/wallet';
+import { useI18n } from '../context/i18n';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+
+const WalletPicker = () => {
+  const { wallets, connectWith, closePicker } = useWallet();
+  const { t } = useI18n();
+  const dialogRef = useRef(null);
+
+  useFocusTrap(dialogRef, true, closePicker);
+
+  return (
+    <div className="wallet-modal-overlay" onClick={closePicker}>
+      <div
+        ref={dialogRef}
+        className="wallet-modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="wallet-modal-title"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <div className="wallet-modal-header">
+          <span id="wallet-modal-title" className="terminal-label">SELECT_WALLET</span>
+          <button type="button" className="copy-btn" onClick={closePicker} aria-label={t('wallet.close')}>
+            <X size={14} aria-hidden="true" />
+          </button>
+        </div>
+
+        {wallets.length === 0 ? (
+          <div className="wallet-empty">
+            <Unplug size={24} aria-hidden="true" />
+            <p>{t('wallet.none')}</p>
+          </div>
+        ) : (
+          <ul className="wallet-list">
+            {wallets.map((wallet) => (
+              <li key={wallet.info.uuid}>
+                <button className="wallet-option" onClick={() => connectWith(wallet)}>
+                  {wallet.info.icon
+                    ? <img src={wallet.info.icon} alt="" width={28} height={28} />
+                    : <span className="wallet-option-icon">{wallet.info.name.charAt(0)}</span>}
+                  <span>{wallet.info.name}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WalletPicker;
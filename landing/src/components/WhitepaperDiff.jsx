@@ -0,0 +1,71 @@
+import { useMemo } from 'react';
+import { useRouter } from '../context/router';
+import { useI18n } from '../context/i18n';
+import { WHITEPAPER_VERSIONS } from '../content/whitepaper';
+import { diffLines, toHunks, diffStats } from '../lib/diff';
+import { formatDate } from '../lib/format';
+
+const MARKS = { added: '+', removed: '-', same: ' ' };
+
+const VersionSelect = ({ label, value, onChange }) => (
+  <label className="whitepaper-select">
+    <span>{label}</span>
+    <select value={value} onChange={(event) => onChange(event.target.value)}>
+      {WHITEPAPER_VERSIONS.map((option) => (
+        <option key={option.version} value={option.version}>v{option.version}</option>
+      ))}
+    </select>
+  </label>
+);
+
+/**
+ * Source-level diff between two whitepaper revisions, GitHub style:
+ * hunks of changed lines with a few lines of context and both line numbers.
+ */
+const WhitepaperDiff = ({ from, to }) => {
+  const { navigate } = useRouter();
+  const { t, intl } = useI18n();
+
+  const diff = useMemo(() => diffLines(from.source, to.source), [from, to]);
+  const hunks = useMemo(() => toHunks(diff), [diff]);
+  const stats = diffStats(diff);
+
+  const open = (nextFrom, nextTo) => navigate(`/whitepaper/diff/${nextFrom}...${nextTo}`, { replace: true });
+
+  return (
+    <div className="whitepaper-diff">
+      <div className="whitepaper-diff-bar">
+        <VersionSelect label={t('whitepaper.from')} value={from.version} onChange={(version) => open(version, to.version)} />
+        <VersionSelect label={t('whitepaper.to')} value={to.version} onChange={(version) => open(from.version, version)} />
+        <span className="whitepaper-diff-range">
+          {formatDate(from.date, intl)} → {formatDate(to.date, intl)}
+        </span>
+        <span className="whitepaper-diff-stats">
+          <span className="diff-added">+{stats.added}</span>
+          <span className="diff-removed">−{stats.removed}</span>
+        </span>
+      </div>
+
+      {hunks.length === 0 && <p className="whitepaper-diff-empty">{t('whitepaper.noChanges')}</p>}
+
+      {hunks.map((hunk) => (
+        <div key={`${hunk.oldStart}-${hunk.newStart}`} className="diff-hunk" lang="en">
+          <div className="diff-hunk-header">@@ -{hunk.oldStart} +{hunk.newStart} @@</div>
+          {hunk.lines.map((line, i) => (
+            <div key={i} className={`diff-line diff-${line.type}`}>
+              <span className="diff-number">{line.oldLine ?? ''}</span>
+              <span className="diff-number">{line.newLine ?? ''}</span>
+              <span className="diff-mark" aria-hidden="true">{MARKS[line.type]}</span>
+              <span className="diff-text">
+                {line.type !== 'same' && <span className="visually-hidden">{t(`whitepaper.${line.type}`)} </span>}
+                {line.text || ' '}
+              </span>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default WhitepaperDiff;
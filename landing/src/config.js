@@ -0,0 +1,128 @@
+/* ========================================
+   NETWORK CONFIGURATION
+   ======================================== */
+
+// Addresses people send funds to, the chain and the DEX URL come only
+// from the signed manifest (src/lib/manifest.js), never from env
+import manifest from './manifest.json' with { type: 'json' };
+
+const env = import.meta.env ?? {};
+
+// As published, signature included; the app verifies it at startup
+export const MANIFEST = manifest;
+
+const official = manifest.payload;
+
+export const HYPEREVM = {
+  chainId: official.chain.chainId,
+  name: official.chain.name,
+  rpcUrl: env.VITE_HYPEREVM_RPC_URL || 'https://rpc.hyperliquid.xyz/evm',
+  explorerUrl: official.chain.explorerUrl,
+  nativeCurrency: { name: 'HYPE', symbol: 'HYPE', decimals: 18 },
+};
+
+export const BLT_TOKEN = {
+  address: official.token.address,
+  symbol: official.token.symbol,
+  decimals: official.token.decimals,
+  // First block to scan for Transfer logs: the deployment block. While it
+  // is unset (null), scans that would otherwise start at genesis are skipped
+  deployBlock: env.VITE_BLT_DEPLOY_BLOCK ? BigInt(env.VITE_BLT_DEPLOY_BLOCK) : null,
+};
+
+// Block range per eth_getLogs request; halved automatically when a node refuses it
+export const LOGS_PAGE_SIZE = Number(env.VITE_LOGS_PAGE_SIZE || 10000);
+
+export const DEPLOYER_ADDRESS = official.deployer;
+
+// Balances subtracted from total supply to derive circulating supply
+export const NON_CIRCULATING_ADDRESSES = env.VITE_NON_CIRCULATING_ADDRESSES
+  ? env.VITE_NON_CIRCULATING_ADDRESSES.split(',').map((address) => address.trim()).filter(Boolean)
+  : [DEPLOYER_ADDRESS];
+
+/* ========================================
+   DIRECT ALLOCATION (PATH_01)
+   ======================================== */
+
+// Reference price in micro-USD (6 decimals) to keep allocation math in integers
+export const REFERENCE_PRICE_MICROS = 5000n; // $0.005
+
+export const PROCESSING_WINDOW_HOURS = 24;
+
+export const PAYMENT_ASSETS = [
+  {
+    symbol: 'USDT',
+    type: 'erc20',
+    address: official.paymentTokens.USDT,
+    decimals: 6,
+  },
+  {
+    symbol: 'USDC',
+    type: 'erc20',
+    address: official.paymentTokens.USDC,
+    decimals: 6,
+  },
+  {
+    symbol: 'HYPE',
+    type: 'native',
+    decimals: 18,
+  },
+];
+
+// Spot mids used to value HYPE payments; stablecoins are taken at $1
+export const PRICE_API_URL = env.VITE_PRICE_API_URL || 'https://api.hyperliquid.xyz/info';
+
+/* ========================================
+   BELIEF REWARDS SNAPSHOT
+   ======================================== */
+
+// Where build-airdrop-tree.js output is published (root.json + proofs/)
+export const AIRDROP_BASE_URL = env.VITE_AIRDROP_BASE_URL || '/airdrop';
+
+// When set, the published root.json must match this value
+export const AIRDROP_MERKLE_ROOT = env.VITE_AIRDROP_MERKLE_ROOT || null;
+
+// Where scripts/exclusions.js publish output is served (index.json + <xx>.json);
+// below the /exclusions page, so vercel.json must not rewrite it
+export const EXCLUSIONS_BASE_URL = env.VITE_EXCLUSIONS_BASE_URL || '/exclusions/register';
+
+/* ========================================
+   DEX POOL (PATH_02)
+   ======================================== */
+
+export const DEX_POOL = {
+  address: env.VITE_DEX_POOL_ADDRESS || null,
+  // 'v3' for concentrated-liquidity pools, 'v2' for constant-product pairs
+  type: env.VITE_DEX_POOL_TYPE || 'v3',
+  // Quote side of the pair, valued in USD like the PATH_01 payment assets
+  quoteSymbol: env.VITE_DEX_POOL_QUOTE || 'HYPE',
+};
+
+// Public DEX front-end where BLT trades
+export const DEX_URL = official.dexUrl;
+
+/* ========================================
+   COMMUNITY
+   ======================================== */
+
+// Official channels, referenced from page content as `social:<name>`.
+// Links to a channel without a URL are not rendered.
+export const SOCIAL_LINKS = {
+  x: env.VITE_SOCIAL_X_URL || null,
+  telegram: env.VITE_SOCIAL_TELEGRAM_URL || null,
+  discord: env.VITE_SOCIAL_DISCORD_URL || null,
+};
+
+/* ========================================
+   SITE API (/api functions)
+   ======================================== */
+
+// Base URL of the serverless API (governance, …); same origin by default
+export const API_BASE_URL = env.VITE_API_BASE_URL || '/api';
+
+/* ========================================
+   OFFLINE SUPPORT
+   ======================================== */
+
+// Written by scripts/prerender.js, so only production builds have one
+export const SERVICE_WORKER_URL = env.PROD ? '/sw.js' : null;
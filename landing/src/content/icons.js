@@ -0,0 +1,30 @@
+import {
+  Terminal,
+  Hash,
+  Binary,
+  Command,
+  ShieldCheck,
+  Zap,
+  Database,
+  Activity,
+  Unplug,
+  Cpu,
+  Network,
+  History,
+} from 'lucide-react';
+
+// Icons content authors can reference by name (keep in sync with $defs.icon in site.schema.json)
+export const ICONS = {
+  Terminal,
+  Hash,
+  Binary,
+  Command,
+  ShieldCheck,
+  Zap,
+  Database,
+  Activity,
+  Unplug,
+  Cpu,
+  Network,
+  History,
+};
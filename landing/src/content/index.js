@@ -0,0 +1,35 @@
+import site from './site.json';
+import schema from './site.schema.json';
+import zh from './locales/zh.json';
+import ko from './locales/ko.json';
+import tr from './locales/tr.json';
+import ar from './locales/ar.json';
+import es from './locales/es.json';
+import { validateContent, formatErrors } from './validate';
+import { mergeContent } from './merge';
+import { fallbackChain } from '../i18n/locales';
+
+// Translations of site.json; each holds only the fields it translates
+export const CONTENT_OVERLAYS = { zh, ko, tr, ar, es };
+
+// The build runs scripts/validate-content.js; this only surfaces mistakes early in dev
+if (import.meta.env?.DEV) {
+  const errors = validateContent(site, schema);
+  if (errors.length) console.error(`site.json has ${errors.length} problem(s):\n${formatErrors(errors)}`);
+}
+
+const localized = { en: site };
+
+/**
+ * site.json with the translations for `code` applied, most specific last.
+ */
+export function localizeContent(code) {
+  if (!localized[code]) {
+    localized[code] = fallbackChain(code)
+      .reverse()
+      .reduce((content, locale) => mergeContent(content, CONTENT_OVERLAYS[locale]), site);
+  }
+  return localized[code];
+}
+
+export const content = site;
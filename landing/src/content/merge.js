@@ -0,0 +1,48 @@
+/* ========================================
+   TRANSLATION OVERLAYS
+   ======================================== */
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Overlays `overlay` onto `base`. Objects merge by key and arrays by index,
+ * so a translation can skip an entry with {} and keep the English copy.
+ */
+export function mergeContent(base, overlay) {
+  if (overlay === undefined) return base;
+  if (Array.isArray(base) && Array.isArray(overlay)) {
+    return base.map((item, i) => mergeContent(item, overlay[i]));
+  }
+  if (isObject(base) && isObject(overlay)) {
+    const merged = { ...base };
+    Object.entries(overlay).forEach(([key, value]) => {
+      merged[key] = mergeContent(base[key], value);
+    });
+    return merged;
+  }
+  return overlay;
+}
+
+/**
+ * Fields in a translation that have no English counterpart. These would
+ * otherwise be dropped silently (extra array items) or never shown.
+ */
+export function overlayErrors(base, overlay, path = '$') {
+  if (Array.isArray(overlay)) {
+    if (!Array.isArray(base)) return [{ path, message: 'is a list here but not in site.json' }];
+    const errors = overlay.length > base.length
+      ? [{ path, message: `has ${overlay.length} items, site.json has ${base.length}` }]
+      : [];
+    return errors.concat(...overlay.slice(0, base.length).map((item, i) => overlayErrors(base[i], item, `${path}[${i}]`)));
+  }
+  if (isObject(overlay)) {
+    if (!isObject(base)) return [{ path, message: 'is an object here but not in site.json' }];
+    return [].concat(...Object.entries(overlay).map(([key, value]) => (
+      base[key] === undefined
+        ? [{ path: `${path}.${key}`, message: 'does not exist in site.json' }]
+        : overlayErrors(base[key], value, `${path}.${key}`)
+    )));
+  }
+  if (typeof overlay !== typeof base) return [{ path, message: `must be ${typeof base}` }];
+  return [];
+}
@@ -0,0 +1,21 @@
+/* ========================================
+   DOCUMENT PAGES
+   ========================================
+   Long-form pages linked from the footer. Sources are Markdown (English
+   only, like the whitepaper); `updated` is shown under the title and must
+   change with every edit to the page.
+*/
+
+import protocol from './protocol.md?raw';
+import audit from './audit.md?raw';
+import docs from './docs.md?raw';
+import privacy from './privacy.md?raw';
+import terms from './terms.md?raw';
+
+export const PAGES = {
+  protocol: { updated: '2026-10-19', source: protocol },
+  audit: { updated: '2026-10-19', source: audit },
+  docs: { updated: '2026-10-19', source: docs },
+  privacy: { updated: '2026-10-19', source: privacy },
+  terms: { updated: '2026-10-19', source: terms },
+};
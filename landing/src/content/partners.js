@@ -0,0 +1,25 @@
+/* ========================================
+   ECOSYSTEM PARTNERS
+   ========================================
+   The registry in partners.json, edited by the partnerships team without
+   code changes. Order in the file is display order. English only, like
+   the document pages.
+*/
+
+import registry from './partners.json';
+import schema from './partners.schema.json';
+import { validatePartners, formatErrors } from './validate';
+
+export const ECOSYSTEM_PATH = '/ecosystem';
+
+export const PARTNER_CATEGORIES = ['chain', 'defi', 'infra'];
+
+// The build runs scripts/validate-content.js; this only surfaces mistakes early in dev
+if (import.meta.env?.DEV) {
+  const errors = validatePartners(registry, schema);
+  if (errors.length) console.error(`partners.json has ${errors.length} problem(s):\n${formatErrors(errors)}`);
+}
+
+export const PARTNERS = registry.partners;
+
+export const partnersIn = (category) => (category ? PARTNERS.filter((partner) => partner.category === category) : PARTNERS);
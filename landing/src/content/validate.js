@@ -0,0 +1,142 @@
+/* ========================================
+   CONTENT VALIDATION
+   ========================================
+   Checks site.json against site.schema.json. Supports the JSON Schema
+   subset the content schema uses, plus cross-reference checks that a
+   schema cannot express (unique ids, link anchors that exist).
+*/
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+const resolveRef = (ref, root) => ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+
+/**
+ * Returns a list of { path, message } for every violation in `value`.
+ */
+export function validateSchema(value, schema, root = schema, path = '$') {
+  if (schema.$ref) return validateSchema(value, resolveRef(schema.$ref, root), root, path);
+
+  const errors = [];
+  const fail = (message) => errors.push({ path, message });
+
+  if (schema.allOf) schema.allOf.forEach((part) => errors.push(...validateSchema(value, part, root, path)));
+
+  if (schema.oneOf) {
+    // Sections are discriminated by their `type` field: validate against that branch only
+    const branches = schema.oneOf.map((branch) => (branch.$ref ? resolveRef(branch.$ref, root) : branch));
+    const match = branches.find((branch) => branch.properties?.type?.const === value?.type);
+    if (match) {
+      errors.push(...validateSchema(value, match, root, path));
+    } else {
+      const allowed = branches.map((branch) => branch.properties?.type?.const).filter(Boolean);
+      fail(`unknown type "${value?.type}" (expected one of: ${allowed.join(', ')})`);
+    }
+    return errors;
+  }
+
+  if ('const' in schema && value !== schema.const) fail(`must be "${schema.const}"`);
+  if (schema.enum && !schema.enum.includes(value)) fail(`must be one of: ${schema.enum.join(', ')}`);
+
+  if (schema.type) {
+    const actual = typeOf(value);
+    const expected = schema.type;
+    const ok = actual === expected || (expected === 'integer' && Number.isInteger(value));
+    if (!ok) {
+      fail(value === undefined ? 'is missing' : `must be ${expected}, got ${actual}`);
+      return errors;
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) fail('must not be empty');
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+  }
+
+  if (typeof value === 'number' && schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    fail(`must be greater than ${schema.exclusiveMinimum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`needs at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`allows at most ${schema.maxItems} item(s)`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, root, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is missing' });
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        errors.push(...validateSchema(child, childSchema, root, `${path}.${key}`));
+      } else if (schema.additionalProperties === false && !schema.allOf) {
+        errors.push({ path: `${path}.${key}`, message: 'is not a known field' });
+      }
+    });
+  }
+
+  return errors;
+}
+
+function crossReferenceErrors(content) {
+  const errors = [];
+  const sectionIds = new Set();
+
+  (content.sections || []).forEach((section, i) => {
+    if (!section.id) return;
+    if (sectionIds.has(section.id)) errors.push({ path: `$.sections[${i}].id`, message: `duplicate id "${section.id}"` });
+    sectionIds.add(section.id);
+  });
+
+  // Landing page anchors, written as #id or /#id
+  const checkAnchor = (link, path) => {
+    const anchor = /^\/?#(.+)$/.exec(link.href || '');
+    if (anchor && !sectionIds.has(anchor[1])) errors.push({ path, message: `no section has id "${anchor[1]}"` });
+  };
+
+  (content.nav?.links || []).forEach((link, i) => checkAnchor(link, `$.nav.links[${i}].href`));
+  (content.footer?.columns || []).forEach((column, c) => {
+    (column.links || []).forEach((link, i) => checkAnchor(link, `$.footer.columns[${c}].links[${i}].href`));
+  });
+  (content.footer?.legal || []).forEach((link, i) => checkAnchor(link, `$.footer.legal[${i}].href`));
+
+  (content.sections || []).forEach((section, i) => {
+    if (section.type !== 'ledger') return;
+    const tierIds = new Set();
+    (section.tiers || []).forEach((tier, t) => {
+      if (tierIds.has(tier.id)) errors.push({ path: `$.sections[${i}].tiers[${t}].id`, message: `duplicate tier id "${tier.id}"` });
+      tierIds.add(tier.id);
+    });
+  });
+
+  return errors;
+}
+
+export function validateContent(content, schema) {
+  return [...validateSchema(content, schema), ...crossReferenceErrors(content)];
+}
+
+/**
+ * Checks partners.json: the schema plus unique ids, which anchor each
+ * card on /ecosystem.
+ */
+export function validatePartners(registry, schema) {
+  const seen = new Set();
+  const duplicates = (registry?.partners || []).flatMap((partner, i) => {
+    if (!seen.has(partner.id)) {
+      seen.add(partner.id);
+      return [];
+    }
+    return [{ path: `$.partners[${i}].id`, message: `duplicate id "${partner.id}"` }];
+  });
+  return [...validateSchema(registry, schema), ...duplicates];
+}
+
+export const formatErrors = (errors) => errors.map(({ path, message }) => `  ${path} ${message}`).join('\n');
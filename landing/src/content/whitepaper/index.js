@@ -0,0 +1,31 @@
+/* ========================================
+   WHITEPAPER REVISIONS
+   ========================================
+   Every published revision stays in the repo so readers can open older
+   versions and diff them. Add a new file per revision; never edit one
+   that has been published. Addresses are `manifest:` placeholders (see
+   lib/markdown.js), shown only once the signed manifest verifies.
+*/
+
+import v1_0 from './v1.0.md?raw';
+import v1_1 from './v1.1.md?raw';
+
+// Newest first
+export const WHITEPAPER_VERSIONS = [
+  {
+    version: '1.1',
+    date: '2026-01-20',
+    summary: 'Adds address verification, circulating supply, milestone measurement and verifiable Merkle snapshots.',
+    source: v1_1,
+  },
+  {
+    version: '1.0',
+    date: '2025-12-30',
+    summary: 'Initial publication.',
+    source: v1_0,
+  },
+];
+
+export const LATEST_VERSION = WHITEPAPER_VERSIONS[0].version;
+
+export const getVersion = (version) => WHITEPAPER_VERSIONS.find((entry) => entry.version === version) || null;
@@ -0,0 +1,44 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { I18nContext } from './i18n';
+import { LOCALES, DEFAULT_LOCALE, getLocale, matchLocale, loadLocale, saveLocale } from '../i18n/locales';
+import { createTranslator } from '../i18n/translate';
+import { localizeContent } from '../content';
+
+export function I18nProvider({ children, initialLocale = DEFAULT_LOCALE }) {
+  const [code, setCode] = useState(initialLocale);
+
+  // Detect after mount so server-rendered markup and the first client render agree
+  useEffect(() => {
+    setCode(loadLocale() || matchLocale(navigator.languages || [navigator.language]));
+  }, []);
+
+  const locale = getLocale(code);
+
+  useEffect(() => {
+    document.documentElement.lang = locale.code;
+    document.documentElement.dir = locale.dir;
+  }, [locale]);
+
+  const setLocale = useCallback((next) => {
+    setCode(next);
+    saveLocale(next);
+  }, []);
+
+  const value = useMemo(() => ({
+    locale: locale.code,
+    intl: locale.intl,
+    dir: locale.dir,
+    locales: LOCALES,
+    setLocale,
+    t: createTranslator(locale.code),
+    content: localizeContent(locale.code),
+  }), [locale, setLocale]);
+
+  return (
+    <I18nContext.Provider value={value}>
+      {children}
+    </I18nContext.Provider>
+  );
+}
+
+export default I18nProvider;
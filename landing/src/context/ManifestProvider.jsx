@@ -0,0 +1,42 @@
+import { useState, useEffect, useMemo } from 'react';
+import { ManifestContext } from './manifest';
+import { verifyManifest, isOfficialHost } from '../lib/manifest';
+import { MANIFEST } from '../config';
+
+/**
+ * Checks the signed address manifest once per page load. `status` is
+ * 'verifying' until WebCrypto answers (and in prerendered markup), then
+ * 'valid' or 'invalid'; official addresses are only shown when valid.
+ * `officialHost` is false when the site is served from a hostname the
+ * manifest does not list.
+ */
+export function ManifestProvider({ children }) {
+  const [status, setStatus] = useState('verifying');
+  const [officialHost, setOfficialHost] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    setOfficialHost(isOfficialHost(window.location.hostname, MANIFEST.payload.hosts));
+    verifyManifest(MANIFEST).then((valid) => {
+      if (!cancelled) setStatus(valid ? 'valid' : 'invalid');
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const value = useMemo(() => ({
+    status,
+    officialHost,
+    verified: status === 'valid',
+    issuedAt: MANIFEST.payload.issuedAt,
+  }), [status, officialHost]);
+
+  return (
+    <ManifestContext.Provider value={value}>
+      {children}
+    </ManifestContext.Provider>
+  );
+}
+
+export default ManifestProvider;
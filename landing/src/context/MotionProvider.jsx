@@ -0,0 +1,57 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { MotionContext } from './motion';
+import {
+  loadMotionPreference,
+  saveMotionPreference,
+  systemPrefersReducedMotion,
+  REDUCED_MOTION_QUERY,
+} from '../lib/motion';
+
+/**
+ * Tracks whether animations should run. The CSS follows
+ * prefers-reduced-motion by itself; an explicit choice is written to
+ * <html data-motion> so it wins over the system setting.
+ */
+export function MotionProvider({ children }) {
+  const [preference, setPreferenceState] = useState('system');
+  const [systemReduced, setSystemReduced] = useState(false);
+
+  // Detect after mount so server-rendered markup and the first client render agree
+  useEffect(() => {
+    setPreferenceState(loadMotionPreference());
+    setSystemReduced(systemPrefersReducedMotion());
+
+    const query = window.matchMedia?.(REDUCED_MOTION_QUERY);
+    const handleChange = (event) => setSystemReduced(event.matches);
+    query?.addEventListener('change', handleChange);
+    return () => query?.removeEventListener('change', handleChange);
+  }, []);
+
+  useEffect(() => {
+    if (preference === 'system') delete document.documentElement.dataset.motion;
+    else document.documentElement.dataset.motion = preference;
+  }, [preference]);
+
+  const reduced = preference === 'system' ? systemReduced : preference === 'reduce';
+
+  const setPreference = useCallback((next) => {
+    setPreferenceState(next);
+    saveMotionPreference(next);
+  }, []);
+
+  // Flips what the visitor currently sees; going back to the system value forgets the override
+  const toggle = useCallback(() => {
+    const next = reduced ? 'full' : 'reduce';
+    setPreference((next === 'reduce') === systemReduced ? 'system' : next);
+  }, [reduced, systemReduced, setPreference]);
+
+  const value = useMemo(() => ({ preference, reduced, setPreference, toggle }), [preference, reduced, setPreference, toggle]);
+
+  return (
+    <MotionContext.Provider value={value}>
+      {children}
+    </MotionContext.Provider>
+  );
+}
+
+export default MotionProvider;
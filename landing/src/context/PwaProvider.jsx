@@ -0,0 +1,49 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { PwaContext } from './pwa';
+import { registerServiceWorker, applyUpdate, watchReads } from '../lib/serviceWorker';
+import { SERVICE_WORKER_URL } from '../config';
+
+/**
+ * Registers the service worker and tracks what the page needs from it:
+ * `cached` (true while reads from an RPC or price API come from the
+ * worker's cache and the network cannot refresh them) and `updateReady`
+ * when a new build is waiting.
+ */
+export function PwaProvider({ children }) {
+  const [cachedSources, setCachedSources] = useState([]);
+  const [waiting, setWaiting] = useState(null);
+
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) return undefined;
+    return watchReads(({ source, cached }) => setCachedSources((current) => {
+      if (current.includes(source) === cached) return current;
+      return cached ? [...current, source] : current.filter((entry) => entry !== source);
+    }));
+  }, []);
+
+  useEffect(() => {
+    if (!SERVICE_WORKER_URL || !('serviceWorker' in navigator)) return undefined;
+    return registerServiceWorker(SERVICE_WORKER_URL, { onUpdate: setWaiting });
+  }, []);
+
+  const update = useCallback(() => {
+    if (waiting) applyUpdate(waiting);
+  }, [waiting]);
+
+  const dismissUpdate = useCallback(() => setWaiting(null), []);
+
+  const value = useMemo(() => ({
+    cached: cachedSources.length > 0,
+    updateReady: Boolean(waiting),
+    update,
+    dismissUpdate,
+  }), [cachedSources, waiting, update, dismissUpdate]);
+
+  return (
+    <PwaContext.Provider value={value}>
+      {children}
+    </PwaContext.Provider>
+  );
+}
+
+export default PwaProvider;
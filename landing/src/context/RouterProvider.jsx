@@ -0,0 +1,148 @@
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { RouterContext } from './router';
+
+const SCROLL_KEY = 'believe.scroll';
+
+const parseLocation = (href) => {
+  const url = new URL(href, 'http://localhost');
+  return { path: url.pathname.replace(/(.)\/+$/, '$1'), search: url.search, hash: url.hash };
+};
+
+const currentHref = () => window.location.pathname + window.location.search + window.location.hash;
+
+const createKey = () => Math.random().toString(36).slice(2, 10);
+
+// Scroll offsets per history entry, kept for the tab's lifetime so reloads restore too
+const loadPositions = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(SCROLL_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const savePositions = (positions) => {
+  try {
+    sessionStorage.setItem(SCROLL_KEY, JSON.stringify(positions));
+  } catch {
+    // Restoration is best effort
+  }
+};
+
+// Lazy routes render a frame or two after the location changes, so retry
+// until the anchor exists or the page is tall enough (about one second).
+const scrollWhenReady = (target) => {
+  let attempts = 60;
+  const attempt = () => {
+    if (target.hash) {
+      const element = document.getElementById(decodeURIComponent(target.hash.slice(1)));
+      if (element) return element.scrollIntoView();
+    } else {
+      const top = target.top || 0;
+      if (document.documentElement.scrollHeight - window.innerHeight >= top || attempts === 0) {
+        return window.scrollTo(0, top);
+      }
+    }
+    if (attempts-- > 0) requestAnimationFrame(attempt);
+    else if (target.hash) window.scrollTo(0, 0);
+  };
+  attempt();
+};
+
+/**
+ * History API router with scroll restoration. `url` seeds the location when
+ * rendering outside a browser; in the browser the address bar wins.
+ *
+ * New pages open at the top (or at their #anchor); back/forward and reloads
+ * return to where the reader left that entry.
+ */
+export function RouterProvider({ children, url = '/' }) {
+  const [location, setLocation] = useState(() =>
+    parseLocation(typeof window === 'undefined' ? url : currentHref())
+  );
+  const entryKey = useRef(null);
+  const positions = useRef(null);
+  const pendingScroll = useRef(null);
+
+  const remember = () => {
+    if (entryKey.current) positions.current[entryKey.current] = window.scrollY;
+  };
+
+  useEffect(() => {
+    window.history.scrollRestoration = 'manual';
+    positions.current = loadPositions();
+
+    let key = window.history.state?.key;
+    if (!key) {
+      key = createKey();
+      window.history.replaceState({ ...window.history.state, key }, '');
+    }
+    entryKey.current = key;
+
+    const saved = positions.current[key];
+    if (saved !== undefined) scrollWhenReady({ top: saved });
+    else if (window.location.hash) scrollWhenReady({ hash: window.location.hash });
+
+    const handlePop = (event) => {
+      remember();
+      let next = event.state?.key;
+      if (next) {
+        const top = positions.current[next];
+        pendingScroll.current = top !== undefined ? { top } : { hash: window.location.hash };
+      } else {
+        // Plain #anchor click: the browser has already scrolled to it
+        next = createKey();
+        window.history.replaceState({ key: next }, '');
+      }
+      entryKey.current = next;
+      setLocation(parseLocation(currentHref()));
+    };
+
+    const handleHide = () => {
+      remember();
+      savePositions(positions.current);
+    };
+
+    window.addEventListener('popstate', handlePop);
+    window.addEventListener('pagehide', handleHide);
+    return () => {
+      window.removeEventListener('popstate', handlePop);
+      window.removeEventListener('pagehide', handleHide);
+    };
+  }, []);
+
+  // Scroll once the new route has rendered, so anchors on it exist
+  useEffect(() => {
+    if (!pendingScroll.current) return;
+    scrollWhenReady(pendingScroll.current);
+    pendingScroll.current = null;
+  }, [location]);
+
+  const navigate = useCallback((to, { replace = false } = {}) => {
+    const next = parseLocation(new URL(to, window.location.href).href);
+    const href = next.path + next.search + next.hash;
+    if (href === currentHref()) {
+      scrollWhenReady(next.hash ? { hash: next.hash } : { top: 0 });
+      return;
+    }
+
+    remember();
+    const key = createKey();
+    window.history[replace ? 'replaceState' : 'pushState']({ key }, '', href);
+    entryKey.current = key;
+    // Replacing refines the current entry (e.g. a filter), so stay put
+    if (next.hash) pendingScroll.current = { hash: next.hash };
+    else if (!replace) pendingScroll.current = { top: 0 };
+    setLocation(next);
+  }, []);
+
+  const value = useMemo(() => ({ ...location, navigate }), [location, navigate]);
+
+  return (
+    <RouterContext.Provider value={value}>
+      {children}
+    </RouterContext.Provider>
+  );
+}
+
+export default RouterProvider;
@@ -0,0 +1,38 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { ThemeContext } from './theme';
+import { loadTheme, saveTheme, THEMES } from '../lib/theme';
+
+/**
+ * Holds the colour theme. The CSS tokens follow prefers-color-scheme by
+ * themselves; an explicit choice is written to <html data-theme> so it
+ * wins over the system setting.
+ */
+export function ThemeProvider({ children }) {
+  const [theme, setThemeState] = useState('system');
+
+  // Read after mount so server-rendered markup and the first client render agree
+  useEffect(() => {
+    setThemeState(loadTheme());
+  }, []);
+
+  useEffect(() => {
+    if (theme === 'system') delete document.documentElement.dataset.theme;
+    else document.documentElement.dataset.theme = theme;
+  }, [theme]);
+
+  const setTheme = useCallback((next) => {
+    if (!THEMES.includes(next)) return;
+    setThemeState(next);
+    saveTheme(next);
+  }, []);
+
+  const value = useMemo(() => ({ theme, themes: THEMES, setTheme }), [theme, setTheme]);
+
+  return (
+    <ThemeContext.Provider value={value}>
+      {children}
+    </ThemeContext.Provider>
+  );
+}
+
+export default ThemeProvider;
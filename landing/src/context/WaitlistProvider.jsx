@@ -0,0 +1,25 @@
+import { useState, useMemo } from 'react';
+import { WaitlistContext } from './waitlist';
+import WaitlistModal from '../components/WaitlistModal';
+
+/**
+ * Opens the waitlist signup over any page (the navbar's JOIN NOW).
+ */
+export function WaitlistProvider({ children }) {
+  const [signupOpen, setSignupOpen] = useState(false);
+
+  const value = useMemo(() => ({
+    signupOpen,
+    openSignup: () => setSignupOpen(true),
+    closeSignup: () => setSignupOpen(false),
+  }), [signupOpen]);
+
+  return (
+    <WaitlistContext.Provider value={value}>
+      {children}
+      {signupOpen && <WaitlistModal />}
+    </WaitlistContext.Provider>
+  );
+}
+
+export default WaitlistProvider;
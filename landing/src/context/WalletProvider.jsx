@@ -0,0 +1,156 @@
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { WalletContext } from './wallet';
+import WalletPicker from '../components/WalletPicker';
+import { HYPEREVM } from '../config';
+import {
+  discoverProviders,
+  requestAccounts,
+  getAccounts,
+  getChainId,
+  ensureChain,
+  subscribe,
+  loadSession,
+  saveSession,
+  clearSession,
+  USER_REJECTED,
+} from '../lib/wallet';
+
+const describeError = (error) =>
+  error?.code === USER_REJECTED ? null : (error?.message || 'Wallet request failed');
+
+export function WalletProvider({ children, chain = HYPEREVM }) {
+  const [wallets, setWallets] = useState([]);
+  const [active, setActive] = useState(null);
+  const [account, setAccount] = useState(null);
+  const [chainId, setChainId] = useState(null);
+  const [status, setStatus] = useState('disconnected');
+  const [error, setError] = useState(null);
+  const [pickerOpen, setPickerOpen] = useState(false);
+  const restored = useRef(false);
+
+  useEffect(() => discoverProviders(setWallets), []);
+
+  const disconnect = useCallback(() => {
+    setActive(null);
+    setAccount(null);
+    setChainId(null);
+    setStatus('disconnected');
+    clearSession();
+  }, []);
+
+  const attach = useCallback(async (wallet, { silent }) => {
+    setStatus('connecting');
+    setError(null);
+
+    try {
+      const accounts = silent
+        ? await getAccounts(wallet.provider)
+        : await requestAccounts(wallet.provider);
+
+      if (!accounts?.length) {
+        setStatus('disconnected');
+        if (silent) clearSession();
+        return;
+      }
+
+      let currentChain = await getChainId(wallet.provider);
+
+      // Only prompt for a network switch when the user asked to connect
+      if (!silent && currentChain !== chain.chainId) {
+        try {
+          await ensureChain(wallet.provider, chain);
+          currentChain = await getChainId(wallet.provider);
+        } catch (switchError) {
+          setError(describeError(switchError));
+        }
+      }
+
+      setActive(wallet);
+      setAccount(accounts[0]);
+      setChainId(currentChain);
+      setStatus('connected');
+      saveSession({ rdns: wallet.info.rdns });
+    } catch (connectError) {
+      setStatus('disconnected');
+      setError(describeError(connectError));
+    }
+  }, [chain]);
+
+  // Restore the previous session once its wallet has announced itself
+  useEffect(() => {
+    if (restored.current) return;
+
+    const session = loadSession();
+    if (!session) {
+      restored.current = true;
+      return;
+    }
+
+    const wallet = wallets.find((w) => w.info.rdns === session.rdns);
+    if (!wallet) return;
+
+    restored.current = true;
+    attach(wallet, { silent: true });
+  }, [wallets, attach]);
+
+  useEffect(() => {
+    if (!active) return undefined;
+
+    return subscribe(active.provider, {
+      onAccounts: (accounts) => (accounts.length ? setAccount(accounts[0]) : disconnect()),
+      onChain: setChainId,
+      onDisconnect: disconnect,
+    });
+  }, [active, disconnect]);
+
+  const connect = useCallback(() => {
+    if (wallets.length === 1) {
+      attach(wallets[0], { silent: false });
+    } else {
+      setPickerOpen(true);
+    }
+  }, [wallets, attach]);
+
+  const connectWith = useCallback((wallet) => {
+    setPickerOpen(false);
+    attach(wallet, { silent: false });
+  }, [attach]);
+
+  const switchNetwork = useCallback(async () => {
+    if (!active) return;
+    setError(null);
+    try {
+      await ensureChain(active.provider, chain);
+    } catch (switchError) {
+      setError(describeError(switchError));
+    }
+  }, [active, chain]);
+
+  const value = useMemo(() => ({
+    chain,
+    wallets,
+    wallet: active?.info ?? null,
+    provider: active?.provider ?? null,
+    account,
+    chainId,
+    status,
+    error,
+    isConnected: status === 'connected',
+    isCorrectChain: chainId === chain.chainId,
+    connect,
+    connectWith,
+    disconnect,
+    switchNetwork,
+    pickerOpen,
+    closePicker: () => setPickerOpen(false),
+  }), [chain, wallets, active, account, chainId, status, error, connect, connectWith, disconnect, switchNetwork, pickerOpen]);
+
+  return (
+    <WalletContext.Provider value={value}>
+      {children}
+      {pickerOpen && <WalletPicker />}
+    </WalletContext.Provider>
+  );
+}
+
+export default WalletProvider;
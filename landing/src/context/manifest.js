@@ -0,0 +1,9 @@
+import { createContext, useContext } from 'react';
+
+export const ManifestContext = createContext(null);
+
+export const useManifest = () => {
+  const context = useContext(ManifestContext);
+  if (!context) throw new Error('useManifest must be used inside <ManifestProvider>');
+  return context;
+};
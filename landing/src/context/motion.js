@@ -0,0 +1,9 @@
+import { createContext, useContext } from 'react';
+
+export const MotionContext = createContext(null);
+
+export const useMotion = () => {
+  const context = useContext(MotionContext);
+  if (!context) throw new Error('useMotion must be used inside <MotionProvider>');
+  return context;
+};
@@ -0,0 +1,9 @@
+import { createContext, useContext } from 'react';
+
+export const WaitlistContext = createContext(null);
+
+export const useWaitlist = () => {
+  const context = useContext(WaitlistContext);
+  if (!context) throw new Error('useWaitlist must be used inside <WaitlistProvider>');
+  return context;
+};
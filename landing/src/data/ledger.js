@@ -0,0 +1,11 @@
+// Fallback figures used when the pool or RPC cannot be read.
+// circulatingSupply is in whole BLT; leave it null to reuse the last on-chain reading.
+export const MARKET_SNAPSHOT = {
+  asOf: '2025-12-30',
+  priceUsd: 0.005,
+  circulatingSupply: null,
+};
+
+// Published first crossings, keyed by ledger tier id:
+// { crossedAt: ISO date, marketCapUsd: number }
+export const MILESTONE_HISTORY = {};
@@ -0,0 +1,45 @@
+/* ========================================
+   SERVER ENTRY (prerendering)
+   ========================================
+   Built with `vite build --ssr src/entry-server.jsx` and used by
+   scripts/prerender.js to write static HTML for every public page.
+*/
+
+import { prerenderToNodeStream } from 'react-dom/static';
+import App from './App';
+import { ROUTES } from './routes';
+import { PAGES } from './content/pages';
+import { WHITEPAPER_VERSIONS } from './content/whitepaper';
+
+/**
+ * Renders `url` to HTML. Waits for lazy routes, so the markup is the
+ * page itself rather than the Suspense fallback. Boundaries are never
+ * outlined: outlined content is swapped in by an inline script, which
+ * the pages do not ship.
+ */
+export async function render(url) {
+  const { prelude } = await prerenderToNodeStream(<App url={url} />, { progressiveChunkSize: Infinity });
+  let html = '';
+  for await (const chunk of prelude) html += chunk;
+  return html;
+}
+
+/**
+ * Every page worth a static file and a sitemap entry: the fixed routes
+ * plus each published whitepaper revision. API-backed detail pages
+ * (/governance/:id, /otc/:id) and private pages are left to the client.
+ */
+export const PRERENDER_PAGES = [
+  ...ROUTES.filter((route) => !route.private).map(({ path, title, description, props }) => ({
+    path,
+    title,
+    description,
+    lastmod: props?.page ? PAGES[props.page].updated : path === '/whitepaper' ? WHITEPAPER_VERSIONS[0].date : null,
+  })),
+  ...WHITEPAPER_VERSIONS.map(({ version, date, summary }) => ({
+    path: `/whitepaper/${version}`,
+    title: `Whitepaper v${version}`,
+    description: `Revision ${version} of the BELIEVE whitepaper, published ${date}. ${summary}`,
+    lastmod: date,
+  })),
+];
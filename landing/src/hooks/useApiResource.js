@@ -0,0 +1,31 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Runs `load` on mount and whenever `reload` is called.
+ * status: 'loading' | 'ready' | 'error'
+ */
+export function useApiResource(load, key) {
+  const [state, setState] = useState({ key, data: null, status: 'loading', error: null });
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    // A reload keeps showing the current data; a different resource starts empty
+    setState((previous) => (previous.key === key
+      ? { ...previous, status: previous.data ? 'ready' : 'loading', error: null }
+      : { key, data: null, status: 'loading', error: null }));
+
+    load()
+      .then((data) => { if (!cancelled) setState({ key, data, status: 'ready', error: null }); })
+      .catch((error) => { if (!cancelled) setState((previous) => ({ ...previous, status: 'error', error })); });
+
+    return () => { cancelled = true; };
+    // `load` is recreated each render; `key` identifies what it fetches
+  }, [key, attempt]);
+
+  const reload = useCallback(() => setAttempt((count) => count + 1), []);
+  const replace = useCallback((data) => setState({ key, data, status: 'ready', error: null }), [key]);
+
+  const { data, status, error } = state;
+  return { data, status, error, reload, replace };
+}
@@ -0,0 +1,36 @@
+import { useState, useEffect } from 'react';
+import { fetchMids, resolveAssetPrices } from '../lib/prices';
+import { PAYMENT_ASSETS, PRICE_API_URL } from '../config';
+
+/**
+ * USD prices (decimal strings) for the accepted payment assets,
+ * refreshed every `interval` ms. A missing price is null.
+ */
+export function useAssetPrices({ interval = 60 * 1000 } = {}) {
+  const [prices, setPrices] = useState(() => resolveAssetPrices(PAYMENT_ASSETS, null));
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const mids = await fetchMids(PRICE_API_URL);
+        if (cancelled) return;
+        setPrices(resolveAssetPrices(PAYMENT_ASSETS, mids));
+        setError(null);
+      } catch (loadError) {
+        if (!cancelled) setError(loadError);
+      }
+    };
+
+    load();
+    const timer = setInterval(load, interval);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [interval]);
+
+  return { prices, error };
+}
@@ -0,0 +1,60 @@
+import { useState, useEffect, useCallback } from 'react';
+import { createRpcClient } from '../lib/rpc';
+import { readTransferHistory } from '../lib/transfers';
+import { analyzeHolder } from '../lib/conviction';
+import { HYPEREVM, BLT_TOKEN, DEX_POOL, DEPLOYER_ADDRESS, NON_CIRCULATING_ADDRESSES, LOGS_PAGE_SIZE } from '../config';
+
+const rpc = createRpcClient(HYPEREVM.rpcUrl);
+
+/**
+ * Scans the BLT Transfer history of `address` and scores it.
+ * status: 'idle' | 'unavailable' | 'scanning' | 'ready' | 'error';
+ * `progress` is 0–1 while scanning. Without a configured deploy block
+ * there is nowhere sensible to start, so nothing is scanned.
+ */
+export function useConviction(address) {
+  const [state, setState] = useState({ status: 'idle', progress: 0, result: null, error: null });
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!address) {
+      setState({ status: 'idle', progress: 0, result: null, error: null });
+      return undefined;
+    }
+
+    if (BLT_TOKEN.deployBlock === null) {
+      setState({ status: 'unavailable', progress: 0, result: null, error: null });
+      return undefined;
+    }
+
+    let cancelled = false;
+    setState({ status: 'scanning', progress: 0, result: null, error: null });
+
+    readTransferHistory(rpc, {
+      token: BLT_TOKEN.address,
+      address,
+      startBlock: BLT_TOKEN.deployBlock,
+      pageSize: LOGS_PAGE_SIZE,
+      onProgress: (progress) => {
+        if (!cancelled) setState((previous) => ({ ...previous, progress }));
+      },
+    })
+      .then(({ transfers, head }) => {
+        if (cancelled) return;
+        const result = analyzeHolder(transfers, address, {
+          pools: DEX_POOL.address ? [DEX_POOL.address] : [],
+          distributors: [DEPLOYER_ADDRESS, ...NON_CIRCULATING_ADDRESSES],
+        });
+        setState({ status: 'ready', progress: 1, result: { ...result, head }, error: null });
+      })
+      .catch((error) => {
+        if (!cancelled) setState({ status: 'error', progress: 0, result: null, error });
+      });
+
+    return () => { cancelled = true; };
+  }, [address, attempt]);
+
+  const retry = useCallback(() => setAttempt((count) => count + 1), []);
+
+  return { ...state, retry };
+}
@@ -0,0 +1,15 @@
+import { useApiResource } from './useApiResource';
+import { lookupExclusion } from '../lib/exclusions';
+import { EXCLUSIONS_BASE_URL } from '../config';
+
+/**
+ * The published exclusion entry for `address`, with the register's
+ * summary; nothing is requested without an address.
+ */
+export function useExclusion(address) {
+  const { data, status, error, reload } = useApiResource(
+    () => (address ? lookupExclusion({ baseUrl: EXCLUSIONS_BASE_URL, address }) : Promise.resolve(null)),
+    address,
+  );
+  return { result: data, status, error, reload };
+}
@@ -0,0 +1,55 @@
+import { useEffect, useRef } from 'react';
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Hidden elements (display: none, collapsed drawers) cannot take focus
+const isVisible = (element) => element.getClientRects().length > 0 && getComputedStyle(element).visibility !== 'hidden';
+
+/**
+ * While `active`, keeps Tab and Shift+Tab inside `ref` and calls `onEscape`
+ * on Escape. Focus moves into the container when it opens and back to
+ * whatever had it before when it closes.
+ */
+export function useFocusTrap(ref, active, onEscape) {
+  const onEscapeRef = useRef(onEscape);
+  onEscapeRef.current = onEscape;
+
+  useEffect(() => {
+    if (!active || !ref.current) return undefined;
+    const container = ref.current;
+    const previous = document.activeElement;
+    const focusables = () => [...container.querySelectorAll(FOCUSABLE)].filter(isVisible);
+
+    if (!container.contains(document.activeElement)) focusables()[0]?.focus();
+
+    const handleKey = (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        onEscapeRef.current?.();
+        return;
+      }
+      if (event.key !== 'Tab') return;
+
+      const items = focusables();
+      if (items.length === 0) return;
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      } else if (!container.contains(document.activeElement)) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener('keydown', handleKey);
+    return () => {
+      document.removeEventListener('keydown', handleKey);
+      if (previous instanceof HTMLElement && document.contains(previous)) previous.focus();
+    };
+  }, [ref, active]);
+}
@@ -0,0 +1,15 @@
+import { useApiResource } from './useApiResource';
+import { createGovernanceApi } from '../lib/governance';
+import { API_BASE_URL } from '../config';
+
+export const governanceApi = createGovernanceApi(API_BASE_URL);
+
+export function useProposals() {
+  const { data, ...rest } = useApiResource(() => governanceApi.listProposals().then((body) => body.proposals), 'list');
+  return { proposals: data || [], ...rest };
+}
+
+export function useProposal(id) {
+  const { data, ...rest } = useApiResource(() => governanceApi.getProposal(id).then((body) => body.proposal), id);
+  return { proposal: data, ...rest };
+}
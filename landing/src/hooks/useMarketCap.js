@@ -0,0 +1,78 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useTokenStats } from './useTokenStats';
+import { useAssetPrices } from './useAssetPrices';
+import { createRpcClient } from '../lib/rpc';
+import { readPoolState, spotPrice } from '../lib/pool';
+import { computeMarketCap } from '../lib/milestones';
+import { parseUnits } from '../lib/format';
+import { HYPEREVM, BLT_TOKEN, DEX_POOL } from '../config';
+import { MARKET_SNAPSHOT } from '../data/ledger';
+
+/**
+ * Pool state of the configured BLT pair, polled every `interval` ms.
+ */
+export function usePoolState({ interval = 60 * 1000 } = {}) {
+  const [state, setState] = useState({ pool: null, error: null });
+
+  useEffect(() => {
+    if (!DEX_POOL.address) return undefined;
+
+    let cancelled = false;
+    const rpc = createRpcClient(HYPEREVM.rpcUrl);
+
+    const load = async () => {
+      try {
+        const pool = await readPoolState(rpc, DEX_POOL);
+        if (!cancelled) setState({ pool, error: null });
+      } catch (error) {
+        if (!cancelled) setState((previous) => ({ ...previous, error }));
+      }
+    };
+
+    load();
+    const timer = setInterval(load, interval);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [interval]);
+
+  return state;
+}
+
+/**
+ * Market cap = pool spot price (in USD) × circulating supply.
+ * Falls back to the configured snapshot when either input is missing.
+ * source: 'live' | 'snapshot' | 'unavailable'
+ */
+export function useMarketCap() {
+  const { stats, status } = useTokenStats();
+  const { prices } = useAssetPrices();
+  const { pool } = usePoolState();
+
+  return useMemo(() => {
+    const quoteUsd = Number(prices[DEX_POOL.quoteSymbol]);
+    const livePrice = pool && quoteUsd ? spotPrice(pool, BLT_TOKEN.address) * quoteUsd : null;
+
+    if (livePrice && stats && status === 'live') {
+      return {
+        source: 'live',
+        priceUsd: livePrice,
+        marketCapUsd: computeMarketCap({ priceUsd: livePrice, circulatingSupply: stats.circulatingSupply, decimals: stats.decimals }),
+        asOf: new Date(stats.fetchedAt),
+      };
+    }
+
+    const supply = stats
+      ? { circulatingSupply: stats.circulatingSupply, decimals: stats.decimals }
+      : { circulatingSupply: parseUnits(MARKET_SNAPSHOT.circulatingSupply ?? '', 0), decimals: 0 };
+    const marketCapUsd = computeMarketCap({ priceUsd: MARKET_SNAPSHOT.priceUsd, ...supply });
+
+    return {
+      source: marketCapUsd === null ? 'unavailable' : 'snapshot',
+      priceUsd: MARKET_SNAPSHOT.priceUsd,
+      marketCapUsd,
+      asOf: MARKET_SNAPSHOT.asOf ? new Date(MARKET_SNAPSHOT.asOf) : null,
+    };
+  }, [stats, status, prices, pool]);
+}
@@ -0,0 +1,15 @@
+import { useApiResource } from './useApiResource';
+import { createOtcApi } from '../lib/otc';
+import { API_BASE_URL } from '../config';
+
+export const otcApi = createOtcApi(API_BASE_URL);
+
+export function useOffers(filters) {
+  const { data, ...rest } = useApiResource(() => otcApi.listOffers(filters).then((body) => body.offers), JSON.stringify(filters));
+  return { offers: data || [], ...rest };
+}
+
+export function useOffer(id) {
+  const { data, ...rest } = useApiResource(() => otcApi.getOffer(id).then((body) => body.offer), id);
+  return { offer: data, ...rest };
+}
@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react';
+import { createRpcClient } from '../lib/rpc';
+import { readPoolState, readTickLiquidity } from '../lib/pool';
+import { HYPEREVM, DEX_POOL } from '../config';
+
+/**
+ * Pool state of the configured BLT pair with its initialized ticks (V3),
+ * read at one block so the two agree, every `interval` ms.
+ */
+export function usePoolLiquidity({ interval = 60 * 1000 } = {}) {
+  const [state, setState] = useState({ pool: null, ticks: [], error: null });
+
+  useEffect(() => {
+    if (!DEX_POOL.address) return undefined;
+
+    let cancelled = false;
+    const rpc = createRpcClient(HYPEREVM.rpcUrl);
+
+    const load = async () => {
+      try {
+        const blockTag = `0x${(await rpc.blockNumber()).toString(16)}`;
+        const pool = await readPoolState(rpc, DEX_POOL, blockTag);
+        const ticks = pool.type === 'v3' ? await readTickLiquidity(rpc, pool, { blockTag }) : [];
+        if (!cancelled) setState({ pool, ticks, error: null });
+      } catch (error) {
+        if (!cancelled) setState((previous) => ({ ...previous, error }));
+      }
+    };
+
+    load();
+    const timer = setInterval(load, interval);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [interval]);
+
+  return state;
+}
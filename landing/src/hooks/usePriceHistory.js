@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react';
+import { useApiResource } from './useApiResource';
+import { createMarketApi } from '../lib/swaps';
+import { fetchPriceCandles } from '../lib/prices';
+import { API_BASE_URL, PRICE_API_URL } from '../config';
+
+export const marketApi = createMarketApi(API_BASE_URL);
+
+/**
+ * Candles for one of CHART_RANGES, served from the API's swap index.
+ */
+export function usePriceHistory(range) {
+  const { data, ...rest } = useApiResource(() => marketApi.candles(range), range);
+  return { history: data, ...rest };
+}
+
+/**
+ * USD closes of `coin` covering the candles of `history`, at the same
+ * width, for converting each candle at its own time. null while loading,
+ * when `coin` is null or when the price feed fails.
+ */
+export function useUsdRates(history, coin) {
+  const [rates, setRates] = useState(null);
+
+  useEffect(() => {
+    const candles = history?.candles;
+    setRates(null);
+    if (!coin || !candles?.length) return undefined;
+
+    let cancelled = false;
+    fetchPriceCandles(PRICE_API_URL, coin, {
+      interval: history.interval,
+      // One candle earlier, in case the feed's candles open on other boundaries
+      startTime: candles[0].time - history.interval,
+      endTime: candles[candles.length - 1].time + history.interval,
+    })
+      .then((loaded) => { if (!cancelled) setRates(loaded); })
+      .catch(() => { if (!cancelled) setRates(null); });
+
+    return () => { cancelled = true; };
+  }, [history, coin]);
+
+  return rates;
+}
@@ -0,0 +1,40 @@
+import { useState, useEffect } from 'react';
+import { useApiResource } from './useApiResource';
+import { createReconciliationApi } from '../lib/deposits';
+import { API_BASE_URL } from '../config';
+
+export const reconciliationApi = createReconciliationApi(API_BASE_URL);
+
+// Per tab: the token is gone when the browser tab closes
+const TOKEN_KEY = 'believe.adminToken';
+
+/**
+ * The admin token kept in sessionStorage, read after mount so the
+ * prerendered markup and the first client render agree.
+ */
+export function useAdminToken() {
+  const [token, setToken] = useState(null);
+
+  useEffect(() => {
+    setToken(sessionStorage.getItem(TOKEN_KEY));
+  }, []);
+
+  const save = (value) => {
+    if (value) sessionStorage.setItem(TOKEN_KEY, value);
+    else sessionStorage.removeItem(TOKEN_KEY);
+    setToken(value || null);
+  };
+
+  return [token, save];
+}
+
+/**
+ * The reconciliation report for `token`; nothing is requested without one.
+ */
+export function useReconciliation(token) {
+  const { data, status, error, reload } = useApiResource(
+    () => (token ? reconciliationApi.report(token) : Promise.resolve(null)),
+    token,
+  );
+  return { report: data, status, error, reload };
+}
@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Id of the last element in `ids` whose top has scrolled past `offset`
+ * pixels from the top of the viewport, i.e. the section being read.
+ */
+export function useScrollSpy(ids, { offset = 120 } = {}) {
+  const [active, setActive] = useState(ids[0] || null);
+  const key = ids.join(' ');
+
+  useEffect(() => {
+    const list = key ? key.split(' ') : [];
+    let frame = null;
+
+    const update = () => {
+      frame = null;
+      let current = list[0] || null;
+      for (const id of list) {
+        const element = document.getElementById(id);
+        if (element && element.getBoundingClientRect().top <= offset) current = id;
+      }
+      // At the very bottom the last sections may never reach the offset
+      if (window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2) {
+        current = list[list.length - 1] || current;
+      }
+      setActive(current);
+    };
+
+    const handleScroll = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+
+    update();
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    window.addEventListener('resize', handleScroll);
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+      window.removeEventListener('resize', handleScroll);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [key, offset]);
+
+  return active;
+}
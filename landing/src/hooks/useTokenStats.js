@@ -0,0 +1,43 @@
+import { useState, useEffect, useCallback } from 'react';
+import { createRpcClient } from '../lib/rpc';
+import { createTokenStatsReader, isStale } from '../lib/tokenStats';
+import { HYPEREVM, BLT_TOKEN, DEPLOYER_ADDRESS, NON_CIRCULATING_ADDRESSES } from '../config';
+
+let sharedReader = null;
+
+const getReader = () => {
+  sharedReader = sharedReader || createTokenStatsReader({
+    rpc: createRpcClient(HYPEREVM.rpcUrl),
+    token: BLT_TOKEN.address,
+    deployer: DEPLOYER_ADDRESS,
+    nonCirculating: NON_CIRCULATING_ADDRESSES,
+  });
+  return sharedReader;
+};
+
+/**
+ * Live BLT supply figures, polled every `interval` ms.
+ * status: 'loading' | 'live' | 'stale' | 'error'
+ */
+export function useTokenStats({ interval = 30 * 1000 } = {}) {
+  const [state, setState] = useState({ stats: null, status: 'loading', error: null });
+
+  const refresh = useCallback(async (force = false) => {
+    const { stats, stale, error } = await getReader().read({ force });
+    let status = 'live';
+    if (!stats) status = 'error';
+    else if (stale || isStale(stats)) status = 'stale';
+    setState({ stats, status, error });
+  }, []);
+
+  useEffect(() => {
+    const cached = getReader().peek();
+    if (cached) setState({ stats: cached, status: isStale(cached) ? 'stale' : 'live', error: null });
+
+    refresh();
+    const timer = setInterval(refresh, interval);
+    return () => clearInterval(timer);
+  }, [interval, refresh]);
+
+  return { ...state, refresh: () => refresh(true) };
+}
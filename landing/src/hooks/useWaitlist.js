@@ -0,0 +1,25 @@
+import { useState, useEffect } from 'react';
+import { createWaitlistApi } from '../lib/waitlist';
+import { API_BASE_URL } from '../config';
+
+export const waitlistApi = createWaitlistApi(API_BASE_URL);
+
+/**
+ * Follows a confirmation or unsubscribe link once.
+ * status: 'idle' (no token) | 'working' | 'done' | 'error'
+ */
+export function useWaitlistLink(action, token) {
+  const [state, setState] = useState({ status: 'idle', error: null });
+
+  useEffect(() => {
+    if (!action || !token) return undefined;
+    let cancelled = false;
+    setState({ status: 'working', error: null });
+    waitlistApi[action](token)
+      .then(() => { if (!cancelled) setState({ status: 'done', error: null }); })
+      .catch((error) => { if (!cancelled) setState({ status: 'error', error }); });
+    return () => { cancelled = true; };
+  }, [action, token]);
+
+  return state;
+}
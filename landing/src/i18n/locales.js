@@ -0,0 +1,59 @@
+/* ========================================
+   LOCALES
+   ======================================== */
+
+const LOCALE_KEY = 'believe.locale';
+
+// `intl` is the tag handed to Intl formatters; `dir` drives <html dir>
+export const LOCALES = [
+  { code: 'en', name: 'English', intl: 'en-US', dir: 'ltr' },
+  { code: 'zh', name: '中文', intl: 'zh-CN', dir: 'ltr' },
+  { code: 'ko', name: '한국어', intl: 'ko-KR', dir: 'ltr' },
+  { code: 'tr', name: 'Türkçe', intl: 'tr-TR', dir: 'ltr' },
+  { code: 'ar', name: 'العربية', intl: 'ar', dir: 'rtl' },
+  { code: 'es', name: 'Español', intl: 'es-ES', dir: 'ltr' },
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+export const getLocale = (code) => LOCALES.find((locale) => locale.code === code) || getLocale(DEFAULT_LOCALE);
+
+/**
+ * Catalogs to consult for `code`, most specific first:
+ * "es-MX" → ["es-MX", "es", "en"]. Unknown entries are simply skipped by lookups.
+ */
+export function fallbackChain(code) {
+  const chain = [];
+  const parts = String(code).split('-');
+  for (let i = parts.length; i > 0; i--) chain.push(parts.slice(0, i).join('-'));
+  if (!chain.includes(DEFAULT_LOCALE)) chain.push(DEFAULT_LOCALE);
+  return chain;
+}
+
+/**
+ * First supported locale for a list of BCP 47 tags (e.g. navigator.languages).
+ */
+export function matchLocale(preferred = []) {
+  for (const tag of preferred) {
+    const language = tag.toLowerCase().split('-')[0];
+    if (LOCALES.some((locale) => locale.code === language)) return language;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function loadLocale(storage = globalThis.localStorage) {
+  try {
+    const saved = storage?.getItem(LOCALE_KEY);
+    return LOCALES.some((locale) => locale.code === saved) ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveLocale(code, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(LOCALE_KEY, code);
+  } catch {
+    // Private mode: the choice just won't survive a reload
+  }
+}
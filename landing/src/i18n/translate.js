@@ -0,0 +1,44 @@
+/* ========================================
+   MESSAGE LOOKUP
+   ======================================== */
+
+import { fallbackChain, getLocale } from './locales.js';
+import en from './messages/en.json';
+import zh from './messages/zh.json';
+import ko from './messages/ko.json';
+import tr from './messages/tr.json';
+import ar from './messages/ar.json';
+import es from './messages/es.json';
+
+export const MESSAGES = { en, zh, ko, tr, ar, es };
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+// Plural messages are objects keyed by Intl.PluralRules categories
+const isPlural = (message) => message !== null && typeof message === 'object' && 'other' in message;
+
+export const interpolate = (template, values = {}) =>
+  template.replace(/\{(\w+)\}/g, (match, name) => (values[name] === undefined ? match : String(values[name])));
+
+/**
+ * Returns t(key, values) for `code`. Keys are looked up along the locale's
+ * fallback chain and end in English; a key missing everywhere renders as itself.
+ * Pass `count` in values to pick a plural form.
+ */
+export function createTranslator(code, catalogs = MESSAGES) {
+  const chain = fallbackChain(code);
+  const plurals = new Intl.PluralRules(getLocale(code).intl);
+
+  return (key, values) => {
+    for (const locale of chain) {
+      const message = lookup(catalogs[locale], key);
+      if (typeof message === 'string') return interpolate(message, values);
+      if (isPlural(message)) {
+        const form = values?.count === undefined ? 'other' : plurals.select(values.count);
+        return interpolate(message[form] ?? message.other, values);
+      }
+    }
+    if (import.meta.env?.DEV) console.warn(`Missing message "${key}"`);
+    return key;
+  };
+}
@@ -0,0 +1,15 @@
+/* ========================================
+   ABI WORD DECODING
+   ======================================== */
+
+export const splitWords = (hex) => (hex.replace(/^0x/, '').match(/.{64}/g) || []).map((word) => `0x${word}`);
+
+export const decodeAddressWord = (word) => `0x${word.slice(-40)}`;
+
+/**
+ * Reads a two's-complement signed integer of `bits` width from a word.
+ */
+export function decodeSigned(word, bits = 256) {
+  const value = BigInt(word) & ((1n << BigInt(bits)) - 1n);
+  return value >= 1n << BigInt(bits - 1) ? value - (1n << BigInt(bits)) : value;
+}
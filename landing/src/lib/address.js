@@ -0,0 +1,40 @@
+/* ========================================
+   ADDRESS HELPERS
+   ======================================== */
+
+import { keccak256 } from './keccak.js';
+
+export const isAddress = (value) => /^0x[0-9a-fA-F]{40}$/.test(String(value).trim());
+
+/**
+ * EIP-55 mixed-case checksum encoding.
+ */
+export function toChecksumAddress(address) {
+  if (!isAddress(address)) throw new Error(`Invalid address: ${address}`);
+  const lower = address.trim().slice(2).toLowerCase();
+  const hash = keccak256(lower).slice(2);
+  let result = '0x';
+  for (let i = 0; i < lower.length; i++) {
+    result += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+  }
+  return result;
+}
+
+/**
+ * 'valid' when the casing matches EIP-55, 'unchecked' for single-case input
+ * (which carries no checksum), 'invalid' otherwise.
+ */
+export function checksumStatus(address) {
+  if (!isAddress(address)) return 'invalid';
+  const body = address.trim().slice(2);
+  if (body === body.toLowerCase() || body === body.toUpperCase()) return 'unchecked';
+  return toChecksumAddress(address) === address.trim() ? 'valid' : 'invalid';
+}
+
+export const shortAddress = (address) =>
+  address ? `${address.slice(0, 6)}…${address.slice(-4)}` : '';
+
+/**
+ * EIP-681 payment URI pinned to a chain.
+ */
+export const toPaymentUri = (address, chainId) => `ethereum:${toChecksumAddress(address)}@${chainId}`;
@@ -0,0 +1,36 @@
+/* ========================================
+   BELIEF REWARDS ELIGIBILITY
+   ======================================== */
+
+import { hashLeaf, verifyProof } from './merkle.js';
+
+// Proofs are sharded by the first address byte to keep each download small
+export const shardOf = (address) => address.slice(2, 4).toLowerCase();
+
+async function fetchJson(url, fetchImpl, { optional = false } = {}) {
+  const response = await fetchImpl(url);
+  if (optional && response.status === 404) return null;
+  if (!response.ok) throw new Error(`Snapshot request failed (${response.status}): ${url}`);
+  return response.json();
+}
+
+/**
+ * Looks up `address` in the published snapshot and verifies its proof
+ * against the snapshot root client-side.
+ */
+export async function checkEligibility({ baseUrl, address, pinnedRoot = null, fetchImpl = globalThis.fetch }) {
+  const meta = await fetchJson(`${baseUrl}/root.json`, fetchImpl);
+
+  if (pinnedRoot && meta.root.toLowerCase() !== pinnedRoot.toLowerCase()) {
+    throw new Error('Published snapshot root does not match the pinned root. Do not trust this snapshot.');
+  }
+
+  const shard = await fetchJson(`${baseUrl}/proofs/${shardOf(address)}.json`, fetchImpl, { optional: true });
+  const entry = shard?.[address.toLowerCase()];
+  if (!entry) return { meta, listed: false, verified: false, amounts: null };
+
+  const amounts = entry.amounts.map((amount) => BigInt(amount));
+  const verified = verifyProof(hashLeaf(address, amounts), entry.proof, meta.root);
+
+  return { meta, listed: true, verified, amounts };
+}
@@ -0,0 +1,29 @@
+/* ========================================
+   SITE API CLIENT
+   ======================================== */
+
+export class ApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * JSON request helper for the /api functions. Error responses throw an
+ * ApiError carrying the server's message and HTTP status; text responses
+ * (CSV exports) resolve to the text.
+ */
+export function createApiRequest(baseUrl, fetchImpl = globalThis.fetch) {
+  return async (path, options) => {
+    const response = await fetchImpl(`${baseUrl}${path}`, {
+      ...options,
+      headers: { Accept: 'application/json', ...(options?.body && { 'Content-Type': 'application/json' }), ...options?.headers },
+    });
+    if (response.ok && response.headers?.get('Content-Type')?.startsWith('text/')) return response.text();
+    const payload = await response.json().catch(() => null);
+    if (!response.ok) throw new ApiError(payload?.error || `API responded ${response.status}`, response.status);
+    return payload;
+  };
+}
@@ -0,0 +1,143 @@
+/* ========================================
+   CONVICTION BADGE IMAGE
+   ========================================
+   Draws the shareable badge on a canvas (1200×630, the common social
+   preview size) and hands it to the share sheet or a download. The
+   image is always in English, like the purchase receipt, so it reads
+   the same wherever it is shared.
+*/
+
+import { formatTokenAmount, formatDuration } from './format.js';
+import { toChecksumAddress } from './address.js';
+
+export const BADGE_WIDTH = 1200;
+export const BADGE_HEIGHT = 630;
+
+const DISPLAY_FONT = "'Plus Jakarta Sans', 'Inter', sans-serif";
+const MONO_FONT = 'monospace';
+
+/**
+ * Text for the badge from an analyzeHolder() result.
+ */
+export function badgeContent(result, { address, token, site }) {
+  return {
+    address: toChecksumAddress(address),
+    score: result.score,
+    level: result.level.label,
+    stats: [
+      { label: 'AVERAGE TOKEN AGE', value: formatDuration(result.averageAgeSeconds) },
+      { label: 'LONGEST HOLD', value: formatDuration(result.longestHoldSeconds) },
+      { label: 'HOLDING', value: `${formatTokenAmount(result.balance, token.decimals, 0)} ${token.symbol}` },
+      { label: 'SELLS', value: String(result.sells) },
+    ],
+    footer: `${site} · BLOCK ${result.head}`,
+  };
+}
+
+/**
+ * Renders the badge into `canvas` from badgeContent() text. The layout is
+ * always left to right, whatever the page direction.
+ */
+export function drawBadge(canvas, { address, score, level, stats, footer }) {
+  canvas.width = BADGE_WIDTH;
+  canvas.height = BADGE_HEIGHT;
+  const context = canvas.getContext('2d');
+  context.direction = 'ltr';
+  context.textBaseline = 'alphabetic';
+
+  context.fillStyle = '#000';
+  context.fillRect(0, 0, BADGE_WIDTH, BADGE_HEIGHT);
+
+  const glow = context.createRadialGradient(900, 120, 0, 900, 120, 600);
+  glow.addColorStop(0, 'rgba(255, 255, 255, 0.10)');
+  glow.addColorStop(1, 'rgba(255, 255, 255, 0)');
+  context.fillStyle = glow;
+  context.fillRect(0, 0, BADGE_WIDTH, BADGE_HEIGHT);
+
+  context.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+  context.lineWidth = 2;
+  context.strokeRect(24, 24, BADGE_WIDTH - 48, BADGE_HEIGHT - 48);
+
+  // Logo mark and tag line
+  context.fillStyle = '#FFF';
+  context.fillRect(72, 72, 48, 48);
+  context.fillStyle = '#000';
+  context.font = `900 30px ${DISPLAY_FONT}`;
+  context.textAlign = 'center';
+  context.fillText('B', 96, 107);
+
+  context.textAlign = 'left';
+  context.fillStyle = '#FFF';
+  context.font = `800 24px ${DISPLAY_FONT}`;
+  context.fillText('BELIEVE', 140, 105);
+  context.fillStyle = '#666';
+  context.font = `16px ${MONO_FONT}`;
+  context.fillText('CONVICTION // BLT', 72, 170);
+
+  // Score and level
+  context.fillStyle = '#FFF';
+  context.font = `800 180px ${DISPLAY_FONT}`;
+  context.fillText(String(score), 64, 360);
+  const scoreWidth = context.measureText(String(score)).width;
+  context.fillStyle = '#444';
+  context.font = `700 40px ${DISPLAY_FONT}`;
+  context.fillText('/100', 64 + scoreWidth + 16, 360);
+
+  context.fillStyle = '#FFF';
+  context.font = `800 44px ${DISPLAY_FONT}`;
+  context.fillText(level, 72, 430);
+
+  context.fillStyle = '#888';
+  context.font = `20px ${MONO_FONT}`;
+  context.fillText(address, 72, 480);
+
+  // Stats column on the right
+  context.textAlign = 'right';
+  stats.slice(0, 4).forEach((stat, index) => {
+    const y = 220 + index * 90;
+    context.fillStyle = '#555';
+    context.font = `14px ${MONO_FONT}`;
+    context.fillText(stat.label, BADGE_WIDTH - 72, y);
+    context.fillStyle = '#FFF';
+    context.font = `700 32px ${DISPLAY_FONT}`;
+    context.fillText(stat.value, BADGE_WIDTH - 72, y + 40);
+  });
+
+  context.textAlign = 'left';
+  context.fillStyle = '#444';
+  context.font = `14px ${MONO_FONT}`;
+  context.fillText(footer, 72, BADGE_HEIGHT - 64);
+}
+
+export const canvasToBlob = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not render the badge'))), 'image/png');
+});
+
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Opens the system share sheet with the image where files can be shared
+ * (mostly mobile); elsewhere downloads it. Resolves to 'shared',
+ * 'downloaded' or 'cancelled'.
+ */
+export async function shareImage(blob, { filename, title, text, url }) {
+  const file = new File([blob], filename, { type: blob.type });
+  if (navigator.canShare?.({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], title, text, url });
+      return 'shared';
+    } catch (error) {
+      if (error.name === 'AbortError') return 'cancelled';
+      // Share targets can fail after the sheet opens; fall back to a download
+    }
+  }
+  downloadBlob(filename, blob);
+  return 'downloaded';
+}
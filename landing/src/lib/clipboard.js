@@ -0,0 +1,46 @@
+/* ========================================
+   CLIPBOARD
+   ======================================== */
+
+/**
+ * Copies text, falling back to a selection-based copy where the async
+ * Clipboard API is missing or blocked (insecure contexts, old browsers).
+ * Resolves to true on success.
+ */
+export async function copyText(text) {
+  if (navigator.clipboard && window.isSecureContext) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch {
+      // Permission denied: try the selection fallback
+    }
+  }
+
+  const area = document.createElement('textarea');
+  area.value = text;
+  area.setAttribute('readonly', '');
+  area.style.position = 'fixed';
+  area.style.opacity = '0';
+  document.body.appendChild(area);
+  area.select();
+
+  try {
+    return document.execCommand('copy');
+  } catch {
+    return false;
+  } finally {
+    area.remove();
+  }
+}
+
+/**
+ * Selects the contents of `element` so the user can copy manually.
+ */
+export function selectContents(element) {
+  const range = document.createRange();
+  range.selectNodeContents(element);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
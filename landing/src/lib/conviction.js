@@ -0,0 +1,141 @@
+/* ========================================
+   CONVICTION SCORE
+   ========================================
+   Holding metrics for one address from its Transfer history, and the
+   0–100 score and badge level derived from them. Token age follows FIFO:
+   tokens sent out are taken from the oldest holdings first.
+*/
+
+const DAY = 24 * 60 * 60;
+const YEAR = 365 * DAY;
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Highest level first; `label` is used on the shareable badge image
+export const CONVICTION_LEVELS = [
+  { id: 'trueBeliever', min: 80, label: 'TRUE BELIEVER' },
+  { id: 'believer', min: 60, label: 'BELIEVER' },
+  { id: 'holder', min: 40, label: 'HOLDER' },
+  { id: 'initiate', min: 20, label: 'INITIATE' },
+  { id: 'observer', min: 0, label: 'OBSERVER' },
+];
+
+export const levelFor = (score) => CONVICTION_LEVELS.find((level) => score >= level.min);
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * What a transfer was, seen from `address`:
+ * 'mint' | 'burn' | 'buy' | 'sell' | 'allocation' | 'received' | 'sent' | 'self'.
+ * Transfers with a `pools` address are trades; tokens from a `distributors`
+ * address (the deployer) are allocations.
+ */
+export function classifyTransfer(transfer, address, { pools = [], distributors = [] } = {}) {
+  const self = address.toLowerCase();
+  const from = transfer.from.toLowerCase();
+  const to = transfer.to.toLowerCase();
+  if (from === self && to === self) return 'self';
+
+  const incoming = to === self;
+  const counterparty = incoming ? from : to;
+  if (counterparty === ZERO_ADDRESS) return incoming ? 'mint' : 'burn';
+  if (pools.some((pool) => pool.toLowerCase() === counterparty)) return incoming ? 'buy' : 'sell';
+  if (incoming && distributors.some((distributor) => distributor.toLowerCase() === counterparty)) return 'allocation';
+  return incoming ? 'received' : 'sent';
+}
+
+/**
+ * Points out of 100:
+ * - 40 for average token age, full at one year
+ * - 20 for the longest unbroken hold, full at one year
+ * - 30 for the share of everything received that is still held
+ * - 10 for never selling, less 2.5 per sell
+ */
+export function convictionScore({ averageAgeSeconds, longestHoldSeconds, received, balance, sells }) {
+  if (received === 0n) return 0;
+  const age = clamp01(averageAgeSeconds / YEAR) * 40;
+  const longest = clamp01(longestHoldSeconds / YEAR) * 20;
+  const retained = clamp01(Number((balance * 10000n) / received) / 10000) * 30;
+  const discipline = Math.max(0, 10 - sells * 2.5);
+  return Math.round(age + longest + retained + discipline);
+}
+
+/**
+ * Replays `transfers` (oldest first, with `timestamp` in seconds) for
+ * `address` and returns its holding metrics, score and classified history
+ * (newest first). `now` is in seconds.
+ */
+export function analyzeHolder(transfers, address, { now = Math.floor(Date.now() / 1000), pools, distributors } = {}) {
+  const lots = [];
+  let balance = 0n;
+  let holdStart = null;
+  let firstAcquiredAt = null;
+  let holdingSeconds = 0;
+  let longestHoldSeconds = 0;
+  const totals = { received: 0n, sent: 0n, bought: 0n, sold: 0n, buys: 0, sells: 0 };
+
+  const endHold = (at) => {
+    const length = at - holdStart;
+    holdingSeconds += length;
+    longestHoldSeconds = Math.max(longestHoldSeconds, length);
+    holdStart = null;
+  };
+
+  const history = transfers.map((transfer) => {
+    const kind = classifyTransfer(transfer, address, { pools, distributors });
+    const incoming = ['mint', 'buy', 'allocation', 'received'].includes(kind);
+    if (kind === 'self' || transfer.value === 0n) return { ...transfer, kind, incoming };
+
+    if (incoming) {
+      lots.push({ amount: transfer.value, acquiredAt: transfer.timestamp });
+      balance += transfer.value;
+      totals.received += transfer.value;
+      if (kind === 'buy') {
+        totals.bought += transfer.value;
+        totals.buys += 1;
+      }
+      if (holdStart === null) holdStart = transfer.timestamp;
+      if (firstAcquiredAt === null) firstAcquiredAt = transfer.timestamp;
+    } else {
+      // Oldest tokens leave first; a history that starts mid-life may
+      // send more than it has seen arrive, so never go below zero
+      let remaining = transfer.value;
+      while (remaining > 0n && lots.length) {
+        const take = lots[0].amount < remaining ? lots[0].amount : remaining;
+        lots[0].amount -= take;
+        remaining -= take;
+        if (lots[0].amount === 0n) lots.shift();
+      }
+      balance = balance > transfer.value ? balance - transfer.value : 0n;
+      totals.sent += transfer.value;
+      if (kind === 'sell') {
+        totals.sold += transfer.value;
+        totals.sells += 1;
+      }
+      if (balance === 0n && holdStart !== null) endHold(transfer.timestamp);
+    }
+    return { ...transfer, kind, incoming };
+  });
+
+  const currentHoldSeconds = holdStart === null ? 0 : now - holdStart;
+  if (holdStart !== null) {
+    holdingSeconds += currentHoldSeconds;
+    longestHoldSeconds = Math.max(longestHoldSeconds, currentHoldSeconds);
+  }
+
+  const weightedAge = lots.reduce((sum, lot) => sum + lot.amount * BigInt(now - lot.acquiredAt), 0n);
+  const averageAgeSeconds = balance > 0n ? Number(weightedAge / balance) : 0;
+
+  const metrics = {
+    balance,
+    firstAcquiredAt,
+    holdingSeconds,
+    currentHoldSeconds,
+    longestHoldSeconds,
+    averageAgeSeconds,
+    ...totals,
+  };
+  const score = convictionScore(metrics);
+
+  return { ...metrics, score, level: levelFor(score), history: history.reverse() };
+}
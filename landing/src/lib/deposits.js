@@ -0,0 +1,208 @@
+/* ========================================
+   DIRECT ALLOCATION RECONCILIATION
+   ========================================
+   Shared by the admin console and the /api functions: indexing payments
+   to the deployer wallet and the BLT paid out against them, matching the
+   two, and the API client.
+*/
+
+import { getLogsPaginated, readBlockTimestamps, addressTopic, TOPICS } from './logs.js';
+import { decodeTransfer } from './transfers.js';
+import { createApiRequest } from './api.js';
+
+export const RECONCILIATION_PATH = '/admin/reconciliation';
+
+const toBlockTag = (block) => `0x${BigInt(block).toString(16)}`;
+
+// Native transfers have no log index; they sort ahead of logs in their block
+const byPosition = (a, b) => a.blockNumber - b.blockNumber || (a.logIndex ?? -1) - (b.logIndex ?? -1);
+
+/**
+ * Native value transfers to `recipient` in [fromBlock, toBlock]. They emit
+ * no log, so every block is read with its transactions, `concurrency` at
+ * a time; matches are then checked against their receipts so reverted
+ * transactions are dropped.
+ * Only top-level transactions are seen: HYPE forwarded to `recipient` by a
+ * contract (an internal transfer, e.g. from a multisig or a router) shows
+ * up in no block's transaction list and is missed.
+ * Workers stop taking blocks once `deadline` (ms) passes. Blocks are
+ * handed out in order and in-flight ones finish, so what was read is
+ * always [fromBlock, scannedTo]; scannedTo is fromBlock - 1 if nothing was.
+ */
+async function scanNativeDeposits(rpc, { recipient, fromBlock, toBlock, concurrency = 4, deadline = Infinity, onBlock }) {
+  const target = recipient.toLowerCase();
+  const found = [];
+  let next = BigInt(fromBlock);
+  const end = BigInt(toBlock);
+
+  const worker = async () => {
+    while (next <= end && Date.now() < deadline) {
+      const number = next;
+      next += 1n;
+      const block = await rpc.getBlock(toBlockTag(number), true);
+      if (!block) throw new Error(`Block ${number} not found`);
+      block.transactions
+        .filter((tx) => tx.to?.toLowerCase() === target && BigInt(tx.value) > 0n)
+        .forEach((tx) => found.push({
+          blockNumber: Number(number),
+          logIndex: null,
+          hash: tx.hash,
+          from: tx.from.toLowerCase(),
+          amount: BigInt(tx.value),
+          timestamp: Number(BigInt(block.timestamp)),
+        }));
+      onBlock?.(number);
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, worker));
+
+  const receipts = await Promise.all(found.map((deposit) => rpc.getTransactionReceipt(deposit.hash)));
+  return {
+    deposits: found.filter((_, i) => receipts[i]?.status === '0x1'),
+    scannedTo: next - 1n,
+  };
+}
+
+/**
+ * Payments to `recipient` in [fromBlock, toBlock], oldest first: ERC-20
+ * Transfer logs of each token in `assets` and native value transfers.
+ * Each is { asset, hash, logIndex, blockNumber, timestamp, from, amount }.
+ * With a native asset the block scan may stop early at `deadline`; the
+ * result covers [fromBlock, scannedTo] and token logs are read to match.
+ */
+export async function scanDeposits(rpc, { recipient, assets, fromBlock, toBlock, pageSize, concurrency, deadline, onBlock }) {
+  const tokens = assets.filter((asset) => asset.type === 'erc20');
+  const native = assets.find((asset) => asset.type === 'native');
+
+  const { deposits: nativeDeposits, scannedTo } = native
+    ? await scanNativeDeposits(rpc, { recipient, fromBlock, toBlock, concurrency, deadline, onBlock })
+    : { deposits: [], scannedTo: BigInt(toBlock) };
+  if (scannedTo < BigInt(fromBlock)) return { deposits: [], scannedTo };
+
+  const logs = tokens.length ? await getLogsPaginated(rpc, {
+    address: tokens.map((asset) => asset.address),
+    topics: [TOPICS.transfer, null, addressTopic(recipient)],
+  }, { fromBlock, toBlock: scannedTo, pageSize }) : [];
+
+  const tokenDeposits = logs.filter((log) => !log.removed).map((log) => ({
+    ...decodeTransfer(log),
+    asset: tokens.find((asset) => asset.address.toLowerCase() === log.address.toLowerCase()).symbol,
+  }));
+  const timestamps = await readBlockTimestamps(rpc, tokenDeposits.map((deposit) => deposit.blockNumber));
+
+  const deposits = [
+    ...tokenDeposits.map(({ value, to, ...deposit }) => ({ ...deposit, amount: value, timestamp: timestamps.get(deposit.blockNumber) })),
+    ...nativeDeposits.map((deposit) => ({ ...deposit, asset: native.symbol })),
+  ].sort(byPosition);
+  return { deposits, scannedTo };
+}
+
+/**
+ * BLT Transfers out of `sender` in [fromBlock, toBlock], oldest first,
+ * each with its block timestamp.
+ */
+export async function scanPayouts(rpc, { token, sender, fromBlock, toBlock, pageSize }) {
+  const logs = await getLogsPaginated(rpc, {
+    address: token,
+    topics: [TOPICS.transfer, addressTopic(sender)],
+  }, { fromBlock, toBlock, pageSize });
+
+  const payouts = logs.filter((log) => !log.removed).map(decodeTransfer).sort(byPosition);
+  const timestamps = await readBlockTimestamps(rpc, payouts.map((payout) => payout.blockNumber));
+  return payouts.map((payout) => ({ ...payout, timestamp: timestamps.get(payout.blockNumber) }));
+}
+
+/**
+ * Matches BLT payouts to the deposits they settle. Per address, each
+ * payout pays off that address's deposits oldest first, but only those
+ * made before it, so an earlier unrelated transfer settles nothing.
+ * Deposits carry `blt` (owed, or null while unpriced); each comes back
+ * with `paid`, `outstanding`, `dueAt` (ms), `overdue` and a status:
+ * 'paid' | 'partial' | 'pending' | 'unpriced'. Payout amounts no deposit
+ * accounts for are returned in `unmatched`.
+ */
+export function reconcileDeposits(deposits, payouts, { now = Date.now(), windowHours }) {
+  const windowMs = windowHours * 60 * 60 * 1000;
+  const rows = deposits.map((deposit) => ({ ...deposit, paid: 0n, outstanding: deposit.blt ?? 0n }));
+  const open = new Map();
+  const unmatched = [];
+
+  const events = [
+    ...rows.map((deposit) => ({ ...deposit, deposit })),
+    ...payouts.map((payout) => ({ ...payout, payout })),
+  ].sort(byPosition);
+
+  events.forEach(({ deposit, payout }) => {
+    if (deposit) {
+      if (deposit.blt === null) return;
+      const address = deposit.from.toLowerCase();
+      if (!open.has(address)) open.set(address, []);
+      open.get(address).push(deposit);
+      return;
+    }
+
+    let left = payout.value;
+    const queue = open.get(payout.to.toLowerCase()) || [];
+    while (left > 0n && queue.length) {
+      const settled = left < queue[0].outstanding ? left : queue[0].outstanding;
+      queue[0].paid += settled;
+      queue[0].outstanding -= settled;
+      left -= settled;
+      if (queue[0].outstanding === 0n) queue.shift();
+    }
+    if (left > 0n) unmatched.push({ ...payout, unmatched: left });
+  });
+
+  const settled = rows.map((deposit) => {
+    const dueAt = deposit.timestamp * 1000 + windowMs;
+    let status = 'pending';
+    if (deposit.blt === null) status = 'unpriced';
+    else if (deposit.outstanding === 0n) status = 'paid';
+    else if (deposit.paid > 0n) status = 'partial';
+    return { ...deposit, status, dueAt, overdue: status !== 'paid' && now > dueAt };
+  });
+
+  return { deposits: settled, unmatched };
+}
+
+/**
+ * One payout line per address still owed BLT, most overdue first:
+ * { address, blt, deposits: [hash…], since (ms of the oldest open deposit), overdue }.
+ */
+export function payoutBatch(deposits) {
+  const lines = new Map();
+  deposits.filter((deposit) => deposit.status === 'pending' || deposit.status === 'partial').forEach((deposit) => {
+    const line = lines.get(deposit.from) || { address: deposit.from, blt: 0n, deposits: [], since: deposit.timestamp * 1000, overdue: false };
+    line.blt += deposit.outstanding;
+    line.deposits.push(deposit.hash);
+    line.overdue = line.overdue || deposit.overdue;
+    lines.set(deposit.from, line);
+  });
+  return [...lines.values()].sort((a, b) => a.since - b.since);
+}
+
+const AMOUNT_FIELDS = ['amount', 'blt', 'paid', 'outstanding', 'value', 'unmatched', 'owed'];
+
+// JSON carries amounts as decimal strings; the console works in bigints
+const withAmounts = (record) => Object.fromEntries(Object.entries(record).map(([key, value]) => [
+  key,
+  AMOUNT_FIELDS.includes(key) && typeof value === 'string' ? BigInt(value) : value,
+]));
+
+export function createReconciliationApi(baseUrl, fetchImpl) {
+  const request = createApiRequest(baseUrl, fetchImpl);
+  const get = (path, token) => request(path, { headers: { Authorization: `Bearer ${token}` } });
+
+  return {
+    report: async (token) => {
+      const report = await get('/reconciliation', token);
+      return {
+        ...report,
+        totals: withAmounts(report.totals),
+        deposits: report.deposits.map(withAmounts),
+        unmatched: report.unmatched.map(withAmounts),
+      };
+    },
+    payouts: (token) => get('/reconciliation/payouts', token),
+  };
+}
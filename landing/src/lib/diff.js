@@ -0,0 +1,79 @@
+/* ========================================
+   LINE DIFF
+   ======================================== */
+
+/**
+ * Line-by-line diff of two texts via longest common subsequence.
+ * Returns [{ type: 'same' | 'added' | 'removed', text, oldLine, newLine }]
+ * with 1-based line numbers (null on the side a line does not exist).
+ */
+export function diffLines(before, after) {
+  const a = before.replace(/\r\n?/g, '\n').split('\n');
+  const b = after.replace(/\r\n?/g, '\n').split('\n');
+  const width = b.length + 1;
+
+  // lcs[i * width + j] = LCS length of a[i..] and b[j..]
+  const lcs = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      result.push({ type: 'same', text: a[i], oldLine: i + 1, newLine: j + 1 });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+      result.push({ type: 'removed', text: a[i], oldLine: i + 1, newLine: null });
+      i++;
+    } else {
+      result.push({ type: 'added', text: b[j], oldLine: null, newLine: j + 1 });
+      j++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Groups a diff into hunks of changes with `context` unchanged lines
+ * around them; long unchanged stretches are left out.
+ */
+export function toHunks(diff, context = 3) {
+  const keep = diff.map(() => false);
+  diff.forEach((line, index) => {
+    if (line.type === 'same') return;
+    for (let k = Math.max(0, index - context); k <= Math.min(diff.length - 1, index + context); k++) keep[k] = true;
+  });
+
+  const hunks = [];
+  let current = null;
+  diff.forEach((line, index) => {
+    if (!keep[index]) {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { lines: [] };
+      hunks.push(current);
+    }
+    current.lines.push(line);
+  });
+
+  return hunks.map((hunk) => ({
+    oldStart: hunk.lines.find((line) => line.oldLine)?.oldLine ?? 0,
+    newStart: hunk.lines.find((line) => line.newLine)?.newLine ?? 0,
+    lines: hunk.lines,
+  }));
+}
+
+export const diffStats = (diff) => ({
+  added: diff.filter((line) => line.type === 'added').length,
+  removed: diff.filter((line) => line.type === 'removed').length,
+});
@@ -0,0 +1,29 @@
+/* ========================================
+   ERC-20 READ HELPERS
+   ======================================== */
+
+// Function selectors (first 4 bytes of keccak256 of the signature)
+export const SELECTORS = {
+  totalSupply: '0x18160ddd',
+  decimals: '0x313ce567',
+  balanceOf: '0x70a08231',
+  transfer: '0xa9059cbb',
+};
+
+export const encodeAddress = (address) => address.toLowerCase().replace(/^0x/, '').padStart(64, '0');
+
+export const encodeUint = (value) => BigInt(value).toString(16).padStart(64, '0');
+
+export const decodeUint = (hex) => (!hex || hex === '0x' ? 0n : BigInt(hex));
+
+export async function readTotalSupply(rpc, token, blockTag) {
+  return decodeUint(await rpc.ethCall(token, SELECTORS.totalSupply, blockTag));
+}
+
+export async function readDecimals(rpc, token, blockTag) {
+  return Number(decodeUint(await rpc.ethCall(token, SELECTORS.decimals, blockTag)));
+}
+
+export async function readBalanceOf(rpc, token, owner, blockTag) {
+  return decodeUint(await rpc.ethCall(token, `${SELECTORS.balanceOf}${encodeAddress(owner)}`, blockTag));
+}
@@ -0,0 +1,246 @@
+/* ========================================
+   AIRDROP EXCLUSIONS
+   ========================================
+   Shared by the offline pipeline (scripts/exclusions.js) and the public
+   register: the reason codes, the heuristics that propose exclusions
+   from the BLT transfer graph, and the lookup of published decisions.
+   The heuristics only nominate addresses; each one is reviewed before
+   it is published.
+*/
+
+import { shardOf } from './airdrop.js';
+
+export const EXCLUSIONS_PATH = '/exclusions';
+
+/**
+ * Reason codes, in the order they are listed on the register.
+ * EXCHANGE and CONTRACT come from the labeled address list (and the
+ * contract code check); the next four are heuristics; MANUAL is added
+ * by a reviewer with a note.
+ */
+export const REASONS = ['EXCHANGE', 'CONTRACT', 'COMMON_FUNDER', 'SYNC_TIMING', 'DUST_FANOUT', 'CIRCULAR_FLOW', 'MANUAL'];
+
+export const DEFAULT_RULES = {
+  // Addresses first funded by one wallet before it counts as a cluster
+  clusterSize: 10,
+  // Identical first funding amounts this close together look scripted
+  syncWindowSeconds: 120,
+  // Transfers below this many base units are dust (100 BLT)
+  dustAmount: 100n * 10n ** 18n,
+  // Distinct dust recipients before a sender counts as fanning out
+  fanOut: 20,
+  // Addresses listed as the other members of a loop
+  peersShown: 5,
+};
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const byPosition = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+/**
+ * Per-address view of a list of transfers (as decodeTransfer returns
+ * them, with timestamps): the first transfer in, and the addresses sent
+ * to and received from.
+ */
+export function buildTransferGraph(transfers) {
+  const nodes = new Map();
+  const node = (address) => {
+    if (!nodes.has(address)) nodes.set(address, { address, firstIn: null, sentTo: new Set(), receivedFrom: new Set(), incoming: [] });
+    return nodes.get(address);
+  };
+
+  [...transfers].sort(byPosition).forEach((transfer) => {
+    const from = node(transfer.from.toLowerCase());
+    const to = node(transfer.to.toLowerCase());
+    from.sentTo.add(to.address);
+    to.receivedFrom.add(from.address);
+    to.incoming.push(transfer);
+    to.firstIn = to.firstIn || transfer;
+  });
+  return nodes;
+}
+
+// Strongly connected components of the graph restricted to `members`
+// (Tarjan, iterative so long chains cannot overflow the stack)
+function loops(nodes, members) {
+  const index = new Map();
+  const low = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  const edges = (address) => [...nodes.get(address).sentTo].filter((next) => members.has(next));
+
+  members.forEach((root) => {
+    if (index.has(root)) return;
+    const work = [{ address: root, next: edges(root), i: 0 }];
+    index.set(root, counter);
+    low.set(root, counter);
+    counter += 1;
+    stack.push(root);
+    onStack.add(root);
+
+    while (work.length) {
+      const frame = work[work.length - 1];
+      if (frame.i < frame.next.length) {
+        const next = frame.next[frame.i];
+        frame.i += 1;
+        if (!index.has(next)) {
+          index.set(next, counter);
+          low.set(next, counter);
+          counter += 1;
+          stack.push(next);
+          onStack.add(next);
+          work.push({ address: next, next: edges(next), i: 0 });
+        } else if (onStack.has(next)) {
+          low.set(frame.address, Math.min(low.get(frame.address), index.get(next)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length) {
+        const parent = work[work.length - 1].address;
+        low.set(parent, Math.min(low.get(parent), low.get(frame.address)));
+      }
+      if (low.get(frame.address) === index.get(frame.address)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.address);
+        if (component.length > 1) components.push(component.sort());
+      }
+    }
+  });
+  return components;
+}
+
+/**
+ * Proposes exclusions from a transfer list. `labels` maps addresses to
+ * { label, category: 'exchange' | 'contract' }, `contracts` lists
+ * addresses found to hold code and `internal` the project's own wallets,
+ * which are never flagged and never count as a suspicious funder.
+ * Returns [{ address, reasons: [{ code, …evidence }] }], sorted by
+ * address. Evidence amounts are decimal strings.
+ */
+export function proposeExclusions(transfers, { labels = {}, contracts = [], internal = [], rules: overrides = {} } = {}) {
+  const rules = { ...DEFAULT_RULES, ...overrides };
+  const nodes = buildTransferGraph(transfers);
+  const labeled = new Map(Object.entries(labels).map(([address, entry]) => [address.toLowerCase(), entry]));
+  const withCode = new Set(contracts.map((address) => address.toLowerCase()));
+  const own = new Set([ZERO_ADDRESS, ...internal.map((address) => address.toLowerCase())]);
+
+  // Exchanges, contracts and our own wallets legitimately touch many
+  // addresses, so they never anchor a heuristic
+  const isInfrastructure = (address) => own.has(address) || labeled.has(address) || withCode.has(address);
+  const people = [...nodes.keys()].filter((address) => !isInfrastructure(address));
+
+  const reasons = new Map();
+  const flag = (address, reason) => {
+    if (!reasons.has(address)) reasons.set(address, []);
+    reasons.get(address).push(reason);
+  };
+
+  labeled.forEach(({ label, category }, address) => {
+    flag(address, { code: category === 'exchange' ? 'EXCHANGE' : 'CONTRACT', label });
+  });
+  withCode.forEach((address) => {
+    if (!labeled.has(address) && !own.has(address)) flag(address, { code: 'CONTRACT', label: null });
+  });
+
+  // COMMON_FUNDER: many wallets whose first BLT came from the same wallet
+  const byFunder = new Map();
+  people.forEach((address) => {
+    const funder = nodes.get(address).firstIn?.from.toLowerCase();
+    if (!funder || isInfrastructure(funder)) return;
+    if (!byFunder.has(funder)) byFunder.set(funder, []);
+    byFunder.get(funder).push(address);
+  });
+  byFunder.forEach((members, funder) => {
+    if (members.length < rules.clusterSize) return;
+    flag(funder, { code: 'COMMON_FUNDER', role: 'funder', size: members.length });
+    members.forEach((address) => flag(address, { code: 'COMMON_FUNDER', role: 'member', funder, size: members.length }));
+  });
+
+  // SYNC_TIMING: the same first amount landing in many wallets at once,
+  // whoever sent it
+  const byAmount = new Map();
+  people.forEach((address) => {
+    const { firstIn } = nodes.get(address);
+    if (!firstIn || isInfrastructure(firstIn.from.toLowerCase())) return;
+    const amount = firstIn.value.toString();
+    if (!byAmount.has(amount)) byAmount.set(amount, []);
+    byAmount.get(amount).push({ address, timestamp: firstIn.timestamp });
+  });
+  byAmount.forEach((entries, amount) => {
+    entries.sort((a, b) => a.timestamp - b.timestamp);
+    const synced = new Map();
+    for (let i = 0, j = 0; i < entries.length; i += 1) {
+      while (j < entries.length && entries[j].timestamp - entries[i].timestamp <= rules.syncWindowSeconds) j += 1;
+      if (j - i < rules.clusterSize) continue;
+      entries.slice(i, j).forEach((entry) => {
+        if (!synced.has(entry.address) || synced.get(entry.address).size < j - i) {
+          synced.set(entry.address, { size: j - i, at: entries[i].timestamp });
+        }
+      });
+    }
+    synced.forEach(({ size, at }, address) => flag(address, {
+      code: 'SYNC_TIMING', amount, size, at, windowSeconds: rules.syncWindowSeconds,
+    }));
+  });
+
+  // DUST_FANOUT: a wallet spraying dust over many others, and the wallets
+  // holding nothing but that dust
+  const dustSent = new Map();
+  transfers.forEach((transfer) => {
+    const [from, to] = [transfer.from.toLowerCase(), transfer.to.toLowerCase()];
+    if (BigInt(transfer.value) >= rules.dustAmount || isInfrastructure(from) || isInfrastructure(to)) return;
+    if (!dustSent.has(from)) dustSent.set(from, new Set());
+    dustSent.get(from).add(to);
+  });
+  const sources = new Set();
+  dustSent.forEach((recipients, address) => {
+    if (recipients.size < rules.fanOut) return;
+    sources.add(address);
+    flag(address, { code: 'DUST_FANOUT', role: 'source', recipients: recipients.size });
+  });
+  people.forEach((address) => {
+    const { incoming } = nodes.get(address);
+    const dustOnly = incoming.length > 0 && incoming.every((transfer) => sources.has(transfer.from.toLowerCase())
+      && BigInt(transfer.value) < rules.dustAmount);
+    if (dustOnly) flag(address, { code: 'DUST_FANOUT', role: 'recipient', source: incoming[0].from.toLowerCase() });
+  });
+
+  // CIRCULAR_FLOW: wallets passing BLT around a closed loop
+  loops(nodes, new Set(people)).forEach((component) => component.forEach((address) => flag(address, {
+    code: 'CIRCULAR_FLOW',
+    size: component.length,
+    peers: component.filter((peer) => peer !== address).slice(0, rules.peersShown),
+  })));
+
+  return [...reasons.entries()]
+    .map(([address, list]) => ({ address, reasons: list.sort((a, b) => REASONS.indexOf(a.code) - REASONS.indexOf(b.code)) }))
+    .sort((a, b) => (a.address < b.address ? -1 : 1));
+}
+
+async function fetchJson(url, fetchImpl, { optional = false } = {}) {
+  const response = await fetchImpl(url);
+  if (optional && response.status === 404) return null;
+  if (!response.ok) throw new Error(`Register request failed (${response.status}): ${url}`);
+  return response.json();
+}
+
+/**
+ * Looks `address` up in the published register. Returns { meta, entry }:
+ * entry is { reasons, note } or null when the address is not excluded.
+ */
+export async function lookupExclusion({ baseUrl, address, fetchImpl = globalThis.fetch }) {
+  const meta = await fetchJson(`${baseUrl}/index.json`, fetchImpl);
+  // Shards without any excluded address are not published
+  const shard = await fetchJson(`${baseUrl}/${shardOf(address)}.json`, fetchImpl, { optional: true });
+  return { meta, entry: shard?.[address.toLowerCase()] || null };
+}
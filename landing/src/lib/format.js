@@ -0,0 +1,83 @@
+/* ========================================
+   NUMBER FORMATTING
+   ======================================== */
+
+/**
+ * Converts a raw integer token amount into a decimal string
+ * without going through floating point.
+ */
+export function formatUnits(value, decimals) {
+  const raw = BigInt(value);
+  const negative = raw < 0n;
+  const digits = (negative ? -raw : raw).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Parses a user-entered decimal string into a raw integer amount.
+ * Returns null for anything that is not a plain non-negative decimal.
+ */
+export function parseUnits(input, decimals) {
+  const text = String(input).trim();
+  if (!/^\d*\.?\d*$/.test(text) || text === '' || text === '.') return null;
+  const [whole = '', fraction = ''] = text.split('.');
+  if (fraction.length > decimals) return null;
+  return BigInt(`${whole || '0'}${fraction.padEnd(decimals, '0')}`);
+}
+
+/**
+ * Groups the integer part with the locale's separators and keeps at most
+ * `maxFractionDigits` decimals. Digits stay exact: nothing goes through a float.
+ */
+export function formatTokenAmount(value, decimals, maxFractionDigits = 2, locale = 'en-US') {
+  const [whole, fraction = ''] = formatUnits(value, decimals).split('.');
+  const format = new Intl.NumberFormat(locale);
+  const grouped = format.format(BigInt(whole));
+  const trimmed = fraction.slice(0, maxFractionDigits).replace(/0+$/, '');
+  if (!trimmed) return grouped;
+
+  // Render the fraction through Intl as well so locales with native digits stay consistent
+  const separator = format.formatToParts(1.5).find((part) => part.type === 'decimal').value;
+  const digits = new Intl.NumberFormat(locale, { useGrouping: false, minimumIntegerDigits: trimmed.length });
+  return `${grouped}${separator}${digits.format(BigInt(trimmed))}`;
+}
+
+/**
+ * USD price for display. Sub-dollar values keep three significant digits
+ * so the $0.005 reference price is not rounded to a cent.
+ */
+export function formatUsd(value, locale = 'en-US') {
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: 'USD',
+    ...(Math.abs(value) < 1 && { maximumSignificantDigits: 3 }),
+  }).format(value);
+}
+
+/**
+ * Calendar date (`YYYY-MM-DD`) in long form. Read as UTC so the day never
+ * shifts with the visitor's time zone.
+ */
+export function formatDate(date, locale = 'en-US') {
+  return new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' }).format(new Date(`${date}T00:00:00Z`));
+}
+
+const DURATION_UNITS = [
+  ['year', 365 * 24 * 60 * 60, 1],
+  ['day', 24 * 60 * 60, 0],
+  ['hour', 60 * 60, 0],
+  ['minute', 60, 0],
+];
+
+/**
+ * Length of time in its largest sensible unit: "1.5 years", "142 days",
+ * "5 hours". Years start at two, so anything under that counts in days.
+ */
+export function formatDuration(seconds, locale = 'en-US') {
+  const [unit, size, fractionDigits] = DURATION_UNITS.find(([name, length]) => seconds >= (name === 'year' ? 2 * length : length))
+    || DURATION_UNITS[DURATION_UNITS.length - 1];
+  return new Intl.NumberFormat(locale, { style: 'unit', unit, unitDisplay: 'long', maximumFractionDigits: fractionDigits })
+    .format(fractionDigits ? seconds / size : Math.floor(seconds / size));
+}
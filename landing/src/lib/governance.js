@@ -0,0 +1,93 @@
+/* ========================================
+   GOVERNANCE (off-chain, token-weighted)
+   ========================================
+   Shared by the site and the /api functions: the typed data a vote is
+   signed as, proposal status and tallying. Weights are BLT balances in
+   wei at the proposal's snapshot block, kept as decimal strings in JSON.
+*/
+
+import { createApiRequest } from './api.js';
+import { HYPEREVM } from '../config.js';
+
+export const GOVERNANCE_DOMAIN = {
+  name: 'BELIEVE Governance',
+  version: '1',
+  chainId: HYPEREVM.chainId,
+};
+
+export const VOTE_TYPES = {
+  Vote: [
+    { name: 'voter', type: 'address' },
+    { name: 'proposal', type: 'string' },
+    { name: 'choice', type: 'string' },
+    { name: 'timestamp', type: 'uint64' },
+  ],
+};
+
+// Signed timestamps may run this far ahead of the server clock
+export const MAX_CLOCK_SKEW_SECONDS = 5 * 60;
+
+// ...and must reach the API within this long of signing, so a signature
+// lifted from an old request cannot be replayed later
+export const MAX_SIGNATURE_AGE_SECONDS = 5 * 60;
+
+export const PROPOSAL_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+/**
+ * Typed data for one vote. `timestamp` is in seconds; a later signed
+ * vote from the same address replaces the earlier one.
+ */
+export const voteTypedData = ({ voter, proposal, choice, timestamp }) => ({
+  domain: GOVERNANCE_DOMAIN,
+  types: VOTE_TYPES,
+  primaryType: 'Vote',
+  message: { voter, proposal, choice, timestamp },
+});
+
+/**
+ * 'pending' before `start`, 'active' until `end`, then 'closed'.
+ */
+export function proposalStatus(proposal, now = Date.now()) {
+  if (now < Date.parse(proposal.start)) return 'pending';
+  if (now < Date.parse(proposal.end)) return 'active';
+  return 'closed';
+}
+
+/**
+ * Sums vote weights per choice. `quorum` (wei, optional) is met when the
+ * total weight reaches it; `leading` is null on a tie or with no votes.
+ */
+export function tallyVotes(proposal, votes) {
+  const totals = new Map(proposal.choices.map((choice) => [choice, 0n]));
+  votes.forEach((vote) => {
+    if (totals.has(vote.choice)) totals.set(vote.choice, totals.get(vote.choice) + BigInt(vote.weight));
+  });
+
+  const total = [...totals.values()].reduce((sum, weight) => sum + weight, 0n);
+  const [first, second] = [...totals.entries()].sort((a, b) => (b[1] > a[1] ? 1 : b[1] < a[1] ? -1 : 0));
+  const leading = first && first[1] > 0n && !(second && second[1] === first[1]) ? first[0] : null;
+
+  return {
+    choices: proposal.choices.map((choice) => ({ choice, weight: totals.get(choice).toString() })),
+    total: total.toString(),
+    voters: votes.length,
+    quorumReached: proposal.quorum ? total >= BigInt(proposal.quorum) : true,
+    leading,
+  };
+}
+
+/**
+ * Client for the /api governance endpoints.
+ */
+export function createGovernanceApi(baseUrl, fetchImpl) {
+  const request = createApiRequest(baseUrl, fetchImpl);
+
+  return {
+    listProposals: () => request('/proposals'),
+    getProposal: (id) => request(`/proposals/${encodeURIComponent(id)}`),
+    castVote: (id, vote) => request(`/proposals/${encodeURIComponent(id)}/votes`, {
+      method: 'POST',
+      body: JSON.stringify(vote),
+    }),
+  };
+}
@@ -0,0 +1,148 @@
+/* ========================================
+   KECCAK-256 (Ethereum variant, pre-NIST padding)
+   ======================================== */
+
+// 64-bit round constants split into [lo, hi] 32-bit words
+const ROUND_CONSTANTS = [
+  [0x00000001, 0x00000000], [0x00008082, 0x00000000], [0x0000808a, 0x80000000], [0x80008000, 0x80000000],
+  [0x0000808b, 0x00000000], [0x80000001, 0x00000000], [0x80008081, 0x80000000], [0x00008009, 0x80000000],
+  [0x0000008a, 0x00000000], [0x00000088, 0x00000000], [0x80008009, 0x00000000], [0x8000000a, 0x00000000],
+  [0x8000808b, 0x00000000], [0x0000008b, 0x80000000], [0x00008089, 0x80000000], [0x00008003, 0x80000000],
+  [0x00008002, 0x80000000], [0x00000080, 0x80000000], [0x0000800a, 0x00000000], [0x8000000a, 0x80000000],
+  [0x80008081, 0x80000000], [0x00008080, 0x80000000], [0x80000001, 0x00000000], [0x80008008, 0x80000000],
+];
+
+// Rotation offsets indexed by x + 5y
+const ROTATIONS = [0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14];
+
+const RATE = 136;
+
+const encoder = new TextEncoder();
+
+function keccakF(state) {
+  const c = new Uint32Array(10);
+  const b = new Uint32Array(50);
+
+  for (let round = 0; round < 24; round++) {
+    // θ
+    for (let x = 0; x < 5; x++) {
+      c[2 * x] = state[2 * x] ^ state[2 * x + 10] ^ state[2 * x + 20] ^ state[2 * x + 30] ^ state[2 * x + 40];
+      c[2 * x + 1] = state[2 * x + 1] ^ state[2 * x + 11] ^ state[2 * x + 21] ^ state[2 * x + 31] ^ state[2 * x + 41];
+    }
+    for (let x = 0; x < 5; x++) {
+      const prev = ((x + 4) % 5) * 2;
+      const next = ((x + 1) % 5) * 2;
+      const dLo = c[prev] ^ ((c[next] << 1) | (c[next + 1] >>> 31));
+      const dHi = c[prev + 1] ^ ((c[next + 1] << 1) | (c[next] >>> 31));
+      for (let y = 0; y < 25; y += 5) {
+        state[2 * (x + y)] ^= dLo;
+        state[2 * (x + y) + 1] ^= dHi;
+      }
+    }
+
+    // ρ and π
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        const from = 2 * (x + 5 * y);
+        const to = 2 * (y + 5 * ((2 * x + 3 * y) % 5));
+        const lo = state[from];
+        const hi = state[from + 1];
+        const n = ROTATIONS[x + 5 * y];
+
+        if (n === 0) {
+          b[to] = lo;
+          b[to + 1] = hi;
+        } else if (n < 32) {
+          b[to] = (lo << n) | (hi >>> (32 - n));
+          b[to + 1] = (hi << n) | (lo >>> (32 - n));
+        } else if (n === 32) {
+          b[to] = hi;
+          b[to + 1] = lo;
+        } else {
+          const m = n - 32;
+          b[to] = (hi << m) | (lo >>> (32 - m));
+          b[to + 1] = (lo << m) | (hi >>> (32 - m));
+        }
+      }
+    }
+
+    // χ
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        const i = 2 * (x + y);
+        const i1 = 2 * (((x + 1) % 5) + y);
+        const i2 = 2 * (((x + 2) % 5) + y);
+        state[i] = b[i] ^ (~b[i1] & b[i2]);
+        state[i + 1] = b[i + 1] ^ (~b[i1 + 1] & b[i2 + 1]);
+      }
+    }
+
+    // ι
+    state[0] ^= ROUND_CONSTANTS[round][0];
+    state[1] ^= ROUND_CONSTANTS[round][1];
+  }
+}
+
+export function hexToBytes(hex) {
+  const clean = hex.startsWith('0x') ? hex.slice(2) : hex;
+  if (clean.length % 2 !== 0 || /[^0-9a-fA-F]/.test(clean)) throw new Error(`Invalid hex: ${hex}`);
+  const bytes = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(clean.slice(2 * i, 2 * i + 2), 16);
+  return bytes;
+}
+
+export function bytesToHex(bytes) {
+  let hex = '0x';
+  for (const byte of bytes) hex += byte.toString(16).padStart(2, '0');
+  return hex;
+}
+
+export function concatBytes(...parts) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+}
+
+/**
+ * keccak256 of raw bytes. Returns a Uint8Array(32).
+ */
+export function keccak256Bytes(input) {
+  const state = new Uint32Array(50);
+  const padded = new Uint8Array(Math.floor(input.length / RATE) * RATE + RATE);
+  padded.set(input);
+  padded[input.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  for (let offset = 0; offset < padded.length; offset += RATE) {
+    for (let i = 0; i < RATE / 4; i++) {
+      const p = offset + 4 * i;
+      state[i] ^= padded[p] | (padded[p + 1] << 8) | (padded[p + 2] << 16) | (padded[p + 3] << 24);
+    }
+    keccakF(state);
+  }
+
+  const out = new Uint8Array(32);
+  for (let i = 0; i < 8; i++) {
+    out[4 * i] = state[i] & 0xff;
+    out[4 * i + 1] = (state[i] >>> 8) & 0xff;
+    out[4 * i + 2] = (state[i] >>> 16) & 0xff;
+    out[4 * i + 3] = (state[i] >>> 24) & 0xff;
+  }
+  return out;
+}
+
+/**
+ * keccak256 returning a 0x-prefixed hex string. Strings are hashed as
+ * UTF-8 text unless they start with 0x, in which case they are hex bytes.
+ */
+export function keccak256(input) {
+  let bytes = input;
+  if (typeof input === 'string') {
+    bytes = input.startsWith('0x') ? hexToBytes(input) : encoder.encode(input);
+  }
+  return bytesToHex(keccak256Bytes(bytes));
+}
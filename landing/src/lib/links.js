@@ -0,0 +1,15 @@
+import { SOCIAL_LINKS } from '../config.js';
+
+/**
+ * Turns a content `href` into a URL the app can use:
+ * - `#section` → `/#section`, so landing anchors work from any page
+ * - `social:<name>` → the configured channel URL, or null when unset
+ * - anything else is returned as is
+ */
+export function resolveHref(href) {
+  if (href.startsWith('#')) return `/${href}`;
+  if (href.startsWith('social:')) return SOCIAL_LINKS[href.slice(7)] || null;
+  return href;
+}
+
+export const isExternal = (href) => /^[a-z][a-z0-9+.-]*:/i.test(href);
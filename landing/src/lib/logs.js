@@ -0,0 +1,75 @@
+/* ========================================
+   EVENT LOG SCANNING
+   ======================================== */
+
+import { encodeAddress } from './erc20.js';
+
+// Event topics (keccak256 of the event signature)
+export const TOPICS = {
+  transfer: '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef',
+  // Swap(address,uint256,uint256,uint256,uint256,address) on V2-style pairs
+  swapV2: '0xd78ad95fa46c994b6551d0da85fc275fe613ce37657fb8d5e3d130840159d822',
+  // Swap(address,address,int256,int256,uint160,uint128,int24) on V3-style pools
+  swapV3: '0xc42079f94a6350d7e6235f29174924f928cc2ac818eb64fed8004e115fbcca67',
+};
+
+export const addressTopic = (address) => `0x${encodeAddress(address)}`;
+
+const toBlockTag = (block) => `0x${BigInt(block).toString(16)}`;
+
+// Nodes reject wide ranges or large result sets with assorted messages
+const isRangeError = (error) =>
+  error.code === -32005 || /range|too many|too large|more than|limit|exceed/i.test(error.message);
+
+/**
+ * eth_getLogs over [fromBlock, toBlock] in pages of `pageSize` blocks.
+ * A page the node refuses as too large is halved and retried (down to a
+ * single block), and later pages keep the smaller size.
+ * `onPage({ fromBlock, toBlock, logs })` runs after each page.
+ */
+export async function getLogsPaginated(rpc, filter, { fromBlock, toBlock, pageSize = 10000, onPage } = {}) {
+  const logs = [];
+  const end = BigInt(toBlock);
+  let start = BigInt(fromBlock);
+  let size = BigInt(pageSize);
+
+  while (start <= end) {
+    const stop = start + size - 1n < end ? start + size - 1n : end;
+    let page;
+    try {
+      page = await rpc.getLogs({ ...filter, fromBlock: toBlockTag(start), toBlock: toBlockTag(stop) });
+    } catch (error) {
+      if (!isRangeError(error) || size === 1n) throw error;
+      size = (size + 1n) / 2n;
+      continue;
+    }
+
+    logs.push(...page);
+    onPage?.({ fromBlock: start, toBlock: stop, logs: page });
+    start = stop + 1n;
+  }
+  return logs;
+}
+
+/**
+ * Timestamps (seconds) of the given block numbers, fetched `concurrency`
+ * at a time in the order given. Returns a Map of block number → timestamp.
+ * Past `deadline` (ms) no further blocks are requested, so the Map covers
+ * only the leading blocks.
+ */
+export async function readBlockTimestamps(rpc, blockNumbers, { concurrency = 4, deadline = Infinity } = {}) {
+  const queue = [...new Set(blockNumbers)];
+  const timestamps = new Map();
+
+  const worker = async () => {
+    while (queue.length && Date.now() < deadline) {
+      const number = queue.shift();
+      const block = await rpc.getBlock(toBlockTag(number));
+      if (!block) throw new Error(`Block ${number} not found`);
+      timestamps.set(number, Number(BigInt(block.timestamp)));
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+  return timestamps;
+}
@@ -0,0 +1,66 @@
+/* ========================================
+   SIGNED ADDRESS MANIFEST
+   ========================================
+   The official addresses, chain and DEX URL come from src/manifest.json,
+   signed with the team's ECDSA P-256 key by scripts/sign-manifest.js.
+   The site checks the signature with WebCrypto before it shows an
+   address anyone sends funds to, and warns when it is served from a host
+   the manifest does not list (every host, if the list is empty).
+*/
+
+// Public half of the team key. Rotating the key means replacing this and
+// signing the manifest again with the new private key.
+export const MANIFEST_PUBLIC_KEY = {
+  kty: 'EC',
+  crv: 'P-256',
+  x: 'f1Yt_CgjwoTXDcsiPMk8DAVZNpd0Q7fKa3jdkHkacLk',
+  y: 'T1W1CTWOyhFdgZ9VqreQ_4JoCAr4_YNmDOI_fdnoQdE',
+};
+
+export const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+
+export const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+/**
+ * JSON with object keys sorted at every level and no whitespace: the
+ * exact bytes that are signed, however the file is formatted.
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export const toBase64Url = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+export const fromBase64Url = (text) => Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), (char) => char.charCodeAt(0));
+
+/**
+ * Whether `manifest.signature` is the pinned key's signature of
+ * `manifest.payload`. False, never an error, for anything malformed or
+ * when WebCrypto is unavailable (it needs a secure origin).
+ */
+export async function verifyManifest(manifest, { publicKey = MANIFEST_PUBLIC_KEY, subtle = globalThis.crypto?.subtle } = {}) {
+  if (!subtle || !manifest?.payload || typeof manifest.signature !== 'string') return false;
+  try {
+    const key = await subtle.importKey('jwk', publicKey, KEY_ALGORITHM, false, ['verify']);
+    const data = new TextEncoder().encode(canonicalJson(manifest.payload));
+    return await subtle.verify(SIGNATURE_ALGORITHM, key, fromBase64Url(manifest.signature), data);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The address a `manifest:<field>` placeholder in the Markdown copy stands
+ * for: token, deployer or a payment token symbol. Null for any other field.
+ */
+export function manifestAddress(payload, field) {
+  const addresses = { token: payload.token.address, deployer: payload.deployer, ...payload.paymentTokens };
+  return Object.hasOwn(addresses, field) ? addresses[field] : null;
+}
+
+export const isOfficialHost = (hostname, hosts) => hosts.includes(hostname.toLowerCase());
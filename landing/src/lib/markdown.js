@@ -0,0 +1,199 @@
+/* ========================================
+   MARKDOWN PARSER (documentation subset)
+   ========================================
+   Headings, paragraphs, lists, blockquotes, fenced code, tables, rules,
+   and inline strong / emphasis / code / links. Produces a plain tree that
+   the <Markdown> component renders; raw HTML is never interpreted.
+   Addresses are never written out in the copy: `manifest:deployer` (in
+   backticks) stands for an address in the signed manifest, and the
+   component shows it only once the manifest has verified.
+*/
+
+/**
+ * URL fragment for a heading: lowercase words joined by dashes.
+ */
+export const slugify = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .trim()
+    .replace(/\s+/g, '-');
+
+// Link targets the reader may follow: web and mail links, relative paths
+// and fragments. Anything else (javascript:, data:, a protocol-relative
+// //host or /\host) is dropped and the link text kept. Control characters
+// are refused too, since browsers strip them before reading the scheme.
+const SAFE_SCHEME = /^(https?|mailto):/i;
+
+export const isSafeHref = (href) => {
+  if (/[\u0000-\u001f\u007f]/.test(href)) return false;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(href)) return SAFE_SCHEME.test(href);
+  return !/^(\\|\/[\\/])/.test(href);
+};
+
+// `manifest:<field>` in backticks: an address from the signed manifest
+const ADDRESS_PLACEHOLDER = /^manifest:(\w+)$/;
+
+const INLINE = /(\*\*(.+?)\*\*|__(.+?)__|\*(.+?)\*|_(.+?)_|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\))/;
+
+/**
+ * Inline nodes: { type: 'text' | 'strong' | 'em' | 'code' | 'address' | 'link', ... }
+ * A link with an unsafe target becomes its text.
+ */
+export function parseInline(text) {
+  const nodes = [];
+  let rest = text;
+
+  while (rest) {
+    const match = INLINE.exec(rest);
+    if (!match) {
+      nodes.push({ type: 'text', value: rest });
+      break;
+    }
+    if (match.index > 0) nodes.push({ type: 'text', value: rest.slice(0, match.index) });
+
+    const [whole, , strong, strongAlt, em, emAlt, code, linkText, href] = match;
+    if (strong || strongAlt) nodes.push({ type: 'strong', children: parseInline(strong || strongAlt) });
+    else if (em || emAlt) nodes.push({ type: 'em', children: parseInline(em || emAlt) });
+    else if (code) {
+      const placeholder = ADDRESS_PLACEHOLDER.exec(code);
+      nodes.push(placeholder ? { type: 'address', field: placeholder[1] } : { type: 'code', value: code });
+    }
+    else if (isSafeHref(href)) nodes.push({ type: 'link', href, children: parseInline(linkText) });
+    else nodes.push(...parseInline(linkText));
+
+    rest = rest.slice(match.index + whole.length);
+  }
+  return nodes;
+}
+
+export const inlineText = (nodes) =>
+  nodes.map((node) => (node.children ? inlineText(node.children) : node.value ?? '')).join('');
+
+const splitRow = (line) =>
+  line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map((cell) => cell.trim());
+
+const LIST_ITEM = /^(\s*)([-*+]|\d+\.)\s+(.*)$/;
+
+/**
+ * Parses `source` into { blocks, headings }. Headings get unique ids so
+ * they can be linked to; `headings` lists them in order for a table of contents.
+ */
+export function parseMarkdown(source) {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const headings = [];
+  const used = new Map();
+
+  const uniqueId = (text) => {
+    const base = slugify(text) || 'section';
+    const count = used.get(base) || 0;
+    used.set(base, count + 1);
+    return count ? `${base}-${count + 1}` : base;
+  };
+
+  function parseBlocks(input) {
+    const blocks = [];
+    let i = 0;
+
+    const isBlockStart = (line) =>
+      /^(#{1,6})\s/.test(line) || /^```/.test(line) || /^>/.test(line) || LIST_ITEM.test(line) || /^(-{3,}|\*{3,})\s*$/.test(line);
+
+    while (i < input.length) {
+      const line = input[i];
+
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      const heading = /^(#{1,6})\s+(.*?)\s*#*$/.exec(line);
+      if (heading) {
+        const children = parseInline(heading[2]);
+        const block = { type: 'heading', level: heading[1].length, children, id: uniqueId(inlineText(children)) };
+        headings.push({ level: block.level, id: block.id, text: inlineText(children) });
+        blocks.push(block);
+        i++;
+        continue;
+      }
+
+      if (/^```/.test(line)) {
+        const lang = line.slice(3).trim();
+        const code = [];
+        i++;
+        while (i < input.length && !/^```/.test(input[i])) code.push(input[i++]);
+        blocks.push({ type: 'code', lang, value: code.join('\n') });
+        i++;
+        continue;
+      }
+
+      if (/^(-{3,}|\*{3,})\s*$/.test(line)) {
+        blocks.push({ type: 'rule' });
+        i++;
+        continue;
+      }
+
+      if (/^>/.test(line)) {
+        const quoted = [];
+        while (i < input.length && /^>/.test(input[i])) quoted.push(input[i++].replace(/^>\s?/, ''));
+        blocks.push({ type: 'quote', children: parseBlocks(quoted) });
+        continue;
+      }
+
+      if (/^\|/.test(line) && i + 1 < input.length && /^\|?\s*:?-{3,}/.test(input[i + 1])) {
+        const header = splitRow(line).map(parseInline);
+        const align = splitRow(input[i + 1]).map((cell) => {
+          if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+          if (cell.endsWith(':')) return 'right';
+          return null;
+        });
+        i += 2;
+        const rows = [];
+        while (i < input.length && /^\|/.test(input[i])) rows.push(splitRow(input[i++]).map(parseInline));
+        blocks.push({ type: 'table', header, align, rows });
+        continue;
+      }
+
+      const item = LIST_ITEM.exec(line);
+      if (item) {
+        const ordered = /\d/.test(item[2]);
+        const indent = item[1].length;
+        const items = [];
+        while (i < input.length) {
+          const current = LIST_ITEM.exec(input[i]);
+          if (current && current[1].length === indent) {
+            items.push({ children: parseInline(current[3]), nested: [] });
+            i++;
+          } else if (current && current[1].length > indent && items.length) {
+            // Deeper items belong to the previous entry
+            const nested = [];
+            while (i < input.length && input[i].trim() && !(LIST_ITEM.exec(input[i])?.[1].length <= indent)) {
+              nested.push(input[i++].slice(indent + 2));
+            }
+            items[items.length - 1].nested = parseBlocks(nested);
+          } else if (input[i].trim() && !isBlockStart(input[i]) && items.length) {
+            // Lazy continuation of the previous item's text
+            const last = items[items.length - 1];
+            last.children = last.children.concat({ type: 'text', value: ' ' }, parseInline(input[i].trim()));
+            i++;
+          } else {
+            break;
+          }
+        }
+        blocks.push({ type: 'list', ordered, start: ordered ? parseInt(item[2], 10) : 1, items });
+        continue;
+      }
+
+      const paragraph = [line.trim()];
+      i++;
+      while (i < input.length && input[i].trim() && !isBlockStart(input[i]) && !/^\|/.test(input[i])) {
+        paragraph.push(input[i++].trim());
+      }
+      blocks.push({ type: 'paragraph', children: parseInline(paragraph.join(' ')) });
+    }
+
+    return blocks;
+  }
+
+  const blocks = parseBlocks(lines);
+  return { blocks, headings };
+}
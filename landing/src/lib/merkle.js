@@ -0,0 +1,60 @@
+/* ========================================
+   MERKLE TREE (sorted-pair, OpenZeppelin compatible)
+   ======================================== */
+
+import { keccak256Bytes, hexToBytes, bytesToHex, concatBytes } from './keccak.js';
+
+const word = (value) => hexToBytes(BigInt(value).toString(16).padStart(64, '0'));
+
+/**
+ * Leaf for an allocation: keccak256(keccak256(abi.encode(account, ...amounts))).
+ * The double hash matches OpenZeppelin's StandardMerkleTree, so the same
+ * root can be used by an on-chain MerkleProof.verify claim contract.
+ */
+export function hashLeaf(account, amounts) {
+  const encoded = concatBytes(word(account), ...amounts.map(word));
+  return bytesToHex(keccak256Bytes(keccak256Bytes(encoded)));
+}
+
+export function hashPair(a, b) {
+  const [first, second] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+  return bytesToHex(keccak256Bytes(concatBytes(hexToBytes(first), hexToBytes(second))));
+}
+
+/**
+ * Builds the tree bottom-up from leaf hashes. Leaves are sorted so the
+ * root does not depend on input order; an odd node is carried up as is.
+ */
+export function buildTree(leaves) {
+  if (leaves.length === 0) throw new Error('Cannot build a Merkle tree without leaves');
+
+  const layers = [[...leaves].sort()];
+  while (layers[layers.length - 1].length > 1) {
+    const level = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    layers.push(next);
+  }
+
+  return { root: layers[layers.length - 1][0], layers };
+}
+
+export function getProof(layers, leaf) {
+  let index = layers[0].indexOf(leaf);
+  if (index === -1) throw new Error(`Leaf ${leaf} is not in the tree`);
+
+  const proof = [];
+  for (let depth = 0; depth < layers.length - 1; depth++) {
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < layers[depth].length) proof.push(layers[depth][sibling]);
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+export function verifyProof(leaf, proof, root) {
+  const computed = proof.reduce((hash, sibling) => hashPair(hash, sibling), leaf);
+  return computed.toLowerCase() === root.toLowerCase();
+}
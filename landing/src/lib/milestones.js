@@ -0,0 +1,69 @@
+/* ========================================
+   VALUATION MILESTONES
+   ======================================== */
+
+import { formatUnits } from './format.js';
+
+const OBSERVED_KEY = 'believe.milestones.observed';
+
+export function computeMarketCap({ priceUsd, circulatingSupply, decimals }) {
+  if (!priceUsd || circulatingSupply === null || circulatingSupply === undefined) return null;
+  return priceUsd * Number(formatUnits(circulatingSupply, decimals));
+}
+
+export function milestoneProgress(tiers, marketCapUsd) {
+  return tiers.map((tier) => {
+    const progress = marketCapUsd ? Math.min(1, marketCapUsd / tier.capUsd) : 0;
+    return { ...tier, progress, reached: progress >= 1 };
+  });
+}
+
+/**
+ * Adds a first-crossing entry for every reached milestone that has none yet.
+ * Returns the same object when nothing changed.
+ */
+export function recordCrossings(tiers, marketCapUsd, history, now = new Date()) {
+  const crossed = milestoneProgress(tiers, marketCapUsd).filter((tier) => tier.reached && !history[tier.id]);
+  if (crossed.length === 0) return history;
+
+  const next = { ...history };
+  crossed.forEach((tier) => {
+    next[tier.id] = { crossedAt: now.toISOString(), marketCapUsd, observed: true };
+  });
+  return next;
+}
+
+export function loadObservedCrossings(storage = globalThis.localStorage) {
+  try {
+    return JSON.parse(storage?.getItem(OBSERVED_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveObservedCrossings(history, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(OBSERVED_KEY, JSON.stringify(history));
+  } catch {
+    // Non-critical: crossings are re-detected on the next visit
+  }
+}
+
+/**
+ * Display form of a tier's valuation target: $250M, $1B+.
+ */
+export const formatCap = (tier, locale = 'en-US') => `${formatUsdCompact(tier.capUsd, locale)}${tier.openEnded ? '+' : ''}`;
+
+/**
+ * Compact USD for ledger figures: $1.2M, $850K, $3.4B.
+ */
+export function formatUsdCompact(value, locale = 'en-US') {
+  if (value === null || value === undefined) return '—';
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: 'USD',
+    notation: 'compact',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 1,
+  }).format(value);
+}
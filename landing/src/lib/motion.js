@@ -0,0 +1,33 @@
+/* ========================================
+   MOTION PREFERENCE
+   ========================================
+   'system' follows prefers-reduced-motion; 'reduce' and 'full' are the
+   visitor's own choice from the navbar toggle and override it.
+*/
+
+const MOTION_KEY = 'believe.motion';
+
+export const MOTION_PREFERENCES = ['system', 'reduce', 'full'];
+
+export const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+export const systemPrefersReducedMotion = () =>
+  typeof window !== 'undefined' && Boolean(window.matchMedia?.(REDUCED_MOTION_QUERY).matches);
+
+export function loadMotionPreference(storage = globalThis.localStorage) {
+  try {
+    const saved = storage?.getItem(MOTION_KEY);
+    return MOTION_PREFERENCES.includes(saved) ? saved : 'system';
+  } catch {
+    return 'system';
+  }
+}
+
+export function saveMotionPreference(preference, storage = globalThis.localStorage) {
+  try {
+    if (preference === 'system') storage?.removeItem(MOTION_KEY);
+    else storage?.setItem(MOTION_KEY, preference);
+  } catch {
+    // Private mode: the choice just won't survive a reload
+  }
+}
@@ -0,0 +1,192 @@
+/* ========================================
+   OTC BOARD (peer-to-peer offers)
+   ========================================
+   Shared by the site and the /api functions: the typed data offers,
+   acceptances and cancellations are signed as, offer status and the
+   settlement legs. Nothing settles on chain through the board: once an
+   offer is accepted both sides send their leg from their own wallets.
+
+   Amounts are raw integers kept as decimal strings in JSON. `amount` is
+   BLT in wei; `price` is raw units of the accepted asset per whole BLT.
+*/
+
+import { createApiRequest } from './api.js';
+import { hashTypedData } from './eip712.js';
+import { toChecksumAddress } from './address.js';
+import { formatUnits } from './format.js';
+import { HYPEREVM, BLT_TOKEN, PAYMENT_ASSETS } from '../config.js';
+
+export const OTC_DOMAIN = {
+  name: 'BELIEVE OTC',
+  version: '1',
+  chainId: HYPEREVM.chainId,
+};
+
+export const OFFER_TYPES = {
+  Offer: [
+    { name: 'maker', type: 'address' },
+    { name: 'side', type: 'string' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'asset', type: 'string' },
+    { name: 'price', type: 'uint256' },
+    { name: 'expiry', type: 'uint64' },
+    { name: 'nonce', type: 'uint64' },
+  ],
+};
+
+export const ACCEPTANCE_TYPES = {
+  Acceptance: [
+    { name: 'offer', type: 'bytes32' },
+    { name: 'taker', type: 'address' },
+    { name: 'timestamp', type: 'uint64' },
+  ],
+};
+
+export const CANCELLATION_TYPES = {
+  Cancellation: [
+    { name: 'offer', type: 'bytes32' },
+    { name: 'timestamp', type: 'uint64' },
+  ],
+};
+
+// 'buy' and 'sell' are from the maker's side, in BLT
+export const OFFER_SIDES = ['sell', 'buy'];
+
+export const OFFER_STATUSES = ['open', 'accepted', 'cancelled', 'expired'];
+
+// Offers cannot run longer than this from the time they are posted
+export const MAX_EXPIRY_DAYS = 30;
+
+// Keeps one wallet from flooding the board
+export const MAX_OPEN_OFFERS_PER_MAKER = 10;
+
+// Acceptances and cancellations must be signed within this window of the server clock
+export const MAX_SIGNATURE_AGE_SECONDS = 5 * 60;
+
+export const OFFER_ID_PATTERN = /^0x[0-9a-f]{64}$/;
+
+// BLT in the same shape as PAYMENT_ASSETS, for the seller's leg
+export const BLT_ASSET = { symbol: BLT_TOKEN.symbol, type: 'erc20', address: BLT_TOKEN.address, decimals: BLT_TOKEN.decimals };
+
+export const findAsset = (symbol) => PAYMENT_ASSETS.find((asset) => asset.symbol === symbol);
+
+/**
+ * Typed data for an offer. `expiry` is in seconds; `nonce` only makes
+ * otherwise identical offers distinct.
+ */
+export const offerTypedData = ({ maker, side, amount, asset, price, expiry, nonce }) => ({
+  domain: OTC_DOMAIN,
+  types: OFFER_TYPES,
+  primaryType: 'Offer',
+  message: { maker, side, amount, asset, price, expiry, nonce },
+});
+
+export const acceptanceTypedData = ({ offer, taker, timestamp }) => ({
+  domain: OTC_DOMAIN,
+  types: ACCEPTANCE_TYPES,
+  primaryType: 'Acceptance',
+  message: { offer, taker, timestamp },
+});
+
+export const cancellationTypedData = ({ offer, timestamp }) => ({
+  domain: OTC_DOMAIN,
+  types: CANCELLATION_TYPES,
+  primaryType: 'Cancellation',
+  message: { offer, timestamp },
+});
+
+/**
+ * An offer's id is its typed-data digest, so the id commits to every term.
+ */
+export const offerId = (offer) => hashTypedData(offerTypedData(offer));
+
+/**
+ * Raw units of the accepted asset the BLT buyer pays, rounded down.
+ */
+export const offerTotal = ({ amount, price }) => (BigInt(amount) * BigInt(price)) / 10n ** BigInt(BLT_TOKEN.decimals);
+
+/**
+ * 'accepted' and 'cancelled' are final; an open offer past its expiry
+ * reads as 'expired'.
+ */
+export function offerStatus(offer, now = Date.now()) {
+  if (offer.acceptance) return 'accepted';
+  if (offer.cancelledAt) return 'cancelled';
+  if (now >= offer.expiry * 1000) return 'expired';
+  return 'open';
+}
+
+/**
+ * Who sends what once an offer is taken: the BLT seller sends the BLT,
+ * the BLT buyer sends the asset total.
+ */
+export function settlementLegs(offer, taker) {
+  const seller = offer.side === 'sell' ? offer.maker : taker;
+  const buyer = offer.side === 'sell' ? taker : offer.maker;
+  const asset = findAsset(offer.asset);
+
+  return {
+    seller,
+    buyer,
+    legs: [
+      { from: seller, to: buyer, asset: BLT_ASSET, amount: BigInt(offer.amount) },
+      { from: buyer, to: seller, asset, amount: offerTotal(offer) },
+    ],
+  };
+}
+
+/**
+ * Plain-text settlement instructions for both sides of an accepted offer.
+ */
+export function buildSettlementText(offer, { chain }) {
+  const { taker } = offer.acceptance;
+  const { seller, buyer, legs } = settlementLegs(offer, taker);
+  const asset = findAsset(offer.asset);
+  const describe = (leg) => [
+    `  FROM:   ${toChecksumAddress(leg.from)}`,
+    `  TO:     ${toChecksumAddress(leg.to)}`,
+    `  SEND:   ${formatUnits(leg.amount, leg.asset.decimals)} ${leg.asset.symbol}`,
+    `  TOKEN:  ${leg.asset.type === 'native' ? `native ${leg.asset.symbol}` : leg.asset.address}`,
+  ];
+
+  return [
+    'BELIEVE NETWORK // OTC SETTLEMENT',
+    '=================================',
+    `NETWORK:      ${chain.name} (chain ${chain.chainId})`,
+    `OFFER:        ${offer.id}`,
+    `TERMS:        ${formatUnits(offer.amount, BLT_TOKEN.decimals)} ${BLT_TOKEN.symbol} @ ${formatUnits(offer.price, asset.decimals)} ${asset.symbol}`,
+    `SELLER:       ${toChecksumAddress(seller)}`,
+    `BUYER:        ${toChecksumAddress(buyer)}`,
+    `ACCEPTED_AT:  ${new Date(offer.acceptance.timestamp * 1000).toISOString()}`,
+    '',
+    'LEG 1 (SELLER → BUYER)',
+    ...describe(legs[0]),
+    '',
+    'LEG 2 (BUYER → SELLER)',
+    ...describe(legs[1]),
+    '',
+    'Settle in whichever order both sides agree; splitting each leg into',
+    'smaller transfers lowers the exposure of whoever sends first. The',
+    'board holds no funds and cannot reverse a transfer.',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Client for the /api OTC endpoints.
+ */
+export function createOtcApi(baseUrl, fetchImpl) {
+  const request = createApiRequest(baseUrl, fetchImpl);
+  const path = (id) => `/offers/${encodeURIComponent(id)}`;
+
+  return {
+    listOffers: (filters = {}) => {
+      const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString();
+      return request(`/offers${query ? `?${query}` : ''}`);
+    },
+    getOffer: (id) => request(path(id)),
+    postOffer: (offer) => request('/offers', { method: 'POST', body: JSON.stringify(offer) }),
+    acceptOffer: (id, acceptance) => request(`${path(id)}/accept`, { method: 'POST', body: JSON.stringify(acceptance) }),
+    cancelOffer: (id, cancellation) => request(`${path(id)}/cancel`, { method: 'POST', body: JSON.stringify(cancellation) }),
+  };
+}
@@ -0,0 +1,109 @@
+/* ========================================
+   DEX POOL STATE (UNISWAP V2 / V3 STYLE)
+   ======================================== */
+
+import { splitWords, decodeAddressWord, decodeSigned } from './abi.js';
+import { readDecimals } from './erc20.js';
+
+export const POOL_SELECTORS = {
+  token0: '0x0dfe1681',
+  token1: '0xd21220a7',
+  getReserves: '0x0902f1ac',
+  slot0: '0x3850c7bd',
+  liquidity: '0x1a686502',
+  fee: '0xddca3f43',
+  tickSpacing: '0xd0c93a7c',
+  tickBitmap: '0x5339c296',
+  ticks: '0xf30dba93',
+};
+
+const Q96 = 2 ** 96;
+
+// int16 / int24 call arguments, two's complement in a full word
+const encodeInt = (value) => BigInt.asUintN(256, BigInt(value)).toString(16).padStart(64, '0');
+
+/**
+ * Reads the pair tokens and the current price state of a pool.
+ * `type` is 'v2' (constant product) or 'v3' (concentrated liquidity).
+ */
+export async function readPoolState(rpc, { address, type }, blockTag = 'latest') {
+  const read = (selector) => rpc.ethCall(address, selector, blockTag);
+
+  const [token0Word, token1Word] = await Promise.all([read(POOL_SELECTORS.token0), read(POOL_SELECTORS.token1)]);
+  const token0 = decodeAddressWord(token0Word);
+  const token1 = decodeAddressWord(token1Word);
+
+  const [decimals0, decimals1] = await Promise.all([
+    readDecimals(rpc, token0, blockTag),
+    readDecimals(rpc, token1, blockTag),
+  ]);
+
+  const base = { type, address, token0, token1, decimals0, decimals1 };
+
+  if (type === 'v2') {
+    const [reserve0, reserve1] = splitWords(await read(POOL_SELECTORS.getReserves)).map(BigInt);
+    return { ...base, reserve0, reserve1 };
+  }
+
+  const [slot0, liquidity, fee, tickSpacing] = await Promise.all([
+    read(POOL_SELECTORS.slot0),
+    read(POOL_SELECTORS.liquidity),
+    read(POOL_SELECTORS.fee),
+    read(POOL_SELECTORS.tickSpacing),
+  ]);
+  const [sqrtPriceWord, tickWord] = splitWords(slot0);
+
+  return {
+    ...base,
+    sqrtPriceX96: BigInt(sqrtPriceWord),
+    tick: Number(decodeSigned(tickWord, 24)),
+    liquidity: BigInt(liquidity),
+    fee: Number(BigInt(fee)),
+    tickSpacing: Number(decodeSigned(tickSpacing, 24)),
+  };
+}
+
+/**
+ * Spot price of `baseToken` expressed in the other token of the pool,
+ * adjusted for decimals.
+ */
+export function spotPrice(state, baseToken) {
+  let price1Per0;
+
+  if (state.type === 'v2') {
+    if (state.reserve0 === 0n) return 0;
+    price1Per0 = (Number(state.reserve1) / Number(state.reserve0)) * 10 ** (state.decimals0 - state.decimals1);
+  } else {
+    const sqrtPrice = Number(state.sqrtPriceX96) / Q96;
+    price1Per0 = sqrtPrice * sqrtPrice * 10 ** (state.decimals0 - state.decimals1);
+  }
+
+  const baseIsToken0 = state.token0.toLowerCase() === baseToken.toLowerCase();
+  if (baseIsToken0) return price1Per0;
+  return price1Per0 === 0 ? 0 : 1 / price1Per0;
+}
+
+/**
+ * Initialized ticks of a V3 pool within `words` bitmap words (256 tick
+ * spacings each) either side of the current tick, ascending, each with
+ * the liquidity added when the price crosses it upwards. Liquidity
+ * beyond that window is not read.
+ */
+export async function readTickLiquidity(rpc, state, { words = 2, blockTag = 'latest' } = {}) {
+  const read = (selector, arg) => rpc.ethCall(state.address, `${selector}${encodeInt(arg)}`, blockTag);
+  const compressed = Math.floor(state.tick / state.tickSpacing);
+  const center = compressed >> 8;
+
+  const positions = Array.from({ length: words * 2 + 1 }, (_, i) => center - words + i);
+  const bitmaps = await Promise.all(positions.map((position) => read(POOL_SELECTORS.tickBitmap, position)));
+
+  const ticks = positions.flatMap((position, i) => {
+    const bitmap = BigInt(bitmaps[i]);
+    return Array.from({ length: 256 }, (_, bit) => bit)
+      .filter((bit) => (bitmap >> BigInt(bit)) & 1n)
+      .map((bit) => (position * 256 + bit) * state.tickSpacing);
+  });
+
+  const infos = await Promise.all(ticks.map((tick) => read(POOL_SELECTORS.ticks, tick)));
+  return ticks.map((tick, i) => ({ tick, liquidityNet: decodeSigned(splitWords(infos[i])[1], 128) }));
+}
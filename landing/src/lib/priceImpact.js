@@ -0,0 +1,134 @@
+/* ========================================
+   DEX PRICE IMPACT
+   ========================================
+   Simulates buying BLT from the pool, so a buyer can compare the DEX
+   (PATH_02) with the fixed reference price of a direct allocation
+   (PATH_01). Pool state comes from readPoolState, plus readTickLiquidity
+   for V3 pools. The maths runs in floating point: it is an estimate of
+   what a swap returns, not a quote.
+*/
+
+import { spotPrice } from './pool.js';
+
+// Constant-product pairs charge a flat 0.3%; V3 pools report their fee
+const V2_FEE = 3000;
+
+const FEE_DENOMINATOR = 1e6;
+
+const sqrtPriceAtTick = (tick) => 1.0001 ** (tick / 2);
+
+/**
+ * Raw units of the output token for `amountIn` raw units of the input,
+ * swapping through the ticks the simulation knows about. `exhausted`
+ * means the order ran past that liquidity.
+ */
+function swapV3(state, ticks, amountIn, zeroForOne) {
+  let sqrtPrice = Number(state.sqrtPriceX96) / 2 ** 96;
+  let liquidity = Number(state.liquidity);
+  let remaining = amountIn * (1 - state.fee / FEE_DENOMINATOR);
+  let out = 0;
+
+  // Price falls when token0 is sold, so the ticks below come next
+  const ahead = zeroForOne
+    ? ticks.filter(({ tick }) => tick <= state.tick).sort((a, b) => b.tick - a.tick)
+    : ticks.filter(({ tick }) => tick > state.tick).sort((a, b) => a.tick - b.tick);
+
+  for (const { tick, liquidityNet } of ahead) {
+    const target = sqrtPriceAtTick(tick);
+    const room = zeroForOne ? liquidity * (1 / target - 1 / sqrtPrice) : liquidity * (target - sqrtPrice);
+
+    if (remaining <= room) {
+      const next = zeroForOne ? 1 / (1 / sqrtPrice + remaining / liquidity) : sqrtPrice + remaining / liquidity;
+      out += zeroForOne ? liquidity * (sqrtPrice - next) : liquidity * (1 / sqrtPrice - 1 / next);
+      return { out, exhausted: false };
+    }
+
+    out += zeroForOne ? liquidity * (sqrtPrice - target) : liquidity * (1 / sqrtPrice - 1 / target);
+    remaining -= room;
+    sqrtPrice = target;
+    liquidity += zeroForOne ? -Number(liquidityNet) : Number(liquidityNet);
+  }
+
+  return { out, exhausted: remaining > 0 };
+}
+
+function swapV2(state, amountIn, zeroForOne) {
+  const [reserveIn, reserveOut] = zeroForOne
+    ? [Number(state.reserve0), Number(state.reserve1)]
+    : [Number(state.reserve1), Number(state.reserve0)];
+  const net = amountIn * (1 - (state.fee ?? V2_FEE) / FEE_DENOMINATOR);
+  return { out: (net * reserveOut) / (reserveIn + net), exhausted: false };
+}
+
+/**
+ * Buys `baseToken` with `amount` of the pool's other token (in whole
+ * units). Returns { received, price, spot, impact, exhausted }: base
+ * tokens received, the average price paid and the spot price (both in
+ * the quote token), and how far the average sits above spot, fee
+ * included, as a fraction.
+ */
+export function simulateBuy(state, ticks, baseToken, amount) {
+  const baseIsToken0 = state.token0.toLowerCase() === baseToken.toLowerCase();
+  const [quoteDecimals, baseDecimals] = baseIsToken0 ? [state.decimals1, state.decimals0] : [state.decimals0, state.decimals1];
+  const zeroForOne = !baseIsToken0;
+
+  const amountIn = amount * 10 ** quoteDecimals;
+  const { out, exhausted } = state.type === 'v2' ? swapV2(state, amountIn, zeroForOne) : swapV3(state, ticks, amountIn, zeroForOne);
+
+  const received = out / 10 ** baseDecimals;
+  const spot = spotPrice(state, baseToken);
+  const price = received > 0 ? amount / received : Infinity;
+  return { received, price, spot, impact: spot > 0 ? price / spot - 1 : null, exhausted };
+}
+
+/**
+ * A USD order of `usd` through both paths. `quoteUsd` is the USD price of
+ * the pool's quote token and `referencePrice` the direct allocation
+ * price, in USD. `recommended` is 'direct' when PATH_01 buys more BLT or
+ * the pool cannot fill the order, 'dex' otherwise.
+ */
+export function compareOrder({ state, ticks, baseToken, usd, quoteUsd, referencePrice }) {
+  const dex = simulateBuy(state, ticks, baseToken, usd / quoteUsd);
+  const direct = usd / referencePrice;
+  const priceUsd = dex.price * quoteUsd;
+
+  return {
+    usd,
+    dex: { ...dex, priceUsd, spotUsd: dex.spot * quoteUsd },
+    direct,
+    recommended: dex.exhausted || dex.received < direct ? 'direct' : 'dex',
+  };
+}
+
+// Bisection steps; enough to pin the break-even to a fraction of a cent
+const SEARCH_STEPS = 48;
+
+/**
+ * The USD order size above which PATH_01 buys more BLT than the DEX, as
+ * { usd, reason }: reason is 'price' when the DEX price has climbed past
+ * the reference, 'liquidity' when the pool runs out of liquidity first
+ * (liquidity the simulation cannot see counts as missing). usd is 0 when
+ * PATH_01 already wins the smallest order; null when the DEX stays
+ * cheaper for every order up to `maxUsd`.
+ */
+export function breakEven({ maxUsd = 1e9, ...market }) {
+  const compare = (usd) => compareOrder({ ...market, usd });
+  const result = (usd, order) => ({ usd, reason: order.dex.exhausted ? 'liquidity' : 'price' });
+
+  const smallest = compare(0.01);
+  if (smallest.recommended === 'direct') return result(0, smallest);
+
+  let low = 0.01;
+  let high = 1;
+  while (compare(high).recommended === 'dex') {
+    if (high >= maxUsd) return null;
+    low = high;
+    high *= 2;
+  }
+  for (let i = 0; i < SEARCH_STEPS && high - low > 0.01; i += 1) {
+    const middle = (low + high) / 2;
+    if (compare(middle).recommended === 'direct') high = middle;
+    else low = middle;
+  }
+  return result(low, compare(high));
+}
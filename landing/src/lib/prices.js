@@ -0,0 +1,74 @@
+/* ========================================
+   ASSET PRICES (USD)
+   ======================================== */
+
+/**
+ * Reads spot mid prices from the Hyperliquid info endpoint.
+ * Returns a map of symbol → decimal price string.
+ */
+export async function fetchMids(url, fetchImpl = globalThis.fetch) {
+  const response = await fetchImpl(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ type: 'allMids' }),
+  });
+  if (!response.ok) throw new Error(`Price feed responded ${response.status}`);
+  return response.json();
+}
+
+/**
+ * USD price for each payment asset. Stablecoins are pegged at $1;
+ * anything else must be present in the mids map.
+ */
+export function resolveAssetPrices(assets, mids) {
+  return Object.fromEntries(assets.map((asset) => [
+    asset.symbol,
+    asset.type === 'erc20' ? '1' : (mids?.[asset.symbol] ?? null),
+  ]));
+}
+
+// Hyperliquid keeps a limited number of candles per interval, so older
+// times fall back to coarser candles
+const HISTORY_INTERVALS = [['1m', 60 * 1000], ['1h', 60 * 60 * 1000], ['1d', 24 * 60 * 60 * 1000]];
+
+/**
+ * USD price of `coin` at `time` (ms): the close of the finest candle
+ * the Hyperliquid info endpoint still has for that moment, as a decimal
+ * string.
+ */
+export async function fetchPriceAt(url, coin, time, fetchImpl = globalThis.fetch) {
+  for (const [interval, length] of HISTORY_INTERVALS) {
+    const startTime = Math.floor(time / length) * length;
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type: 'candleSnapshot', req: { coin, interval, startTime, endTime: startTime + length - 1 } }),
+    });
+    if (!response.ok) throw new Error(`Price feed responded ${response.status}`);
+    const candle = (await response.json()).find((candidate) => candidate.t === startTime);
+    if (candle) return candle.c;
+  }
+  throw new Error(`No ${coin} price for ${new Date(time).toISOString()}`);
+}
+
+// Candle widths (seconds) the info endpoint serves, by its interval name
+const CANDLE_INTERVALS = { 3600: '1h', 14400: '4h', 86400: '1d', 604800: '1w' };
+
+/**
+ * USD closes of `coin` in candles `interval` seconds wide (1h, 4h, 1d or
+ * 1w) opening from `startTime` to `endTime` (seconds), oldest first:
+ * [{ time (seconds), close (number) }].
+ */
+export async function fetchPriceCandles(url, coin, { interval, startTime, endTime }, fetchImpl = globalThis.fetch) {
+  const name = CANDLE_INTERVALS[interval];
+  if (!name) throw new Error(`No ${interval}s candles on the price feed`);
+  const response = await fetchImpl(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ type: 'candleSnapshot', req: { coin, interval: name, startTime: startTime * 1000, endTime: endTime * 1000 } }),
+  });
+  if (!response.ok) throw new Error(`Price feed responded ${response.status}`);
+  return (await response.json())
+    .map((candle) => ({ time: Math.floor(candle.t / 1000), close: Number(candle.c) }))
+    .sort((a, b) => a.time - b.time);
+}
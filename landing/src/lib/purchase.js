@@ -0,0 +1,128 @@
+/* ========================================
+   DIRECT ALLOCATION PURCHASE
+   ======================================== */
+
+import { SELECTORS, encodeAddress, encodeUint } from './erc20.js';
+import { formatUnits } from './format.js';
+
+const USD_DECIMALS = 6;
+
+const toHex = (value) => `0x${BigInt(value).toString(16)}`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Converts a decimal USD price ("23.41") into micro-USD.
+ */
+export function toMicros(price) {
+  const [whole, fraction = ''] = String(price).split('.');
+  return BigInt(`${whole}${fraction.slice(0, USD_DECIMALS).padEnd(USD_DECIMALS, '0')}`);
+}
+
+/**
+ * BLT owed for `amount` (raw units of `asset`) at the reference price.
+ * All math is integer; the result is rounded down.
+ */
+export function computeAllocation({ amount, asset, assetPriceMicros, referencePriceMicros, bltDecimals }) {
+  const usdMicros = (amount * assetPriceMicros) / 10n ** BigInt(asset.decimals);
+  const blt = (usdMicros * 10n ** BigInt(bltDecimals)) / referencePriceMicros;
+  return { usdMicros, blt };
+}
+
+/**
+ * Transaction request sending `amount` of `asset` to `recipient`:
+ * a plain value transfer for native HYPE, an ERC-20 `transfer` otherwise.
+ */
+export function buildPaymentTx({ from, recipient, asset, amount }) {
+  if (asset.type === 'native') {
+    return { from, to: recipient, value: toHex(amount) };
+  }
+  return {
+    from,
+    to: asset.address,
+    value: '0x0',
+    data: `${SELECTORS.transfer}${encodeAddress(recipient)}${encodeUint(amount)}`,
+  };
+}
+
+/**
+ * Raised when a transaction is still unconfirmed at the deadline. It may
+ * yet be mined, so the buyer is pointed at `hash` rather than told it failed.
+ */
+export class ReceiptTimeoutError extends Error {
+  constructor(hash) {
+    super('Timed out waiting for confirmation. Check the transaction on the explorer.');
+    this.name = 'ReceiptTimeoutError';
+    this.hash = hash;
+  }
+}
+
+/**
+ * Polls the provider until the transaction is mined with `confirmations`
+ * blocks on top. Resolves with the receipt. A failed poll (wallet RPC
+ * hiccup, rate limit) is retried on the next tick; only the deadline
+ * ends the wait, with a ReceiptTimeoutError.
+ */
+export async function waitForReceipt(provider, hash, {
+  confirmations = 1,
+  interval = 2000,
+  timeout = 10 * 60 * 1000,
+  onUpdate = () => {},
+} = {}) {
+  const deadline = Date.now() + timeout;
+
+  while (Date.now() < deadline) {
+    try {
+      const receipt = await provider.request({ method: 'eth_getTransactionReceipt', params: [hash] });
+
+      if (receipt?.blockNumber) {
+        const head = BigInt(await provider.request({ method: 'eth_blockNumber' }));
+        const depth = head - BigInt(receipt.blockNumber) + 1n;
+        onUpdate({ receipt, confirmations: Number(depth) });
+        if (depth >= BigInt(confirmations)) return receipt;
+      } else {
+        onUpdate({ receipt: null, confirmations: 0 });
+      }
+    } catch {
+      // Transient: poll again until the deadline
+    }
+
+    await sleep(interval);
+  }
+
+  throw new ReceiptTimeoutError(hash);
+}
+
+/**
+ * Plain-text receipt the buyer can keep until the allocation is processed.
+ */
+export function buildReceipt({ hash, from, recipient, asset, amount, allocation, bltSymbol, bltDecimals, chain, confirmedAt, windowHours }) {
+  const dueBy = new Date(confirmedAt.getTime() + windowHours * 60 * 60 * 1000);
+
+  return [
+    'BELIEVE NETWORK // DIRECT ALLOCATION RECEIPT',
+    '============================================',
+    `NETWORK:        ${chain.name} (chain ${chain.chainId})`,
+    `TX_HASH:        ${hash}`,
+    `EXPLORER:       ${chain.explorerUrl}/tx/${hash}`,
+    `FROM:           ${from}`,
+    `TO (DEPLOYER):  ${recipient}`,
+    `PAID:           ${formatUnits(amount, asset.decimals)} ${asset.symbol}`,
+    `USD_VALUE:      $${formatUnits(allocation.usdMicros, USD_DECIMALS)}`,
+    `ALLOCATION:     ${formatUnits(allocation.blt, bltDecimals)} ${bltSymbol}`,
+    `CONFIRMED_AT:   ${confirmedAt.toISOString()}`,
+    `PROCESS_BY:     ${dueBy.toISOString()} (${windowHours}-hour cycle)`,
+    '',
+    'Keep this receipt. Quote the transaction hash in any support request.',
+    '',
+  ].join('\n');
+}
+
+export function downloadText(filename, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
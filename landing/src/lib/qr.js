@@ -0,0 +1,256 @@
+/* ========================================
+   QR CODE ENCODER (byte mode, EC level M, versions 1-10)
+   ======================================== */
+
+// [total codewords, EC codewords per block, blocks] for level M
+const VERSIONS = [
+  null,
+  [26, 10, 1], [44, 16, 1], [70, 26, 1], [100, 18, 2], [134, 24, 2],
+  [172, 16, 4], [196, 18, 4], [242, 22, 4], [292, 22, 5], [346, 26, 5],
+];
+
+const ALIGNMENT = [
+  null,
+  [], [6, 18], [6, 22], [6, 26], [6, 30],
+  [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50],
+];
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+// GF(256) arithmetic with the QR primitive polynomial 0x11D
+const EXP = new Uint8Array(512);
+const LOG = new Uint8Array(256);
+for (let i = 0, value = 1; i < 255; i++) {
+  EXP[i] = value;
+  LOG[value] = i;
+  value <<= 1;
+  if (value & 0x100) value ^= 0x11d;
+}
+for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+
+const gfMul = (a, b) => (a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]]);
+
+function reedSolomon(data, degree) {
+  let generator = [1];
+  for (let i = 0; i < degree; i++) {
+    const next = new Array(generator.length + 1).fill(0);
+    generator.forEach((coefficient, j) => {
+      next[j] ^= coefficient;
+      next[j + 1] ^= gfMul(coefficient, EXP[i]);
+    });
+    generator = next;
+  }
+
+  const remainder = new Array(degree).fill(0);
+  data.forEach((byte) => {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    for (let i = 0; i < degree; i++) remainder[i] ^= gfMul(generator[i + 1], factor);
+  });
+  return remainder;
+}
+
+const dataCapacity = (version) => {
+  const [total, ecPerBlock, blocks] = VERSIONS[version];
+  return total - ecPerBlock * blocks;
+};
+
+function encodeData(bytes, version) {
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach((byte) => push(byte, 8));
+
+  const capacityBits = dataCapacity(version) * 8;
+  push(0, Math.min(4, capacityBits - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < dataCapacity(version); pad ^= 0xec ^ 0x11) codewords.push(pad);
+
+  // Split into blocks (short blocks first), append EC and interleave
+  const [total, ecPerBlock, blockCount] = VERSIONS[version];
+  const shortLength = Math.floor(total / blockCount) - ecPerBlock;
+  const longBlocks = total % blockCount;
+  const blocks = [];
+  for (let b = 0, offset = 0; b < blockCount; b++) {
+    const length = shortLength + (b >= blockCount - longBlocks ? 1 : 0);
+    const data = codewords.slice(offset, offset + length);
+    blocks.push({ data, ec: reedSolomon(data, ecPerBlock) });
+    offset += length;
+  }
+
+  const result = [];
+  for (let i = 0; i <= shortLength; i++) {
+    blocks.forEach((block) => { if (i < block.data.length) result.push(block.data[i]); });
+  }
+  for (let i = 0; i < ecPerBlock; i++) blocks.forEach((block) => result.push(block.ec[i]));
+  return result;
+}
+
+function buildMatrix(version, codewords, mask) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  });
+
+  const positions = ALIGNMENT[version];
+  const last = positions.length - 1;
+  positions.forEach((cx, i) => positions.forEach((cy, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+
+  // Format information (EC level M = 0b00)
+  const formatData = mask;
+  let remainder = formatData;
+  for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  const format = ((formatData << 10) | remainder) ^ 0x5412;
+  const formatBit = (i) => ((format >>> i) & 1) === 1;
+
+  for (let i = 0; i <= 5; i++) set(8, i, formatBit(i));
+  set(8, 7, formatBit(6));
+  set(8, 8, formatBit(7));
+  set(7, 8, formatBit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, formatBit(i));
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, formatBit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, formatBit(i));
+  set(8, size - 8, true);
+
+  if (version >= 7) {
+    let versionRemainder = version;
+    for (let i = 0; i < 12; i++) versionRemainder = (versionRemainder << 1) ^ ((versionRemainder >>> 11) * 0x1f25);
+    const versionBits = (version << 12) | versionRemainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((versionBits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+
+  // Zig-zag data placement, two columns at a time from the bottom right
+  let bitIndex = 0;
+  const totalBits = codewords.length * 8;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (reserved[y][x]) continue;
+        const dark = bitIndex < totalBits && ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+        bitIndex++;
+        modules[y][x] = dark !== MASKS[mask](x, y);
+      }
+    }
+  }
+
+  return modules;
+}
+
+function penalty(modules) {
+  const size = modules.length;
+  let score = 0;
+  let dark = 0;
+
+  const scoreLine = (line) => {
+    let run = 1;
+    for (let i = 1; i <= line.length; i++) {
+      if (i < line.length && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) score += run - 2;
+        run = 1;
+      }
+    }
+    const text = line.map((module) => (module ? '1' : '0')).join('');
+    score += 40 * ((text.match(/(?=10111010000|00001011101)/g) || []).length);
+  };
+
+  for (let y = 0; y < size; y++) {
+    scoreLine(modules[y]);
+    scoreLine(modules.map((row) => row[y]));
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x < size - 1 && y < size - 1) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+  }
+
+  score += 10 * (Math.ceil(Math.abs(dark * 20 - size * size * 10) / (size * size)) - 1);
+  return score;
+}
+
+/**
+ * Encodes `text` (UTF-8) into a QR module matrix: an array of rows of
+ * booleans, true = dark. Picks the smallest version and best mask.
+ */
+export function encodeQr(text) {
+  const bytes = [...new TextEncoder().encode(text)];
+  const version = VERSIONS.findIndex((entry, v) => entry && dataCapacity(v) * 8 >= 4 + (v < 10 ? 8 : 16) + bytes.length * 8);
+  if (version === -1) throw new Error('Text is too long for a QR code');
+
+  const codewords = encodeData(bytes, version);
+
+  let best = null;
+  MASKS.forEach((_, mask) => {
+    const modules = buildMatrix(version, codewords, mask);
+    const score = penalty(modules);
+    if (!best || score < best.score) best = { modules, score };
+  });
+  return best.modules;
+}
+
+/**
+ * SVG path data for the dark modules, offset by a quiet zone.
+ */
+export function qrPath(modules, margin = 4) {
+  let path = '';
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+  }));
+  return path;
+}
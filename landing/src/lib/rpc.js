@@ -0,0 +1,119 @@
+/* ========================================
+   JSON-RPC CLIENT
+   ======================================== */
+
+export class RpcError extends Error {
+  constructor(message, { code, data, retryable = false } = {}) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    this.data = data;
+    this.retryable = retryable;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Minimal JSON-RPC client with timeout and exponential-backoff retry.
+ * Transport failures, HTTP 429/5xx and node rate-limit errors are retried;
+ * any other JSON-RPC error is surfaced immediately.
+ */
+export function createRpcClient(url, {
+  retries = 3,
+  retryDelay = 400,
+  timeout = 10000,
+  fetchImpl = globalThis.fetch,
+} = {}) {
+  let nextId = 1;
+
+  const exchange = async (method, params, signal) => {
+    let response;
+    try {
+      response = await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: nextId++, method, params }),
+        signal,
+      });
+    } catch (error) {
+      throw new RpcError(`RPC unreachable: ${error.message}`, { retryable: true });
+    }
+
+    if (!response.ok) {
+      throw new RpcError(`RPC responded ${response.status}`, {
+        code: response.status,
+        retryable: response.status === 429 || response.status >= 500,
+      });
+    }
+
+    let payload;
+    try {
+      payload = await response.json();
+    } catch (error) {
+      throw new RpcError(`RPC response unreadable: ${error.message}`, { retryable: true });
+    }
+    if (payload.error) {
+      throw new RpcError(payload.error.message, {
+        code: payload.error.code,
+        data: payload.error.data,
+        // -32005: limit exceeded on most node implementations
+        retryable: payload.error.code === -32005,
+      });
+    }
+    return payload.result;
+  };
+
+  // The timeout runs until the body is read: a node can stall mid-response
+  const send = async (method, params) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+      return await exchange(method, params, controller.signal);
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  const call = async (method, params = []) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await send(method, params);
+      } catch (error) {
+        if (!error.retryable || attempt >= retries) throw error;
+        await sleep(retryDelay * 2 ** attempt);
+      }
+    }
+  };
+
+  return {
+    url,
+    call,
+    blockNumber: async () => BigInt(await call('eth_blockNumber')),
+    ethCall: (to, data, blockTag = 'latest') => call('eth_call', [{ to, data }, blockTag]),
+    getBalance: async (address, blockTag = 'latest') => BigInt(await call('eth_getBalance', [address, blockTag])),
+    getCode: (address, blockTag = 'latest') => call('eth_getCode', [address, blockTag]),
+    getLogs: (filter) => call('eth_getLogs', [filter]),
+    getBlock: (blockTag = 'latest', withTransactions = false) => call('eth_getBlockByNumber', [blockTag, withTransactions]),
+    getTransactionReceipt: (hash) => call('eth_getTransactionReceipt', [hash]),
+  };
+}
+
+/**
+ * Exposes an EIP-1193 provider through the same interface as
+ * createRpcClient, so read helpers work with either.
+ */
+export function fromProvider(provider) {
+  const call = (method, params = []) => provider.request({ method, params });
+
+  return {
+    call,
+    blockNumber: async () => BigInt(await call('eth_blockNumber')),
+    ethCall: (to, data, blockTag = 'latest') => call('eth_call', [{ to, data }, blockTag]),
+    getBalance: async (address, blockTag = 'latest') => BigInt(await call('eth_getBalance', [address, blockTag])),
+    getCode: (address, blockTag = 'latest') => call('eth_getCode', [address, blockTag]),
+    getLogs: (filter) => call('eth_getLogs', [filter]),
+    getBlock: (blockTag = 'latest', withTransactions = false) => call('eth_getBlockByNumber', [blockTag, withTransactions]),
+    getTransactionReceipt: (hash) => call('eth_getTransactionReceipt', [hash]),
+  };
+}
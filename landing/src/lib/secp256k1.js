@@ -0,0 +1,105 @@
+/* ========================================
+   SECP256K1 SIGNATURE RECOVERY
+   ========================================
+   Just enough of the curve to turn a signature back into the signer's
+   address (ecrecover). Verification only: nothing here handles private
+   keys, so constant-time arithmetic is not a concern.
+*/
+
+import { keccak256, hexToBytes } from './keccak.js';
+
+const P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const G = [
+  0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+  0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n,
+];
+
+const mod = (a, m = P) => ((a % m) + m) % m;
+
+function invert(a, m = P) {
+  let [low, high] = [mod(a, m), m];
+  let [lm, hm] = [1n, 0n];
+  while (low > 1n) {
+    const ratio = high / low;
+    [lm, hm] = [hm - lm * ratio, lm];
+    [low, high] = [high - low * ratio, low];
+  }
+  return mod(lm, m);
+}
+
+function powMod(base, exponent, m = P) {
+  let result = 1n;
+  let b = mod(base, m);
+  let e = exponent;
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % m;
+    b = (b * b) % m;
+    e >>= 1n;
+  }
+  return result;
+}
+
+// Points are [x, y] in affine coordinates; null is the point at infinity
+function add(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  if (a[0] === b[0]) {
+    if (mod(a[1] + b[1]) === 0n) return null;
+    const slope = mod(3n * a[0] * a[0] * invert(2n * a[1]));
+    const x = mod(slope * slope - 2n * a[0]);
+    return [x, mod(slope * (a[0] - x) - a[1])];
+  }
+  const slope = mod((b[1] - a[1]) * invert(b[0] - a[0]));
+  const x = mod(slope * slope - a[0] - b[0]);
+  return [x, mod(slope * (a[0] - x) - a[1])];
+}
+
+function multiply(point, scalar) {
+  let result = null;
+  let addend = point;
+  let k = scalar;
+  while (k > 0n) {
+    if (k & 1n) result = add(result, addend);
+    addend = add(addend, addend);
+    k >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * Splits a 65-byte `r || s || v` signature. Accepts v as 27/28 or 0/1.
+ */
+export function splitSignature(signature) {
+  const bytes = hexToBytes(signature);
+  if (bytes.length !== 65) throw new Error('Signature must be 65 bytes');
+  const hex = signature.replace(/^0x/, '');
+  const v = bytes[64] < 27 ? bytes[64] : bytes[64] - 27;
+  if (v > 1) throw new Error('Invalid signature recovery id');
+  return { r: BigInt(`0x${hex.slice(0, 64)}`), s: BigInt(`0x${hex.slice(64, 128)}`), v };
+}
+
+/**
+ * Address that produced `signature` over the 32-byte `digest`, or throws
+ * for a malformed or non-canonical (high-s) signature.
+ */
+export function recoverAddress(digest, signature) {
+  const { r, s, v } = splitSignature(signature);
+  if (r <= 0n || r >= N || s <= 0n || s >= N) throw new Error('Signature out of range');
+  // EIP-2: reject the malleable twin of every signature
+  if (s > N / 2n) throw new Error('Non-canonical signature (high s)');
+
+  const x = r;
+  const alpha = mod(x * x * x + 7n);
+  let y = powMod(alpha, (P + 1n) / 4n);
+  if (mod(y * y) !== alpha) throw new Error('Signature does not correspond to a curve point');
+  if ((y & 1n) !== BigInt(v)) y = P - y;
+
+  const e = mod(BigInt(digest), N);
+  const rInverse = invert(r, N);
+  const publicKey = add(multiply([x, y], mod(s * rInverse, N)), multiply(G, mod(-e * rInverse, N)));
+  if (!publicKey) throw new Error('Invalid signature');
+
+  const encoded = publicKey.map((coordinate) => coordinate.toString(16).padStart(64, '0')).join('');
+  return `0x${keccak256(`0x${encoded}`).slice(-40)}`;
+}
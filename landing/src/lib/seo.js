@@ -0,0 +1,181 @@
+/* ========================================
+   SEARCH & SOCIAL METADATA
+   ========================================
+   Head tags, structured data and sitemap entries for prerendered pages.
+   Everything here runs at build time (scripts/prerender.js), where the
+   public site URL is known; nothing is sent to the browser bundle.
+*/
+
+import { BLT_TOKEN, HYPEREVM, SOCIAL_LINKS } from '../config.js';
+
+export const SITE = {
+  name: 'BELIEVE',
+  title: 'BELIEVE Token - Conviction Over Chaos | Community-First Crypto',
+  headline: 'Conviction over chaos',
+  description: 'BELIEVE Token - Conviction over chaos. A community-driven crypto platform that rewards believers, not traders. Join the movement back to crypto\'s original vision.',
+};
+
+// Social cards are 1200×630, the size X, Telegram and Discord crop least
+export const OG_IMAGE_SIZE = { width: 1200, height: 630 };
+
+// Home-screen icons, drawn from the "B" logo-icon by scripts/_lib/app-icon.js
+export const APP_ICONS = [
+  { src: '/icons/icon-192.png', size: 192, purpose: 'any' },
+  { src: '/icons/icon-512.png', size: 512, purpose: 'any' },
+  { src: '/icons/maskable-512.png', size: 512, purpose: 'maskable' },
+];
+
+export const APPLE_TOUCH_ICON = { src: '/icons/apple-touch-icon.png', size: 180, purpose: 'any' };
+
+export const WEB_MANIFEST_PATH = '/manifest.webmanifest';
+
+// --color-bg of the default dark theme
+const THEME_COLOR = '#000000';
+
+// The Latin files of the self-hosted fonts (App.css); Latin Extended
+// loads only on pages that need it
+const PRELOADED_FONTS = ['/fonts/inter-latin-wght-normal.woff2', '/fonts/plus-jakarta-sans-latin-wght-normal.woff2'];
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const absolute = (siteUrl, path) => new URL(path, siteUrl).href;
+
+/**
+ * Where a page's social card is written: /og/index.png for the landing
+ * page, /og/whitepaper-1.0.png for /whitepaper/1.0.
+ */
+export const ogImagePath = (path) => `/og/${path === '/' ? 'index' : path.slice(1).replace(/\//g, '-')}.png`;
+
+/**
+ * Title, description and absolute URLs for one prerendered page.
+ */
+export function pageMeta({ path, title, description }, siteUrl) {
+  return {
+    title: title ? `${title} | ${SITE.name}` : SITE.title,
+    heading: title || SITE.headline,
+    description: description || SITE.description,
+    url: absolute(siteUrl, path),
+    image: absolute(siteUrl, ogImagePath(path)),
+  };
+}
+
+/**
+ * JSON-LD for the organization, the site and the BLT token.
+ */
+export function structuredData(siteUrl) {
+  const organization = {
+    '@type': 'Organization',
+    '@id': absolute(siteUrl, '/#organization'),
+    name: SITE.name,
+    url: absolute(siteUrl, '/'),
+    logo: absolute(siteUrl, ogImagePath('/')),
+    sameAs: Object.values(SOCIAL_LINKS).filter(Boolean),
+  };
+
+  return {
+    '@context': 'https://schema.org',
+    '@graph': [
+      organization,
+      {
+        '@type': 'WebSite',
+        name: SITE.name,
+        url: absolute(siteUrl, '/'),
+        publisher: { '@id': organization['@id'] },
+      },
+      {
+        '@type': 'FinancialProduct',
+        name: `${SITE.name} Token`,
+        alternateName: BLT_TOKEN.symbol,
+        category: `ERC-20 token on ${HYPEREVM.name}`,
+        identifier: BLT_TOKEN.address,
+        url: `${HYPEREVM.explorerUrl}/token/${BLT_TOKEN.address}`,
+        provider: { '@id': organization['@id'] },
+      },
+    ],
+  };
+}
+
+/**
+ * The web app manifest that makes the site installable.
+ */
+export function buildWebManifest() {
+  const manifest = {
+    id: '/',
+    name: SITE.name,
+    short_name: SITE.name,
+    description: SITE.description,
+    start_url: '/',
+    scope: '/',
+    display: 'standalone',
+    background_color: THEME_COLOR,
+    theme_color: THEME_COLOR,
+    icons: APP_ICONS.map(({ src, size, purpose }) => ({ src, sizes: `${size}x${size}`, type: 'image/png', purpose })),
+  };
+  return `${JSON.stringify(manifest, null, 2)}\n`;
+}
+
+/**
+ * The <head> tags a prerendered page adds to the built index.html. A
+ * meta without `url` (the app shell) gets no canonical link.
+ */
+export function renderHeadTags(meta, siteUrl) {
+  const tags = [
+    `<title>${escapeHtml(meta.title)}</title>`,
+    `<meta name="description" content="${escapeHtml(meta.description)}" />`,
+    `<link rel="manifest" href="${WEB_MANIFEST_PATH}" />`,
+    `<meta name="theme-color" content="${THEME_COLOR}" />`,
+    `<link rel="icon" type="image/png" sizes="192x192" href="${APP_ICONS[0].src}" />`,
+    `<link rel="apple-touch-icon" href="${APPLE_TOUCH_ICON.src}" />`,
+    ...PRELOADED_FONTS.map((href) => `<link rel="preload" href="${href}" as="font" type="font/woff2" crossorigin />`),
+    ...(meta.url ? [`<link rel="canonical" href="${escapeHtml(meta.url)}" />`] : []),
+    '<meta property="og:type" content="website" />',
+    `<meta property="og:site_name" content="${SITE.name}" />`,
+    `<meta property="og:title" content="${escapeHtml(meta.title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(meta.description)}" />`,
+    ...(meta.url ? [`<meta property="og:url" content="${escapeHtml(meta.url)}" />`] : []),
+    `<meta property="og:image" content="${escapeHtml(meta.image)}" />`,
+    `<meta property="og:image:width" content="${OG_IMAGE_SIZE.width}" />`,
+    `<meta property="og:image:height" content="${OG_IMAGE_SIZE.height}" />`,
+    '<meta name="twitter:card" content="summary_large_image" />',
+    `<meta name="twitter:title" content="${escapeHtml(meta.title)}" />`,
+    `<meta name="twitter:description" content="${escapeHtml(meta.description)}" />`,
+    `<meta name="twitter:image" content="${escapeHtml(meta.image)}" />`,
+    // `<` is escaped so page text can never close the script element
+    `<script type="application/ld+json">${JSON.stringify(structuredData(siteUrl)).replace(/</g, '\\u003c')}</script>`,
+  ];
+  return tags.map((tag) => `  ${tag}`).join('\n');
+}
+
+/**
+ * sitemap.xml for the given pages ({ path, lastmod? }).
+ */
+export function buildSitemap(pages, siteUrl) {
+  const entries = pages.map(({ path, lastmod }) => [
+    '  <url>',
+    `    <loc>${escapeHtml(absolute(siteUrl, path))}</loc>`,
+    ...(lastmod ? [`    <lastmod>${lastmod}</lastmod>`] : []),
+    '  </url>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries,
+    '</urlset>',
+    '',
+  ].join('\n');
+}
+
+export const buildRobots = (siteUrl) => [
+  'User-agent: *',
+  'Allow: /',
+  'Disallow: /api/',
+  'Disallow: /admin/',
+  '',
+  `Sitemap: ${absolute(siteUrl, '/sitemap.xml')}`,
+  '',
+].join('\n');
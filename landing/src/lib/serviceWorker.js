@@ -0,0 +1,64 @@
+/* ========================================
+   SERVICE WORKER CLIENT
+   ========================================
+   Registration and updates for the worker built from
+   src/service-worker.js. A new build installs in the background and
+   waits; the page offers to reload into it.
+*/
+
+// How often an open tab asks whether a new build has shipped
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+/**
+ * Registers the worker at `url` and calls `onUpdate(worker)` when a new
+ * build has installed and waits to take over from the current one. The
+ * first install takes control without asking. Returns a cleanup function.
+ */
+export function registerServiceWorker(url, { onUpdate }) {
+  const { serviceWorker } = navigator;
+  let cancelled = false;
+  let timer = null;
+
+  const whenInstalled = (worker) => worker?.addEventListener('statechange', () => {
+    if (worker.state === 'installed' && serviceWorker.controller) onUpdate(worker);
+  });
+
+  serviceWorker.register(url).then((registration) => {
+    if (cancelled) return;
+    if (registration.waiting && serviceWorker.controller) onUpdate(registration.waiting);
+    whenInstalled(registration.installing);
+    registration.addEventListener('updatefound', () => whenInstalled(registration.installing));
+    timer = setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS);
+  }).catch(() => {
+    // Blocked or unsupported (some private modes): the site stays online-only
+  });
+
+  return () => {
+    cancelled = true;
+    clearInterval(timer);
+  };
+}
+
+/**
+ * Lets the waiting `worker` take over and reloads the page into the new
+ * build once it has.
+ */
+export function applyUpdate(worker) {
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  worker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+/**
+ * Calls `onRead({ source, cached })` for every on-chain or price read the
+ * worker answers: `cached` is true when the worker served its last copy
+ * and could not refresh it from the network. Returns a cleanup function.
+ */
+export function watchReads(onRead) {
+  const { serviceWorker } = navigator;
+  const handleMessage = ({ data }) => {
+    if (data?.type === 'READ') onRead({ source: data.source, cached: data.cached });
+  };
+  serviceWorker.addEventListener('message', handleMessage);
+  serviceWorker.startMessages();
+  return () => serviceWorker.removeEventListener('message', handleMessage);
+}
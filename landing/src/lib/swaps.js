@@ -0,0 +1,174 @@
+/* ========================================
+   DEX SWAP HISTORY AND PRICE CANDLES
+   ======================================== */
+
+import { getLogsPaginated, readBlockTimestamps, TOPICS } from './logs.js';
+import { splitWords, decodeSigned } from './abi.js';
+import { spotPrice } from './pool.js';
+import { createApiRequest } from './api.js';
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+// Candle width (seconds) and how far back each range reaches; ALL
+// starts at the first swap and picks the narrowest width that fits
+export const CHART_RANGES = {
+  '1D': { span: DAY, interval: HOUR },
+  '1W': { span: 7 * DAY, interval: 4 * HOUR },
+  '1M': { span: 30 * DAY, interval: DAY },
+  ALL: { span: null, interval: null },
+};
+
+const ALL_INTERVALS = [HOUR, 4 * HOUR, DAY, 7 * DAY];
+
+const MAX_CANDLES = 120;
+
+/**
+ * Decodes one Swap log of `pool` (token0/token1/decimals as returned by
+ * readPoolState) into the price of `baseToken` in the other token.
+ * V3 logs carry the pool price after the swap; V2 logs only carry the
+ * traded amounts, so their price is the swap's execution price.
+ * Returns null for a log that moved nothing.
+ */
+export function decodeSwap(log, pool, baseToken) {
+  const words = splitWords(log.data);
+  const baseIsToken0 = pool.token0.toLowerCase() === baseToken.toLowerCase();
+
+  // Amounts are signed from the pool's side: positive flowed in
+  let amount0;
+  let amount1;
+  let price;
+  if (pool.type === 'v2') {
+    const [in0, in1, out0, out1] = words.map(BigInt);
+    amount0 = in0 - out0;
+    amount1 = in1 - out1;
+    if (amount0 === 0n || amount1 === 0n) return null;
+    // The traded amounts stand in for reserves: their ratio is the price paid
+    const abs = (value) => (value < 0n ? -value : value);
+    price = spotPrice({ ...pool, reserve0: abs(amount0), reserve1: abs(amount1) }, baseToken);
+  } else {
+    amount0 = decodeSigned(words[0]);
+    amount1 = decodeSigned(words[1]);
+    price = spotPrice({ ...pool, sqrtPriceX96: BigInt(words[2]) }, baseToken);
+  }
+
+  const baseAmount = baseIsToken0 ? amount0 : amount1;
+  const baseDecimals = baseIsToken0 ? pool.decimals0 : pool.decimals1;
+  return {
+    blockNumber: Number(BigInt(log.blockNumber)),
+    logIndex: Number(BigInt(log.logIndex)),
+    hash: log.transactionHash,
+    price,
+    volume: Math.abs(Number(baseAmount)) / 10 ** baseDecimals,
+    // Base leaving the pool was bought
+    side: baseAmount < 0n ? 'buy' : 'sell',
+  };
+}
+
+const byPosition = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+/**
+ * Every swap in `pool` over [fromBlock, toBlock], oldest first, each with
+ * its block timestamp (seconds). Timestamp reads stop at `deadline` (ms);
+ * the result covers [fromBlock, scannedTo] and leaves out swaps in blocks
+ * whose timestamp was not read.
+ */
+export async function scanSwaps(rpc, pool, baseToken, { fromBlock, toBlock, pageSize, deadline, onPage }) {
+  const logs = await getLogsPaginated(rpc, {
+    address: pool.address,
+    topics: [pool.type === 'v2' ? TOPICS.swapV2 : TOPICS.swapV3],
+  }, { fromBlock, toBlock, pageSize, onPage });
+
+  const swaps = logs.filter((log) => !log.removed)
+    .map((log) => decodeSwap(log, pool, baseToken))
+    .filter(Boolean)
+    .sort(byPosition);
+
+  const timestamps = await readBlockTimestamps(rpc, swaps.map((swap) => swap.blockNumber), { deadline });
+  const unread = swaps.find((swap) => !timestamps.has(swap.blockNumber));
+  return {
+    swaps: swaps.filter((swap) => timestamps.has(swap.blockNumber))
+      .map((swap) => ({ ...swap, timestamp: timestamps.get(swap.blockNumber) })),
+    scannedTo: unread ? BigInt(unread.blockNumber) - 1n : BigInt(toBlock),
+  };
+}
+
+const floorTo = (time, interval) => Math.floor(time / interval) * interval;
+
+/**
+ * Aggregates swaps (oldest first) into OHLC candles for one of
+ * CHART_RANGES, ending at `now` (seconds). Each candle opens at the
+ * previous close, and intervals without trades repeat it, so the series
+ * has no gaps once the first trade is in.
+ * Returns { interval, candles: [{ time, open, high, low, close, volume, trades }] }.
+ */
+export function buildCandles(swaps, range, now = Math.floor(Date.now() / 1000)) {
+  const config = CHART_RANGES[range];
+  if (!config) throw new Error(`Unknown range "${range}"`);
+  if (!swaps.length) return { interval: config.interval || DAY, candles: [] };
+
+  let { interval } = config;
+  let start;
+  if (config.span) {
+    start = floorTo(now - config.span, interval) + interval;
+  } else {
+    const first = swaps[0].timestamp;
+    interval = ALL_INTERVALS.find((candidate) => (now - first) / candidate <= MAX_CANDLES) || ALL_INTERVALS[ALL_INTERVALS.length - 1];
+    start = floorTo(first, interval);
+  }
+
+  // The last trade before the range sets where the first candle opens
+  let i = 0;
+  let close = null;
+  while (i < swaps.length && swaps[i].timestamp < start) close = swaps[i++].price;
+
+  const candles = [];
+  for (let time = start; time <= now; time += interval) {
+    const candle = { time, open: close, high: close, low: close, close, volume: 0, trades: 0 };
+    for (; i < swaps.length && swaps[i].timestamp < time + interval; i++) {
+      const { price, volume } = swaps[i];
+      if (candle.open === null) Object.assign(candle, { open: price, high: price, low: price });
+      candle.high = Math.max(candle.high, price);
+      candle.low = Math.min(candle.low, price);
+      candle.close = price;
+      candle.volume += volume;
+      candle.trades += 1;
+    }
+    if (candle.open !== null) candles.push(candle);
+    close = candle.close;
+  }
+
+  return { interval, candles };
+}
+
+/**
+ * Candles in the quote asset converted to USD, each at the quote's own
+ * USD price for that period: `rates` ([{ time, close }] oldest first, as
+ * fetchPriceCandles returns) supplies the close of the last rate candle
+ * opening before the candle ends. Returns null when any candle has no
+ * rate, so a chart never mixes converted and unconverted candles.
+ */
+export function convertCandles(candles, interval, rates) {
+  let r = -1;
+  const converted = [];
+  for (const candle of candles) {
+    while (r + 1 < rates.length && rates[r + 1].time < candle.time + interval) r += 1;
+    if (r < 0 || !(rates[r].close > 0)) return null;
+    const rate = rates[r].close;
+    converted.push({
+      ...candle,
+      open: candle.open * rate,
+      high: candle.high * rate,
+      low: candle.low * rate,
+      close: candle.close * rate,
+    });
+  }
+  return converted;
+}
+
+export function createMarketApi(baseUrl, fetchImpl) {
+  const request = createApiRequest(baseUrl, fetchImpl);
+  return {
+    candles: (range) => request(`/market/candles?range=${encodeURIComponent(range)}`),
+  };
+}
@@ -0,0 +1,29 @@
+/* ========================================
+   THEME PREFERENCE
+   ========================================
+   'system' follows prefers-color-scheme (dark unless the OS asks for
+   light); 'dark', 'light' and 'high-contrast' are the visitor's own
+   choice from the navbar and override it.
+*/
+
+const THEME_KEY = 'believe.theme';
+
+export const THEMES = ['system', 'dark', 'light', 'high-contrast'];
+
+export function loadTheme(storage = globalThis.localStorage) {
+  try {
+    const saved = storage?.getItem(THEME_KEY);
+    return THEMES.includes(saved) ? saved : 'system';
+  } catch {
+    return 'system';
+  }
+}
+
+export function saveTheme(theme, storage = globalThis.localStorage) {
+  try {
+    if (theme === 'system') storage?.removeItem(THEME_KEY);
+    else storage?.setItem(THEME_KEY, theme);
+  } catch {
+    // Private mode: the choice just won't survive a reload
+  }
+}
@@ -0,0 +1,97 @@
+/* ========================================
+   BLT TOKEN STATS (READ-ONLY, ON-CHAIN)
+   ======================================== */
+
+import { readTotalSupply, readDecimals, readBalanceOf } from './erc20.js';
+
+const CACHE_KEY = 'believe.tokenStats';
+
+// Figures older than this are flagged as stale even if the last read succeeded
+export const STALE_AFTER = 5 * 60 * 1000;
+
+const BIGINT_FIELDS = ['totalSupply', 'circulatingSupply', 'deployerBalance', 'blockNumber'];
+
+const serialize = (stats) => JSON.stringify(stats, (_, value) =>
+  typeof value === 'bigint' ? value.toString() : value);
+
+const deserialize = (text) => {
+  const stats = JSON.parse(text);
+  BIGINT_FIELDS.forEach((field) => { stats[field] = BigInt(stats[field]); });
+  return stats;
+};
+
+export const isStale = (stats, now = Date.now()) => !stats || now - stats.fetchedAt > STALE_AFTER;
+
+/**
+ * Reads supply figures at a single block so they are consistent
+ * with each other.
+ */
+export async function fetchTokenStats(rpc, { token, deployer, nonCirculating }) {
+  const blockNumber = await rpc.blockNumber();
+  const blockTag = `0x${blockNumber.toString(16)}`;
+
+  const [totalSupply, decimals, deployerBalance, ...reserved] = await Promise.all([
+    readTotalSupply(rpc, token, blockTag),
+    readDecimals(rpc, token, blockTag),
+    readBalanceOf(rpc, token, deployer, blockTag),
+    ...nonCirculating.map((address) => readBalanceOf(rpc, token, address, blockTag)),
+  ]);
+
+  const locked = reserved.reduce((sum, balance) => sum + balance, 0n);
+
+  return {
+    totalSupply,
+    decimals,
+    circulatingSupply: totalSupply > locked ? totalSupply - locked : 0n,
+    deployerBalance,
+    blockNumber,
+    fetchedAt: Date.now(),
+  };
+}
+
+/**
+ * Wraps fetchTokenStats with an in-memory + storage cache.
+ * `read()` never throws: on failure it returns the last known figures
+ * flagged as stale, together with the error.
+ */
+export function createTokenStatsReader({ rpc, ttl = 30 * 1000, storage = globalThis.localStorage, ...options }) {
+  let cached = null;
+  let inFlight = null;
+
+  const loadStored = () => {
+    try {
+      const text = storage?.getItem(CACHE_KEY);
+      return text ? deserialize(text) : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const peek = () => {
+    cached = cached || loadStored();
+    return cached;
+  };
+
+  const read = async ({ force = false } = {}) => {
+    const current = peek();
+    if (!force && current && Date.now() - current.fetchedAt < ttl) {
+      return { stats: current, stale: false, error: null };
+    }
+
+    inFlight = inFlight || fetchTokenStats(rpc, options).finally(() => { inFlight = null; });
+
+    try {
+      cached = await inFlight;
+      try {
+        storage?.setItem(CACHE_KEY, serialize(cached));
+      } catch {
+        // Storage full or unavailable: the in-memory copy is enough
+      }
+      return { stats: cached, stale: false, error: null };
+    } catch (error) {
+      return { stats: current, stale: true, error };
+    }
+  };
+
+  return { read, peek };
+}
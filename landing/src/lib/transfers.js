@@ -0,0 +1,115 @@
+/* ========================================
+   TOKEN TRANSFER HISTORY
+   ======================================== */
+
+import { getLogsPaginated, readBlockTimestamps, addressTopic, TOPICS } from './logs.js';
+import { decodeAddressWord } from './abi.js';
+import { decodeUint } from './erc20.js';
+
+const CACHE_PREFIX = 'believe.transfers';
+
+// Blocks this close to the head may still be reorganized, so they are
+// rescanned on every visit instead of cached
+const REORG_MARGIN = 32n;
+
+export const decodeTransfer = (log) => ({
+  blockNumber: Number(BigInt(log.blockNumber)),
+  logIndex: Number(BigInt(log.logIndex)),
+  hash: log.transactionHash,
+  from: decodeAddressWord(log.topics[1]),
+  to: decodeAddressWord(log.topics[2]),
+  value: decodeUint(log.data),
+});
+
+const byPosition = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+/**
+ * Every Transfer of `token` to or from `address` in [fromBlock, toBlock],
+ * oldest first, each with its block timestamp (seconds).
+ * `onProgress(fraction)` reports how much of the range has been scanned.
+ */
+export async function scanTransfers(rpc, { token, address, fromBlock, toBlock, pageSize, onProgress }) {
+  const span = BigInt(toBlock) - BigInt(fromBlock) + 1n;
+  if (span <= 0n) return [];
+
+  // Sent and received need separate filters: topics cannot be OR-ed across positions
+  const scanned = [0n, 0n];
+  const scan = (topics, side) => getLogsPaginated(rpc, { address: token, topics }, {
+    fromBlock,
+    toBlock,
+    pageSize,
+    onPage: (page) => {
+      scanned[side] += page.toBlock - page.fromBlock + 1n;
+      onProgress?.(Number(((scanned[0] + scanned[1]) * 1000n) / (2n * span)) / 1000);
+    },
+  });
+
+  const topic = addressTopic(address);
+  const [sent, received] = await Promise.all([
+    scan([TOPICS.transfer, topic], 0),
+    scan([TOPICS.transfer, null, topic], 1),
+  ]);
+
+  // A transfer to oneself matches both filters
+  const unique = new Map([...sent, ...received].map((log) => [`${log.transactionHash}:${log.logIndex}`, log]));
+  const transfers = [...unique.values()].filter((log) => !log.removed).map(decodeTransfer).sort(byPosition);
+
+  const timestamps = await readBlockTimestamps(rpc, transfers.map((transfer) => transfer.blockNumber));
+  return transfers.map((transfer) => ({ ...transfer, timestamp: timestamps.get(transfer.blockNumber) }));
+}
+
+const cacheKey = (token, address) => `${CACHE_PREFIX}.${token.toLowerCase()}.${address.toLowerCase()}`;
+
+export function loadTransferCache(token, address, storage = globalThis.localStorage) {
+  try {
+    const cached = JSON.parse(storage?.getItem(cacheKey(token, address)));
+    if (!cached) return null;
+    return {
+      scannedTo: BigInt(cached.scannedTo),
+      transfers: cached.transfers.map((transfer) => ({ ...transfer, value: BigInt(transfer.value) })),
+    };
+  } catch {
+    return null;
+  }
+}
+
+export function saveTransferCache(token, address, { scannedTo, transfers }, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(cacheKey(token, address), JSON.stringify({
+      scannedTo: scannedTo.toString(),
+      transfers: transfers.map((transfer) => ({ ...transfer, value: transfer.value.toString() })),
+    }));
+  } catch {
+    // Non-critical: the next visit scans the full range again
+  }
+}
+
+/**
+ * Full Transfer history of `address` from `startBlock` (the token's
+ * deployment) to the current head. Settled blocks are cached per address,
+ * so a return visit only scans what is new.
+ */
+export async function readTransferHistory(rpc, { token, address, startBlock = 0, pageSize, onProgress, storage }) {
+  const head = await rpc.blockNumber();
+  let cached = loadTransferCache(token, address, storage);
+  // A cache ahead of the chain was made against another node or network
+  if (cached && cached.scannedTo > head) cached = null;
+
+  const fresh = await scanTransfers(rpc, {
+    token,
+    address,
+    fromBlock: cached ? cached.scannedTo + 1n : BigInt(startBlock),
+    toBlock: head,
+    pageSize,
+    onProgress,
+  });
+  const transfers = [...(cached?.transfers || []), ...fresh];
+
+  const settled = head - REORG_MARGIN;
+  saveTransferCache(token, address, {
+    scannedTo: settled,
+    transfers: transfers.filter((transfer) => BigInt(transfer.blockNumber) <= settled),
+  }, storage);
+
+  return { transfers, head };
+}
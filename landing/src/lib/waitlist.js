@@ -0,0 +1,46 @@
+/* ========================================
+   WAITLIST
+   ========================================
+   Shared by the signup form and the /api functions: input rules and the
+   API client. A signup stays pending until the address owner follows the
+   emailed confirmation link; every email carries an unsubscribe link.
+*/
+
+import { createApiRequest } from './api.js';
+import { isAddress } from './address.js';
+
+export const WAITLIST_PATH = '/waitlist';
+
+// Deliberately loose: one @, a dot in the domain, no spaces. The
+// confirmation email is the real check.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const MAX_EMAIL_LENGTH = 254;
+
+// Name of the hidden field bots fill in and people never see
+export const HONEYPOT_FIELD = 'website';
+
+export const normalizeEmail = (value) => String(value ?? '').trim().toLowerCase();
+
+export const isEmail = (value) => value.length <= MAX_EMAIL_LENGTH && EMAIL_PATTERN.test(value);
+
+/**
+ * Problems with a signup before it is sent, as i18n keys under
+ * `waitlist.errors`; null when it can go.
+ */
+export function signupProblem({ email, wallet }) {
+  if (!isEmail(normalizeEmail(email))) return 'email';
+  if (wallet && !isAddress(wallet.trim())) return 'wallet';
+  return null;
+}
+
+export function createWaitlistApi(baseUrl, fetchImpl) {
+  const request = createApiRequest(baseUrl, fetchImpl);
+  const post = (path, body) => request(path, { method: 'POST', body: JSON.stringify(body) });
+
+  return {
+    join: (signup) => post('/waitlist', signup),
+    confirm: (token) => post('/waitlist/confirm', { token }),
+    unsubscribe: (token) => post('/waitlist/unsubscribe', { token }),
+  };
+}
@@ -0,0 +1,140 @@
+/* ========================================
+   WALLET CONNECTION LAYER (EIP-1193 / EIP-6963)
+   ======================================== */
+
+const SESSION_KEY = 'believe.wallet.session';
+
+// EIP-1193 error codes we react to
+export const USER_REJECTED = 4001;
+export const UNRECOGNIZED_CHAIN = 4902;
+
+export const toHexChainId = (chainId) => `0x${Number(chainId).toString(16)}`;
+
+export const parseChainId = (value) =>
+  typeof value === 'string' ? parseInt(value, value.startsWith('0x') ? 16 : 10) : Number(value);
+
+/**
+ * Collects wallets announced through EIP-6963. Falls back to the legacy
+ * `window.ethereum` injection when nothing announces itself.
+ * Returns an unsubscribe function.
+ */
+export function discoverProviders(onChange, target = window) {
+  const found = new Map();
+
+  const emit = () => onChange([...found.values()]);
+
+  const handleAnnounce = (event) => {
+    const { info, provider } = event.detail || {};
+    if (!info?.uuid || !provider) return;
+    found.set(info.rdns || info.uuid, { info, provider });
+    emit();
+  };
+
+  target.addEventListener('eip6963:announceProvider', handleAnnounce);
+  target.dispatchEvent(new Event('eip6963:requestProvider'));
+
+  // Give announcing wallets a tick before falling back to window.ethereum
+  const fallback = setTimeout(() => {
+    if (found.size === 0 && target.ethereum) {
+      found.set('injected', {
+        info: { uuid: 'injected', rdns: 'injected', name: 'Browser Wallet', icon: '' },
+        provider: target.ethereum,
+      });
+      emit();
+    }
+  }, 300);
+
+  return () => {
+    clearTimeout(fallback);
+    target.removeEventListener('eip6963:announceProvider', handleAnnounce);
+  };
+}
+
+export async function requestAccounts(provider) {
+  return provider.request({ method: 'eth_requestAccounts' });
+}
+
+export async function getAccounts(provider) {
+  return provider.request({ method: 'eth_accounts' });
+}
+
+export async function getChainId(provider) {
+  return parseChainId(await provider.request({ method: 'eth_chainId' }));
+}
+
+/**
+ * Switches the wallet to `chain`, adding it first when the wallet
+ * does not know about it yet.
+ */
+export async function ensureChain(provider, chain) {
+  const chainIdHex = toHexChainId(chain.chainId);
+
+  try {
+    await provider.request({
+      method: 'wallet_switchEthereumChain',
+      params: [{ chainId: chainIdHex }],
+    });
+  } catch (error) {
+    // Some wallets wrap the 4902 code inside data.originalError
+    const code = error?.data?.originalError?.code ?? error?.code;
+    if (code !== UNRECOGNIZED_CHAIN) throw error;
+
+    await provider.request({
+      method: 'wallet_addEthereumChain',
+      params: [{
+        chainId: chainIdHex,
+        chainName: chain.name,
+        nativeCurrency: chain.nativeCurrency,
+        rpcUrls: [chain.rpcUrl],
+        blockExplorerUrls: [chain.explorerUrl],
+      }],
+    });
+  }
+}
+
+/**
+ * Subscribes to the provider's account/chain events.
+ * Returns an unsubscribe function.
+ */
+export function subscribe(provider, { onAccounts, onChain, onDisconnect }) {
+  if (typeof provider.on !== 'function') return () => {};
+
+  const handleChain = (chainId) => onChain(parseChainId(chainId));
+
+  provider.on('accountsChanged', onAccounts);
+  provider.on('chainChanged', handleChain);
+  provider.on('disconnect', onDisconnect);
+
+  return () => {
+    const off = (provider.removeListener || provider.off)?.bind(provider);
+    if (!off) return;
+    off('accountsChanged', onAccounts);
+    off('chainChanged', handleChain);
+    off('disconnect', onDisconnect);
+  };
+}
+
+// Session persistence: only the wallet identifier is stored, never keys or accounts.
+export function loadSession(storage = globalThis.localStorage) {
+  try {
+    return JSON.parse(storage?.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+}
+
+export function saveSession(session, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(SESSION_KEY, JSON.stringify(session));
+  } catch {
+    // Private mode or a full quota: the wallet just won't reconnect on reload
+  }
+}
+
+export function clearSession(storage = globalThis.localStorage) {
+  try {
+    storage?.removeItem(SESSION_KEY);
+  } catch {
+    // Nothing could have been saved either
+  }
+}
@@ -0,0 +1,14 @@
+import { StrictMode } from 'react';
+import { createRoot, hydrateRoot } from 'react-dom/client';
+import App from './App';
+
+const root = document.getElementById('root');
+const app = (
+  <StrictMode>
+    <App />
+  </StrictMode>
+);
+
+// Prerendered pages ship their markup; the app shell (unknown paths, detail pages) does not
+if (root.hasChildNodes()) hydrateRoot(root, app);
+else createRoot(root).render(app);
@@ -0,0 +1,186 @@
+import { useState } from 'react';
+import { Gauge, Search, RefreshCw, ExternalLink } from 'lucide-react';
+import { useRouter } from '../context/router';
+import { useWallet } from '../context/wallet';
+import { useI18n } from '../context/i18n';
+import { useConviction } from '../hooks/useConviction';
+import { isAddress, toChecksumAddress, shortAddress } from '../lib/address';
+import { formatTokenAmount, formatDuration } from '../lib/format';
+import ConnectButton from '../components/ConnectButton';
+import ConvictionBadge from '../components/ConvictionBadge';
+import { HYPEREVM, BLT_TOKEN } from '../config';
+
+export const BELIEVER_PATH = '/believer';
+
+// Rows shown before "show all"
+const HISTORY_PREVIEW = 20;
+
+const Metrics = ({ result }) => {
+  const { t, intl } = useI18n();
+  const amount = (value) => `${formatTokenAmount(value, BLT_TOKEN.decimals, 2, intl)} ${BLT_TOKEN.symbol}`;
+  const duration = (seconds) => formatDuration(seconds, intl);
+
+  const metrics = [
+    ['balance', amount(result.balance)],
+    ['averageAge', result.balance > 0n ? duration(result.averageAgeSeconds) : '—'],
+    ['currentHold', result.currentHoldSeconds ? duration(result.currentHoldSeconds) : '—'],
+    ['longestHold', duration(result.longestHoldSeconds)],
+    ['totalHeld', duration(result.holdingSeconds)],
+    ['firstAcquired', result.firstAcquiredAt ? new Date(result.firstAcquiredAt * 1000).toLocaleDateString(intl) : '—'],
+    ['bought', `${amount(result.bought)} · ${t('believer.trades', { count: result.buys })}`],
+    ['sold', `${amount(result.sold)} · ${t('believer.trades', { count: result.sells })}`],
+  ];
+
+  return (
+    <dl className="conviction-metrics">
+      {metrics.map(([key, value]) => (
+        <div key={key}>
+          <dt>{t(`believer.metrics.${key}`)}</dt>
+          <dd>{value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+};
+
+const History = ({ history }) => {
+  const { t, intl } = useI18n();
+  const [showAll, setShowAll] = useState(false);
+  const rows = showAll ? history : history.slice(0, HISTORY_PREVIEW);
+
+  if (history.length === 0) return <p className="conviction-note">{t('believer.noHistory')}</p>;
+
+  return (
+    <>
+      <div className="md-table">
+        <table>
+          <thead>
+            <tr>
+              <th>{t('believer.columns.date')}</th>
+              <th>{t('believer.columns.type')}</th>
+              <th className="align-right">{t('believer.columns.amount')}</th>
+              <th>{t('believer.columns.counterparty')}</th>
+              <th>{t('believer.columns.tx')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((entry) => (
+              <tr key={`${entry.hash}:${entry.logIndex}`} className={`history-${entry.kind}`}>
+                <td>{new Date(entry.timestamp * 1000).toLocaleDateString(intl)}</td>
+                <td>{t(`believer.kinds.${entry.kind}`)}</td>
+                <td className="align-right">
+                  <code>{entry.kind === 'self' ? '' : entry.incoming ? '+' : '−'}{formatTokenAmount(entry.value, BLT_TOKEN.decimals, 2, intl)}</code>
+                </td>
+                <td><code title={entry.incoming ? entry.from : entry.to}>{shortAddress(entry.incoming ? entry.from : entry.to)}</code></td>
+                <td>
+                  <a href={`${HYPEREVM.explorerUrl}/tx/${entry.hash}`} target="_blank" rel="noreferrer" aria-label={t('believer.viewTx')}>
+                    <code>{entry.hash.slice(0, 10)}…</code> <ExternalLink size={12} aria-hidden="true" />
+                  </a>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {history.length > HISTORY_PREVIEW && (
+        <button type="button" className="btn btn-secondary conviction-more" onClick={() => setShowAll(!showAll)}>
+          {showAll ? t('believer.showLess') : t('believer.showAll', { count: history.length })}
+        </button>
+      )}
+    </>
+  );
+};
+
+/**
+ * /believer shows the connected wallet's conviction; /believer/0x… any
+ * address, so a dashboard can be shared as a link.
+ */
+const BelieverPage = () => {
+  const { path, navigate } = useRouter();
+  const { account } = useWallet();
+  const { t } = useI18n();
+  const [input, setInput] = useState('');
+
+  const param = decodeURIComponent(path.slice(BELIEVER_PATH.length).replace(/^\//, ''));
+  const invalidParam = Boolean(param) && !isAddress(param);
+  const address = param ? (isAddress(param) ? toChecksumAddress(param) : null) : account && toChecksumAddress(account);
+  const { status, progress, result, error, retry } = useConviction(address);
+
+  const submit = (event) => {
+    event.preventDefault();
+    if (isAddress(input)) navigate(`${BELIEVER_PATH}/${toChecksumAddress(input.trim())}`);
+  };
+
+  const shareUrl = address && `${typeof window === 'undefined' ? '' : window.location.origin}${BELIEVER_PATH}/${address}`;
+
+  return (
+    <main className="page">
+      <div className="container">
+        <header className="page-header">
+          <span className="page-tag"><Gauge size={14} aria-hidden="true" /> {t('believer.tag')}</span>
+          <form className="eligibility-form conviction-form" onSubmit={submit}>
+            <input
+              value={input}
+              placeholder={t('eligibility.placeholder')}
+              onChange={(event) => setInput(event.target.value)}
+              spellCheck={false}
+              aria-label={t('believer.inputLabel')}
+            />
+            <button className="btn btn-primary" type="submit" disabled={!isAddress(input)}>
+              <Search size={14} aria-hidden="true" /> {t('believer.view')}
+            </button>
+          </form>
+        </header>
+
+        <h1 className="conviction-title">{t('believer.title')}</h1>
+        {address && <p className="conviction-address"><code>{address}</code></p>}
+
+        {invalidParam && <p className="conviction-note">{t('believer.invalid')}</p>}
+
+        {!param && !account && (
+          <div className="conviction-empty">
+            <p>{t('believer.intro')}</p>
+            <ConnectButton label={t('wallet.connect')} />
+          </div>
+        )}
+
+        {status === 'unavailable' && <p className="conviction-note">{t('believer.unavailable')}</p>}
+
+        {status === 'scanning' && (
+          <div className="conviction-scan" role="status">
+            <p>{t('believer.scanning', { percent: Math.floor(progress * 100) })}</p>
+            <div className="ledger-progress" aria-hidden="true">
+              <div className="ledger-progress-fill" style={{ width: `${progress * 100}%` }}></div>
+            </div>
+          </div>
+        )}
+
+        {status === 'error' && (
+          <div className="conviction-empty">
+            <p>{t('believer.failed', { error: error.message })}</p>
+            <button type="button" className="btn btn-secondary" onClick={retry}>
+              <RefreshCw size={14} aria-hidden="true" /> {t('believer.retry')}
+            </button>
+          </div>
+        )}
+
+        {status === 'ready' && (
+          <>
+            <div className="conviction-layout">
+              <ConvictionBadge address={address} result={result} shareUrl={shareUrl} />
+              <Metrics result={result} />
+            </div>
+            <p className="conviction-note">{t('believer.method')}</p>
+
+            <section className="conviction-history" aria-labelledby="conviction-history-title">
+              <h2 id="conviction-history-title">{t('believer.history')}</h2>
+              <History history={result.history} />
+            </section>
+          </>
+        )}
+      </div>
+    </main>
+  );
+};
+
+export default BelieverPage;
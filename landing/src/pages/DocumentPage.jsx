@@ -0,0 +1,45 @@
+import { useMemo } from 'react';
+import { FileText, Printer } from 'lucide-react';
+import { useI18n } from '../context/i18n';
+import { PAGES } from '../content/pages';
+import { parseMarkdown } from '../lib/markdown';
+import { formatDate } from '../lib/format';
+import Markdown from '../components/Markdown';
+import TableOfContents from '../components/TableOfContents';
+
+/**
+ * A long-form Markdown page from content/pages (protocol, docs, legal…).
+ */
+const DocumentPage = ({ page }) => {
+  const { t, intl } = useI18n();
+  const entry = PAGES[page];
+  const { blocks, headings } = useMemo(() => parseMarkdown(entry.source), [entry]);
+
+  return (
+    <main className="page">
+      <div className="container">
+        <header className="page-header">
+          <span className="page-tag"><FileText size={14} aria-hidden="true" /> {t('document.tag', { name: page.toUpperCase() })}</span>
+          <div className="page-controls">
+            <button type="button" className="btn btn-secondary" onClick={() => window.print()}>
+              <Printer size={14} aria-hidden="true" /> {t('document.print')}
+            </button>
+          </div>
+        </header>
+
+        <div className="document-layout">
+          <TableOfContents headings={headings} />
+
+          <article lang="en">
+            <div className="document-meta">
+              <span>{t('document.updated', { date: formatDate(entry.updated, intl) })}</span>
+            </div>
+            <Markdown blocks={blocks} />
+          </article>
+        </div>
+      </div>
+    </main>
+  );
+};
+
+export default DocumentPage;
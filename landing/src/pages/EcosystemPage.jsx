@@ -0,0 +1,74 @@
+import { useState, useEffect } from 'react';
+import { Network, ExternalLink } from 'lucide-react';
+import { useRouter } from '../context/router';
+import { useI18n } from '../context/i18n';
+import { partnersIn, PARTNER_CATEGORIES, ECOSYSTEM_PATH } from '../content/partners';
+
+const readCategory = (search) => {
+  const category = new URLSearchParams(search).get('category');
+  return PARTNER_CATEGORIES.includes(category) ? category : null;
+};
+
+const PartnerCard = ({ partner }) => {
+  const { t } = useI18n();
+
+  return (
+    <li id={partner.id} className="ecosystem-card">
+      <div className="ecosystem-card-head">
+        <img className="ecosystem-logo" src={partner.logo} alt="" width={40} height={40} loading="lazy" />
+        <span className="ecosystem-category">{t(`ecosystem.categories.${partner.category}`)}</span>
+      </div>
+      <h2>{partner.name}</h2>
+      <p>{partner.relationship}</p>
+      <a className="ecosystem-link" href={partner.url} target="_blank" rel="noreferrer">
+        {new URL(partner.url).hostname.replace(/^www\./, '')} <ExternalLink size={12} aria-hidden="true" />
+      </a>
+    </li>
+  );
+};
+
+const EcosystemPage = () => {
+  const { search, navigate } = useRouter();
+  const { t } = useI18n();
+  const [category, setCategory] = useState(null);
+
+  // The filter lives in ?category= so it can be shared; read after mount
+  // so prerendered markup and the first client render agree
+  useEffect(() => setCategory(readCategory(search)), [search]);
+
+  const choose = (next) => navigate(next ? `${ECOSYSTEM_PATH}?category=${next}` : ECOSYSTEM_PATH, { replace: true });
+  const partners = partnersIn(category);
+
+  return (
+    <main className="page">
+      <div className="container">
+        <header className="page-header">
+          <span className="page-tag"><Network size={14} aria-hidden="true" /> {t('ecosystem.tag')}</span>
+          <div className="page-controls" role="group" aria-label={t('ecosystem.filterLabel')}>
+            {[null, ...PARTNER_CATEGORIES].map((option) => (
+              <button
+                key={option || 'all'}
+                type="button"
+                className="ecosystem-filter"
+                aria-pressed={category === option}
+                onClick={() => choose(option)}
+              >
+                {option ? t(`ecosystem.categories.${option}`) : t('ecosystem.all')}
+                <span className="ecosystem-count">{partnersIn(option).length}</span>
+              </button>
+            ))}
+          </div>
+        </header>
+
+        <h1 className="governance-title">{t('ecosystem.title')}</h1>
+        <p className="governance-intro">{t('ecosystem.intro')}</p>
+
+        <ul className="ecosystem-grid">
+          {partners.map((partner) => <PartnerCard key={partner.id} partner={partner} />)}
+        </ul>
+      </div>
+    </main>
+  );
+};
+
+export default EcosystemPage;
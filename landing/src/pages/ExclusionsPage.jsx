@@ -0,0 +1,181 @@
+import { useState } from 'react';
+import { Ban, Search, RefreshCw, ShieldCheck, ShieldX } from 'lucide-react';
+import { useRouter } from '../context/router';
+import { useI18n } from '../context/i18n';
+import { useExclusion } from '../hooks/useExclusion';
+import { isAddress, toChecksumAddress, shortAddress } from '../lib/address';
+import { formatTokenAmount } from '../lib/format';
+import { EXCLUSIONS_PATH, REASONS } from '../lib/exclusions';
+import Link from '../components/Link';
+import { BLT_TOKEN } from '../config';
+
+// The message for a reason; some codes read differently per role
+const evidenceKey = (reason) => {
+  if (reason.code === 'CONTRACT') return `exclusions.evidence.CONTRACT.${reason.label ? 'labeled' : 'code'}`;
+  return reason.role ? `exclusions.evidence.${reason.code}.${reason.role}` : `exclusions.evidence.${reason.code}`;
+};
+
+// Other addresses named in the evidence, each with its own entry
+const relatedAddresses = (reason) => [reason.funder, reason.source, ...(reason.peers || [])].filter(Boolean);
+
+const Reason = ({ reason }) => {
+  const { t, intl } = useI18n();
+  const related = relatedAddresses(reason);
+
+  // Published evidence is optional: a reviewer may add a code by hand
+  const known = reason.code === 'MANUAL' || Object.keys(reason).length > 1;
+  const text = known && t(evidenceKey(reason), {
+    label: reason.label,
+    count: reason.size ?? reason.recipients,
+    others: reason.size - 1,
+    funder: reason.funder && shortAddress(reason.funder),
+    source: reason.source && shortAddress(reason.source),
+    amount: reason.amount && `${formatTokenAmount(BigInt(reason.amount), BLT_TOKEN.decimals, 2, intl)} ${BLT_TOKEN.symbol}`,
+    window: reason.windowSeconds,
+    date: reason.at && new Date(reason.at * 1000).toLocaleString(intl, { dateStyle: 'medium', timeStyle: 'short' }),
+  });
+
+  return (
+    <li className="exclusion-reason">
+      <span className="proposal-status">{reason.code}</span>
+      <div>
+        <strong>{t(`exclusions.reasons.${reason.code}.title`)}</strong>
+        {text && <p>{text}</p>}
+        {related.length > 0 && (
+          <p className="exclusion-related">
+            {t('exclusions.related')}{' '}
+            {related.map((address) => (
+              <Link key={address} to={`${EXCLUSIONS_PATH}/${toChecksumAddress(address)}`}><code>{shortAddress(address)}</code></Link>
+            ))}
+          </p>
+        )}
+      </div>
+    </li>
+  );
+};
+
+const Result = ({ address, result }) => {
+  const { t, intl } = useI18n();
+  const { meta, entry } = result;
+  const published = t('exclusions.published', {
+    count: meta.count,
+    total: new Intl.NumberFormat(intl).format(meta.count),
+    date: new Date(meta.generatedAt).toLocaleDateString(intl),
+  });
+
+  if (!entry) {
+    return (
+      <div className="exclusion-result clear" role="status">
+        <p><ShieldCheck size={16} aria-hidden="true" /> {t('exclusions.notExcluded', { address: shortAddress(address) })}</p>
+        <p className="governance-note">{published}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="exclusion-result excluded" role="status">
+      <p><ShieldX size={16} aria-hidden="true" /> {t('exclusions.excluded', { address: shortAddress(address) })}</p>
+      <ul className="exclusion-reasons">
+        {entry.reasons.map((reason, i) => <Reason key={`${reason.code}:${i}`} reason={reason} />)}
+      </ul>
+      {entry.note && <p className="exclusion-note"><strong>{t('exclusions.note')}</strong> {entry.note}</p>}
+      <p className="governance-note">{published}</p>
+    </div>
+  );
+};
+
+const ReasonTable = () => {
+  const { t } = useI18n();
+
+  return (
+    <section className="exclusion-codes" aria-labelledby="exclusion-codes-title">
+      <h2 id="exclusion-codes-title">{t('exclusions.codes')}</h2>
+      <div className="md-table">
+        <table>
+          <thead>
+            <tr>
+              <th>{t('exclusions.columns.code')}</th>
+              <th>{t('exclusions.columns.meaning')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {REASONS.map((code) => (
+              <tr key={code}>
+                <td><code>{code}</code></td>
+                <td><strong>{t(`exclusions.reasons.${code}.title`)}</strong> — {t(`exclusions.reasons.${code}.description`)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="governance-note">{t('exclusions.method')}</p>
+    </section>
+  );
+};
+
+/**
+ * Public register of addresses left out of Belief Rewards and why.
+ * /exclusions/0x… looks an address up, so an entry can be shared.
+ */
+const ExclusionsPage = () => {
+  const { path, navigate } = useRouter();
+  const { t } = useI18n();
+  const [input, setInput] = useState('');
+
+  const param = decodeURIComponent(path.slice(EXCLUSIONS_PATH.length).replace(/^\//, ''));
+  const invalidParam = Boolean(param) && !isAddress(param);
+  const address = param && isAddress(param) ? toChecksumAddress(param) : null;
+  const { result, status, error, reload } = useExclusion(address);
+
+  const submit = (event) => {
+    event.preventDefault();
+    if (isAddress(input)) navigate(`${EXCLUSIONS_PATH}/${toChecksumAddress(input.trim())}`);
+  };
+
+  return (
+    <main className="page">
+      <div className="container exclusions-page">
+        <header className="page-header">
+          <span className="page-tag"><Ban size={14} aria-hidden="true" /> {t('exclusions.tag')}</span>
+          <form className="eligibility-form conviction-form" onSubmit={submit}>
+            <input
+              value={input}
+              placeholder={t('eligibility.placeholder')}
+              onChange={(event) => setInput(event.target.value)}
+              spellCheck={false}
+              aria-label={t('exclusions.inputLabel')}
+            />
+            <button className="btn btn-primary" type="submit" disabled={!isAddress(input)}>
+              <Search size={14} aria-hidden="true" /> {t('exclusions.lookup')}
+            </button>
+          </form>
+        </header>
+
+        <h1 className="governance-title">{t('exclusions.title')}</h1>
+        <p className="governance-intro">{t('exclusions.intro')}</p>
+
+        {invalidParam && <p className="governance-note">{t('exclusions.invalid')}</p>}
+
+        {address && (
+          <section className="exclusion-lookup" aria-label={t('exclusions.inputLabel')}>
+            <p className="conviction-address"><code>{address}</code></p>
+            {status === 'loading' && <p className="governance-note" role="status">{t('exclusions.loading')}</p>}
+            {status === 'error' && (
+              <div className="conviction-empty">
+                <p>{t('exclusions.failed', { error: error.message })}</p>
+                <button type="button" className="btn btn-secondary" onClick={reload}>
+                  <RefreshCw size={14} aria-hidden="true" /> {t('exclusions.retry')}
+                </button>
+              </div>
+            )}
+            {status === 'ready' && result && <Result address={address} result={result} />}
+          </section>
+        )}
+
+        <ReasonTable />
+      </div>
+    </main>
+  );
+};
+
+export default ExclusionsPage;
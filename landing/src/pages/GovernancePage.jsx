@@ -0,0 +1,201 @@
+import { useMemo } from 'react';
+import { Landmark, ExternalLink, RefreshCw } from 'lucide-react';
+import { useRouter } from '../context/router';
+import { useI18n } from '../context/i18n';
+import { useProposals, useProposal } from '../hooks/useGovernance';
+import { parseMarkdown } from '../lib/markdown';
+import { formatTokenAmount } from '../lib/format';
+import { shortAddress } from '../lib/address';
+import Markdown from '../components/Markdown';
+import VotePanel from '../components/VotePanel';
+import Link from '../components/Link';
+import { HYPEREVM, BLT_TOKEN } from '../config';
+
+export const GOVERNANCE_PATH = '/governance';
+
+const StatusBadge = ({ status }) => {
+  const { t } = useI18n();
+  return <span className={`proposal-status status-${status}`}>{t(`governance.status.${status}`)}</span>;
+};
+
+// Share of the total vote weight, to one decimal place
+const percentOf = (weight, total) => (BigInt(total) === 0n ? 0 : Number((BigInt(weight) * 1000n) / BigInt(total)) / 10);
+
+const Tally = ({ proposal }) => {
+  const { t, intl } = useI18n();
+  const { tally } = proposal;
+  const amount = (value) => `${formatTokenAmount(BigInt(value), BLT_TOKEN.decimals, 0, intl)} ${BLT_TOKEN.symbol}`;
+
+  return (
+    <div className="proposal-tally">
+      <ul>
+        {tally.choices.map(({ choice, weight }) => {
+          const percent = percentOf(weight, tally.total);
+          return (
+            <li key={choice} className={tally.leading === choice ? 'leading' : ''}>
+              <div className="tally-label">
+                <span>{choice}</span>
+                <span>{amount(weight)} · {percent.toLocaleString(intl)}%</span>
+              </div>
+              <div className="tally-bar" aria-hidden="true">
+                <span style={{ width: `${percent}%` }}></span>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+      <p className="tally-summary">
+        {t('governance.voters', { count: tally.voters })}
+        {proposal.quorum && (
+          <span className={tally.quorumReached ? 'quorum-met' : ''}>
+            {t(tally.quorumReached ? 'governance.quorumMet' : 'governance.quorum', { amount: amount(proposal.quorum) })}
+          </span>
+        )}
+      </p>
+    </div>
+  );
+};
+
+const Period = ({ proposal }) => {
+  const { t, intl } = useI18n();
+  const format = (date) => new Date(date).toLocaleString(intl, { dateStyle: 'medium', timeStyle: 'short' });
+  return (
+    <span>{t('governance.period', { start: format(proposal.start), end: format(proposal.end) })}</span>
+  );
+};
+
+const ProposalList = () => {
+  const { t } = useI18n();
+  const { proposals, status, reload } = useProposals();
+
+  if (status === 'loading') return <p className="governance-note">{t('governance.loading')}</p>;
+  if (status === 'error') {
+    return (
+      <div className="governance-note">
+        <p>{t('governance.unavailable')}</p>
+        <button type="button" className="btn btn-secondary" onClick={reload}>
+          <RefreshCw size={14} aria-hidden="true" /> {t('governance.retry')}
+        </button>
+      </div>
+    );
+  }
+  if (proposals.length === 0) return <p className="governance-note">{t('governance.empty')}</p>;
+
+  return (
+    <ol className="proposal-list">
+      {proposals.map((proposal) => (
+        <li key={proposal.id} className="proposal-card">
+          <div className="proposal-card-header">
+            <StatusBadge status={proposal.status} />
+            <Period proposal={proposal} />
+          </div>
+          <h2><Link to={`${GOVERNANCE_PATH}/${proposal.id}`}>{proposal.title}</Link></h2>
+          <Tally proposal={proposal} />
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+const ProposalDetail = ({ id }) => {
+  const { t, intl } = useI18n();
+  const { proposal, status, error, reload, replace } = useProposal(id);
+  const blocks = useMemo(() => (proposal ? parseMarkdown(proposal.body).blocks : []), [proposal]);
+
+  if (status === 'loading') return <p className="governance-note">{t('governance.loading')}</p>;
+  if (status === 'error' && !proposal) {
+    return (
+      <div className="governance-note">
+        <p>{error.status === 404 ? t('governance.notFound') : t('governance.unavailable')}</p>
+        {error.status === 404
+          ? <Link className="btn btn-primary" to={GOVERNANCE_PATH}>{t('governance.all')}</Link>
+          : <button type="button" className="btn btn-secondary" onClick={reload}>{t('governance.retry')}</button>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="proposal-layout">
+      <article className="proposal-body">
+        <div className="document-meta">
+          <StatusBadge status={proposal.status} />
+          <Period proposal={proposal} />
+          <span>{t('governance.snapshot', { block: proposal.snapshot })}</span>
+        </div>
+        <h1 className="proposal-title">{proposal.title}</h1>
+        <Markdown blocks={blocks} />
+      </article>
+
+      <aside className="proposal-sidebar">
+        <VotePanel proposal={proposal} onVoted={replace} />
+        <Tally proposal={proposal} />
+      </aside>
+
+      <section className="proposal-votes" aria-labelledby="proposal-votes-title">
+        <h2 id="proposal-votes-title">{t('governance.votes')}</h2>
+        {proposal.votes.length === 0 ? (
+          <p className="governance-note">{t('governance.noVotes')}</p>
+        ) : (
+          <div className="md-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>{t('governance.voter')}</th>
+                  <th>{t('governance.choice')}</th>
+                  <th className="align-right">{t('governance.weight')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {proposal.votes.map((vote) => (
+                  <tr key={vote.voter}>
+                    <td>
+                      <a href={`${HYPEREVM.explorerUrl}/address/${vote.voter}`} target="_blank" rel="noreferrer" title={vote.voter}>
+                        <code>{shortAddress(vote.voter)}</code> <ExternalLink size={12} aria-hidden="true" />
+                      </a>
+                    </td>
+                    <td>{vote.choice}</td>
+                    <td className="align-right">{formatTokenAmount(BigInt(vote.weight), BLT_TOKEN.decimals, 2, intl)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+};
+
+/**
+ * /governance lists proposals, /governance/:id shows one with its votes
+ * and lets a connected holder sign a vote.
+ */
+const GovernancePage = () => {
+  const { path } = useRouter();
+  const { t } = useI18n();
+  const id = decodeURIComponent(path.slice(GOVERNANCE_PATH.length).replace(/^\//, ''));
+
+  return (
+    <main className="page">
+      <div className="container">
+        <header className="page-header">
+          <span className="page-tag"><Landmark size={14} aria-hidden="true" /> {t('governance.tag')}</span>
+          <div className="page-controls">
+            {id && <Link className="btn btn-secondary" to={GOVERNANCE_PATH}>{t('governance.all')}</Link>}
+            <Link className="btn btn-secondary" to="/protocol#governance">{t('governance.howItWorks')}</Link>
+          </div>
+        </header>
+
+        {id ? <ProposalDetail id={id} /> : (
+          <>
+            <h1 className="governance-title">{t('governance.title')}</h1>
+            <p className="governance-intro">{t('governance.intro')}</p>
+            <ProposalList />
+          </>
+        )}
+      </div>
+    </main>
+  );
+};
+
+export default GovernancePage;
@@ -0,0 +1,35 @@
+import { useI18n } from '../context/i18n';
+import Hero from '../sections/Hero';
+import FeatureRowSection from '../sections/FeatureRowSection';
+import GridSection from '../sections/GridSection';
+import PhilosophySection from '../sections/PhilosophySection';
+import LedgerSection from '../sections/LedgerSection';
+import AcquisitionSection from '../sections/AcquisitionSection';
+import ChoiceSection from '../sections/ChoiceSection';
+
+// Section `type` in site.json → component that renders it
+const SECTIONS = {
+  featureRow: FeatureRowSection,
+  grid: GridSection,
+  philosophy: PhilosophySection,
+  ledger: LedgerSection,
+  acquisition: AcquisitionSection,
+  choice: ChoiceSection,
+};
+
+const LandingPage = () => {
+  const { content } = useI18n();
+
+  return (
+    <main>
+      <Hero hero={content.hero} />
+
+      {content.sections.map(({ type, ...section }, i) => {
+        const Component = SECTIONS[type];
+        return <Component key={section.id || i} {...section} />;
+      })}
+    </main>
+  );
+};
+
+export default LandingPage;
@@ -0,0 +1,19 @@
+import { useI18n } from '../context/i18n';
+import Link from '../components/Link';
+
+const NotFoundPage = () => {
+  const { t } = useI18n();
+
+  return (
+    <main className="page not-found">
+      <div className="container">
+        <span className="page-tag">{t('notFound.tag')}</span>
+        <h1 className="not-found-title">{t('notFound.title')}</h1>
+        <p className="not-found-text">{t('notFound.text')}</p>
+        <Link className="btn btn-primary" to="/">{t('notFound.home')}</Link>
+      </div>
+    </main>
+  );
+};
+
+export default NotFoundPage;
@@ -0,0 +1,277 @@
+import { useState } from 'react';
+import { ArrowLeftRight, ExternalLink, RefreshCw, Download, Send } from 'lucide-react';
+import { useRouter } from '../context/router';
+import { useWallet } from '../context/wallet';
+import { useI18n } from '../context/i18n';
+import { useOffers, useOffer } from '../hooks/useOtc';
+import { offerTotal, findAsset, settlementLegs, buildSettlementText, OFFER_SIDES, OFFER_STATUSES } from '../lib/otc';
+import { buildPaymentTx, downloadText } from '../lib/purchase';
+import { formatTokenAmount } from '../lib/format';
+import { shortAddress } from '../lib/address';
+import { USER_REJECTED } from '../lib/wallet';
+import OfferForm from '../components/OfferForm';
+import OfferPanel from '../components/OfferPanel';
+import Link from '../components/Link';
+import { HYPEREVM, BLT_TOKEN, PAYMENT_ASSETS } from '../config';
+
+export const OTC_PATH = '/otc';
+
+const useAmounts = () => {
+  const { intl } = useI18n();
+  const format = (value, asset, digits = 4) => `${formatTokenAmount(BigInt(value), asset.decimals, digits, intl)} ${asset.symbol}`;
+  return {
+    blt: (offer) => format(offer.amount, BLT_TOKEN, 2),
+    price: (offer) => format(offer.price, findAsset(offer.asset), 6),
+    total: (offer) => format(offerTotal(offer), findAsset(offer.asset)),
+    leg: (leg) => format(leg.amount, leg.asset),
+  };
+};
+
+const StatusBadge = ({ status }) => {
+  const { t } = useI18n();
+  return <span className={`proposal-status status-${status}`}>{t(`otc.status.${status}`)}</span>;
+};
+
+const AddressLink = ({ address }) => (
+  <a className="otc-address" href={`${HYPEREVM.explorerUrl}/address/${address}`} target="_blank" rel="noreferrer" title={address}>
+    <code>{shortAddress(address)}</code> <ExternalLink size={12} aria-hidden="true" />
+  </a>
+);
+
+const Filter = ({ label, value, options, onChange }) => (
+  <label className="whitepaper-select">
+    {label}
+    <select value={value} onChange={(event) => onChange(event.target.value)}>
+      {options.map(([optionValue, optionLabel]) => <option key={optionValue} value={optionValue}>{optionLabel}</option>)}
+    </select>
+  </label>
+);
+
+const OfferBoard = ({ filters, onPosted }) => {
+  const { t, intl } = useI18n();
+  const amounts = useAmounts();
+  const { offers, status, reload } = useOffers(filters);
+
+  const renderOffers = () => {
+    if (status === 'loading') return <p className="governance-note">{t('otc.loading')}</p>;
+    if (status === 'error') {
+      return (
+        <div className="governance-note">
+          <p>{t('otc.unavailable')}</p>
+          <button type="button" className="btn btn-secondary" onClick={reload}>
+            <RefreshCw size={14} aria-hidden="true" /> {t('otc.retry')}
+          </button>
+        </div>
+      );
+    }
+    if (offers.length === 0) return <p className="governance-note">{t('otc.empty')}</p>;
+
+    return (
+      <div className="md-table">
+        <table>
+          <thead>
+            <tr>
+              <th>{t('otc.columns.side')}</th>
+              <th className="align-right">{t('otc.columns.amount')}</th>
+              <th className="align-right">{t('otc.columns.price')}</th>
+              <th className="align-right">{t('otc.columns.total')}</th>
+              <th>{t('otc.columns.maker')}</th>
+              <th>{t('otc.columns.expires')}</th>
+              <th>{t('otc.columns.status')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {offers.map((offer) => (
+              <tr key={offer.id} className={`otc-row side-${offer.side}`}>
+                <td><Link to={`${OTC_PATH}/${offer.id}`}>{t(`otc.sides.${offer.side}`)}</Link></td>
+                <td className="align-right"><code>{amounts.blt(offer)}</code></td>
+                <td className="align-right"><code>{amounts.price(offer)}</code></td>
+                <td className="align-right"><code>{amounts.total(offer)}</code></td>
+                <td><AddressLink address={offer.maker} /></td>
+                <td>{new Date(offer.expiry * 1000).toLocaleString(intl, { dateStyle: 'medium', timeStyle: 'short' })}</td>
+                <td><StatusBadge status={offer.status} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  return (
+    <div className="proposal-layout">
+      <section className="otc-board" aria-label={t('otc.board')}>{renderOffers()}</section>
+      <aside className="proposal-sidebar">
+        <OfferForm onPosted={onPosted} />
+      </aside>
+    </div>
+  );
+};
+
+/**
+ * Both legs of an accepted offer. The connected wallet can send its own
+ * leg from here; the other side sends theirs from their wallet.
+ */
+const Settlement = ({ offer }) => {
+  const { provider, account, chain, isCorrectChain } = useWallet();
+  const { t } = useI18n();
+  const amounts = useAmounts();
+  const [sent, setSent] = useState({});
+  const [error, setError] = useState(null);
+  const { seller, legs } = settlementLegs(offer, offer.acceptance.taker);
+
+  const send = async (leg, index) => {
+    setError(null);
+    try {
+      const hash = await provider.request({
+        method: 'eth_sendTransaction',
+        params: [buildPaymentTx({ from: account, recipient: leg.to, asset: leg.asset, amount: leg.amount })],
+      });
+      setSent((previous) => ({ ...previous, [index]: hash }));
+    } catch (sendError) {
+      if (sendError?.code !== USER_REJECTED) setError(sendError.message);
+    }
+  };
+
+  const download = () => {
+    downloadText(`blt-otc-${offer.id.slice(2, 10)}.txt`, buildSettlementText(offer, { chain: HYPEREVM }));
+  };
+
+  return (
+    <section className="otc-settlement" aria-labelledby="otc-settlement-title">
+      <h2 id="otc-settlement-title">{t('otc.settlement')}</h2>
+      <p className="otc-settlement-intro">{t('otc.settlementIntro')}</p>
+      <ol className="otc-legs">
+        {legs.map((leg, index) => {
+          const mine = account && account.toLowerCase() === leg.from.toLowerCase();
+          return (
+            <li key={leg.asset.symbol} className={mine ? 'mine' : ''}>
+              <span className="terminal-label">{t(leg.from === seller ? 'otc.sellerLeg' : 'otc.buyerLeg')}</span>
+              <strong>{amounts.leg(leg)}</strong>
+              <p>
+                <AddressLink address={leg.from} /> → <AddressLink address={leg.to} />
+              </p>
+              {mine && !sent[index] && (
+                <button type="button" className="btn btn-primary" onClick={() => send(leg, index)} disabled={!isCorrectChain}>
+                  <Send size={14} aria-hidden="true" /> {t('otc.sendLeg', { amount: amounts.leg(leg) })}
+                </button>
+              )}
+              {sent[index] && (
+                <a href={`${chain.explorerUrl}/tx/${sent[index]}`} target="_blank" rel="noreferrer">
+                  {t('otc.sent')} <code>{sent[index].slice(0, 10)}…</code> <ExternalLink size={12} aria-hidden="true" />
+                </a>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+      {error && <p className="otc-message error" role="status">{error}</p>}
+      <p className="otc-note">{t('otc.settlementWarning')}</p>
+      <button type="button" className="btn btn-secondary" onClick={download}>
+        <Download size={14} aria-hidden="true" /> {t('otc.downloadInstructions')}
+      </button>
+    </section>
+  );
+};
+
+const OfferDetail = ({ id }) => {
+  const { t, intl } = useI18n();
+  const amounts = useAmounts();
+  const { offer, status, error, reload, replace } = useOffer(id);
+
+  if (status === 'loading') return <p className="governance-note">{t('otc.loading')}</p>;
+  if (status === 'error' && !offer) {
+    return (
+      <div className="governance-note">
+        <p>{error.status === 404 ? t('otc.notFound') : t('otc.unavailable')}</p>
+        {error.status === 404
+          ? <Link className="btn btn-primary" to={OTC_PATH}>{t('otc.all')}</Link>
+          : <button type="button" className="btn btn-secondary" onClick={reload}>{t('otc.retry')}</button>}
+      </div>
+    );
+  }
+
+  const date = (value) => new Date(value).toLocaleString(intl, { dateStyle: 'medium', timeStyle: 'short' });
+  const terms = [
+    ['amount', amounts.blt(offer)],
+    ['price', amounts.price(offer)],
+    ['total', amounts.total(offer)],
+    ['maker', <AddressLink key="maker" address={offer.maker} />],
+    ['posted', date(offer.createdAt)],
+    ['expires', date(offer.expiry * 1000)],
+    ...(offer.acceptance ? [['taker', <AddressLink key="taker" address={offer.acceptance.taker} />], ['accepted', date(offer.acceptance.acceptedAt)]] : []),
+    ...(offer.cancelledAt ? [['cancelled', date(offer.cancelledAt)]] : []),
+  ];
+
+  return (
+    <div className="proposal-layout">
+      <article>
+        <div className="document-meta">
+          <StatusBadge status={offer.status} />
+          <code className="otc-id">{offer.id}</code>
+        </div>
+        <h1 className="proposal-title">
+          {t(`otc.headline.${offer.side}`, { amount: amounts.blt(offer), asset: offer.asset })}
+        </h1>
+        <dl className="conviction-metrics otc-terms">
+          {terms.map(([key, value]) => (
+            <div key={key}>
+              <dt>{t(`otc.terms.${key}`)}</dt>
+              <dd>{value}</dd>
+            </div>
+          ))}
+        </dl>
+        {offer.acceptance && <Settlement offer={offer} />}
+      </article>
+
+      {offer.status === 'open' && (
+        <aside className="proposal-sidebar">
+          <OfferPanel offer={offer} onChange={replace} />
+        </aside>
+      )}
+    </div>
+  );
+};
+
+/**
+ * /otc is the board with a form to post an offer; /otc/:id shows one
+ * offer with accept/cancel and, once accepted, settlement instructions.
+ */
+const OtcPage = () => {
+  const { path, navigate } = useRouter();
+  const { t } = useI18n();
+  const [filters, setFilters] = useState({ side: '', asset: '', status: 'open' });
+  const id = decodeURIComponent(path.slice(OTC_PATH.length).replace(/^\//, ''));
+
+  const setFilter = (key) => (value) => setFilters((previous) => ({ ...previous, [key]: value }));
+  const any = ['', t('otc.any')];
+
+  return (
+    <main className="page">
+      <div className="container">
+        <header className="page-header">
+          <span className="page-tag"><ArrowLeftRight size={14} aria-hidden="true" /> {t('otc.tag')}</span>
+          <div className="page-controls">
+            {id ? <Link className="btn btn-secondary" to={OTC_PATH}>{t('otc.all')}</Link> : (
+              <>
+                <Filter label={t('otc.filters.side')} value={filters.side} onChange={setFilter('side')} options={[any, ...OFFER_SIDES.map((side) => [side, t(`otc.sides.${side}`)])]} />
+                <Filter label={t('otc.filters.asset')} value={filters.asset} onChange={setFilter('asset')} options={[any, ...PAYMENT_ASSETS.map((asset) => [asset.symbol, asset.symbol])]} />
+                <Filter label={t('otc.filters.status')} value={filters.status} onChange={setFilter('status')} options={[any, ...OFFER_STATUSES.map((status) => [status, t(`otc.status.${status}`)])]} />
+              </>
+            )}
+          </div>
+        </header>
+
+        {id ? <OfferDetail id={id} /> : (
+          <>
+            <h1 className="governance-title">{t('otc.title')}</h1>
+            <p className="governance-intro">{t('otc.intro')}</p>
+            <OfferBoard filters={filters} onPosted={(offer) => navigate(`${OTC_PATH}/${offer.id}`)} />
+          </>
+        )}
+      </div>
+    </main>
+  );
+};
+
+export default OtcPage;
@@ -0,0 +1,266 @@
+import { useState, useEffect } from 'react';
+import { ClipboardCheck, RefreshCw, Download, LogOut, ExternalLink } from 'lucide-react';
+import { useI18n } from '../context/i18n';
+import { useAdminToken, useReconciliation, reconciliationApi } from '../hooks/useReconciliation';
+import { shortAddress } from '../lib/address';
+import { formatTokenAmount } from '../lib/format';
+import { downloadText } from '../lib/purchase';
+import { BLT_TOKEN, HYPEREVM, PAYMENT_ASSETS, DEPLOYER_ADDRESS } from '../config';
+
+const SHOW = {
+  open: (deposit) => deposit.status !== 'paid',
+  overdue: (deposit) => deposit.overdue,
+  all: () => true,
+};
+
+const useAmounts = () => {
+  const { intl } = useI18n();
+  return {
+    blt: (value) => (value === null ? '—' : formatTokenAmount(value, BLT_TOKEN.decimals, 0, intl)),
+    asset: (value, symbol) => `${formatTokenAmount(value, PAYMENT_ASSETS.find((asset) => asset.symbol === symbol).decimals, 4, intl)} ${symbol}`,
+  };
+};
+
+const TxLink = ({ hash }) => {
+  const { t } = useI18n();
+  return (
+    <a href={`${HYPEREVM.explorerUrl}/tx/${hash}`} target="_blank" rel="noreferrer" aria-label={t('reconciliation.viewTx')}>
+      <code>{hash.slice(0, 10)}…</code> <ExternalLink size={12} aria-hidden="true" />
+    </a>
+  );
+};
+
+const TokenForm = ({ onSubmit, rejected }) => {
+  const { t } = useI18n();
+  const [value, setValue] = useState('');
+
+  const submit = (event) => {
+    event.preventDefault();
+    if (value.trim()) onSubmit(value.trim());
+  };
+
+  return (
+    <form className="waitlist-form reconciliation-login" onSubmit={submit}>
+      <label className="waitlist-field">
+        {t('reconciliation.token')}
+        <input
+          type="password"
+          autoComplete="off"
+          value={value}
+          onChange={(event) => setValue(event.target.value)}
+          aria-invalid={rejected || undefined}
+          aria-describedby={rejected ? 'admin-token-error' : undefined}
+        />
+      </label>
+      {rejected && <p id="admin-token-error" className="waitlist-message error" role="alert">{t('reconciliation.rejected')}</p>}
+      <button className="btn btn-primary" type="submit" disabled={!value.trim()}>{t('reconciliation.open')}</button>
+    </form>
+  );
+};
+
+const Totals = ({ report }) => {
+  const { t } = useI18n();
+  const amounts = useAmounts();
+  const { totals } = report;
+
+  const metrics = [
+    ['deposits', totals.deposits],
+    ['owed', `${amounts.blt(totals.owed)} ${BLT_TOKEN.symbol}`],
+    ['paid', `${amounts.blt(totals.paid)} ${BLT_TOKEN.symbol}`],
+    ['outstanding', `${amounts.blt(totals.outstanding)} ${BLT_TOKEN.symbol}`],
+    ['overdue', totals.overdue],
+    ['unpriced', totals.unpriced],
+  ];
+
+  return (
+    <dl className="reconciliation-totals">
+      {metrics.map(([key, value]) => (
+        <div key={key} className={key === 'overdue' && totals.overdue > 0 ? 'alert' : undefined}>
+          <dt>{t(`reconciliation.totals.${key}`)}</dt>
+          <dd>{value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+};
+
+const DepositTable = ({ deposits }) => {
+  const { t, intl } = useI18n();
+  const amounts = useAmounts();
+  const time = (ms) => new Date(ms).toLocaleString(intl, { dateStyle: 'medium', timeStyle: 'short' });
+
+  if (!deposits.length) return <p className="governance-note">{t('reconciliation.empty')}</p>;
+
+  return (
+    <div className="md-table">
+      <table>
+        <thead>
+          <tr>
+            <th>{t('reconciliation.columns.received')}</th>
+            <th>{t('reconciliation.columns.from')}</th>
+            <th className="align-right">{t('reconciliation.columns.amount')}</th>
+            <th className="align-right">{t('reconciliation.columns.owed')}</th>
+            <th className="align-right">{t('reconciliation.columns.outstanding')}</th>
+            <th>{t('reconciliation.columns.due')}</th>
+            <th>{t('reconciliation.columns.status')}</th>
+            <th>{t('reconciliation.columns.tx')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {deposits.map((deposit) => (
+            <tr key={`${deposit.hash}:${deposit.logIndex}`} className={deposit.overdue ? 'overdue' : undefined}>
+              <td>{time(deposit.timestamp * 1000)}</td>
+              <td><code title={deposit.from}>{shortAddress(deposit.from)}</code></td>
+              <td className="align-right"><code>{amounts.asset(deposit.amount, deposit.asset)}</code></td>
+              <td className="align-right"><code>{amounts.blt(deposit.blt)}</code></td>
+              <td className="align-right"><code>{deposit.blt === null ? '—' : amounts.blt(deposit.outstanding)}</code></td>
+              <td>{deposit.status === 'paid' ? '—' : time(deposit.dueAt)}</td>
+              <td>
+                <span className={`proposal-status status-${deposit.status}`}>{t(`reconciliation.status.${deposit.status}`)}</span>
+                {deposit.overdue && <span className="proposal-status status-overdue">{t('reconciliation.status.overdue')}</span>}
+              </td>
+              <td><TxLink hash={deposit.hash} /></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const UnmatchedTable = ({ payouts }) => {
+  const { t, intl } = useI18n();
+  const amounts = useAmounts();
+
+  return (
+    <section className="reconciliation-unmatched" aria-labelledby="reconciliation-unmatched-title">
+      <h2 id="reconciliation-unmatched-title">{t('reconciliation.unmatched')}</h2>
+      <p className="governance-note">{t('reconciliation.unmatchedNote')}</p>
+      <div className="md-table">
+        <table>
+          <thead>
+            <tr>
+              <th>{t('reconciliation.columns.sent')}</th>
+              <th>{t('reconciliation.columns.to')}</th>
+              <th className="align-right">{t('reconciliation.columns.unmatched')}</th>
+              <th>{t('reconciliation.columns.tx')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {payouts.map((payout) => (
+              <tr key={`${payout.hash}:${payout.logIndex}`}>
+                <td>{new Date(payout.timestamp * 1000).toLocaleString(intl, { dateStyle: 'medium', timeStyle: 'short' })}</td>
+                <td><code title={payout.to}>{shortAddress(payout.to)}</code></td>
+                <td className="align-right"><code>{amounts.blt(payout.unmatched)}</code></td>
+                <td><TxLink hash={payout.hash} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+};
+
+/**
+ * Ops console for direct allocations: what each payment to the deployer
+ * wallet is owed in BLT, what has been paid, and the payout batch still
+ * to send. Needs the admin token; the page itself holds no data.
+ */
+const ReconciliationPage = () => {
+  const { t } = useI18n();
+  const [token, setToken] = useAdminToken();
+  const [show, setShow] = useState('open');
+  const [rejected, setRejected] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+  const { report, status, error, reload } = useReconciliation(token);
+
+  // A wrong or rotated token is dropped so the form comes back
+  useEffect(() => {
+    if (error?.status !== 401) return;
+    setRejected(true);
+    setToken(null);
+  }, [error]);
+
+  const signIn = (value) => {
+    setRejected(false);
+    setToken(value);
+  };
+
+  const exportPayouts = async () => {
+    setExporting(true);
+    setExportError(null);
+    try {
+      downloadText(`blt-payouts-${new Date().toISOString().slice(0, 10)}.csv`, await reconciliationApi.payouts(token));
+    } catch (failure) {
+      if (failure.status === 401) {
+        setRejected(true);
+        setToken(null);
+      } else setExportError(failure.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const deposits = report ? report.deposits.filter(SHOW[show]).reverse() : [];
+
+  return (
+    <main className="page">
+      <div className="container reconciliation-page">
+        <header className="page-header">
+          <span className="page-tag"><ClipboardCheck size={14} aria-hidden="true" /> {t('reconciliation.tag')}</span>
+          {token && (
+            <div className="page-controls">
+              <button type="button" className="btn btn-secondary" onClick={reload} disabled={status === 'loading'}>
+                <RefreshCw size={14} aria-hidden="true" /> {t('reconciliation.refresh')}
+              </button>
+              <button type="button" className="btn btn-primary" onClick={exportPayouts} disabled={!report || exporting}>
+                <Download size={14} aria-hidden="true" /> {t('reconciliation.export')}
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={() => setToken(null)}>
+                <LogOut size={14} aria-hidden="true" /> {t('reconciliation.forget')}
+              </button>
+            </div>
+          )}
+        </header>
+
+        <h1 className="governance-title">{t('reconciliation.title')}</h1>
+        <p className="governance-intro">{t('reconciliation.intro', { address: shortAddress(DEPLOYER_ADDRESS) })}</p>
+
+        {!token && <TokenForm onSubmit={signIn} rejected={rejected} />}
+
+        {token && status === 'loading' && !report && <p className="governance-note" role="status">{t('reconciliation.loading')}</p>}
+        {token && status === 'error' && error?.status !== 401 && (
+          <p className="governance-note" role="alert">{t('reconciliation.failed', { error: error.message })}</p>
+        )}
+
+        {exportError && <p className="governance-note" role="alert">{t('reconciliation.exportFailed', { error: exportError })}</p>}
+
+        {token && report && (
+          <>
+            <Totals report={report} />
+            <p className="governance-note">
+              {t('reconciliation.indexed', { block: report.scannedTo, hours: report.windowHours })}
+              {report.stale && ` ${t('reconciliation.stale')}`}
+            </p>
+
+            <div className="page-controls reconciliation-filter">
+              <label className="whitepaper-select">
+                {t('reconciliation.show')}
+                <select value={show} onChange={(event) => setShow(event.target.value)}>
+                  {Object.keys(SHOW).map((option) => <option key={option} value={option}>{t(`reconciliation.filters.${option}`)}</option>)}
+                </select>
+              </label>
+            </div>
+            <DepositTable deposits={deposits} />
+
+            {report.unmatched.length > 0 && <UnmatchedTable payouts={report.unmatched} />}
+          </>
+        )}
+      </div>
+    </main>
+  );
+};
+
+export default ReconciliationPage;
@@ -0,0 +1,62 @@
+import { useState, useEffect } from 'react';
+import { Mail } from 'lucide-react';
+import { useRouter } from '../context/router';
+import { useI18n } from '../context/i18n';
+import { useWaitlistLink } from '../hooks/useWaitlist';
+import { WAITLIST_PATH } from '../lib/waitlist';
+import WaitlistForm from '../components/WaitlistForm';
+import Link from '../components/Link';
+
+// Emailed links land here as ?confirm=<token> or ?unsubscribe=<token>
+const LINK_ACTIONS = ['confirm', 'unsubscribe'];
+
+const LinkResult = ({ action, status, error }) => {
+  const { t } = useI18n();
+
+  if (status !== 'done' && status !== 'error') return <p className="waitlist-result" role="status">{t(`waitlist.${action}.working`)}</p>;
+  return (
+    <div className="waitlist-result" role="status">
+      <p className={status === 'error' ? 'error' : 'success'}>
+        {status === 'error' ? error.message : t(`waitlist.${action}.done`)}
+      </p>
+      <Link className="btn btn-secondary" to="/">{t('waitlist.home')}</Link>
+    </div>
+  );
+};
+
+const WaitlistPage = () => {
+  const { search, navigate } = useRouter();
+  const { t } = useI18n();
+  const [link, setLink] = useState(null);
+
+  // Read the token after mount so prerendered markup and the first client
+  // render agree, then drop it from the address bar and history
+  useEffect(() => {
+    const params = new URLSearchParams(search);
+    const action = LINK_ACTIONS.find((candidate) => params.get(candidate));
+    if (!action) return;
+    setLink({ action, token: params.get(action) });
+    navigate(WAITLIST_PATH, { replace: true });
+  }, []);
+
+  const { status, error } = useWaitlistLink(link?.action, link?.token);
+
+  return (
+    <main className="page">
+      <div className="container waitlist-page">
+        <header className="page-header">
+          <span className="page-tag"><Mail size={14} aria-hidden="true" /> {t('waitlist.tag')}</span>
+        </header>
+        <h1 className="governance-title">{t('waitlist.title')}</h1>
+        {link ? <LinkResult action={link.action} status={status} error={error} /> : (
+          <>
+            <p className="governance-intro">{t('waitlist.intro')}</p>
+            <WaitlistForm />
+          </>
+        )}
+      </div>
+    </main>
+  );
+};
+
+export default WaitlistPage;
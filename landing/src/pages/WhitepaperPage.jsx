@@ -0,0 +1,132 @@
+import { useMemo } from 'react';
+import { FileText, GitCompare, Printer } from 'lucide-react';
+import { useRouter } from '../context/router';
+import { useI18n } from '../context/i18n';
+import { WHITEPAPER_VERSIONS, LATEST_VERSION, getVersion } from '../content/whitepaper';
+import { parseMarkdown } from '../lib/markdown';
+import { formatDate } from '../lib/format';
+import Markdown from '../components/Markdown';
+import TableOfContents from '../components/TableOfContents';
+import WhitepaperDiff from '../components/WhitepaperDiff';
+import Link from '../components/Link';
+
+export const WHITEPAPER_PATH = '/whitepaper';
+
+// /whitepaper → latest, /whitepaper/1.0 → that revision,
+// /whitepaper/diff/1.0...1.1 → changes between two revisions
+const parseRoute = (path) => {
+  const rest = path.slice(WHITEPAPER_PATH.length).replace(/^\//, '');
+  if (!rest) return { view: 'read', version: LATEST_VERSION };
+
+  const diff = /^diff\/([^/]+)\.\.\.([^/]+)$/.exec(rest);
+  if (diff) return { view: 'diff', from: diff[1], to: diff[2] };
+  return { view: 'read', version: rest };
+};
+
+const Reader = ({ entry }) => {
+  const { t, intl } = useI18n();
+  const { blocks, headings } = useMemo(() => parseMarkdown(entry.source), [entry]);
+
+  return (
+    <div className="document-layout">
+      <TableOfContents headings={headings} />
+
+      <article className="whitepaper-document" lang="en">
+        <div className="document-meta">
+          <span>{t('whitepaper.revision', { version: entry.version })}</span>
+          <span>{t('whitepaper.published', { date: formatDate(entry.date, intl) })}</span>
+          {entry.version !== LATEST_VERSION && <span className="whitepaper-outdated">{t('whitepaper.outdated')}</span>}
+        </div>
+        <Markdown blocks={blocks} className="markdown whitepaper-body" />
+      </article>
+    </div>
+  );
+};
+
+const WhitepaperPage = () => {
+  const { path, navigate } = useRouter();
+  const { t, intl } = useI18n();
+  const route = parseRoute(path);
+
+  const entry = route.view === 'read' ? getVersion(route.version) : null;
+  const from = route.view === 'diff' ? getVersion(route.from) : null;
+  const to = route.view === 'diff' ? getVersion(route.to) : null;
+  const found = route.view === 'read' ? entry : from && to;
+
+  // Compare a revision with the one before it; the first one with the latest
+  const older = entry && WHITEPAPER_VERSIONS[WHITEPAPER_VERSIONS.indexOf(entry) + 1];
+  const comparePath = entry && (older
+    ? `${WHITEPAPER_PATH}/diff/${older.version}...${entry.version}`
+    : entry.version !== LATEST_VERSION && `${WHITEPAPER_PATH}/diff/${entry.version}...${LATEST_VERSION}`);
+
+  return (
+    <main className="page">
+      <div className="container">
+        <header className="page-header">
+          <span className="page-tag"><FileText size={14} aria-hidden="true" /> {t('whitepaper.tag')}</span>
+
+          <div className="page-controls">
+            <label className="whitepaper-select">
+              <span>{t('whitepaper.version')}</span>
+              <select
+                value={route.view === 'read' && entry ? entry.version : ''}
+                onChange={(event) => navigate(`${WHITEPAPER_PATH}/${event.target.value}`)}
+              >
+                {route.view !== 'read' && <option value="" disabled>—</option>}
+                {WHITEPAPER_VERSIONS.map((option) => (
+                  <option key={option.version} value={option.version}>
+                    v{option.version} · {formatDate(option.date, intl)}
+                    {option.version === LATEST_VERSION ? ` · ${t('whitepaper.latest')}` : ''}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {comparePath && (
+              <Link className="btn btn-secondary" to={comparePath}>
+                <GitCompare size={14} aria-hidden="true" /> {t('whitepaper.compare')}
+              </Link>
+            )}
+            {entry && (
+              <button type="button" className="btn btn-secondary" onClick={() => window.print()}>
+                <Printer size={14} aria-hidden="true" /> {t('document.print')}
+              </button>
+            )}
+          </div>
+        </header>
+
+        {!found && (
+          <div className="whitepaper-missing">
+            <p>{t('whitepaper.notFound')}</p>
+            <Link className="btn btn-primary" to={WHITEPAPER_PATH}>{t('whitepaper.readLatest')}</Link>
+          </div>
+        )}
+
+        {found && route.view === 'read' && <Reader entry={entry} />}
+        {found && route.view === 'diff' && <WhitepaperDiff from={from} to={to} />}
+
+        <section className="whitepaper-history" aria-labelledby="whitepaper-history-title">
+          <h2 id="whitepaper-history-title">{t('whitepaper.history')}</h2>
+          <ol>
+            {WHITEPAPER_VERSIONS.map((version, i) => {
+              const previous = WHITEPAPER_VERSIONS[i + 1];
+              return (
+                <li key={version.version}>
+                  <Link to={`${WHITEPAPER_PATH}/${version.version}`}>v{version.version}</Link>
+                  <time dateTime={version.date}>{formatDate(version.date, intl)}</time>
+                  <p lang="en">{version.summary}</p>
+                  {previous && (
+                    <Link className="whitepaper-history-diff" to={`${WHITEPAPER_PATH}/diff/${previous.version}...${version.version}`}>
+                      {t('whitepaper.diffWith', { version: previous.version })}
+                    </Link>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+        </section>
+      </div>
+    </main>
+  );
+};
+
+export default WhitepaperPage;
@@ -0,0 +1,43 @@
+import { lazy } from 'react';
+import LandingPage from './pages/LandingPage';
+import NotFoundPage from './pages/NotFoundPage';
+
+// Everything but the landing page is split out of the main bundle
+const WhitepaperPage = lazy(() => import('./pages/WhitepaperPage'));
+const DocumentPage = lazy(() => import('./pages/DocumentPage'));
+const GovernancePage = lazy(() => import('./pages/GovernancePage'));
+const BelieverPage = lazy(() => import('./pages/BelieverPage'));
+const OtcPage = lazy(() => import('./pages/OtcPage'));
+const WaitlistPage = lazy(() => import('./pages/WaitlistPage'));
+const EcosystemPage = lazy(() => import('./pages/EcosystemPage'));
+const ExclusionsPage = lazy(() => import('./pages/ExclusionsPage'));
+const ReconciliationPage = lazy(() => import('./pages/ReconciliationPage'));
+
+/**
+ * Paths the app serves. `prefix` routes also own everything below them
+ * (/whitepaper/1.0, …). `title` is the document title; null keeps the
+ * site title from index.html. `description` is used for search results
+ * and social cards when the page is prerendered. `private` pages are
+ * neither prerendered nor listed in the sitemap.
+ */
+export const ROUTES = [
+  { path: '/', component: LandingPage, title: null },
+  { path: '/whitepaper', prefix: true, component: WhitepaperPage, title: 'Whitepaper', description: 'The BELIEVE whitepaper: token distribution, Belief Rewards, milestones and how every number on the site can be verified.' },
+  { path: '/governance', prefix: true, component: GovernancePage, title: 'Governance', description: 'Proposals and token-weighted votes, signed off-chain by BLT holders.' },
+  { path: '/believer', prefix: true, component: BelieverPage, title: 'Believer Dashboard', description: 'Holding history and conviction score for any BLT address, read from on-chain transfers.' },
+  { path: '/otc', prefix: true, component: OtcPage, title: 'OTC Board', description: 'Peer-to-peer BLT offers signed by their makers and settled wallet to wallet.' },
+  { path: '/ecosystem', component: EcosystemPage, title: 'Ecosystem', description: 'Chains, DeFi protocols and infrastructure in the BELIEVE ecosystem, and how each one relates to BLT.' },
+  { path: '/exclusions', prefix: true, component: ExclusionsPage, title: 'Airdrop Exclusions', description: 'Addresses left out of Belief Rewards as exchanges, contracts or bot farms, each with the on-chain evidence behind it.' },
+  { path: '/waitlist', component: WaitlistPage, title: 'Waitlist', description: 'Join the BELIEVE waitlist for launch news and early access. Double opt-in; unsubscribe any time.' },
+  { path: '/protocol', component: DocumentPage, props: { page: 'protocol' }, title: 'Protocol', description: 'How BELIEVE works on HyperEVM: the token, its distribution rules and the public data behind them.' },
+  { path: '/audit', component: DocumentPage, props: { page: 'audit' }, title: 'Audit Reports', description: 'Security reviews of BELIEVE contracts and tooling, with report fingerprints.' },
+  { path: '/docs', component: DocumentPage, props: { page: 'docs' }, title: 'Documentation', description: 'Addresses, RPC calls and file formats for reproducing everything the BELIEVE site shows.' },
+  { path: '/privacy', component: DocumentPage, props: { page: 'privacy' }, title: 'Privacy Notice', description: 'What the BELIEVE site collects: no accounts, no cookies, no trackers.' },
+  { path: '/terms', component: DocumentPage, props: { page: 'terms' }, title: 'Terms of Use', description: 'Terms for using the BELIEVE site and its tools.' },
+  { path: '/admin/reconciliation', component: ReconciliationPage, title: 'Allocation Reconciliation', private: true },
+];
+
+export const NOT_FOUND = { path: null, component: NotFoundPage, title: 'Page Not Found' };
+
+export const matchRoute = (path) =>
+  ROUTES.find((route) => route.path === path || (route.prefix && path.startsWith(`${route.path}/`))) || NOT_FOUND;
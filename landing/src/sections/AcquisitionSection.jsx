@@ -0,0 +1,131 @@
+import { ExternalLink, AlertTriangle } from 'lucide-react';
+import Section from './Section';
+import SectionHeader from './SectionHeader';
+import TypewriterTag from '../components/TypewriterTag';
+import AddressBlock from '../components/AddressBlock';
+import PurchaseFlow from '../components/PurchaseFlow';
+import Link from '../components/Link';
+import TokenStats from '../components/TokenStats';
+import PriceChart from '../components/PriceChart';
+import PriceImpactEstimator from '../components/PriceImpactEstimator';
+import { useI18n } from '../context/i18n';
+import { useManifest } from '../context/manifest';
+import { interpolate } from '../i18n/translate';
+import { formatUsd } from '../lib/format';
+import {
+  BLT_TOKEN,
+  DEPLOYER_ADDRESS,
+  DEX_URL,
+  REFERENCE_PRICE_MICROS,
+  PROCESSING_WINDOW_HOURS,
+} from '../config';
+
+const AcquisitionSection = ({ id, alternate, tag, title, subtitle, direct, dex, p2p, dynamics }) => {
+  const { t, intl } = useI18n();
+  const manifest = useManifest();
+
+  // Figures in the copy come from config so they never drift from the purchase flow
+  const figures = {
+    referencePrice: formatUsd(Number(REFERENCE_PRICE_MICROS) / 1e6, intl),
+    hours: PROCESSING_WINDOW_HOURS,
+  };
+
+  return (
+    <Section id={id} alternate={alternate}>
+      <SectionHeader tag={tag} title={title} subtitle={subtitle} center />
+
+      <div className="ind-grid-layout acquisition-options">
+        {/* Option 1 */}
+        <div className="ind-feature-col acquisition-option">
+          <TypewriterTag className="side-tag highlight" text={direct.tag} />
+          <h3>{direct.title}</h3>
+          <p>{direct.text}</p>
+
+          <AddressBlock label="DEPLOYER_WALLET_ADDRESS" address={DEPLOYER_ADDRESS} qr />
+
+          <div className="ind-stat-list">
+            {direct.stats.map((stat) => (
+              <div key={stat.label} className="ind-stat-item">
+                <span className="stat-bullet"></span>
+                <div>
+                  <strong>{stat.label}</strong> {interpolate(stat.value, figures)}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <PurchaseFlow />
+        </div>
+
+        {/* Option 2 */}
+        <div className="ind-feature-col acquisition-option">
+          <TypewriterTag className="side-tag muted" text={dex.tag} />
+          <h3>{dex.title}</h3>
+          <p>{dex.text}</p>
+
+          <div className="terminal-block secondary">
+            <span className="terminal-label">DEX_INTERFACE_URL</span>
+            {manifest.verified ? (
+              <div className="terminal-address">
+                <a href={DEX_URL} target="_blank" rel="noreferrer">
+                  {new URL(DEX_URL).host} <ExternalLink size={14} aria-hidden="true" />
+                </a>
+              </div>
+            ) : (
+              <div className="terminal-address withheld">
+                <span>{t(manifest.status === 'invalid' ? 'manifest.withheld' : 'manifest.verifying')}</span>
+              </div>
+            )}
+          </div>
+
+          <AddressBlock
+            label="BLT_CONTRACT_ADDRESS"
+            address={BLT_TOKEN.address}
+            token={BLT_TOKEN}
+            secondary
+          />
+
+          <div className="ind-warning-box">
+            <AlertTriangle size={16} aria-hidden="true" />
+            <span>{dex.warning}</span>
+          </div>
+
+          <PriceImpactEstimator />
+        </div>
+      </div>
+
+      {/* Live Contract Data */}
+      <TokenStats />
+
+      {/* Philosophy Section */}
+      <div className="ind-quote-box p2p-box">
+        <div className="p2p-body">
+          <TypewriterTag text={p2p.tag} />
+          <h3>{p2p.title}</h3>
+          <p>{p2p.text}</p>
+          {p2p.cta && <Link className="btn btn-secondary p2p-cta" to={p2p.cta.href}>{p2p.cta.label}</Link>}
+        </div>
+      </div>
+
+      {/* Price Dynamics */}
+      <div className="philosophy-layout dynamics-layout">
+        <div className="phil-text">
+          <TypewriterTag text={dynamics.tag} />
+          <h2>{dynamics.title}</h2>
+          <p>{dynamics.text}</p>
+          <PriceChart />
+        </div>
+        <div className="phil-visual">
+          <div className="ind-highlight-message">
+            <div className="message-content">
+              <TypewriterTag text={dynamics.manifestoTag} />
+              {dynamics.manifesto.map((line) => <h3 key={line}>{line}</h3>)}
+            </div>
+          </div>
+        </div>
+      </div>
+    </Section>
+  );
+};
+
+export default AcquisitionSection;
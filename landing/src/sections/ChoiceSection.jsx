@@ -0,0 +1,36 @@
+import Section from './Section';
+import TypewriterTag from '../components/TypewriterTag';
+import ConnectButton from '../components/ConnectButton';
+
+const ChoiceSection = ({ id, alternate, options, dividerLabel, callTitle, callLabel }) => {
+  const [first, second] = options;
+
+  const box = (option) => (
+    <div className={`choice-box ${option.variant}`}>
+      <TypewriterTag className="choice-tag" text={option.tag} />
+      <h3>{option.title}</h3>
+      <p>{option.text}</p>
+    </div>
+  );
+
+  return (
+    <Section id={id} alternate={alternate}>
+      <div className="choice-container">
+        {box(first)}
+        <div className="choice-divider">
+          <div className="divider-line"></div>
+          <div className="divider-label">{dividerLabel}</div>
+          <div className="divider-line"></div>
+        </div>
+        {box(second)}
+      </div>
+
+      <div className="final-call">
+        <h2>{callTitle}</h2>
+        <ConnectButton label={callLabel} className="btn btn-primary btn-large" showError />
+      </div>
+    </Section>
+  );
+};
+
+export default ChoiceSection;
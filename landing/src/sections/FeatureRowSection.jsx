@@ -0,0 +1,31 @@
+import Section from './Section';
+import SectionHeader from './SectionHeader';
+import { ICONS } from '../content/icons';
+
+const FeatureRowSection = ({ id, alternate, tag, title, subtitle, features, quote }) => (
+  <Section id={id} alternate={alternate}>
+    <SectionHeader tag={tag} title={title} subtitle={subtitle} />
+
+    <div className="ind-feature-row">
+      {features.map((feature) => {
+        const Icon = ICONS[feature.icon];
+        return (
+          <div key={feature.title} className="ind-feature-col">
+            <Icon className="ind-icon" />
+            <h3>{feature.title}</h3>
+            <p>{feature.text}</p>
+          </div>
+        );
+      })}
+    </div>
+
+    {quote && (
+      <div className="ind-quote-box">
+        <div className="quote-line"></div>
+        <p>{quote}</p>
+      </div>
+    )}
+  </Section>
+);
+
+export default FeatureRowSection;
@@ -0,0 +1,52 @@
+import { Logo } from './Navbar';
+import Link from '../components/Link';
+import { resolveHref, isExternal } from '../lib/links';
+
+// Links whose target is not configured (e.g. a social channel) are left out
+const resolveLinks = (links) =>
+  links.map((link) => ({ ...link, href: resolveHref(link.href) })).filter((link) => link.href);
+
+const FooterLink = ({ link }) => (isExternal(link.href)
+  ? <a href={link.href} target="_blank" rel="noopener noreferrer">{link.label}</a>
+  : <Link to={link.href}>{link.label}</Link>);
+
+const Footer = ({ footer }) => {
+  const columns = footer.columns
+    .map((column) => ({ ...column, links: resolveLinks(column.links) }))
+    .filter((column) => column.links.length);
+
+  return (
+    <footer className="footer">
+      <div className="container">
+        <div className="footer-content">
+          <div className="footer-column brand">
+            <Logo />
+            <p className="brand-desc">{footer.description}</p>
+          </div>
+
+          {columns.map((column) => (
+            <div key={column.title} className="footer-column">
+              <h2>{column.title}</h2>
+              <ul>
+                {column.links.map((link) => (
+                  <li key={link.label}><FooterLink link={link} /></li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+
+        <div className="footer-bottom">
+          <p>{footer.copyright}</p>
+          <div className="footer-legal">
+            {resolveLinks(footer.legal).map((link) => (
+              <FooterLink key={link.label} link={link} />
+            ))}
+          </div>
+        </div>
+      </div>
+    </footer>
+  );
+};
+
+export default Footer;
@@ -0,0 +1,45 @@
+import Section from './Section';
+import SectionHeader from './SectionHeader';
+import TypewriterTag from '../components/TypewriterTag';
+import { ICONS } from '../content/icons';
+
+const GridSection = ({ id, alternate, inverted, tag, title, cells, side }) => {
+  const main = (
+    <div className="ind-grid-main">
+      {cells.map((cell) => {
+        const Icon = ICONS[cell.icon];
+        return (
+          <div key={cell.title} className="grid-cell">
+            <Icon size={32} />
+            <div>
+              <h3>{cell.title}</h3>
+              <p>{cell.text}</p>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  const aside = (
+    <div className="ind-grid-side">
+      <div className="side-content">
+        <TypewriterTag className={`side-tag ${side.highlight ? 'highlight' : ''}`} text={side.tag} />
+        <h3>{side.text}</h3>
+      </div>
+    </div>
+  );
+
+  return (
+    <Section id={id} alternate={alternate}>
+      {title && <SectionHeader tag={tag} title={title} />}
+
+      <div className={`ind-grid-layout ${inverted ? 'inverted' : ''}`}>
+        {inverted ? aside : main}
+        {inverted ? main : aside}
+      </div>
+    </Section>
+  );
+};
+
+export default GridSection;
@@ -0,0 +1,38 @@
+import { Fragment } from 'react';
+import RichText from '../components/RichText';
+import PartnerMarquee from '../components/PartnerMarquee';
+
+const Hero = ({ hero }) => (
+  <section className="hero-section">
+    <div className="hero-glow"></div>
+    <div className="container">
+      <div className="hero-content">
+        <h1 className="hero-title">
+          {hero.title} <br />
+          <span className="text-gradient">{hero.titleGradient}</span>
+        </h1>
+
+        <p className="hero-description">
+          <RichText text={hero.description} />
+        </p>
+
+        <div className="hero-industrial-grid">
+          {hero.columns.map((column, i) => (
+            <Fragment key={column.label}>
+              {i > 0 && <div className="ind-divider"></div>}
+              <div className="ind-item">
+                <span className="ind-label">{column.label}</span>
+                <h2>{column.title}</h2>
+                <p>{column.text}</p>
+              </div>
+            </Fragment>
+          ))}
+        </div>
+
+        <PartnerMarquee label={hero.partnersLabel} />
+      </div>
+    </div>
+  </section>
+);
+
+export default Hero;
@@ -0,0 +1,30 @@
+import { Check, X } from 'lucide-react';
+import Section from './Section';
+import SectionHeader from './SectionHeader';
+import MilestoneLedger from '../components/MilestoneLedger';
+import EligibilityChecker from '../components/EligibilityChecker';
+import Link from '../components/Link';
+import { EXCLUSIONS_PATH } from '../lib/exclusions';
+
+const LedgerSection = ({ id, alternate, tag, title, tiers, qualified, blacklisted }) => (
+  <Section id={id} alternate={alternate}>
+    <SectionHeader tag={tag} title={title} center />
+
+    <MilestoneLedger tiers={tiers} />
+
+    <div className="ledger-footer">
+      <div className="footer-item">
+        <Check size={16} />
+        <span>{qualified}</span>
+      </div>
+      <div className="footer-item">
+        <X size={16} />
+        <Link to={EXCLUSIONS_PATH}>{blacklisted}</Link>
+      </div>
+    </div>
+
+    <EligibilityChecker tiers={tiers} />
+  </Section>
+);
+
+export default LedgerSection;
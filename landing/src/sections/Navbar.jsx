@@ -0,0 +1,105 @@
+import { useState, useEffect, useRef } from 'react';
+import { X, Menu } from 'lucide-react';
+import ConnectButton from '../components/ConnectButton';
+import LocaleSwitcher from '../components/LocaleSwitcher';
+import ThemeSwitcher from '../components/ThemeSwitcher';
+import MotionToggle from '../components/MotionToggle';
+import Link from '../components/Link';
+import { useRouter } from '../context/router';
+import { useWaitlist } from '../context/waitlist';
+import { useI18n } from '../context/i18n';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import { resolveHref } from '../lib/links';
+
+const Logo = () => (
+  <Link className="logo" to="/">
+    <div className="logo-icon" aria-hidden="true">B</div>
+    <span className="logo-title">BELIEVE</span>
+  </Link>
+);
+
+// Rendered twice: inline on desktop, inside the drawer on mobile
+const NavButtons = ({ nav, onNavigate }) => {
+  const { openSignup } = useWaitlist();
+
+  const join = () => {
+    onNavigate?.();
+    openSignup();
+  };
+
+  return (
+    <>
+      <LocaleSwitcher />
+      <ThemeSwitcher />
+      <MotionToggle />
+      <Link className="btn btn-secondary" to="/whitepaper" onClick={onNavigate}>{nav.whitepaperLabel}</Link>
+      <ConnectButton className="btn btn-secondary" />
+      <button type="button" className="btn btn-primary" onClick={join} aria-haspopup="dialog">{nav.joinLabel}</button>
+    </>
+  );
+};
+
+const Navbar = ({ nav }) => {
+  const [scrolled, setScrolled] = useState(false);
+  const [menuOpen, setMenuOpen] = useState(false);
+  const { path } = useRouter();
+  const { t } = useI18n();
+  const contentRef = useRef(null);
+  const menuRef = useRef(null);
+
+  // The open drawer covers the page: keep keyboard focus in the bar and drawer
+  useFocusTrap(contentRef, menuOpen, () => setMenuOpen(false));
+
+  useEffect(() => {
+    if (menuOpen) menuRef.current?.querySelector('a, button, select')?.focus();
+  }, [menuOpen]);
+
+  useEffect(() => {
+    setMenuOpen(false);
+  }, [path]);
+
+  useEffect(() => {
+    const handleScroll = () => {
+      setScrolled(window.scrollY > 50);
+    };
+    window.addEventListener('scroll', handleScroll);
+    return () => window.removeEventListener('scroll', handleScroll);
+  }, []);
+
+  return (
+    <nav className={`navbar ${scrolled ? 'scrolled' : ''} ${menuOpen ? 'menu-open' : ''}`}>
+      <div className="container">
+        <div className="nav-content" ref={contentRef}>
+          <Logo />
+
+          <div id="site-menu" ref={menuRef} className={`nav-links ${menuOpen ? 'active' : ''}`}>
+            {nav.links.map((link) => (
+              <Link key={link.href} to={resolveHref(link.href)} onClick={() => setMenuOpen(false)}>{link.label}</Link>
+            ))}
+            <div className="nav-mobile-actions">
+              <NavButtons nav={nav} onNavigate={() => setMenuOpen(false)} />
+            </div>
+          </div>
+
+          <div className="nav-actions">
+            <NavButtons nav={nav} />
+          </div>
+
+          <button
+            type="button"
+            className="mobile-menu-toggle"
+            onClick={() => setMenuOpen(!menuOpen)}
+            aria-expanded={menuOpen}
+            aria-controls="site-menu"
+            aria-label={t(menuOpen ? 'menu.close' : 'menu.open')}
+          >
+            {menuOpen ? <X size={24} aria-hidden="true" /> : <Menu size={24} aria-hidden="true" />}
+          </button>
+        </div>
+      </div>
+    </nav>
+  );
+};
+
+export { Logo };
+export default Navbar;
@@ -0,0 +1,46 @@
+import Section from './Section';
+import TypewriterTag from '../components/TypewriterTag';
+import RichText from '../components/RichText';
+
+const PhilosophySection = ({ id, alternate, tag, title, text, points, ringData }) => (
+  <Section id={id} alternate={alternate}>
+    <div className="philosophy-layout">
+      <div className="phil-text">
+        <TypewriterTag text={tag} />
+        <h2>{title}</h2>
+        <p><RichText text={text} /></p>
+        <div className="phil-points">
+          {points.map((point, i) => (
+            <div key={point} className="phil-point">
+              <span className="point-num">{String(i + 1).padStart(2, '0')}</span>
+              <p>{point}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+      <div className="phil-visual" aria-hidden="true">
+        <div className="genesis-engine">
+          <div className="core-source">
+            <div className="source-icon">₿</div>
+            <div className="source-glow"></div>
+          </div>
+          <div className="engine-rings">
+            {ringData.map((data, i) => (
+              <div key={data} className={`engine-ring ring-${i + 1}`}>
+                <span className="ring-data">{data}</span>
+              </div>
+            ))}
+            <div className={`engine-ring ring-${ringData.length + 1}`}></div>
+          </div>
+          <div className="flow-lines">
+            {[...Array(8)].map((_, i) => (
+              <div key={i} className={`flow-line line-${i + 1}`}></div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  </Section>
+);
+
+export default PhilosophySection;
@@ -0,0 +1,9 @@
+const Section = ({ id, alternate, children }) => (
+  <section id={id} className={`industrial-section ${alternate ? 'alternate' : ''}`}>
+    <div className="container">
+      {children}
+    </div>
+  </section>
+);
+
+export default Section;
@@ -0,0 +1,11 @@
+import TypewriterTag from '../components/TypewriterTag';
+
+const SectionHeader = ({ tag, title, subtitle, center }) => (
+  <div className={`ind-header ${center ? 'center' : ''}`}>
+    <TypewriterTag text={tag} />
+    <h2>{title}</h2>
+    {subtitle && <p className="ind-sub-text">{subtitle}</p>}
+  </div>
+);
+
+export default SectionHeader;
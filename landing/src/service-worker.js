@@ -0,0 +1,166 @@
+/* ========================================
+   SERVICE WORKER
+   ========================================
+   Not bundled: scripts/prerender.js turns this file into dist/sw.js,
+   prepending VERSION and PRECACHE (the URLs of the built pages, assets,
+   fonts and icons).
+   - Pages and assets come from the precache, so the site opens offline.
+     A path with no prerendered page gets the app shell, as on Vercel.
+   - On-chain reads (JSON-RPC eth_call, eth_getBalance, …) and price feed
+     requests are stale-while-revalidate: the last answer is returned at
+     once, marked with CACHE_HEADER, and refreshed in the background, so
+     figures still show offline. A READ message tells the page whether
+     the refresh reached the network; the page's offline notice follows it.
+   A new build installs alongside the old one and waits until the page
+   asks it to take over (the update prompt), so a page never mixes the
+   assets of two builds. Tabs still running the old build keep its
+   precache, for the chunks they load lazily, until they are all closed.
+*/
+
+/* global VERSION, PRECACHE */
+
+const PRECACHE_NAME = `believe-precache-${VERSION}`;
+const DATA_CACHE = 'believe-data';
+
+// Entries kept in DATA_CACHE; the oldest are dropped first
+const MAX_DATA_ENTRIES = 300;
+
+// Set on a read answered from the cache
+const CACHE_HEADER = 'X-Believe-Cache';
+
+// Read-only JSON-RPC methods whose last answer is worth showing offline
+const CACHED_RPC_METHODS = ['eth_chainId', 'eth_blockNumber', 'eth_call', 'eth_getBalance', 'eth_getCode'];
+
+// Price API requests (src/lib/prices.js)
+const CACHED_INFO_TYPES = ['allMids', 'candleSnapshot'];
+
+// Served by the network only, like the vercel.json rewrite exceptions
+const NETWORK_ONLY = /^\/(api|airdrop|exclusions\/register|og)\//;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(PRECACHE_NAME)
+    .then((cache) => cache.addAll(PRECACHE.map((url) => new Request(url, { cache: 'reload' })))));
+});
+
+// Ids of the windows open when this build took over: they run an older
+// build. Null once the worker restarts and the list is lost; older
+// precaches are then kept until the next build takes over.
+let olderClients = null;
+
+async function pruneOlderPrecaches() {
+  if (!olderClients) return;
+  const open = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (open.some((client) => olderClients.has(client.id))) return;
+
+  const names = await caches.keys();
+  await Promise.all(names
+    .filter((name) => name.startsWith('believe-precache-') && name !== PRECACHE_NAME)
+    .map((name) => caches.delete(name)));
+}
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+    .then((open) => {
+      olderClients = new Set(open.map((client) => client.id));
+    })
+    .then(() => self.clients.claim())
+    .then(pruneOlderPrecaches));
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// '/whitepaper/' → '/whitepaper'; precached pages use clean URLs
+const pagePath = (url) => url.pathname.replace(/(.)\/$/, '$1');
+
+async function fromPrecache(request, url) {
+  const cache = await caches.open(PRECACHE_NAME);
+  if (request.mode === 'navigate') {
+    return (await cache.match(pagePath(url))) || (await cache.match('/app')) || fetch(request);
+  }
+  // An older build's chunks, for a tab that still runs it
+  return (await cache.match(request)) || (await caches.match(request)) || fetch(request);
+}
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+
+// The cache key for a read request, or null when the request is not one.
+// The JSON-RPC id is left out of the key and put back on the answer.
+async function readKey(request) {
+  let body;
+  try {
+    body = JSON.parse(await request.clone().text());
+  } catch {
+    return null;
+  }
+  const cached = (body?.jsonrpc === '2.0' && CACHED_RPC_METHODS.includes(body.method)) || CACHED_INFO_TYPES.includes(body?.type);
+  if (!cached) return null;
+
+  const { id, ...query } = body;
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(query)));
+  const key = new URL(request.url);
+  key.searchParams.set('sw-read', toHex(digest));
+  return { key: key.href, id };
+}
+
+async function trim(cache) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_DATA_ENTRIES)).map((key) => cache.delete(key)));
+}
+
+// Tells the page whether what it got from `source` (the API's origin) is
+// stuck on the cached copy: cached, and the refresh did not get through
+async function report(event, source, cached) {
+  const client = await self.clients.get(event.clientId);
+  client?.postMessage({ type: 'READ', source, cached });
+}
+
+async function staleWhileRevalidate(event, { key, id }) {
+  const cache = await caches.open(DATA_CACHE);
+  const cached = await cache.match(key);
+  const { origin } = new URL(event.request.url);
+
+  const refresh = fetch(event.request).then(async (response) => {
+    const text = await response.clone().text();
+    let payload = null;
+    try {
+      payload = JSON.parse(text);
+    } catch {
+      // Not JSON: nothing worth keeping
+    }
+    // JSON-RPC errors arrive with status 200; never keep one
+    if (response.ok && payload && !payload.error) {
+      await cache.put(key, new Response(text, { headers: { 'Content-Type': 'application/json' } }));
+      await trim(cache);
+    }
+    return response;
+  });
+
+  // The page shows cached data for as long as refreshing it fails
+  const reachable = refresh.then((response) => response.ok, () => false);
+  event.waitUntil(reachable.then((ok) => report(event, origin, Boolean(cached) && !ok)));
+
+  if (!cached) return refresh;
+  event.waitUntil(refresh.catch(() => {}));
+
+  const payload = await cached.json();
+  if (id !== undefined) payload.id = id;
+  return new Response(JSON.stringify(payload), { headers: { 'Content-Type': 'application/json', [CACHE_HEADER]: 'hit' } });
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method === 'POST') {
+    if (url.origin === self.location.origin && NETWORK_ONLY.test(url.pathname)) return;
+    event.respondWith(readKey(request).then((read) => (read ? staleWhileRevalidate(event, read) : fetch(request))));
+    return;
+  }
+
+  if (request.method === 'GET' && url.origin === self.location.origin && !NETWORK_ONLY.test(url.pathname)) {
+    if (request.mode === 'navigate') event.waitUntil(pruneOlderPrecaches());
+    event.respondWith(fromPrecache(request, url));
+  }
+});
@@ -0,0 +1,136 @@
+/* ========================================
+   TEST QR READER
+   ========================================
+   Reads a module matrix back the way a scanner would, straight from the
+   QR specification (ISO/IEC 18004): format and version information, the
+   unmasked zig-zag bit stream, de-interleaved blocks checked by their
+   Reed-Solomon syndromes, then the byte-mode payload. Handles what
+   src/lib/qr.js writes: byte mode, EC level M, versions 1-10.
+*/
+
+// Level M: [total codewords, EC codewords per block, blocks]
+const LEVEL_M = [null, [26, 10, 1], [44, 16, 1], [70, 26, 1], [100, 18, 2], [134, 24, 2], [172, 16, 4], [196, 18, 4], [242, 22, 4], [292, 22, 5], [346, 26, 5]];
+
+const ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+
+// Masked 15-bit format strings for level M, by mask (spec table C.1)
+export const FORMAT_M = [0x5412, 0x5125, 0x5e7c, 0x5b4b, 0x45f9, 0x40ce, 0x4f97, 0x4aa0];
+
+// 18-bit version strings (spec table D.1)
+export const VERSION_INFO = { 7: 0x07c94, 8: 0x085bc, 9: 0x09a99, 10: 0x0a4d3 };
+
+// Mask conditions on row i and column j
+const MASKS = [
+  (i, j) => (i + j) % 2 === 0,
+  (i) => i % 2 === 0,
+  (i, j) => j % 3 === 0,
+  (i, j) => (i + j) % 3 === 0,
+  (i, j) => (Math.floor(i / 2) + Math.floor(j / 3)) % 2 === 0,
+  (i, j) => ((i * j) % 2) + ((i * j) % 3) === 0,
+  (i, j) => (((i * j) % 2) + ((i * j) % 3)) % 2 === 0,
+  (i, j) => (((i + j) % 2) + ((i * j) % 3)) % 2 === 0,
+];
+
+const EXP = [];
+const LOG = [];
+for (let i = 0, value = 1; i < 255; i++) {
+  EXP[i] = value;
+  LOG[value] = i;
+  value = value & 0x80 ? ((value << 1) ^ 0x11d) : value << 1;
+}
+const multiply = (a, b) => (a && b ? EXP[(LOG[a] + LOG[b]) % 255] : 0);
+
+// The generator has roots α^0 … α^(n-1), so a valid block evaluates to zero at each
+const syndromesClear = (block, ecLength) => Array.from({ length: ecLength }, (_, k) => block
+  .reduce((sum, codeword) => multiply(sum, EXP[k]) ^ codeword, 0))
+  .every((syndrome) => syndrome === 0);
+
+const bitsOf = (positions, matrix) => positions.reduce((bits, [i, j]) => (bits << 1) | (matrix[i][j] ? 1 : 0), 0);
+
+/**
+ * Decodes `matrix` (rows of booleans, true = dark). Returns
+ * { text, version, mask, format, versionInfo } or throws when any check fails.
+ */
+export function readQr(matrix) {
+  const size = matrix.length;
+  const version = (size - 17) / 4;
+  if (!LEVEL_M[version] || matrix.some((row) => row.length !== size)) throw new Error(`Unsupported size ${size}`);
+
+  // Format information, most significant bit first, in both copies
+  const near = [[8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]];
+  const far = [
+    ...[1, 2, 3, 4, 5, 6, 7].map((k) => [size - k, 8]),
+    ...[8, 7, 6, 5, 4, 3, 2, 1].map((k) => [8, size - k]),
+  ];
+  const format = bitsOf(near, matrix);
+  if (bitsOf(far, matrix) !== format) throw new Error('Format copies differ');
+  const mask = FORMAT_M.indexOf(format);
+  if (mask === -1) throw new Error(`Format ${format.toString(2)} is not level M`);
+  if (!matrix[size - 8][8]) throw new Error('Dark module missing');
+
+  // Version information, most significant bit first, in both copies
+  let versionInfo = null;
+  if (version >= 7) {
+    const corner = [];
+    const transposed = [];
+    for (let k = 17; k >= 0; k--) {
+      corner.push([Math.floor(k / 3), size - 11 + (k % 3)]);
+      transposed.push([size - 11 + (k % 3), Math.floor(k / 3)]);
+    }
+    versionInfo = bitsOf(corner, matrix);
+    if (versionInfo !== VERSION_INFO[version] || bitsOf(transposed, matrix) !== versionInfo) throw new Error('Bad version information');
+  }
+
+  // Everything but finders, separators, timing, alignment, format and version areas carries data
+  const positions = ALIGNMENT[version];
+  const isFunction = (i, j) => (i < 9 && j < 9) || (i < 9 && j >= size - 8) || (i >= size - 8 && j < 9)
+    || i === 6 || j === 6
+    || (version >= 7 && ((i < 6 && j >= size - 11 && j < size - 8) || (j < 6 && i >= size - 11 && i < size - 8)))
+    || positions.some((ci, a) => positions.some((cj, b) => {
+      const corner = (a === 0 && b === 0) || (a === 0 && b === positions.length - 1) || (a === positions.length - 1 && b === 0);
+      return !corner && Math.abs(i - ci) <= 2 && Math.abs(j - cj) <= 2;
+    }));
+
+  const bits = [];
+  for (let right = size - 1, upward = true; right > 0; right -= 2, upward = !upward) {
+    if (right === 6) right = 5;
+    for (let step = 0; step < size; step++) {
+      const i = upward ? size - 1 - step : step;
+      for (const j of [right, right - 1]) {
+        if (!isFunction(i, j)) bits.push(matrix[i][j] !== MASKS[mask](i, j) ? 1 : 0);
+      }
+    }
+  }
+
+  const [total, ecLength, blockCount] = LEVEL_M[version];
+  const codewords = Array.from({ length: total }, (_, k) => bits.slice(k * 8, k * 8 + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+
+  // De-interleave: data codewords round-robin (the longer blocks come last), then EC
+  const dataLength = total - ecLength * blockCount;
+  const shortLength = Math.floor(dataLength / blockCount);
+  const longCount = dataLength % blockCount;
+  const blocks = Array.from({ length: blockCount }, (_, b) => ({ data: [], ec: [], length: shortLength + (b >= blockCount - longCount ? 1 : 0) }));
+  let next = 0;
+  for (let k = 0; k <= shortLength; k++) {
+    blocks.forEach((block) => { if (k < block.length) block.data.push(codewords[next++]); });
+  }
+  for (let k = 0; k < ecLength; k++) blocks.forEach((block) => block.ec.push(codewords[next++]));
+  blocks.forEach((block, b) => {
+    if (!syndromesClear([...block.data, ...block.ec], ecLength)) throw new Error(`Block ${b} fails its error correction check`);
+  });
+
+  // Byte mode: 0100, a count, then the bytes
+  const data = blocks.flatMap((block) => block.data);
+  const stream = data.flatMap((byte) => Array.from({ length: 8 }, (_, k) => (byte >> (7 - k)) & 1));
+  let cursor = 0;
+  const take = (length) => {
+    const value = stream.slice(cursor, cursor + length).reduce((result, bit) => (result << 1) | bit, 0);
+    cursor += length;
+    return value;
+  };
+  if (take(4) !== 0b0100) throw new Error('Not byte mode');
+  const count = take(version < 10 ? 8 : 16);
+  const bytes = Uint8Array.from({ length: count }, () => take(8));
+
+  return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), version, mask, format, versionInfo };
+}
@@ -0,0 +1,86 @@
+/* ========================================
+   TEST SIGNER
+   ========================================
+   Signs digests with a throwaway secp256k1 key, so tests can produce the
+   signatures a wallet would. The nonce is derived from the key and the
+   digest; this is for tests only and never sees a real key.
+*/
+
+import { keccak256 } from '../../src/lib/keccak.js';
+
+const P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const G = [
+  0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+  0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n,
+];
+
+const mod = (a, m = P) => ((a % m) + m) % m;
+
+function invert(a, m = P) {
+  let [low, high] = [mod(a, m), m];
+  let [lm, hm] = [1n, 0n];
+  while (low > 1n) {
+    const ratio = high / low;
+    [lm, hm] = [hm - lm * ratio, lm];
+    [low, high] = [high - low * ratio, low];
+  }
+  return mod(lm, m);
+}
+
+function add(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  if (a[0] === b[0] && mod(a[1] + b[1]) === 0n) return null;
+  const slope = a[0] === b[0]
+    ? mod(3n * a[0] * a[0] * invert(2n * a[1]))
+    : mod((b[1] - a[1]) * invert(b[0] - a[0]));
+  const x = mod(slope * slope - a[0] - b[0]);
+  return [x, mod(slope * (a[0] - x) - a[1])];
+}
+
+function multiply(point, scalar) {
+  let result = null;
+  let addend = point;
+  for (let k = scalar; k > 0n; k >>= 1n) {
+    if (k & 1n) result = add(result, addend);
+    addend = add(addend, addend);
+  }
+  return result;
+}
+
+const hex32 = (value) => value.toString(16).padStart(64, '0');
+
+/**
+ * A signer for `privateKey` (a 32-byte hex string or bigint):
+ * { address, sign(digest) } with `sign` returning a low-s `r || s || v`
+ * signature (v = 27/28).
+ */
+export function createSigner(privateKey) {
+  const d = BigInt(privateKey);
+  const publicKey = multiply(G, d);
+  const address = `0x${keccak256(`0x${hex32(publicKey[0])}${hex32(publicKey[1])}`).slice(-40)}`;
+
+  const sign = (digest) => {
+    const e = mod(BigInt(digest), N);
+    const k = mod(BigInt(keccak256(`0x${hex32(d)}${hex32(e)}`)), N - 1n) + 1n;
+    const point = multiply(G, k);
+    const r = mod(point[0], N);
+    let s = mod(invert(k, N) * (e + r * d), N);
+    let v = Number(point[1] & 1n);
+    if (s > N / 2n) {
+      s = N - s;
+      v ^= 1;
+    }
+    return `0x${hex32(r)}${hex32(s)}${(27 + v).toString(16)}`;
+  };
+
+  return { address, sign };
+}
+
+// s → N − s: the same signature's malleable twin (EIP-2 rejects it)
+export function highS(signature) {
+  const s = BigInt(`0x${signature.slice(66, 130)}`);
+  const v = parseInt(signature.slice(130), 16);
+  return `${signature.slice(0, 66)}${hex32(N - s)}${(v === 27 ? 28 : 27).toString(16)}`;
+}
@@ -0,0 +1,22 @@
+/* ========================================
+   TEST STORAGE
+   ========================================
+   Stand-ins for localStorage as the storage helpers use it: one held in
+   memory, and one that throws like a private window or a full quota.
+*/
+
+export function memoryStorage() {
+  const items = new Map();
+  return {
+    items,
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+export const brokenStorage = {
+  getItem: () => { throw new Error('denied'); },
+  setItem: () => { throw new Error('quota'); },
+  removeItem: () => { throw new Error('denied'); },
+};
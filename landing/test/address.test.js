@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isAddress, toChecksumAddress, checksumStatus, toPaymentUri } from '../src/lib/address.js';
+
+// The test vectors of EIP-55: all caps, all lower and mixed case
+const VECTORS = [
+  '0x52908400098527886E0F7030069857D2E4169EE7',
+  '0x8617E340B3D01FA5F11F306F4090FD50E238070D',
+  '0xde709f2102306220921060314715629080e2fb77',
+  '0x27b1fdb04752bbc536007a920d24acb045561c26',
+  '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+  '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+  '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+  '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb',
+];
+
+// Swaps the case of the first letter in the address body
+const flipCase = (address) => address.replace(/(?<=^0x[0-9]*)[a-fA-F]/, (char) => (char === char.toLowerCase() ? char.toUpperCase() : char.toLowerCase()));
+
+test('toChecksumAddress matches the EIP-55 vectors from any casing', () => {
+  VECTORS.forEach((vector) => {
+    assert.equal(toChecksumAddress(vector.toLowerCase()), vector);
+    assert.equal(toChecksumAddress(`0x${vector.slice(2).toUpperCase()}`), vector);
+    assert.equal(toChecksumAddress(`  ${vector}\n`), vector);
+  });
+
+  assert.throws(() => toChecksumAddress('0x1234'), /Invalid address/);
+  assert.throws(() => toChecksumAddress('5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed'), /Invalid address/);
+});
+
+test('checksumStatus accepts the mixed-case vectors, flags a wrong case and leaves single case unchecked', () => {
+  VECTORS.slice(4).forEach((vector) => {
+    assert.equal(checksumStatus(vector), 'valid');
+    assert.equal(checksumStatus(flipCase(vector)), 'invalid', flipCase(vector));
+  });
+
+  // Single-case input carries no checksum, even when it happens to match one
+  VECTORS.slice(0, 4).forEach((vector) => assert.equal(checksumStatus(vector), 'unchecked'));
+  assert.equal(checksumStatus(VECTORS[4].toLowerCase()), 'unchecked');
+
+  assert.equal(checksumStatus('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAe'), 'invalid');
+  assert.equal(checksumStatus('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeg'), 'invalid');
+  assert.equal(isAddress(undefined), false);
+});
+
+test('toPaymentUri pins the checksummed address to the chain', () => {
+  assert.equal(toPaymentUri(VECTORS[4].toLowerCase(), 999), `ethereum:${VECTORS[4]}@999`);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyTransfer, convictionScore, analyzeHolder, levelFor } from '../src/lib/conviction.js';
+
+const HOLDER = '0xAb5801a7D398351b8bE11C439e05C5B3259aeC9B';
+const POOL = '0x1111111111111111111111111111111111111111';
+const DEPLOYER = '0x2222222222222222222222222222222222222222';
+const FRIEND = '0x3333333333333333333333333333333333333333';
+const ZERO = '0x0000000000000000000000000000000000000000';
+
+const DAY = 24 * 60 * 60;
+const T0 = 1735689600;
+const context = { pools: [POOL], distributors: [DEPLOYER] };
+
+const transfer = (day, from, to, value) => ({ timestamp: T0 + day * DAY, from, to, value });
+
+test('classifyTransfer names each transfer from the holder\'s side', () => {
+  const kind = (from, to) => classifyTransfer({ from, to, value: 1n }, HOLDER.toLowerCase(), context);
+
+  assert.equal(kind(ZERO, HOLDER), 'mint');
+  assert.equal(kind(HOLDER, ZERO), 'burn');
+  assert.equal(kind(POOL.toUpperCase().replace('0X', '0x'), HOLDER), 'buy');
+  assert.equal(kind(HOLDER, POOL), 'sell');
+  assert.equal(kind(DEPLOYER, HOLDER), 'allocation');
+  assert.equal(kind(FRIEND, HOLDER), 'received');
+  assert.equal(kind(HOLDER, FRIEND), 'sent');
+  assert.equal(kind(HOLDER, HOLDER), 'self');
+
+  // Sending back to the deployer is not an allocation
+  assert.equal(kind(HOLDER, DEPLOYER), 'sent');
+});
+
+test('analyzeHolder spends the oldest tokens first and tracks each unbroken hold', () => {
+  const result = analyzeHolder([
+    transfer(0, DEPLOYER, HOLDER, 100n),
+    transfer(10, POOL, HOLDER, 100n),
+    // Takes the whole allocation and half the buy
+    transfer(20, HOLDER, POOL, 150n),
+    // Empties the wallet: the first hold lasted 30 days
+    transfer(30, HOLDER, FRIEND, 50n),
+    transfer(100, FRIEND, HOLDER, 200n),
+  ], HOLDER, { now: T0 + 200 * DAY, ...context });
+
+  assert.equal(result.balance, 200n);
+  assert.equal(result.firstAcquiredAt, T0);
+  assert.equal(result.currentHoldSeconds, 100 * DAY);
+  assert.equal(result.longestHoldSeconds, 100 * DAY);
+  assert.equal(result.holdingSeconds, 130 * DAY);
+  assert.equal(result.averageAgeSeconds, 100 * DAY);
+  assert.deepEqual(
+    [result.received, result.sent, result.bought, result.sold, result.buys, result.sells],
+    [400n, 200n, 100n, 150n, 1, 1],
+  );
+
+  // 40·100/365 + 20·100/365 + 30·½ + (10 − 2.5)
+  assert.equal(result.score, 39);
+  assert.equal(result.level.id, 'initiate');
+  assert.deepEqual(result.history.map(({ kind }) => kind), ['received', 'sent', 'sell', 'buy', 'allocation']);
+});
+
+test('analyzeHolder never lets a history that starts mid-life go below zero', () => {
+  const result = analyzeHolder([
+    transfer(0, HOLDER, FRIEND, 50n),
+    transfer(1, FRIEND, HOLDER, 10n),
+    transfer(2, HOLDER, HOLDER, 10n),
+  ], HOLDER, { now: T0 + 3 * DAY, ...context });
+
+  assert.equal(result.balance, 10n);
+  assert.equal(result.sent, 50n);
+  assert.equal(result.averageAgeSeconds, 2 * DAY);
+  assert.equal(result.history[0].kind, 'self');
+});
+
+test('convictionScore weighs age, hold, retention and sells out of 100', () => {
+  const year = 365 * DAY;
+  const full = { averageAgeSeconds: 2 * year, longestHoldSeconds: year, received: 100n, balance: 100n, sells: 0 };
+
+  assert.equal(convictionScore(full), 100);
+  assert.equal(convictionScore({ ...full, sells: 5 }), 90);
+  assert.equal(convictionScore({ ...full, balance: 0n, averageAgeSeconds: 0 }), 30);
+  assert.equal(convictionScore({ ...full, received: 0n }), 0);
+
+  assert.deepEqual([100, 80, 79, 60, 40, 20, 19, 0].map((score) => levelFor(score).id), [
+    'trueBeliever', 'trueBeliever', 'believer', 'believer', 'holder', 'initiate', 'observer', 'observer',
+  ]);
+});
@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { scanDeposits, reconcileDeposits } from '../src/lib/deposits.js';
+import { TOPICS, addressTopic } from '../src/lib/logs.js';
+import { BLT_TOKEN, DEPLOYER_ADDRESS } from '../src/config.js';
+
+// The store reads DATA_DIR when it is first imported
+process.env.DATA_DIR = mkdtempSync(join(tmpdir(), 'believe-deposits-'));
+process.env.DEPOSITS_START_BLOCK = '100';
+const { syncDeposits, reconcile } = await import('../api/_lib/reconciliation.js');
+
+const RECIPIENT = '0x4444444444444444444444444444444444444444';
+const BUYER = '0x5555555555555555555555555555555555555555';
+const HYPE = { symbol: 'HYPE', type: 'native', decimals: 18 };
+const USDT = { symbol: 'USDT', type: 'erc20', address: '0x6666666666666666666666666666666666666666', decimals: 6 };
+
+const hex = (value) => `0x${BigInt(value).toString(16)}`;
+
+// Blocks 100–199, each with one payment to RECIPIENT; block reads take `delay` ms
+function chain({ delay = 0 } = {}) {
+  const read = [];
+  const logRanges = [];
+  return {
+    read,
+    logRanges,
+    rpc: {
+      getBlock: async (tag) => {
+        const number = Number(BigInt(tag));
+        read.push(number);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        return {
+          timestamp: hex(1700000000 + number),
+          transactions: [{ hash: hex(number), from: BUYER, to: RECIPIENT, value: '0x1' }],
+        };
+      },
+      getLogs: async ({ fromBlock, toBlock }) => {
+        logRanges.push([Number(BigInt(fromBlock)), Number(BigInt(toBlock))]);
+        return [];
+      },
+      getTransactionReceipt: async () => ({ status: '0x1' }),
+    },
+  };
+}
+
+test('scanDeposits reads every block of the range without a deadline', async () => {
+  const { rpc, read } = chain();
+  const { deposits, scannedTo } = await scanDeposits(rpc, { recipient: RECIPIENT, assets: [HYPE, USDT], fromBlock: 100n, toBlock: 199n });
+
+  assert.equal(scannedTo, 199n);
+  assert.equal(read.length, 100);
+  assert.deepEqual(deposits.map(({ blockNumber }) => blockNumber), Array.from({ length: 100 }, (_, i) => 100 + i));
+});
+
+test('scanDeposits stops at the deadline and reports the contiguous range it covered', async () => {
+  const { rpc, read, logRanges } = chain({ delay: 5 });
+  const { deposits, scannedTo } = await scanDeposits(rpc, {
+    recipient: RECIPIENT,
+    assets: [HYPE, USDT],
+    fromBlock: 100n,
+    toBlock: 199n,
+    concurrency: 4,
+    deadline: Date.now() + 30,
+  });
+
+  assert.ok(scannedTo >= 100n && scannedTo < 199n, `stopped at ${scannedTo}`);
+  assert.deepEqual([...read].sort((a, b) => a - b), Array.from({ length: Number(scannedTo) - 99 }, (_, i) => 100 + i));
+  assert.equal(deposits.length, Number(scannedTo) - 99);
+  assert.deepEqual(logRanges, [[100, Number(scannedTo)]]);
+});
+
+test('scanDeposits reads nothing once the deadline has passed', async () => {
+  const { rpc, read, logRanges } = chain();
+  const result = await scanDeposits(rpc, { recipient: RECIPIENT, assets: [HYPE, USDT], fromBlock: 100n, toBlock: 199n, deadline: Date.now() - 1 });
+
+  assert.deepEqual(result, { deposits: [], scannedTo: 99n });
+  assert.equal(read.length + logRanges.length, 0);
+});
+
+test('reconcileDeposits reports a payout made before any deposit as unmatched', () => {
+  const BLT = 10n ** 18n;
+  const deposit = { hash: '0xd1', logIndex: 0, blockNumber: 100, timestamp: 1700000000, from: BUYER, blt: 5000n * BLT };
+  const early = { hash: '0xe1', logIndex: 0, blockNumber: 90, timestamp: 1699999990, to: BUYER, value: 5000n * BLT };
+  const now = 1700000000 * 1000;
+
+  const { deposits: [row], unmatched } = reconcileDeposits([deposit], [early], { now, windowHours: 24 });
+  assert.deepEqual(unmatched, [{ ...early, unmatched: 5000n * BLT }]);
+  assert.equal(row.status, 'pending');
+  assert.equal(row.outstanding, 5000n * BLT);
+
+  const late = reconcileDeposits([deposit], [early], { now: now + 25 * 60 * 60 * 1000, windowHours: 24 });
+  assert.equal(late.deposits[0].overdue, true);
+
+  // A payout after the deposit settles it, and only the surplus is unmatched
+  const after = { ...early, hash: '0xe2', blockNumber: 101, value: 6000n * BLT };
+  const settled = reconcileDeposits([deposit], [after], { now, windowHours: 24 });
+  assert.equal(settled.deposits[0].status, 'paid');
+  assert.deepEqual(settled.unmatched, [{ ...after, unmatched: 1000n * BLT }]);
+});
+
+test('syncDeposits leaves a deposit unpriced when the price feed fails and reprices it on the next sync', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const BLT = 10n ** 18n;
+  const word = (value) => `0x${value.toString(16).padStart(64, '0')}`;
+
+  // 1 HYPE to the deployer in block 100, paid out in BLT in block 105
+  const rpc = {
+    blockNumber: async () => 141n,
+    getBlock: async (tag) => {
+      const number = Number(BigInt(tag));
+      return {
+        timestamp: hex(1700000000 + number),
+        transactions: number === 100 ? [{ hash: '0xd1', from: BUYER, to: DEPLOYER_ADDRESS, value: hex(10n ** 18n) }] : [],
+      };
+    },
+    getLogs: async ({ address }) => (address === BLT_TOKEN.address ? [{
+      address,
+      blockNumber: hex(105),
+      logIndex: '0x0',
+      transactionHash: '0xe1',
+      topics: [TOPICS.transfer, addressTopic(DEPLOYER_ADDRESS), addressTopic(BUYER)],
+      data: word(5000n * BLT),
+    }] : []),
+    getTransactionReceipt: async () => ({ status: '0x1' }),
+  };
+
+  let feedUp = false;
+  t.mock.method(globalThis, 'fetch', async (url, { body }) => {
+    if (!feedUp) return new Response('Unavailable', { status: 503 });
+    const { req } = JSON.parse(body);
+    return new Response(JSON.stringify([{ t: req.startTime, c: '25' }]));
+  });
+
+  const now = 1700000000 * 1000;
+  await syncDeposits({ rpc });
+  const unpriced = await reconcile(now);
+  assert.equal(unpriced.scannedTo, '109');
+  assert.equal(unpriced.totals.unpriced, 1);
+  assert.equal(unpriced.deposits[0].status, 'unpriced');
+  assert.deepEqual(unpriced.unmatched.map(({ hash, unmatched }) => [hash, unmatched]), [['0xe1', 5000n * BLT]]);
+
+  // HYPE at $25 buys 5000 BLT at $0.005, which the payout covers
+  feedUp = true;
+  await syncDeposits({ rpc });
+  const repriced = await reconcile(now);
+  assert.equal(repriced.totals.unpriced, 0);
+  assert.equal(repriced.deposits[0].priceMicros, 25000000n);
+  assert.equal(repriced.deposits[0].blt, 5000n * BLT);
+  assert.equal(repriced.deposits[0].status, 'paid');
+  assert.deepEqual(repriced.unmatched, []);
+});
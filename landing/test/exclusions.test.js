@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { proposeExclusions, REASONS } from '../src/lib/exclusions.js';
+import { DEPLOYER_ADDRESS } from '../src/config.js';
+
+const fixture = (name) => JSON.parse(readFileSync(new URL(`../scripts/fixtures/${name}`, import.meta.url), 'utf8'));
+
+const { transfers, contracts } = fixture('transfers-sybil.json');
+const labels = fixture('address-labels.json');
+
+// As `scripts/exclusions.js analyze` runs it on the fixture
+const propose = (rules) => proposeExclusions(transfers, { labels, contracts, internal: [DEPLOYER_ADDRESS], rules });
+
+// Fixture addresses: a prefix per scenario and a serial number
+const at = (prefix, n = 0) => `0x${prefix}${n.toString(16).padStart(40 - prefix.length, '0')}`;
+const range = (prefix, count) => Array.from({ length: count }, (_, n) => at(prefix, n));
+
+const reasonsOf = (candidates, code) => candidates
+  .map(({ address, reasons }) => ({ address, reason: reasons.find((reason) => reason.code === code) }))
+  .filter(({ reason }) => reason);
+
+test('EXCHANGE and CONTRACT come from the labels and the code check', () => {
+  const candidates = propose();
+
+  assert.deepEqual(reasonsOf(candidates, 'EXCHANGE'), [
+    { address: at('ec'), reason: { code: 'EXCHANGE', label: 'Example Exchange (fixture)' } },
+  ]);
+  assert.deepEqual(reasonsOf(candidates, 'CONTRACT'), [
+    { address: at('c0'), reason: { code: 'CONTRACT', label: null } },
+    { address: at('de'), reason: { code: 'CONTRACT', label: 'DEX router (fixture)' } },
+  ]);
+});
+
+test('COMMON_FUNDER flags a funder of a cluster and every member', () => {
+  const flagged = reasonsOf(propose(), 'COMMON_FUNDER');
+
+  const funders = flagged.filter(({ reason }) => reason.role === 'funder');
+  assert.deepEqual(funders.map(({ address, reason }) => [address, reason.size]), [[at('d0'), 22], [at('f0'), 12]]);
+
+  const members = flagged.filter(({ reason }) => reason.role === 'member');
+  assert.deepEqual(members.map(({ address }) => address), [...range('d1', 22), ...range('f1', 12)]);
+  assert.deepEqual(members.find(({ address }) => address === at('f1', 3)).reason, { code: 'COMMON_FUNDER', role: 'member', funder: at('f0'), size: 12 });
+
+  // Twelve members fall short of a cluster of thirteen
+  const stricter = reasonsOf(propose({ clusterSize: 13 }), 'COMMON_FUNDER');
+  assert.equal(stricter.some(({ address }) => address.startsWith('0xf')), false);
+  assert.equal(stricter.length, 23);
+});
+
+test('SYNC_TIMING flags the same first amount landing in many wallets within the window', () => {
+  const flagged = reasonsOf(propose(), 'SYNC_TIMING');
+
+  assert.deepEqual(flagged.map(({ address }) => address), [...range('5c', 11), ...range('d1', 22)]);
+  assert.deepEqual(flagged[0].reason, { code: 'SYNC_TIMING', amount: (2500n * 10n ** 18n).toString(), size: 11, at: 1735798863, windowSeconds: 120 });
+
+  // Sent from several wallets, the 5c wallets share only their timing
+  assert.equal(reasonsOf(propose(), 'COMMON_FUNDER').some(({ address }) => address.startsWith('0x5c')), false);
+  assert.equal(reasonsOf(propose({ clusterSize: 12 }), 'SYNC_TIMING').some(({ address }) => address.startsWith('0x5c')), false);
+});
+
+test('DUST_FANOUT flags the source and the wallets holding only its dust', () => {
+  const flagged = reasonsOf(propose(), 'DUST_FANOUT');
+
+  assert.deepEqual(flagged[0], { address: at('d0'), reason: { code: 'DUST_FANOUT', role: 'source', recipients: 23 } });
+  assert.deepEqual(flagged.slice(1).map(({ address }) => address), range('d1', 22));
+  assert.ok(flagged.slice(1).every(({ reason }) => reason.role === 'recipient' && reason.source === at('d0')));
+
+  assert.deepEqual(reasonsOf(propose({ fanOut: 24 }), 'DUST_FANOUT'), []);
+});
+
+test('CIRCULAR_FLOW flags each wallet of a loop with its peers', () => {
+  const flagged = reasonsOf(propose(), 'CIRCULAR_FLOW');
+  const loop = range('c1', 4);
+
+  assert.deepEqual(flagged.map(({ address }) => address), loop);
+  flagged.forEach(({ address, reason }) => assert.deepEqual(reason, {
+    code: 'CIRCULAR_FLOW',
+    size: 4,
+    peers: loop.filter((peer) => peer !== address),
+  }));
+  assert.deepEqual(reasonsOf(propose({ peersShown: 2 }), 'CIRCULAR_FLOW')[0].reason.peers, loop.slice(1, 3));
+});
+
+test('infrastructure never anchors a heuristic, and results come sorted', () => {
+  const candidates = propose();
+  const addresses = candidates.map(({ address }) => address);
+
+  // Wallets funded through the exchange and the DEX router, and the deployer itself
+  assert.ok(!addresses.some((address) => address.startsWith('0xa1')));
+  assert.ok(!addresses.includes(DEPLOYER_ADDRESS.toLowerCase()));
+
+  assert.deepEqual(addresses, [...addresses].sort());
+  candidates.forEach(({ reasons }) => {
+    const order = reasons.map((reason) => REASONS.indexOf(reason.code));
+    assert.deepEqual(order, [...order].sort((a, b) => a - b));
+  });
+
+  // MANUAL is a reviewer's call, never proposed
+  assert.equal(reasonsOf(candidates, 'MANUAL').length, 0);
+  assert.deepEqual(new Set(candidates.flatMap(({ reasons }) => reasons.map((reason) => reason.code))), new Set(REASONS.filter((code) => code !== 'MANUAL')));
+});
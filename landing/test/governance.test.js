@@ -0,0 +1,144 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { hashTypedData, recoverTypedDataSigner, encodeType } from '../src/lib/eip712.js';
+import { voteTypedData, tallyVotes } from '../src/lib/governance.js';
+import { createSigner, highS } from './_lib/signer.js';
+
+const voter = createSigner(`0x${'46'.repeat(32)}`);
+const stranger = createSigner(`0x${'47'.repeat(32)}`);
+const treasury = createSigner(`0x${'48'.repeat(32)}`);
+
+// The store reads DATA_DIR, and the API its non-circulating wallets, when first imported
+const DATA_DIR = mkdtempSync(join(tmpdir(), 'believe-governance-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.NON_CIRCULATING_ADDRESSES = ` ${treasury.address.toUpperCase().replace('0X', '0x')} ,`;
+const { castVote, createProposal } = await import('../api/_lib/governance.js');
+
+const NOW = Date.UTC(2026, 0, 15);
+const SECONDS = NOW / 1000;
+const SNAPSHOT = '1000';
+
+// Every address holds 250 BLT at the snapshot block
+const WEIGHT = 250n * 10n ** 18n;
+const balanceQueries = [];
+globalThis.fetch = async (url, { body }) => {
+  const { id, params } = JSON.parse(body);
+  balanceQueries.push(params[1]);
+  return new Response(JSON.stringify({ jsonrpc: '2.0', id, result: `0x${WEIGHT.toString(16).padStart(64, '0')}` }));
+};
+
+beforeEach(async () => {
+  rmSync(join(DATA_DIR, 'proposals.json'), { force: true });
+  rmSync(join(DATA_DIR, 'votes.json'), { force: true });
+  await createProposal({
+    id: 'blt-001',
+    title: 'Adopt quarterly snapshots',
+    body: '',
+    choices: ['For', 'Against'],
+    start: new Date(NOW - 60 * 60 * 1000).toISOString(),
+    end: new Date(NOW + 60 * 60 * 1000).toISOString(),
+    snapshot: SNAPSHOT,
+  });
+});
+
+const signVote = (signer, { choice = 'For', timestamp = SECONDS, as = signer } = {}) => ({
+  voter: as.address,
+  choice,
+  timestamp,
+  signature: signer.sign(hashTypedData(voteTypedData({ voter: as.address, proposal: 'blt-001', choice, timestamp }))),
+});
+
+const rejects = (promise, status, pattern) => assert.rejects(promise, (error) => {
+  assert.equal(error.status, status, error.message);
+  if (pattern) assert.match(error.message, pattern);
+  return true;
+});
+
+test('hashTypedData and recovery match the EIP-712 Mail example', () => {
+  const mail = {
+    types: {
+      Person: [{ name: 'name', type: 'string' }, { name: 'wallet', type: 'address' }],
+      Mail: [{ name: 'from', type: 'Person' }, { name: 'to', type: 'Person' }, { name: 'contents', type: 'string' }],
+    },
+    primaryType: 'Mail',
+    domain: { name: 'Ether Mail', version: '1', chainId: 1, verifyingContract: '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC' },
+    message: {
+      from: { name: 'Cow', wallet: '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826' },
+      to: { name: 'Bob', wallet: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB' },
+      contents: 'Hello, Bob!',
+    },
+  };
+
+  assert.equal(encodeType('Mail', mail.types), 'Mail(Person from,Person to,string contents)Person(string name,address wallet)');
+  assert.equal(hashTypedData(mail), '0xbe609aee343fb3c4b28e1df9e632fca64fcfaede20f02e86244efddf30957bd2');
+
+  const signature = '0x4355c47d63924e8a72e509b65029052eb6c299d53a04e167c5775fd466751c9d07299936d304c153f6443dfa05f40ff007d72911b6f72307f996231605b915621c';
+  assert.equal(recoverTypedDataSigner(mail, signature), '0xcd2a3d9f938e13cd947ec05abc7fe734df8dd826');
+});
+
+test('a signed vote recovers to its voter and is stored with the snapshot balance', async () => {
+  const vote = signVote(voter);
+  assert.equal(recoverTypedDataSigner(voteTypedData({ ...vote, proposal: 'blt-001' }), vote.signature), voter.address);
+
+  balanceQueries.length = 0;
+  const proposal = await castVote('blt-001', vote, NOW);
+  assert.deepEqual(balanceQueries, [`0x${BigInt(SNAPSHOT).toString(16)}`]);
+  assert.equal(proposal.votes.length, 1);
+  assert.equal(proposal.votes[0].voter.toLowerCase(), voter.address);
+  assert.equal(proposal.votes[0].weight, WEIGHT.toString());
+  assert.equal(proposal.tally.leading, 'For');
+
+  // A later vote replaces it; the earlier one cannot come back
+  const changed = await castVote('blt-001', signVote(voter, { choice: 'Against', timestamp: SECONDS + 1 }), NOW);
+  assert.equal(changed.tally.leading, 'Against');
+  await rejects(castVote('blt-001', vote, NOW), 409, /newer vote/);
+});
+
+test('castVote rejects a high-s signature, another signer and a non-circulating wallet', async () => {
+  const vote = signVote(voter);
+  await rejects(castVote('blt-001', { ...vote, signature: highS(vote.signature) }, NOW), 400, /high s/);
+
+  await rejects(castVote('blt-001', signVote(stranger, { as: voter }), NOW), 401, /voter/);
+
+  await rejects(castVote('blt-001', signVote(treasury), NOW), 403, /Non-circulating/);
+});
+
+test('castVote only takes timestamps close to the server clock', async () => {
+  await rejects(castVote('blt-001', signVote(voter, { timestamp: SECONDS + 10 * 60 }), NOW), 400, /timestamp/);
+  await rejects(castVote('blt-001', signVote(voter, { timestamp: SECONDS - 10 * 60 }), NOW), 400, /timestamp/);
+  await castVote('blt-001', signVote(voter, { timestamp: SECONDS - 60 }), NOW);
+});
+
+test('tallyVotes has no leader on a tie and checks the quorum against the total', () => {
+  const proposal = { choices: ['For', 'Against', 'Abstain'], quorum: '100' };
+  const votes = [
+    { choice: 'For', weight: '40' },
+    { choice: 'Against', weight: '40' },
+    { choice: 'Abstain', weight: '10' },
+  ];
+
+  const tie = tallyVotes(proposal, votes);
+  assert.equal(tie.leading, null);
+  assert.equal(tie.total, '90');
+  assert.equal(tie.voters, 3);
+  assert.equal(tie.quorumReached, false);
+  assert.deepEqual(tie.choices, [
+    { choice: 'For', weight: '40' },
+    { choice: 'Against', weight: '40' },
+    { choice: 'Abstain', weight: '10' },
+  ]);
+
+  const decided = tallyVotes(proposal, [...votes, { choice: 'For', weight: '10' }]);
+  assert.equal(decided.leading, 'For');
+  assert.equal(decided.quorumReached, true);
+
+  // No votes: no leader; without a quorum any turnout counts
+  assert.equal(tallyVotes(proposal, []).leading, null);
+  assert.equal(tallyVotes({ choices: ['For'] }, []).quorumReached, true);
+
+  // Votes for a choice the proposal does not offer are ignored
+  assert.equal(tallyVotes(proposal, [{ choice: 'Maybe', weight: '500' }]).total, '0');
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLogsPaginated } from '../src/lib/logs.js';
+import { RpcError } from '../src/lib/rpc.js';
+
+const FILTER = { address: '0x1111111111111111111111111111111111111111', topics: [] };
+
+// A node holding one log per block in `blocks` that refuses any range
+// wider than `maxRange` blocks, the way public endpoints do
+function cappedNode({ maxRange, blocks, refuse = (range) => new RpcError(`block range too large: ${range} > ${maxRange}`, { code: -32000 }) }) {
+  const ranges = [];
+  return {
+    ranges,
+    getLogs: async ({ fromBlock, toBlock }) => {
+      const from = Number(BigInt(fromBlock));
+      const to = Number(BigInt(toBlock));
+      ranges.push([from, to]);
+      if (to - from + 1 > maxRange) throw refuse(to - from + 1);
+      return blocks.filter((block) => block >= from && block <= to).map((block) => ({ blockNumber: `0x${block.toString(16)}` }));
+    },
+  };
+}
+
+test('getLogsPaginated pages through the range in order', async () => {
+  const node = cappedNode({ maxRange: 100, blocks: [0, 5, 10, 24, 25] });
+  const pages = [];
+  const logs = await getLogsPaginated(node, FILTER, {
+    fromBlock: 0n,
+    toBlock: 25n,
+    pageSize: 10,
+    onPage: ({ fromBlock, toBlock, logs: page }) => pages.push([fromBlock, toBlock, page.length]),
+  });
+
+  assert.deepEqual(node.ranges, [[0, 9], [10, 19], [20, 25]]);
+  assert.deepEqual(pages, [[0n, 9n, 2], [10n, 19n, 1], [20n, 25n, 2]]);
+  assert.deepEqual(logs.map(({ blockNumber }) => Number(blockNumber)), [0, 5, 10, 24, 25]);
+});
+
+test('getLogsPaginated halves a refused page and keeps the smaller size', async () => {
+  const node = cappedNode({ maxRange: 3, blocks: [1, 2, 7, 8, 9] });
+  const logs = await getLogsPaginated(node, FILTER, { fromBlock: 1n, toBlock: 10n, pageSize: 10 });
+
+  assert.deepEqual(node.ranges, [[1, 10], [1, 5], [1, 3], [4, 6], [7, 9], [10, 10]]);
+  assert.deepEqual(logs.map(({ blockNumber }) => Number(blockNumber)), [1, 2, 7, 8, 9]);
+});
+
+test('getLogsPaginated recognises the usual "too many results" errors', async () => {
+  const messages = [
+    'query returned more than 10000 results',
+    'Log response size exceeded',
+    'exceed maximum block range: 1000',
+    'block range is too wide',
+  ];
+  for (const message of messages) {
+    const node = cappedNode({ maxRange: 1, blocks: [2], refuse: () => new Error(message) });
+    const logs = await getLogsPaginated(node, FILTER, { fromBlock: 1n, toBlock: 2n, pageSize: 2 });
+    assert.equal(logs.length, 1, message);
+  }
+
+  const limited = cappedNode({ maxRange: 1, blocks: [], refuse: () => new RpcError('busy', { code: -32005 }) });
+  assert.deepEqual(await getLogsPaginated(limited, FILTER, { fromBlock: 1n, toBlock: 2n, pageSize: 2 }), []);
+});
+
+test('getLogsPaginated fails when a single block is refused or the error is not about size', async () => {
+  const tiny = cappedNode({ maxRange: 0, blocks: [] });
+  await assert.rejects(getLogsPaginated(tiny, FILTER, { fromBlock: 1n, toBlock: 4n, pageSize: 4 }), /range too large/);
+  assert.deepEqual(tiny.ranges, [[1, 4], [1, 2], [1, 1]]);
+
+  const broken = cappedNode({ maxRange: 1, blocks: [], refuse: () => new RpcError('invalid params', { code: -32602 }) });
+  await assert.rejects(getLogsPaginated(broken, FILTER, { fromBlock: 1n, toBlock: 4n, pageSize: 4 }), /invalid params/);
+  assert.equal(broken.ranges.length, 1);
+});
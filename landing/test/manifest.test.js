@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { verifyManifest, isOfficialHost, manifestAddress } from '../src/lib/manifest.js';
+
+const manifest = JSON.parse(readFileSync(new URL('../src/manifest.json', import.meta.url), 'utf8'));
+
+test('the shipped manifest verifies and a tampered payload does not', async () => {
+  assert.equal(await verifyManifest(manifest), true);
+
+  const swapped = { ...manifest, payload: { ...manifest.payload, deployer: '0x2222222222222222222222222222222222222222' } };
+  assert.equal(await verifyManifest(swapped), false);
+  assert.equal(await verifyManifest({ payload: manifest.payload, signature: 'not-a-signature' }), false);
+  assert.equal(await verifyManifest(manifest, { subtle: null }), false);
+});
+
+test('isOfficialHost accepts listed hosts only, and none from an empty list', () => {
+  assert.equal(isOfficialHost('believe.example', []), false);
+  assert.ok(manifest.payload.hosts.length > 0);
+  assert.equal(isOfficialHost('Believe.Example', ['believe.example']), true);
+  assert.equal(isOfficialHost('believe.example.phish', ['believe.example']), false);
+});
+
+test('manifestAddress fills the placeholders the copy may use and nothing else', () => {
+  const { payload } = manifest;
+  assert.equal(manifestAddress(payload, 'token'), payload.token.address);
+  assert.equal(manifestAddress(payload, 'deployer'), payload.deployer);
+  assert.equal(manifestAddress(payload, 'USDC'), payload.paymentTokens.USDC);
+  assert.equal(manifestAddress(payload, 'treasury'), null);
+  assert.equal(manifestAddress(payload, 'constructor'), null);
+});
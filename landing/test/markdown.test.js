@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseInline, isSafeHref } from '../src/lib/markdown.js';
+
+test('links to web, mail, relative and fragment targets are kept', () => {
+  ['https://hyperliquid.xyz', 'http://example.org/a?b=c', 'mailto:team@example.org', '/whitepaper', './faq', '../docs', 'docs#fees', '#tokenomics']
+    .forEach((href) => {
+      assert.equal(isSafeHref(href), true, href);
+      assert.deepEqual(parseInline(`[go](${href})`), [{ type: 'link', href, children: [{ type: 'text', value: 'go' }] }]);
+    });
+});
+
+test('links to any other target become plain text', () => {
+  ['javascript:alert%281%29', 'JavaScript:void%200', 'data:text/html,<p>', 'vbscript:x', 'file:///etc/passwd', '//evil.example', '/\\evil.example', '\\\\evil.example', '\u0001javascript:alert%281%29']
+    .forEach((href) => {
+      assert.equal(isSafeHref(href), false, href);
+      assert.deepEqual(parseInline(`see [**this**](${href}) now`), [
+        { type: 'text', value: 'see ' },
+        { type: 'strong', children: [{ type: 'text', value: 'this' }] },
+        { type: 'text', value: ' now' },
+      ]);
+    });
+});
+
+test('manifest placeholders become address nodes and other code stays code', () => {
+  assert.deepEqual(parseInline('deployer `manifest:deployer`, selector `0x70a08231`'), [
+    { type: 'text', value: 'deployer ' },
+    { type: 'address', field: 'deployer' },
+    { type: 'text', value: ', selector ' },
+    { type: 'code', value: '0x70a08231' },
+  ]);
+  assert.deepEqual(parseInline('`manifest:not a field`'), [{ type: 'code', value: 'manifest:not a field' }]);
+});
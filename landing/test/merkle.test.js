@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { hashLeaf, hashPair, buildTree, getProof, verifyProof } from '../src/lib/merkle.js';
+import { checkEligibility, shardOf } from '../src/lib/airdrop.js';
+
+const BUILD_SCRIPT = fileURLToPath(new URL('../scripts/build-airdrop-tree.js', import.meta.url));
+
+const address = (n) => `0x${n.toString(16).padStart(40, '0')}`;
+const allocation = (n) => ({ address: address(n), amounts: [BigInt(n) * 10n ** 18n, 0n, BigInt(n), 7n] });
+
+// Serves files under `dir` the way the static host serves public/airdrop
+const serveFrom = (dir) => async (url) => {
+  const file = join(dir, url.replace('https://snapshot.test/', ''));
+  return existsSync(file)
+    ? new Response(readFileSync(file, 'utf8'))
+    : new Response('Not found', { status: 404 });
+};
+
+test('every leaf proves against the root, with any leaf count and input order', () => {
+  for (const count of [1, 2, 3, 5, 7, 8]) {
+    const rows = Array.from({ length: count }, (_, i) => allocation(i + 1));
+    const leaves = rows.map((row) => hashLeaf(row.address, row.amounts));
+    const { root, layers } = buildTree(leaves);
+
+    assert.equal(buildTree([...leaves].reverse()).root, root, `${count} leaves: order`);
+    leaves.forEach((leaf) => assert.ok(verifyProof(leaf, getProof(layers, leaf), root), `${count} leaves: ${leaf}`));
+  }
+});
+
+test('odd nodes are carried up unhashed', () => {
+  const leaves = [1, 2, 3].map((n) => hashLeaf(address(n), [1n]));
+  const { root, layers } = buildTree(leaves);
+  const [a, b, c] = layers[0];
+
+  assert.equal(root, hashPair(hashPair(a, b), c));
+  assert.deepEqual(getProof(layers, c), [hashPair(a, b)]);
+
+  // A single leaf is its own root, with an empty proof
+  const single = buildTree([a]);
+  assert.equal(single.root, a);
+  assert.deepEqual(getProof(single.layers, a), []);
+  assert.ok(verifyProof(a, [], a));
+
+  assert.throws(() => buildTree([]), /without leaves/);
+  assert.throws(() => getProof(layers, hashLeaf(address(4), [1n])), /not in the tree/);
+});
+
+test('a proof does not verify a different amount, account or root', () => {
+  const rows = Array.from({ length: 5 }, (_, i) => allocation(i + 1));
+  const leaves = rows.map((row) => hashLeaf(row.address, row.amounts));
+  const { root, layers } = buildTree(leaves);
+  const [row] = rows;
+  const proof = getProof(layers, leaves[0]);
+
+  assert.ok(verifyProof(hashLeaf(row.address, row.amounts), proof, root));
+  assert.equal(verifyProof(hashLeaf(row.address, [row.amounts[0] + 1n, ...row.amounts.slice(1)]), proof, root), false);
+  assert.equal(verifyProof(hashLeaf(row.address, [...row.amounts.slice(0, 3), 8n]), proof, root), false);
+  assert.equal(verifyProof(hashLeaf(rows[1].address, row.amounts), proof, root), false);
+  assert.equal(verifyProof(leaves[0], proof, leaves[1]), false);
+});
+
+test('build-airdrop-tree publishes proofs that checkEligibility verifies against the pinned root', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'believe-airdrop-'));
+  const csv = join(dir, 'allocations.csv');
+  const out = join(dir, 'airdrop');
+  const holder = '0xAb5801a7D398351b8bE11C439e05C5B3259aeC9B';
+  writeFileSync(csv, [
+    'address,alpha,beta,prime,omega',
+    `${holder},1000,250.5,,1`,
+    '0x1111111111111111111111111111111111111111,10,0,0,0',
+    '0xab00000000000000000000000000000000000001,1,2,3,4',
+  ].join('\n'));
+  execFileSync(process.execPath, [BUILD_SCRIPT, csv, out], { stdio: 'pipe' });
+
+  const meta = JSON.parse(readFileSync(join(out, 'root.json'), 'utf8'));
+  assert.equal(meta.count, 3);
+  assert.deepEqual(meta.targets, ['alpha', 'beta', 'prime', 'omega']);
+  assert.ok(existsSync(join(out, 'proofs', `${shardOf(holder)}.json`)));
+
+  const fetchImpl = serveFrom(out);
+  const check = (account, pinnedRoot = meta.root) => checkEligibility({ baseUrl: 'https://snapshot.test', address: account, pinnedRoot, fetchImpl });
+
+  const eligible = await check(holder);
+  assert.equal(eligible.listed, true);
+  assert.equal(eligible.verified, true);
+  assert.deepEqual(eligible.amounts, [1000n * 10n ** 18n, 2505n * 10n ** 17n, 0n, 10n ** 18n]);
+
+  const absent = await check('0x2222222222222222222222222222222222222222');
+  assert.deepEqual([absent.listed, absent.verified], [false, false]);
+
+  // A shard edited after publishing no longer matches the root
+  const shardFile = join(out, 'proofs', `${shardOf(holder)}.json`);
+  const shard = JSON.parse(readFileSync(shardFile, 'utf8'));
+  shard[holder.toLowerCase()].amounts[0] = (2000n * 10n ** 18n).toString();
+  writeFileSync(shardFile, JSON.stringify(shard));
+  const tampered = await check(holder);
+  assert.deepEqual([tampered.listed, tampered.verified], [true, false]);
+
+  await assert.rejects(check(holder, `0x${'00'.repeat(32)}`), /does not match the pinned root/);
+});
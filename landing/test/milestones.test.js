@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeMarketCap,
+  milestoneProgress,
+  recordCrossings,
+  loadObservedCrossings,
+  saveObservedCrossings,
+  formatCap,
+  formatUsdCompact,
+} from '../src/lib/milestones.js';
+import { memoryStorage, brokenStorage } from './_lib/storage.js';
+
+const TIERS = [
+  { id: 'alpha', capUsd: 250000000 },
+  { id: 'prime', capUsd: 1000000000, openEnded: true },
+];
+
+test('computeMarketCap prices the circulating supply, or gives null without both', () => {
+  assert.equal(computeMarketCap({ priceUsd: 0.25, circulatingSupply: 1000n * 10n ** 18n, decimals: 18 }), 250);
+  assert.equal(computeMarketCap({ priceUsd: 0.25, circulatingSupply: 15n * 10n ** 17n, decimals: 18 }), 0.375);
+  assert.equal(computeMarketCap({ priceUsd: null, circulatingSupply: 1n, decimals: 18 }), null);
+  assert.equal(computeMarketCap({ priceUsd: 0.25, circulatingSupply: null, decimals: 18 }), null);
+});
+
+test('milestoneProgress caps at one and recordCrossings keeps the first crossing', () => {
+  assert.deepEqual(milestoneProgress(TIERS, 500000000).map(({ progress, reached }) => [progress, reached]), [[1, true], [0.5, false]]);
+  assert.deepEqual(milestoneProgress(TIERS, null).map(({ progress }) => progress), [0, 0]);
+
+  const at = new Date(Date.UTC(2026, 0, 15));
+  const history = recordCrossings(TIERS, 300000000, {}, at);
+  assert.deepEqual(history, { alpha: { crossedAt: '2026-01-15T00:00:00.000Z', marketCapUsd: 300000000, observed: true } });
+
+  // Nothing new: the same object comes back, and an old crossing is not rewritten
+  assert.equal(recordCrossings(TIERS, 400000000, history, new Date()), history);
+  const later = recordCrossings(TIERS, 1200000000, history, new Date(Date.UTC(2026, 5, 1)));
+  assert.equal(later.alpha, history.alpha);
+  assert.equal(later.prime.crossedAt, '2026-06-01T00:00:00.000Z');
+});
+
+test('observed crossings survive a reload and a storage that throws', () => {
+  const storage = memoryStorage();
+  assert.deepEqual(loadObservedCrossings(storage), {});
+  saveObservedCrossings({ alpha: { observed: true } }, storage);
+  assert.deepEqual(loadObservedCrossings(storage), { alpha: { observed: true } });
+
+  storage.setItem('believe.milestones.observed', '{');
+  assert.deepEqual(loadObservedCrossings(storage), {});
+  assert.deepEqual(loadObservedCrossings(brokenStorage), {});
+  assert.doesNotThrow(() => saveObservedCrossings({}, brokenStorage));
+  assert.deepEqual(loadObservedCrossings(null), {});
+});
+
+test('formatCap shows compact targets, open-ended ones with a plus', () => {
+  assert.equal(formatCap(TIERS[0]), '$250M');
+  assert.equal(formatCap(TIERS[1]), '$1B+');
+  assert.equal(formatUsdCompact(850000), '$850K');
+  assert.equal(formatUsdCompact(1234567), '$1.2M');
+  assert.equal(formatUsdCompact(null), '—');
+});
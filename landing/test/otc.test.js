@@ -0,0 +1,193 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  offerId,
+  offerTypedData,
+  acceptanceTypedData,
+  cancellationTypedData,
+  offerStatus,
+  settlementLegs,
+  findAsset,
+  BLT_ASSET,
+  MAX_OPEN_OFFERS_PER_MAKER,
+} from '../src/lib/otc.js';
+import { hashTypedData } from '../src/lib/eip712.js';
+import { createSigner, highS } from './_lib/signer.js';
+
+// The store reads DATA_DIR when it is first imported
+const DATA_DIR = mkdtempSync(join(tmpdir(), 'believe-otc-'));
+process.env.DATA_DIR = DATA_DIR;
+const { createOffer, acceptOffer, cancelOffer } = await import('../api/_lib/otc.js');
+
+const NOW = Date.UTC(2026, 0, 15);
+const SECONDS = NOW / 1000;
+
+const maker = createSigner(`0x${'46'.repeat(32)}`);
+const taker = createSigner(`0x${'47'.repeat(32)}`);
+const stranger = createSigner(`0x${'48'.repeat(32)}`);
+
+const USDT = findAsset('USDT');
+const BLT = (whole) => (BigInt(whole) * 10n ** 18n).toString();
+
+// Balances the mocked node reports: `${token}:${owner}` for ERC-20s,
+// `HYPE:${owner}` for the native balance
+const balances = new Map();
+const setBalance = (asset, owner, amount) => balances.set(`${asset.address ?? asset.symbol}:${owner}`.toLowerCase(), BigInt(amount));
+const balanceOf = (key) => `0x${(balances.get(key.toLowerCase()) ?? 0n).toString(16).padStart(64, '0')}`;
+
+globalThis.fetch = async (url, { body }) => {
+  const { id, method, params } = JSON.parse(body);
+  const result = method === 'eth_getBalance'
+    ? balanceOf(`HYPE:${params[0]}`)
+    : balanceOf(`${params[0].to}:0x${params[0].data.slice(-40)}`);
+  return new Response(JSON.stringify({ jsonrpc: '2.0', id, result }));
+};
+
+beforeEach(() => {
+  rmSync(join(DATA_DIR, 'offers.json'), { force: true });
+  balances.clear();
+});
+
+// 1,000 BLT at 0.005 USDT each, for a day
+const terms = (overrides = {}) => ({
+  maker: maker.address,
+  side: 'sell',
+  amount: BLT(1000),
+  asset: 'USDT',
+  price: '5000',
+  expiry: SECONDS + 24 * 60 * 60,
+  nonce: 1,
+  ...overrides,
+});
+
+const signOffer = (offer, signer = maker) => ({ ...offer, signature: signer.sign(hashTypedData(offerTypedData(offer))) });
+
+const rejects = (promise, status, pattern) => assert.rejects(promise, (error) => {
+  assert.equal(error.status, status, error.message);
+  if (pattern) assert.match(error.message, pattern);
+  return true;
+});
+
+test('offerId is stable for the same terms and changes with any of them', () => {
+  const id = offerId(terms());
+  assert.match(id, /^0x[0-9a-f]{64}$/);
+  assert.equal(offerId(terms()), id);
+  assert.equal(offerId({ ...terms(), maker: maker.address.toUpperCase().replace('0X', '0x') }), id);
+
+  for (const change of [{ side: 'buy' }, { amount: BLT(1001) }, { asset: 'USDC' }, { price: '5001' }, { expiry: SECONDS + 1 }, { nonce: 2 }, { maker: taker.address }]) {
+    assert.notEqual(offerId(terms(change)), id, JSON.stringify(change));
+  }
+});
+
+test('offerStatus: accepted over cancelled over expired over open', () => {
+  const offer = terms();
+  const expiry = offer.expiry * 1000;
+
+  assert.equal(offerStatus(offer, expiry - 1), 'open');
+  assert.equal(offerStatus(offer, expiry), 'expired');
+  assert.equal(offerStatus({ ...offer, cancelledAt: new Date(NOW).toISOString() }, expiry), 'cancelled');
+  assert.equal(offerStatus({ ...offer, cancelledAt: new Date(NOW).toISOString(), acceptance: { taker: taker.address } }, expiry), 'accepted');
+});
+
+test('settlementLegs sends BLT from the seller and the total from the buyer', () => {
+  const sell = settlementLegs(terms(), taker.address);
+  assert.equal(sell.seller, maker.address);
+  assert.equal(sell.buyer, taker.address);
+  assert.deepEqual(sell.legs, [
+    { from: maker.address, to: taker.address, asset: BLT_ASSET, amount: BigInt(BLT(1000)) },
+    // 1,000 × 0.005 USDT
+    { from: taker.address, to: maker.address, asset: USDT, amount: 5_000_000n },
+  ]);
+
+  const buy = settlementLegs(terms({ side: 'buy' }), taker.address);
+  assert.equal(buy.seller, taker.address);
+  assert.equal(buy.buyer, maker.address);
+  assert.equal(buy.legs[0].from, taker.address);
+  assert.equal(buy.legs[1].from, maker.address);
+});
+
+test('createOffer records an offer signed by its maker and rejects any other signature', async () => {
+  setBalance(BLT_ASSET, maker.address, BLT(5000));
+
+  const wrongSigner = signOffer(terms(), stranger);
+  await rejects(createOffer(wrongSigner, NOW), 401, /maker/);
+
+  // Signed for other terms
+  const tampered = { ...signOffer(terms()), price: '1' };
+  await rejects(createOffer(tampered, NOW), 401);
+
+  const signed = signOffer(terms());
+  await rejects(createOffer({ ...signed, signature: highS(signed.signature) }, NOW), 400, /high s/);
+
+  const offer = await createOffer(signed, NOW);
+  assert.equal(offer.id, offerId(terms()));
+  assert.equal(offer.status, 'open');
+  await rejects(createOffer(signed, NOW), 409, /already posted/);
+});
+
+test('createOffer checks the balance against the maker\'s other open offers', async () => {
+  // Covers one 1,000 BLT offer, not two
+  setBalance(BLT_ASSET, maker.address, BLT(1500));
+  await createOffer(signOffer(terms()), NOW);
+  await rejects(createOffer(signOffer(terms({ nonce: 2 })), NOW), 409, /already committed/);
+
+  // A buy commits the payment asset instead
+  setBalance(USDT, maker.address, 5_000_000n);
+  await createOffer(signOffer(terms({ side: 'buy', nonce: 3 })), NOW);
+});
+
+test('concurrent posts by one maker cannot overcommit or pass the open-offer limit', async () => {
+  setBalance(BLT_ASSET, maker.address, BLT(1500));
+  const pair = await Promise.allSettled([1, 2].map((nonce) => createOffer(signOffer(terms({ nonce })), NOW)));
+  assert.deepEqual(pair.map((result) => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(pair.find((result) => result.status === 'rejected').reason.status, 409);
+
+  rmSync(join(DATA_DIR, 'offers.json'));
+  setBalance(BLT_ASSET, maker.address, BLT(1_000_000));
+  const burst = await Promise.allSettled(Array.from({ length: MAX_OPEN_OFFERS_PER_MAKER + 2 }, (_, nonce) => createOffer(signOffer(terms({ nonce })), NOW)));
+  const rejected = burst.filter((result) => result.status === 'rejected');
+  assert.equal(burst.length - rejected.length, MAX_OPEN_OFFERS_PER_MAKER);
+  assert.deepEqual(rejected.map((result) => result.reason.status), [429, 429]);
+});
+
+test('acceptOffer takes a signature from the taker and re-checks both legs', async () => {
+  setBalance(BLT_ASSET, maker.address, BLT(1000));
+  const { id } = await createOffer(signOffer(terms()), NOW);
+  const acceptance = (signer, timestamp = SECONDS) => ({
+    taker: taker.address,
+    timestamp,
+    signature: signer.sign(hashTypedData(acceptanceTypedData({ offer: id, taker: taker.address, timestamp }))),
+  });
+
+  await rejects(acceptOffer(id, acceptance(stranger), NOW), 401, /taker/);
+  await rejects(acceptOffer(id, acceptance(taker, SECONDS - 3600), NOW), 400, /timestamp/);
+  const own = { taker: maker.address, timestamp: SECONDS, signature: maker.sign(hashTypedData(acceptanceTypedData({ offer: id, taker: maker.address, timestamp: SECONDS }))) };
+  await rejects(acceptOffer(id, own, NOW), 400, /own offer/);
+
+  // The taker cannot pay yet
+  await rejects(acceptOffer(id, acceptance(taker), NOW), 409, /USDT/);
+
+  setBalance(USDT, taker.address, 5_000_000n);
+  const accepted = await acceptOffer(id, acceptance(taker), NOW);
+  assert.equal(accepted.status, 'accepted');
+  assert.equal(accepted.acceptance.taker.toLowerCase(), taker.address);
+  await rejects(acceptOffer(id, acceptance(taker), NOW), 409, /accepted/);
+});
+
+test('cancelOffer only takes the maker\'s signature', async () => {
+  setBalance(BLT_ASSET, maker.address, BLT(1000));
+  const { id } = await createOffer(signOffer(terms()), NOW);
+  const cancellation = (signer) => ({
+    timestamp: SECONDS,
+    signature: signer.sign(hashTypedData(cancellationTypedData({ offer: id, timestamp: SECONDS }))),
+  });
+
+  await rejects(cancelOffer(id, cancellation(taker), NOW), 401, /maker/);
+
+  const cancelled = await cancelOffer(id, cancellation(maker), NOW);
+  assert.equal(cancelled.status, 'cancelled');
+  await rejects(cancelOffer(id, cancellation(maker), NOW), 409, /cancelled/);
+});
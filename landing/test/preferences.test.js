@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadTheme, saveTheme } from '../src/lib/theme.js';
+import { fallbackChain, matchLocale, getLocale, loadLocale, saveLocale } from '../src/i18n/locales.js';
+import { memoryStorage, brokenStorage } from './_lib/storage.js';
+
+test('the theme choice round-trips; "system" clears it and an unknown value reads as "system"', () => {
+  const storage = memoryStorage();
+  assert.equal(loadTheme(storage), 'system');
+
+  saveTheme('high-contrast', storage);
+  assert.equal(loadTheme(storage), 'high-contrast');
+
+  saveTheme('system', storage);
+  assert.equal(storage.items.size, 0);
+  assert.equal(loadTheme(storage), 'system');
+
+  storage.setItem('believe.theme', 'neon');
+  assert.equal(loadTheme(storage), 'system');
+
+  assert.equal(loadTheme(brokenStorage), 'system');
+  assert.doesNotThrow(() => saveTheme('dark', brokenStorage));
+  assert.doesNotThrow(() => saveTheme('system', brokenStorage));
+});
+
+test('locales fall back to the language, then English', () => {
+  assert.deepEqual(fallbackChain('es-MX'), ['es-MX', 'es', 'en']);
+  assert.deepEqual(fallbackChain('en'), ['en']);
+  assert.deepEqual(fallbackChain('zh-Hant-TW'), ['zh-Hant-TW', 'zh-Hant', 'zh', 'en']);
+
+  assert.equal(matchLocale(['fr-FR', 'KO-kr', 'es']), 'ko');
+  assert.equal(matchLocale(['fr-FR']), 'en');
+  assert.equal(matchLocale(), 'en');
+
+  assert.equal(getLocale('ar').dir, 'rtl');
+  assert.equal(getLocale('xx').code, 'en');
+});
+
+test('the locale choice round-trips and ignores what it does not support', () => {
+  const storage = memoryStorage();
+  assert.equal(loadLocale(storage), null);
+  saveLocale('tr', storage);
+  assert.equal(loadLocale(storage), 'tr');
+
+  storage.setItem('believe.locale', 'fr');
+  assert.equal(loadLocale(storage), null);
+  assert.equal(loadLocale(brokenStorage), null);
+  assert.doesNotThrow(() => saveLocale('tr', brokenStorage));
+});
@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { simulateBuy, compareOrder, breakEven } from '../src/lib/priceImpact.js';
+
+const BLT = '0xfef20fd2422a9d47fe1a8c355a1ae83f04025edf';
+
+// The direct allocation price (REFERENCE_PRICE_MICROS)
+const REFERENCE_PRICE = 0.005;
+
+const BIG_FIELDS = ['sqrtPriceX96', 'liquidity', 'reserve0', 'reserve1'];
+
+// A fixture as scripts/market.js --fixture reads it
+function fixtureMarket(name) {
+  const { pool, ticks = [], quoteUsd } = JSON.parse(readFileSync(new URL(`../scripts/fixtures/${name}`, import.meta.url), 'utf8'));
+  return {
+    state: Object.fromEntries(Object.entries(pool).map(([key, value]) => [key, BIG_FIELDS.includes(key) ? BigInt(value) : value])),
+    ticks: ticks.map(({ tick, liquidityNet }) => ({ tick, liquidityNet: BigInt(liquidityNet) })),
+    quoteUsd,
+    baseToken: BLT,
+    referencePrice: REFERENCE_PRICE,
+  };
+}
+
+const close = (actual, expected, tolerance, message) => assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} ≠ ${expected}`);
+
+test('simulateBuy on a constant-product pair pays the 0.3% fee and moves along x·y = k', () => {
+  const { state, ticks } = fixtureMarket('pool-v2.json');
+
+  // 20,000 USDT against 5,000,000 BLT
+  const { received, price, spot, impact, exhausted } = simulateBuy(state, ticks, BLT, 1000);
+  const net = 1000 * 0.997;
+  close(received, (net * 5e6) / (20000 + net), 1e-6, 'received');
+  close(spot, 0.004, 1e-15, 'spot');
+  close(price, 1000 / received, 1e-15, 'price');
+  close(impact, price / 0.004 - 1, 1e-12, 'impact');
+  assert.equal(exhausted, false);
+
+  // A tiny order costs the fee and nothing more
+  close(simulateBuy(state, ticks, BLT, 0.01).impact, 1 / 0.997 - 1, 1e-6, 'tiny impact');
+});
+
+test('simulateBuy on a V3 pool stays in range for orders that fit the current liquidity', () => {
+  const { state, ticks } = fixtureMarket('pool-v3.json');
+
+  // 10,000 BLT per WHYPE at tick 92103; 139.75 WHYPE reaches the tick at 91200
+  const tiny = simulateBuy(state, ticks, BLT, 0.001);
+  close(tiny.spot, 0.0001, 1e-15, 'spot');
+  close(tiny.received, 9.96999668663777, 1e-8, 'tiny received');
+  close(tiny.impact, 1 / 0.997 - 1, 1e-5, 'tiny impact');
+
+  const inRange = simulateBuy(state, ticks, BLT, 50);
+  close(inRange.received, 490351.984523829, 1e-5, 'received');
+  assert.equal(inRange.exhausted, false);
+});
+
+test('simulateBuy on a V3 pool crosses ticks and carries on with their liquidity', () => {
+  const { state, ticks } = fixtureMarket('pool-v3.json');
+
+  // 200 WHYPE crosses 91200, where liquidity drops from 3e23 to 1.5e23
+  const crossing = simulateBuy(state, ticks, BLT, 200);
+  close(crossing.received, 1859806.81712423, 1e-4, 'received');
+  assert.equal(crossing.exhausted, false);
+
+  // Had the tick not been crossed, the order would have bought more at the deeper liquidity
+  const { liquidityNet } = ticks.find(({ tick }) => tick === 91200);
+  const uncrossed = simulateBuy(state, ticks.map((tick) => ({ ...tick, liquidityNet: tick.tick === 91200 ? 0n : tick.liquidityNet })), BLT, 200);
+  assert.equal(liquidityNet, 150000000000000000000000n);
+  assert.ok(uncrossed.received > crossing.received);
+});
+
+test('simulateBuy flags an order that runs past the last known tick', () => {
+  const { state, ticks } = fixtureMarket('pool-v3.json');
+
+  // Every range down to 82800 holds 478.56 WHYPE (fee included) and 3,526,567 BLT
+  const filled = simulateBuy(state, ticks, BLT, 478);
+  assert.equal(filled.exhausted, false);
+
+  const exhausted = simulateBuy(state, ticks, BLT, 500);
+  assert.equal(exhausted.exhausted, true);
+  close(exhausted.received, 3526567.10873037, 1e-3, 'everything the ticks hold');
+
+  // Without tick data the order can only use the current range
+  const blind = simulateBuy(state, [], BLT, 1);
+  assert.equal(blind.exhausted, true);
+  assert.equal(blind.received, 0);
+});
+
+test('compareOrder recommends the DEX below the reference price and PATH_01 above it', () => {
+  const market = fixtureMarket('pool-v2.json');
+
+  const small = compareOrder({ ...market, usd: 1000 });
+  assert.equal(small.recommended, 'dex');
+  assert.equal(small.direct, 200000);
+  close(small.dex.spotUsd, 0.004, 1e-15, 'spot');
+  assert.ok(small.dex.received > small.direct);
+
+  const large = compareOrder({ ...market, usd: 10000 });
+  assert.equal(large.recommended, 'direct');
+  assert.ok(large.dex.priceUsd > REFERENCE_PRICE);
+
+  // V3 prices are in WHYPE; quoteUsd turns them into dollars
+  const v3 = compareOrder({ ...fixtureMarket('pool-v3.json'), usd: 400 });
+  close(v3.dex.spotUsd, 0.004, 1e-12, 'V3 spot');
+  close(v3.dex.received, 99369.7611604102, 1e-5, 'V3 received');
+  assert.equal(v3.recommended, 'dex');
+
+  const beyond = compareOrder({ ...fixtureMarket('pool-v3.json'), referencePrice: 1, usd: 20000 });
+  assert.equal(beyond.dex.exhausted, true);
+  assert.equal(beyond.recommended, 'direct');
+});
+
+test('breakEven bisects to the order where the DEX average price reaches the reference', () => {
+  // V2: (20000 + 0.997·usd) / (0.997 · 5,000,000) = 0.005
+  const v2 = breakEven(fixtureMarket('pool-v2.json'));
+  assert.equal(v2.reason, 'price');
+  close(v2.usd, 4925 / 0.997, 0.01, 'V2 break-even');
+
+  // V3: past the 91200 crossing, well before the ticks run out
+  const v3 = breakEven(fixtureMarket('pool-v3.json'));
+  assert.equal(v3.reason, 'price');
+  close(v3.usd, 15796.6495372034, 0.01, 'V3 break-even');
+
+  const market = fixtureMarket('pool-v3.json');
+  assert.equal(compareOrder({ ...market, usd: v3.usd - 0.02 }).recommended, 'dex');
+  assert.equal(compareOrder({ ...market, usd: v3.usd + 0.02 }).recommended, 'direct');
+});
+
+test('breakEven reports running out of liquidity, an immediate loss and a DEX that always wins', () => {
+  // At a $1 reference the DEX stays cheaper until its 478.56 WHYPE of ticks run out
+  const liquidity = breakEven({ ...fixtureMarket('pool-v3.json'), referencePrice: 1 });
+  assert.equal(liquidity.reason, 'liquidity');
+  close(liquidity.usd, 478.559339394174 * 40, 0.01, 'liquidity break-even');
+
+  // A reference below spot: PATH_01 wins from the first cent
+  assert.deepEqual(breakEven({ ...fixtureMarket('pool-v2.json'), referencePrice: 0.003 }), { usd: 0, reason: 'price' });
+
+  assert.equal(breakEven({ ...fixtureMarket('pool-v2.json'), maxUsd: 4000 }), null);
+});
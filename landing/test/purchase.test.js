@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { waitForReceipt, ReceiptTimeoutError } from '../src/lib/purchase.js';
+
+const HASH = `0x${'ab'.repeat(32)}`;
+
+// A wallet provider answering each method from a queue of results or errors
+function scriptedProvider(script) {
+  const calls = [];
+  return {
+    calls,
+    async request({ method }) {
+      calls.push(method);
+      const reply = script[method].length > 1 ? script[method].shift() : script[method][0];
+      if (reply instanceof Error) throw reply;
+      return reply;
+    },
+  };
+}
+
+test('waitForReceipt keeps polling through failed requests until the receipt is deep enough', async () => {
+  const provider = scriptedProvider({
+    eth_getTransactionReceipt: [
+      new Error('Request limit exceeded'),
+      null,
+      { blockNumber: '0x10', status: '0x1' },
+      { blockNumber: '0x10', status: '0x1' },
+    ],
+    eth_blockNumber: [new Error('Internal JSON-RPC error'), '0x10', '0x11'],
+  });
+  const updates = [];
+
+  const receipt = await waitForReceipt(provider, HASH, {
+    confirmations: 2,
+    interval: 1,
+    onUpdate: ({ confirmations }) => updates.push(confirmations),
+  });
+
+  assert.equal(receipt.status, '0x1');
+  assert.deepEqual(updates, [0, 1, 2]);
+});
+
+test('waitForReceipt rejects with the hash once the deadline passes', async () => {
+  const provider = scriptedProvider({
+    eth_getTransactionReceipt: [new Error('Request limit exceeded'), null],
+    eth_blockNumber: ['0x1'],
+  });
+
+  await assert.rejects(waitForReceipt(provider, HASH, { interval: 5, timeout: 40 }), (error) => {
+    assert.ok(error instanceof ReceiptTimeoutError);
+    assert.equal(error.hash, HASH);
+    return true;
+  });
+  assert.ok(provider.calls.length > 2);
+});
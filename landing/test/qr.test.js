@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeQr, qrPath } from '../src/lib/qr.js';
+import { toPaymentUri } from '../src/lib/address.js';
+import { readQr } from './_lib/qr-reader.js';
+
+const finderAt = (modules, top, left) => Array.from({ length: 7 }, (_, i) => modules[top + i].slice(left, left + 7)
+  .map((dark) => (dark ? '#' : '.')).join(''));
+
+const FINDER = ['#######', '#.....#', '#.###.#', '#.###.#', '#.###.#', '#.....#', '#######'];
+
+test('encodeQr output reads back as the same text', () => {
+  const texts = [
+    'BELIEVE',
+    toPaymentUri('0x62e3ccb91440d0228e197cad59886081e688d4b5', 999),
+    'https://believe.example/believer/0xAb5801a7D398351b8bE11C439e05C5B3259aeC9B?ref=qr',
+    'Ünïcödé ✓ — 信じる',
+    'x'.repeat(200),
+  ];
+
+  texts.forEach((text) => assert.equal(readQr(encodeQr(text)).text, text));
+});
+
+test('encodeQr picks the smallest version for the length', () => {
+  // Byte mode at level M holds 14, 26, 42, 62, 84, … bytes
+  [[14, 1], [15, 2], [26, 2], [27, 3], [84, 5], [85, 6], [213, 10]].forEach(([length, version]) => {
+    const modules = encodeQr('a'.repeat(length));
+    assert.equal(modules.length, version * 4 + 17, `${length} bytes`);
+    assert.equal(readQr(modules).version, version);
+  });
+
+  assert.throws(() => encodeQr('a'.repeat(214)), /too long/);
+});
+
+test('the matrix has the fixed patterns, format and version information of its version', () => {
+  const modules = encodeQr('a'.repeat(110));
+  const size = modules.length;
+  assert.equal(size, 45);
+
+  assert.deepEqual(finderAt(modules, 0, 0), FINDER);
+  assert.deepEqual(finderAt(modules, 0, size - 7), FINDER);
+  assert.deepEqual(finderAt(modules, size - 7, 0), FINDER);
+  for (let k = 8; k < size - 8; k++) {
+    assert.equal(modules[6][k], k % 2 === 0);
+    assert.equal(modules[k][6], k % 2 === 0);
+  }
+
+  // Version 7 carries its 18-bit version string in both corners
+  const { version, versionInfo } = readQr(modules);
+  assert.equal(version, 7);
+  assert.equal(versionInfo, 0x07c94);
+});
+
+test('a damaged matrix no longer reads', () => {
+  const modules = encodeQr('BELIEVE NETWORK').map((row) => [...row]);
+  const size = modules.length;
+  // A data module in the bottom-right corner, away from every fixed pattern
+  modules[size - 1][size - 1] = !modules[size - 1][size - 1];
+  assert.throws(() => readQr(modules), /error correction/);
+
+  const reformatted = encodeQr('BELIEVE NETWORK').map((row) => [...row]);
+  reformatted[8][0] = !reformatted[8][0];
+  assert.throws(() => readQr(reformatted), /Format copies differ/);
+});
+
+test('qrPath draws one unit square per dark module inside the quiet zone', () => {
+  const modules = [[true, false], [false, true]];
+  assert.equal(qrPath(modules), 'M4,4h1v1h-1zM5,5h1v1h-1z');
+  assert.equal(qrPath(modules, 0), 'M0,0h1v1h-1zM1,1h1v1h-1z');
+});
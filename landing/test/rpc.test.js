@@ -0,0 +1,191 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRpcClient, RpcError } from '../src/lib/rpc.js';
+import { fetchTokenStats, createTokenStatsReader } from '../src/lib/tokenStats.js';
+import { SELECTORS, encodeUint } from '../src/lib/erc20.js';
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const DEPLOYER = '0x2222222222222222222222222222222222222222';
+const TREASURY = '0x3333333333333333333333333333333333333333';
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+// A fetch that answers each request with the next entry of `replies`
+// (a Response, an Error to throw, or a function of the parsed body)
+function scriptedFetch(replies) {
+  const requests = [];
+  const fetchImpl = async (url, init) => {
+    const body = JSON.parse(init.body);
+    requests.push(body);
+    const reply = replies.shift();
+    if (reply instanceof Error) throw reply;
+    return typeof reply === 'function' ? reply(body) : reply;
+  };
+  return { fetchImpl, requests };
+}
+
+const result = (value) => ({ id }) => json({ jsonrpc: '2.0', id, result: value });
+
+test('the RPC client retries transport failures, 429 and 5xx, then answers', async () => {
+  const { fetchImpl, requests } = scriptedFetch([
+    new TypeError('fetch failed'),
+    json({}, 429),
+    json({}, 503),
+    result('0x10'),
+  ]);
+  const rpc = createRpcClient('https://rpc.test', { fetchImpl, retryDelay: 0 });
+
+  assert.equal(await rpc.blockNumber(), 16n);
+  assert.equal(requests.length, 4);
+  assert.ok(requests.every(({ method }) => method === 'eth_blockNumber'));
+});
+
+test('the RPC client retries node rate limits (-32005) but not other JSON-RPC errors', async () => {
+  const limited = ({ id }) => json({ jsonrpc: '2.0', id, error: { code: -32005, message: 'limit exceeded' } });
+  const reverted = ({ id }) => json({ jsonrpc: '2.0', id, error: { code: 3, message: 'execution reverted', data: '0x' } });
+
+  const retried = scriptedFetch([limited, result('0x1')]);
+  assert.equal(await createRpcClient('https://rpc.test', { fetchImpl: retried.fetchImpl, retryDelay: 0 }).call('eth_chainId'), '0x1');
+  assert.equal(retried.requests.length, 2);
+
+  const surfaced = scriptedFetch([reverted, result('0x1')]);
+  const rpc = createRpcClient('https://rpc.test', { fetchImpl: surfaced.fetchImpl, retryDelay: 0 });
+  await assert.rejects(rpc.ethCall(TOKEN, '0x'), (error) => {
+    assert.ok(error instanceof RpcError);
+    assert.equal(error.code, 3);
+    assert.equal(error.retryable, false);
+    return true;
+  });
+  assert.equal(surfaced.requests.length, 1);
+});
+
+test('the RPC client gives up after `retries` retries with the last error', async () => {
+  const { fetchImpl, requests } = scriptedFetch([json({}, 502), json({}, 502), json({}, 502)]);
+  const rpc = createRpcClient('https://rpc.test', { fetchImpl, retries: 2, retryDelay: 0 });
+
+  await assert.rejects(rpc.call('eth_blockNumber'), { name: 'RpcError', code: 502 });
+  assert.equal(requests.length, 3);
+});
+
+test('the RPC client does not retry HTTP 4xx other than 429', async () => {
+  const { fetchImpl, requests } = scriptedFetch([json({}, 403), result('0x1')]);
+  const rpc = createRpcClient('https://rpc.test', { fetchImpl, retryDelay: 0 });
+
+  await assert.rejects(rpc.call('eth_chainId'), { code: 403 });
+  assert.equal(requests.length, 1);
+});
+
+test('the RPC client retries an unreadable body and times out a body that stalls', async () => {
+  const garbled = () => new Response('<html>Bad gateway</html>', { status: 200 });
+  const retried = scriptedFetch([garbled, result('0x1')]);
+  assert.equal(await createRpcClient('https://rpc.test', { fetchImpl: retried.fetchImpl, retryDelay: 0 }).call('eth_chainId'), '0x1');
+  assert.equal(retried.requests.length, 2);
+
+  const unreadable = scriptedFetch([garbled]);
+  await assert.rejects(createRpcClient('https://rpc.test', { fetchImpl: unreadable.fetchImpl, retries: 0 }).call('eth_chainId'), (error) => {
+    assert.ok(error instanceof RpcError);
+    assert.match(error.message, /unreadable/);
+    assert.equal(error.retryable, true);
+    return true;
+  });
+
+  // Headers arrive, then the body never finishes until the request is aborted
+  const stalled = async (url, { signal }) => ({
+    ok: true,
+    status: 200,
+    json: () => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted')))),
+  });
+  const rpc = createRpcClient('https://rpc.test', { fetchImpl: stalled, retries: 0, timeout: 20 });
+  await assert.rejects(rpc.call('eth_chainId'), { name: 'RpcError', message: 'RPC response unreadable: aborted' });
+});
+
+// A chain whose balances move between blocks 0x64 and 0x65, and whose
+// head advances to 0x65 right after the first eth_blockNumber
+function movingChain({ failCalls = 0 } = {}) {
+  const state = {
+    '0x64': { totalSupply: 1000n, [DEPLOYER]: 600n, [TREASURY]: 100n },
+    '0x65': { totalSupply: 1000n, [DEPLOYER]: 500n, [TREASURY]: 300n },
+  };
+  let head = 0x64;
+  let failures = failCalls;
+  const tags = [];
+
+  const call = async (method, params) => {
+    if (method === 'eth_blockNumber') {
+      const current = head;
+      head = 0x65;
+      return `0x${current.toString(16)}`;
+    }
+    const [{ data }, blockTag] = params;
+    tags.push(blockTag);
+    if (failures > 0) {
+      failures -= 1;
+      throw new RpcError('RPC responded 503', { code: 503, retryable: true });
+    }
+    const block = state[blockTag];
+    if (data === SELECTORS.totalSupply) return `0x${encodeUint(block.totalSupply)}`;
+    if (data === SELECTORS.decimals) return `0x${encodeUint(18)}`;
+    const owner = `0x${data.slice(-40)}`;
+    return `0x${encodeUint(block[owner] ?? 0n)}`;
+  };
+
+  return {
+    tags,
+    rpc: {
+      call,
+      blockNumber: async () => BigInt(await call('eth_blockNumber')),
+      ethCall: (to, data, blockTag = 'latest') => call('eth_call', [{ to, data }, blockTag]),
+    },
+  };
+}
+
+test('token stats read every figure at the block they report', async () => {
+  const { rpc, tags } = movingChain();
+  const stats = await fetchTokenStats(rpc, { token: TOKEN, deployer: DEPLOYER, nonCirculating: [DEPLOYER, TREASURY] });
+
+  assert.equal(stats.blockNumber, 0x64n);
+  assert.ok(tags.length === 5 && tags.every((tag) => tag === '0x64'));
+  assert.equal(stats.totalSupply, 1000n);
+  assert.equal(stats.deployerBalance, 600n);
+  assert.equal(stats.circulatingSupply, 300n);
+  assert.equal(stats.decimals, 18);
+});
+
+test('the token stats reader keeps the last figures, flagged stale, when a read fails', async () => {
+  const { rpc } = movingChain();
+  const options = { token: TOKEN, deployer: DEPLOYER, nonCirculating: [DEPLOYER] };
+  const reader = createTokenStatsReader({ rpc, storage: null, ...options });
+
+  const first = await reader.read();
+  assert.equal(first.stale, false);
+  assert.equal(first.stats.blockNumber, 0x64n);
+
+  rpc.ethCall = async () => { throw new RpcError('RPC unreachable: fetch failed', { retryable: true }); };
+  const second = await reader.read({ force: true });
+  assert.equal(second.stale, true);
+  assert.equal(second.stats, first.stats);
+  assert.match(second.error.message, /unreachable/);
+});
+
+test('token stats read through a retrying client stay pinned to one block', async () => {
+  const chain = movingChain({ failCalls: 2 });
+  let id = 0;
+  const fetchImpl = async (url, init) => {
+    const { method, params } = JSON.parse(init.body);
+    try {
+      return json({ jsonrpc: '2.0', id: ++id, result: await chain.rpc.call(method, params) });
+    } catch (error) {
+      return json({}, error.code);
+    }
+  };
+  const rpc = createRpcClient('https://rpc.test', { fetchImpl, retryDelay: 0 });
+
+  const stats = await fetchTokenStats(rpc, { token: TOKEN, deployer: DEPLOYER, nonCirculating: [DEPLOYER, TREASURY] });
+  assert.equal(stats.blockNumber, 0x64n);
+  assert.ok(chain.tags.every((tag) => tag === '0x64'));
+  assert.equal(chain.tags.length, 7);
+  assert.equal(stats.circulatingSupply, 300n);
+});
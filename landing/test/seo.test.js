@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SITE, ogImagePath, pageMeta, renderHeadTags, buildSitemap, buildRobots, buildWebManifest, structuredData } from '../src/lib/seo.js';
+import { BLT_TOKEN } from '../src/config.js';
+
+const SITE_URL = 'https://believe.test';
+
+test('pageMeta gives absolute URLs and a social card per path', () => {
+  assert.equal(ogImagePath('/'), '/og/index.png');
+  assert.equal(ogImagePath('/whitepaper/1.0'), '/og/whitepaper-1.0.png');
+
+  assert.deepEqual(pageMeta({ path: '/otc', title: 'OTC desk', description: 'Trade BLT.' }, SITE_URL), {
+    title: 'OTC desk | BELIEVE',
+    heading: 'OTC desk',
+    description: 'Trade BLT.',
+    url: 'https://believe.test/otc',
+    image: 'https://believe.test/og/otc.png',
+  });
+
+  const home = pageMeta({ path: '/' }, SITE_URL);
+  assert.equal(home.title, SITE.title);
+  assert.equal(home.heading, SITE.headline);
+  assert.equal(home.description, SITE.description);
+});
+
+test('renderHeadTags escapes page text and cannot close its JSON-LD script', () => {
+  const meta = pageMeta({ path: '/docs', title: 'A "quoted" <b>title</b> & more' }, SITE_URL);
+  const head = renderHeadTags(meta, SITE_URL);
+
+  assert.match(head, /<title>A &quot;quoted&quot; &lt;b&gt;title&lt;\/b&gt; &amp; more \| BELIEVE<\/title>/);
+  assert.match(head, /<link rel="canonical" href="https:\/\/believe\.test\/docs" \/>/);
+  assert.match(head, /<meta property="og:image" content="https:\/\/believe\.test\/og\/docs\.png" \/>/);
+  assert.equal(head.match(/<\/script>/g).length, 1);
+
+  const [, json] = /<script type="application\/ld\+json">(.*)<\/script>/.exec(head);
+  assert.deepEqual(JSON.parse(json), structuredData(SITE_URL));
+
+  // The app shell has no canonical URL
+  const shell = renderHeadTags({ ...meta, url: undefined }, SITE_URL);
+  assert.doesNotMatch(shell, /canonical|og:url/);
+});
+
+test('structured data names the token by its contract', () => {
+  const [organization, site, token] = structuredData(SITE_URL)['@graph'];
+  assert.equal(organization['@id'], 'https://believe.test/#organization');
+  assert.deepEqual(site.publisher, { '@id': organization['@id'] });
+  assert.equal(token.identifier, BLT_TOKEN.address);
+  assert.equal(token.alternateName, BLT_TOKEN.symbol);
+});
+
+test('sitemap, robots and the web manifest', () => {
+  assert.equal(buildSitemap([{ path: '/' }, { path: '/docs?a=1&b=2', lastmod: '2026-01-15' }], SITE_URL), [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    '  <url>',
+    '    <loc>https://believe.test/</loc>',
+    '  </url>',
+    '  <url>',
+    '    <loc>https://believe.test/docs?a=1&amp;b=2</loc>',
+    '    <lastmod>2026-01-15</lastmod>',
+    '  </url>',
+    '</urlset>',
+    '',
+  ].join('\n'));
+
+  const robots = buildRobots(SITE_URL);
+  assert.match(robots, /^Disallow: \/api\/$/m);
+  assert.match(robots, /^Sitemap: https:\/\/believe\.test\/sitemap\.xml$/m);
+
+  const manifest = JSON.parse(buildWebManifest());
+  assert.equal(manifest.start_url, '/');
+  assert.deepEqual(manifest.icons.map(({ sizes, purpose }) => `${sizes} ${purpose}`), ['192x192 any', '512x512 any', '512x512 maskable']);
+});
@@ -0,0 +1,208 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { decodeSwap, scanSwaps, buildCandles, convertCandles } from '../src/lib/swaps.js';
+import { fetchPriceCandles } from '../src/lib/prices.js';
+
+const fixture = (name) => JSON.parse(readFileSync(new URL(`../scripts/fixtures/${name}`, import.meta.url), 'utf8'));
+
+// BLT is token1 of the V2 fixture (USDT/BLT) and token0 of the V3 one (BLT/WHYPE)
+const BLT = '0xfef20fd2422a9d47fe1a8c355a1ae83f04025edf';
+
+const HOUR = 60 * 60;
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * 1e-9, `${message}: ${actual} ≠ ${expected}`);
+
+function decodeAll(name) {
+  const { pool, blocks, logs } = fixture(name);
+  return logs.map((log) => decodeSwap(log, pool, BLT))
+    .filter(Boolean)
+    .map((swap) => ({ ...swap, timestamp: blocks[swap.blockNumber] }));
+}
+
+test('V2 swaps decode to their execution price, volume and side', () => {
+  const swaps = decodeAll('swaps-v2.json');
+
+  // USDT in / BLT out is a buy at USDT paid ÷ BLT received
+  const expected = [
+    [1000, 479.999999 / 100000, 100000, 'buy'],
+    [1037, 1275 / 250000, 250000, 'buy'],
+    [1074, 828 / 180000, 180000, 'sell'],
+    [1111, 300 / 60000, 60000, 'buy'],
+    [1148, 2200 / 400000, 400000, 'buy'],
+    [1185, 1078 / 220000, 220000, 'sell'],
+  ];
+  assert.equal(swaps.length, expected.length);
+  swaps.forEach((swap, i) => {
+    const [blockNumber, price, volume, side] = expected[i];
+    assert.equal(swap.blockNumber, blockNumber);
+    assert.equal(swap.logIndex, 0);
+    assert.equal(swap.hash, `0x${blockNumber.toString(16).padStart(64, '0')}`);
+    close(swap.price, price, `price at ${blockNumber}`);
+    close(swap.volume, volume, `volume at ${blockNumber}`);
+    assert.equal(swap.side, side);
+  });
+});
+
+test('V3 swaps decode to the pool price after the swap', () => {
+  const swaps = decodeAll('swaps-v3.json');
+
+  // (sqrtPriceX96 / 2^96)^2 with equal decimals: WHYPE per BLT
+  const expected = [
+    [1000, 0.000125, 200000, 'buy'],
+    [1037, 0.000131, 150000, 'buy'],
+    [1074, 0.000122, 90000, 'sell'],
+    [1111, 0.000128, 300000, 'buy'],
+    [1148, 0.000135, 120000, 'buy'],
+    [1185, 0.000119, 400000, 'sell'],
+    [1222, 0.000124, 80000, 'buy'],
+    [1259, 0.000140, 500000, 'buy'],
+  ];
+  assert.equal(swaps.length, expected.length);
+  swaps.forEach((swap, i) => {
+    const [blockNumber, price, volume, side] = expected[i];
+    assert.equal(swap.blockNumber, blockNumber);
+    close(swap.price, price, `price at ${blockNumber}`);
+    close(swap.volume, volume, `volume at ${blockNumber}`);
+    assert.equal(swap.side, side);
+  });
+});
+
+test('decodeSwap prices the other token when it is the base', () => {
+  const { pool, logs } = fixture('swaps-v3.json');
+  const swap = decodeSwap(logs[0], pool, pool.token1);
+  close(swap.price, 1 / 0.000125, 'inverse price');
+  assert.equal(swap.side, 'sell');
+  close(swap.volume, 25, 'volume');
+});
+
+test('decodeSwap skips a swap that moved nothing', () => {
+  const { pool, logs } = fixture('swaps-v2.json');
+  const empty = { ...logs[0], data: `0x${'0'.repeat(256)}` };
+  assert.equal(decodeSwap(empty, pool, BLT), null);
+});
+
+test('scanSwaps stops reading block timestamps at the deadline and reports how far it got', async (t) => {
+  const { pool, blocks, logs } = fixture('swaps-v2.json');
+  // Each block read takes a millisecond of a mocked clock
+  let clock = 0;
+  t.mock.method(Date, 'now', () => clock);
+  const rpc = {
+    getLogs: async () => logs,
+    getBlock: async (tag) => {
+      clock += 1;
+      return { timestamp: `0x${blocks[Number(BigInt(tag))].toString(16)}` };
+    },
+  };
+
+  const full = await scanSwaps(rpc, pool, BLT, { fromBlock: 1000n, toBlock: 1999n });
+  assert.equal(full.swaps.length, 6);
+  assert.equal(full.scannedTo, 1999n);
+
+  clock = 0;
+  const partial = await scanSwaps(rpc, pool, BLT, { fromBlock: 1000n, toBlock: 1999n, deadline: 3 });
+  assert.deepEqual(partial.swaps.map((swap) => [swap.blockNumber, swap.timestamp]), [[1000, blocks[1000]], [1037, blocks[1037]], [1074, blocks[1074]]]);
+  assert.equal(partial.scannedTo, 1110n);
+
+  const none = await scanSwaps(rpc, pool, BLT, { fromBlock: 1000n, toBlock: 1999n, deadline: 0 });
+  assert.deepEqual(none, { swaps: [], scannedTo: 999n });
+});
+
+test('1D candles open at the last earlier close and carry it through quiet hours', () => {
+  const swaps = decodeAll('swaps-v2.json');
+  const now = 1767572700; // 10 minutes after the last swap
+  const { interval, candles } = buildCandles(swaps, '1D', now);
+
+  assert.equal(interval, HOUR);
+  assert.equal(candles.length, 24);
+  assert.equal(candles[0].time, 1767488400);
+  assert.ok(candles.every((candle, i) => candle.time === candles[0].time + i * HOUR));
+
+  // Nothing traded before the last hour: flat at the close of the swap at 1111
+  candles.slice(0, -1).forEach((candle) => {
+    assert.deepEqual([candle.open, candle.high, candle.low, candle.close, candle.volume, candle.trades], [0.005, 0.005, 0.005, 0.005, 0, 0]);
+  });
+
+  const last = candles.at(-1);
+  assert.equal(last.time, 1767571200);
+  close(last.open, 0.005, 'open');
+  close(last.high, 0.0055, 'high');
+  close(last.low, 0.0049, 'low');
+  close(last.close, 0.0049, 'close');
+  assert.equal(last.volume, 620000);
+  assert.equal(last.trades, 2);
+});
+
+test('ALL candles start at the first swap with the narrowest width that fits', () => {
+  const v2 = buildCandles(decodeAll('swaps-v2.json'), 'ALL', 1767572700);
+  assert.equal(v2.interval, HOUR);
+  assert.equal(v2.candles.length, 97);
+  assert.equal(v2.candles[0].time, 1767225600);
+  const [first, second, third, fourth] = v2.candles;
+  close(first.open, 479.999999 / 100000, 'first open');
+  close(first.close, 479.999999 / 100000, 'first close');
+  assert.equal(first.trades, 1);
+  close(second.open, 479.999999 / 100000, 'second open');
+  close(second.close, 0.0051, 'second close');
+  assert.equal(third.trades, 0);
+  close(third.close, 0.0051, 'quiet hour');
+  close(fourth.low, 0.0046, 'sell low');
+
+  // Nine days of V3 swaps do not fit 120 hourly candles; 4-hour ones do
+  const v3 = buildCandles(decodeAll('swaps-v3.json'), 'ALL', 1768006800);
+  assert.equal(v3.interval, 4 * HOUR);
+  assert.equal(v3.candles[0].time, 1767225600);
+  assert.equal(v3.candles.length, Math.floor((1768006800 - 1767225600) / (4 * HOUR)) + 1);
+  const opening = v3.candles[0];
+  close(opening.open, 0.000125, 'open');
+  close(opening.high, 0.000131, 'high');
+  close(opening.low, 0.000122, 'low');
+  close(opening.close, 0.000122, 'close');
+  assert.equal(opening.volume, 440000);
+  assert.equal(opening.trades, 3);
+  assert.equal(v3.candles.reduce((sum, candle) => sum + candle.trades, 0), 8);
+});
+
+test('buildCandles leaves a range with no trade yet empty', () => {
+  assert.deepEqual(buildCandles([], '1W', 1767572700), { interval: 4 * HOUR, candles: [] });
+  const swaps = decodeAll('swaps-v2.json');
+  assert.deepEqual(buildCandles(swaps, '1D', 1767225600 - 2 * 86400).candles, []);
+  assert.throws(() => buildCandles(swaps, '5Y'), /Unknown range/);
+});
+
+test('convertCandles prices each candle at the quote rate of its own period', () => {
+  const { candles } = buildCandles(decodeAll('swaps-v3.json'), 'ALL', 1768006800);
+  const rates = candles.map((candle, i) => ({ time: candle.time, close: 20 + i }));
+  const converted = convertCandles(candles, 4 * HOUR, rates);
+
+  converted.forEach((candle, i) => {
+    close(candle.open, candles[i].open * (20 + i), `open ${i}`);
+    close(candle.close, candles[i].close * (20 + i), `close ${i}`);
+    assert.equal(candle.volume, candles[i].volume);
+  });
+
+  // Daily rates that open on other boundaries: the last one opened before the candle ends
+  const daily = [{ time: 1767225600 - 3 * HOUR, close: 30 }, { time: 1767225600 + 21 * HOUR, close: 40 }];
+  const shifted = convertCandles(candles.slice(0, 7), 4 * HOUR, daily);
+  assert.deepEqual(shifted.map((candle, i) => Math.round(candle.close / candles[i].close)), [30, 30, 30, 30, 30, 40, 40]);
+
+  assert.equal(convertCandles(candles, 4 * HOUR, rates.slice(1).map((rate) => ({ ...rate, time: rate.time + 4 * HOUR }))), null);
+  assert.equal(convertCandles(candles, 4 * HOUR, []), null);
+});
+
+test('fetchPriceCandles asks for the matching interval and returns closes in seconds', async () => {
+  let request;
+  const fetchImpl = async (url, init) => {
+    request = JSON.parse(init.body);
+    return new Response(JSON.stringify([
+      { t: 1767240000000, T: 1767254399999, c: '24.5', o: '24', h: '25', l: '23.9', s: 'HYPE', i: '4h' },
+      { t: 1767225600000, T: 1767239999999, c: '24.1', o: '24', h: '25', l: '23.9', s: 'HYPE', i: '4h' },
+    ]));
+  };
+
+  const rates = await fetchPriceCandles('https://api.test/info', 'HYPE', { interval: 4 * HOUR, startTime: 1767225600, endTime: 1767254400 }, fetchImpl);
+  assert.deepEqual(request, { type: 'candleSnapshot', req: { coin: 'HYPE', interval: '4h', startTime: 1767225600000, endTime: 1767254400000 } });
+  assert.deepEqual(rates, [{ time: 1767225600, close: 24.1 }, { time: 1767240000, close: 24.5 }]);
+
+  await assert.rejects(fetchPriceCandles('https://api.test/info', 'HYPE', { interval: 300, startTime: 0, endTime: 1 }, fetchImpl), /No 300s candles/);
+});
@@ -0,0 +1,174 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createRateLimiter } from '../api/_lib/rateLimit.js';
+import { toCsv, parseCsv } from '../api/_lib/csv.js';
+
+// The store reads DATA_DIR when it is first imported; mail goes to `outbox`
+const DATA_DIR = mkdtempSync(join(tmpdir(), 'believe-waitlist-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.MAIL_TRANSPORT = 'test';
+const { registerTransport } = await import('../api/_lib/mailer.js');
+const { read } = await import('../api/_lib/store.js');
+const { joinWaitlist, confirmSignup, unsubscribe, exportWaitlist } = await import('../api/_lib/waitlist.js');
+const { default: signupHandler } = await import('../api/waitlist/index.js');
+
+const outbox = [];
+registerTransport('test', async (message) => { outbox.push(message); });
+
+const ORIGIN = 'https://believe.test';
+const NOW = Date.UTC(2026, 0, 15);
+const MINUTE = 60 * 1000;
+
+beforeEach(() => {
+  rmSync(join(DATA_DIR, 'waitlist.json'), { force: true });
+  outbox.length = 0;
+});
+
+// The tokens in the last confirmation mail
+function lastTokens() {
+  const { text } = outbox[outbox.length - 1];
+  const token = (name) => decodeURIComponent(new RegExp(`\\?${name}=([^\\s]+)`).exec(text)[1]);
+  return { confirm: token('confirm'), unsubscribe: token('unsubscribe') };
+}
+
+const entries = () => read('waitlist', []);
+
+const rejects = (promise, status, pattern) => assert.rejects(promise, (error) => {
+  assert.equal(error.status, status, error.message);
+  if (pattern) assert.match(error.message, pattern);
+  return true;
+});
+
+// A request and response as route() sees them
+async function post(handler, body, ip = '203.0.113.1') {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    end(text) { this.body = JSON.parse(text); },
+  };
+  await handler({ method: 'POST', headers: { 'x-forwarded-for': ip }, body, query: {} }, res);
+  return res;
+}
+
+test('joinWaitlist stores a pending signup and mails the links once per resend interval', async () => {
+  await joinWaitlist({ email: '  Holder@Example.org ', wallet: '0xab5801a7d398351b8be11c439e05c5b3259aec9b' }, ORIGIN, NOW);
+
+  const [entry] = await entries();
+  assert.equal(entry.email, 'holder@example.org');
+  assert.equal(entry.wallet, '0xAb5801a7D398351b8bE11C439e05C5B3259aeC9B');
+  assert.equal(entry.status, 'pending');
+  assert.equal(outbox.length, 1);
+  assert.equal(outbox[0].to, 'holder@example.org');
+  assert.match(outbox[0].headers['List-Unsubscribe'], /^<https:\/\/believe\.test\/api\/waitlist\/unsubscribe\?token=/);
+
+  // Asking again straight away sends nothing new
+  await joinWaitlist({ email: 'holder@example.org' }, ORIGIN, NOW + MINUTE);
+  assert.equal(outbox.length, 1);
+  await joinWaitlist({ email: 'holder@example.org' }, ORIGIN, NOW + 11 * MINUTE);
+  assert.equal(outbox.length, 2);
+  assert.equal((await entries()).length, 1);
+
+  await rejects(joinWaitlist({ email: 'not-an-email' }, ORIGIN, NOW), 400, /email/);
+  await rejects(joinWaitlist({ email: 'a@b.org', wallet: '0x1234' }, ORIGIN, NOW), 400, /wallet/);
+});
+
+test('confirmSignup takes only the latest signed confirmation token, within 72 hours', async () => {
+  await joinWaitlist({ email: 'holder@example.org' }, ORIGIN, NOW);
+  const first = lastTokens();
+
+  // A resend signs a new token; the old one stops working
+  await joinWaitlist({ email: 'holder@example.org' }, ORIGIN, NOW + 11 * MINUTE);
+  const { confirm, unsubscribe: unsubscribeToken } = lastTokens();
+  await rejects(confirmSignup(first.confirm, NOW + 12 * MINUTE), 400);
+
+  const [id, signature] = confirm.split('.');
+  for (const forged of [`${id}.${signature.slice(1)}x`, `${id}.`, id, `ffffffffffffffffffffffff.${signature}`, unsubscribeToken, '', undefined]) {
+    await rejects(confirmSignup(forged, NOW + 12 * MINUTE), 400, /not valid/);
+  }
+
+  await rejects(confirmSignup(confirm, NOW + 11 * MINUTE + 73 * 60 * MINUTE), 410, /expired/);
+
+  await confirmSignup(confirm, NOW + 12 * MINUTE);
+  assert.equal((await entries())[0].status, 'confirmed');
+  // Following the link twice is fine
+  await confirmSignup(confirm, NOW + 13 * MINUTE);
+  assert.equal(await exportWaitlist(), 'email,wallet,status,created_at,confirmed_at\nholder@example.org,,confirmed,2026-01-15T00:00:00.000Z,2026-01-15T00:12:00.000Z\n');
+});
+
+test('unsubscribe takes only the signed unsubscribe token', async () => {
+  await joinWaitlist({ email: 'holder@example.org' }, ORIGIN, NOW);
+  const tokens = lastTokens();
+
+  await rejects(unsubscribe(tokens.confirm, NOW), 400, /not valid/);
+  await rejects(unsubscribe(`${tokens.unsubscribe}x`, NOW), 400, /not valid/);
+
+  await unsubscribe(tokens.unsubscribe, NOW + MINUTE);
+  const [entry] = await entries();
+  assert.equal(entry.status, 'unsubscribed');
+  assert.equal(entry.unsubscribedAt, new Date(NOW + MINUTE).toISOString());
+
+  // No longer pending, so the confirmation link is dead too
+  await rejects(confirmSignup(tokens.confirm, NOW + 2 * MINUTE), 400);
+});
+
+test('POST /api/waitlist answers 400 to a body that is not an object and 202 to bots', async () => {
+  for (const [i, body] of [null, 'null', '[]', '"holder@example.org"', '{'].entries()) {
+    const res = await post(signupHandler, body, `198.51.100.${i}`);
+    assert.equal(res.statusCode, 400, JSON.stringify(body));
+    assert.match(res.body.error, /Body must be/);
+  }
+
+  const bot = await post(signupHandler, { email: 'bot@example.org', website: 'http://spam.test' }, '198.51.100.50');
+  assert.equal(bot.statusCode, 202);
+  assert.deepEqual(await entries(), []);
+  assert.equal(outbox.length, 0);
+});
+
+test('POST /api/waitlist limits signups per client address', async () => {
+  const statuses = [];
+  for (let i = 0; i < 6; i += 1) statuses.push((await post(signupHandler, { email: `holder${i}@example.org` }, '192.0.2.7')).statusCode);
+  assert.deepEqual(statuses, [202, 202, 202, 202, 202, 429]);
+
+  assert.equal((await post(signupHandler, { email: 'other@example.org' }, '192.0.2.8')).statusCode, 202);
+});
+
+test('createRateLimiter counts per key in fixed windows', () => {
+  const limiter = createRateLimiter({ limit: 2, windowMs: 60 * 1000 });
+
+  assert.equal(limiter.take('a', NOW), 0);
+  assert.equal(limiter.take('a', NOW + 1000), 0);
+  assert.equal(limiter.take('a', NOW + 1500), 59);
+  assert.equal(limiter.take('b', NOW + 1500), 0);
+
+  // The window started with the first request, not the last
+  assert.equal(limiter.take('a', NOW + 59 * 1000), 1);
+  assert.equal(limiter.take('a', NOW + 60 * 1000), 0);
+});
+
+test('toCsv defuses formulas and quotes what needs it; parseCsv reads it back', () => {
+  const rows = [
+    ['=HYPERLINK("http://evil.test")', '+1', '-2', '@SUM(A1)'],
+    ['\tcmd', '\rx', 'plain', null],
+    ['a,b', 'say "hi"', 'two\nlines', 0],
+  ];
+  const csv = toCsv(['one', 'two', 'three', 'four'], rows);
+
+  assert.equal(csv, [
+    'one,two,three,four',
+    '"\'=HYPERLINK(""http://evil.test"")",\'+1,\'-2,\'@SUM(A1)',
+    '\'\tcmd,"\'\rx",plain,',
+    '"a,b","say ""hi""","two\nlines",0',
+    '',
+  ].join('\n'));
+
+  assert.deepEqual(parseCsv(csv), [
+    ['one', 'two', 'three', 'four'],
+    ['\'=HYPERLINK("http://evil.test")', '\'+1', '\'-2', '\'@SUM(A1)'],
+    ['\'\tcmd', '\'\rx', 'plain', ''],
+    ['a,b', 'say "hi"', 'two\nlines', '0'],
+  ]);
+});
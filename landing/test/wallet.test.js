@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { discoverProviders, ensureChain, UNRECOGNIZED_CHAIN, loadSession, saveSession, clearSession } from '../src/lib/wallet.js';
+import { memoryStorage, brokenStorage } from './_lib/storage.js';
+
+const CHAIN = {
+  chainId: 999,
+  name: 'HyperEVM',
+  nativeCurrency: { name: 'HYPE', symbol: 'HYPE', decimals: 18 },
+  rpcUrl: 'https://rpc.hyperliquid.xyz/evm',
+  explorerUrl: 'https://hyperevmscan.io',
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// An EIP-1193 provider that records requests and answers from `handlers`
+function mockProvider(handlers = {}) {
+  const calls = [];
+  return {
+    calls,
+    async request({ method, params }) {
+      calls.push({ method, params });
+      const handler = handlers[method];
+      if (!handler) throw Object.assign(new Error(`Unsupported method ${method}`), { code: 4200 });
+      return handler(params);
+    },
+  };
+}
+
+const rpcError = (code, message = 'error') => Object.assign(new Error(message), { code });
+
+// A window stand-in whose wallets answer eip6963:requestProvider
+function walletWindow(wallets, ethereum) {
+  const target = new EventTarget();
+  target.ethereum = ethereum;
+  target.addEventListener('eip6963:requestProvider', () => {
+    wallets.forEach((wallet) => target.dispatchEvent(new CustomEvent('eip6963:announceProvider', { detail: wallet })));
+  });
+  return target;
+}
+
+const wallet = (rdns, name) => ({
+  info: { uuid: `uuid-${rdns}`, rdns, name, icon: '' },
+  provider: mockProvider(),
+});
+
+test('discoverProviders collects announced wallets and ignores repeats and malformed announcements', () => {
+  const rabby = wallet('io.rabby', 'Rabby');
+  const metamask = wallet('io.metamask', 'MetaMask');
+  const target = walletWindow([rabby, metamask, rabby, { info: { name: 'No uuid' }, provider: mockProvider() }]);
+
+  const seen = [];
+  const unsubscribe = discoverProviders((found) => seen.push(found), target);
+
+  const names = seen.at(-1).map(({ info }) => info.name);
+  assert.deepEqual(names, ['Rabby', 'MetaMask']);
+
+  // Late announcements (a wallet injected after the page) still arrive
+  const late = wallet('com.okex.wallet', 'OKX Wallet');
+  target.dispatchEvent(new CustomEvent('eip6963:announceProvider', { detail: late }));
+  assert.equal(seen.at(-1).length, 3);
+
+  unsubscribe();
+  target.dispatchEvent(new CustomEvent('eip6963:announceProvider', { detail: wallet('xyz.other', 'Other') }));
+  assert.equal(seen.at(-1).length, 3);
+});
+
+test('discoverProviders falls back to window.ethereum only when no wallet announces itself', async () => {
+  const injected = mockProvider();
+  const seen = [];
+  const unsubscribe = discoverProviders((found) => seen.push(found), walletWindow([], injected));
+
+  assert.equal(seen.length, 0);
+  await sleep(350);
+  assert.equal(seen.length, 1);
+  assert.equal(seen[0][0].info.rdns, 'injected');
+  assert.equal(seen[0][0].provider, injected);
+  unsubscribe();
+
+  const announced = [];
+  const stop = discoverProviders((found) => announced.push(found), walletWindow([wallet('io.rabby', 'Rabby')], injected));
+  await sleep(350);
+  assert.deepEqual(announced.at(-1).map(({ info }) => info.rdns), ['io.rabby']);
+  stop();
+});
+
+test('discoverProviders never falls back after unsubscribing', async () => {
+  const seen = [];
+  const unsubscribe = discoverProviders((found) => seen.push(found), walletWindow([], mockProvider()));
+  unsubscribe();
+  await sleep(350);
+  assert.equal(seen.length, 0);
+});
+
+test('ensureChain switches to a chain the wallet knows', async () => {
+  const provider = mockProvider({ wallet_switchEthereumChain: () => null });
+  await ensureChain(provider, CHAIN);
+
+  assert.deepEqual(provider.calls, [
+    { method: 'wallet_switchEthereumChain', params: [{ chainId: '0x3e7' }] },
+  ]);
+});
+
+test('ensureChain adds the chain when the wallet does not know it', async () => {
+  const provider = mockProvider({
+    wallet_switchEthereumChain: () => { throw rpcError(UNRECOGNIZED_CHAIN, 'Unrecognized chain ID'); },
+    wallet_addEthereumChain: () => null,
+  });
+  await ensureChain(provider, CHAIN);
+
+  assert.deepEqual(provider.calls.map(({ method }) => method), ['wallet_switchEthereumChain', 'wallet_addEthereumChain']);
+  assert.deepEqual(provider.calls[1].params, [{
+    chainId: '0x3e7',
+    chainName: 'HyperEVM',
+    nativeCurrency: CHAIN.nativeCurrency,
+    rpcUrls: [CHAIN.rpcUrl],
+    blockExplorerUrls: [CHAIN.explorerUrl],
+  }]);
+});
+
+test('ensureChain reads a 4902 code wrapped in data.originalError', async () => {
+  const provider = mockProvider({
+    wallet_switchEthereumChain: () => {
+      throw Object.assign(rpcError(-32603, 'Internal error'), { data: { originalError: { code: UNRECOGNIZED_CHAIN } } });
+    },
+    wallet_addEthereumChain: () => null,
+  });
+  await ensureChain(provider, CHAIN);
+
+  assert.equal(provider.calls.at(-1).method, 'wallet_addEthereumChain');
+});
+
+test('ensureChain passes other errors through without adding the chain', async () => {
+  const provider = mockProvider({
+    wallet_switchEthereumChain: () => { throw rpcError(4001, 'User rejected the request'); },
+    wallet_addEthereumChain: () => null,
+  });
+
+  await assert.rejects(ensureChain(provider, CHAIN), { code: 4001 });
+  assert.deepEqual(provider.calls.map(({ method }) => method), ['wallet_switchEthereumChain']);
+});
+
+test('the wallet session round-trips and never throws when storage does', () => {
+  const storage = memoryStorage();
+  assert.equal(loadSession(storage), null);
+  saveSession({ rdns: 'io.metamask' }, storage);
+  assert.deepEqual(loadSession(storage), { rdns: 'io.metamask' });
+  clearSession(storage);
+  assert.equal(loadSession(storage), null);
+
+  assert.doesNotThrow(() => saveSession({ rdns: 'io.metamask' }, brokenStorage));
+  assert.doesNotThrow(() => clearSession(brokenStorage));
+  assert.equal(loadSession(brokenStorage), null);
+  assert.equal(loadSession(null), null);
+});